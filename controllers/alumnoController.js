@@ -3,11 +3,16 @@ const Tutor = require('../models/Tutor');
 const Sucursal = require('../models/Sucursal');
 const multer = require('multer');
 const path = require('path');
-const fs = require('fs').promises;
 const fsSync = require('fs');
 
 // ── v1.5: Servicio de generación de PDF ──────────────────────────────────────
-const { generateSolicitudIngreso } = require('../services/pdfService');
+const { generateSolicitudIngreso, generarCredencial } = require('../services/pdfService');
+const { registrarAuditoria, snapshot } = require('../services/auditService');
+const { generarQr } = require('../services/checkinService');
+const { urlFirmada } = require('../services/archivoService');
+const almacenamiento = require('../services/almacenamientoService');
+const { eliminarImagen } = require('../services/imagenService');
+const nivelService = require('../services/nivelService');
 
 // @desc    Obtener todos los alumnos
 // @route   GET /api/alumnos
@@ -21,6 +26,7 @@ const getAlumnos = async (req, res) => {
       sucursal,
       status,
       belt,
+      disciplina,      // con belt: grado en esa disciplina
       isActive,
       tutor,
       age,
@@ -47,8 +53,10 @@ const getAlumnos = async (req, res) => {
       filters['enrollment.sucursal'] = sucursal;
     }
     
-    // Filtro por cinturón
-    if (belt) {
+    // Filtro por cinturón (en la disciplina indicada o en la principal)
+    if (belt && disciplina) {
+      filters.grados = { $elemMatch: { disciplina, level: belt } };
+    } else if (belt) {
       filters['belt.level'] = belt;
     }
     
@@ -211,21 +219,14 @@ const getAlumnos = async (req, res) => {
             notes: alumno.notes,
             
             belt: alumno.belt,
+            grados: alumno.grados,
             enrollment: alumno.enrollment,
             stats: alumno.stats,
             
             // AGREGAR CAMPOS DE FOTO:
             profilePhoto: alumno.profilePhoto,
-            profilePhotoUrl: (() => {
-                if (alumno.profilePhoto && alumno.profilePhoto.url) {
-                if (alumno.profilePhoto.url.startsWith('http')) {
-                    return alumno.profilePhoto.url;
-                }
-                const baseUrl = process.env.BASE_URL || 'http://localhost:3005';
-                return `${baseUrl}${alumno.profilePhoto.url}`;
-                }
-                return null;
-            })(),
+            profilePhotoUrl: urlFirmada(alumno.profilePhoto?.url),
+            profilePhotoThumbUrl: urlFirmada(alumno.profilePhoto?.variantes?.thumb?.url || alumno.profilePhoto?.url),
             
             isActive: alumno.isActive,
             createdAt: alumno.createdAt,
@@ -421,7 +422,8 @@ const createAlumno = async (req, res) => {
         monthlyFee: enrollment.monthlyFee || sucursal.settings?.monthlyFee || 0,
         registrationFee: enrollment.registrationFee || sucursal.settings?.registrationFee || 0
       },
-      belt: belt || { level: 'blanco', dateObtained: new Date() },
+      // Sin nivel, el modelo asigna el primero del sistema de su disciplina
+      belt: { dateObtained: new Date(), ...belt },
       preferences,
       notes,
       createdBy: req.user._id
@@ -430,6 +432,8 @@ const createAlumno = async (req, res) => {
     const alumno = new Alumno(alumnoData);
     await alumno.save();
 
+    await registrarAuditoria(req, { entidad: 'Alumno', accion: 'crear', despues: alumno });
+
     // Poblar datos antes de enviar respuesta
     await alumno.populate('enrollment.sucursal', 'name');
     await alumno.populate('tutor', 'firstName lastName email');
@@ -629,6 +633,35 @@ const updateAlumno = async (req, res) => {
     const oldSucursalId = alumno.enrollment.sucursal;
     const newSucursalId = updateData.enrollment?.sucursal;
 
+    const antes = snapshot(alumno);
+
+    // findByIdAndUpdate no pasa por el pre('validate') del modelo: los grados se
+    // recalculan aquí. belt es el grado en la disciplina principal (la nueva si
+    // cambia) y cada nivel debe existir en el sistema de su disciplina.
+    if (belt !== undefined || enrollment?.programa !== undefined) {
+      await nivelService.cargar();
+      alumno.sincronizarGrados();
+      if (enrollment?.programa !== undefined) alumno.enrollment.programa = updateData.enrollment.programa;
+      if (belt !== undefined) {
+        alumno.setGrado(nivelService.disciplinaDe(alumno), { ...alumno.gradoEn()?.toObject(), ...belt });
+      }
+      alumno.sincronizarGrados();
+
+      for (const grado of alumno.grados) {
+        const error = grado.level && nivelService.errorNivel(grado.disciplina, grado.level);
+        if (error) {
+          return res.status(400).json({
+            success: false,
+            message: error,
+            nivelesValidos: nivelService.niveles(grado.disciplina).map(n => n.clave)
+          });
+        }
+      }
+
+      updateData.grados = alumno.grados.map(g => g.toObject());
+      updateData.belt = alumno.belt.toObject();
+    }
+
     const updatedAlumno = await Alumno.findByIdAndUpdate(
       id,
       updateData,
@@ -639,6 +672,8 @@ const updateAlumno = async (req, res) => {
     .populate('createdBy', 'name email')
     .populate('lastModifiedBy', 'name email');
 
+    await registrarAuditoria(req, { entidad: 'Alumno', accion: 'actualizar', antes, despues: updatedAlumno });
+
     // Actualizar estadísticas de sucursales si cambió
     if (newSucursalId && newSucursalId !== oldSucursalId.toString()) {
       await updateSucursalStats(oldSucursalId);
@@ -703,8 +738,7 @@ const deleteAlumno = async (req, res) => {
     // Eliminar foto si existe
     if (alumno.profilePhoto.filename) {
       try {
-        const photoPath = path.join(__dirname, '../uploads/profiles', alumno.profilePhoto.filename);
-        await fs.unlink(photoPath);
+        await eliminarImagen('profiles', alumno.profilePhoto);
       } catch (error) {
         console.error('Error eliminando foto:', error);
       }
@@ -712,6 +746,8 @@ const deleteAlumno = async (req, res) => {
 
     await Alumno.findByIdAndDelete(id);
 
+    await registrarAuditoria(req, { entidad: 'Alumno', accion: 'eliminar', antes: alumno });
+
     // Actualizar estadísticas de la sucursal
     await updateSucursalStats(sucursalId);
 
@@ -765,29 +801,34 @@ const uploadPhoto = async (req, res) => {
     // Eliminar foto anterior si existe
     if (alumno.profilePhoto.filename) {
       try {
-        const oldPhotoPath = path.join(__dirname, '../uploads/profiles', alumno.profilePhoto.filename);
-        await fs.unlink(oldPhotoPath);
+        await eliminarImagen('profiles', alumno.profilePhoto);
       } catch (error) {
         console.error('Error eliminando foto anterior:', error);
       }
     }
 
+    const antes = snapshot(alumno);
+
     // Actualizar información de la foto
     alumno.profilePhoto = {
       filename: req.file.filename,
       originalName: req.file.originalname,
       mimetype: req.file.mimetype,
       size: req.file.size,
-      url: `/uploads/profiles/${req.file.filename}`
+      url: almacenamiento.url(req.file.clave),
+      variantes: req.file.variantes
     };
 
     await alumno.save();
 
+    await registrarAuditoria(req, { entidad: 'Alumno', accion: 'actualizar', antes, despues: alumno, descripcion: 'Foto de perfil actualizada' });
+
     res.json({
       success: true,
       message: 'Foto subida exitosamente',
       data: {
         photoUrl: alumno.profilePhotoUrl,
+        thumbUrl: alumno.profilePhotoThumbUrl,
         photo: alumno.profilePhoto
       }
     });
@@ -807,7 +848,7 @@ const uploadPhoto = async (req, res) => {
 const updateBelt = async (req, res) => {
   try {
     const { id } = req.params;
-    const { level, dateObtained, certifiedBy } = req.body;
+    const { disciplina, level, dateObtained, certifiedBy } = req.body;
 
     const alumno = await Alumno.findById(id);
     
@@ -840,21 +881,53 @@ const updateBelt = async (req, res) => {
       }
     }
 
-    // Actualizar cinturón
-    alumno.belt = {
-      level: level || alumno.belt.level,
+    // Grado en una de sus disciplinas (por defecto, la principal)
+    await nivelService.cargar();
+    const slug = disciplina || nivelService.disciplinaDe(alumno);
+    if (!nivelService.programasDe(alumno).includes(slug)) {
+      return res.status(400).json({
+        success: false,
+        message: 'El alumno no está inscrito en esa disciplina',
+        disciplinas: nivelService.programasDe(alumno)
+      });
+    }
+
+    const nuevoNivel = level || nivelService.gradoDe(alumno, slug)?.level;
+    if (nuevoNivel) {
+      const { error, nivelesValidos } = await nivelService.validarNivel(slug, nuevoNivel);
+      if (error) {
+        return res.status(400).json({ success: false, message: error, nivelesValidos });
+      }
+    }
+
+    const antes = snapshot(alumno);
+
+    // Actualizar grado (belt se sincroniza si es la disciplina principal)
+    const grado = alumno.setGrado(slug, {
+      level: nuevoNivel,
       dateObtained: dateObtained || new Date(),
       certifiedBy: certifiedBy || req.user._id
-    };
+    });
 
     await alumno.save();
-    await alumno.populate('belt.certifiedBy', 'name');
+
+    await registrarAuditoria(req, { entidad: 'Alumno', accion: 'actualizar', antes, despues: alumno, descripcion: `Cinturón actualizado (${slug})` });
+
+    await alumno.populate([
+      { path: 'belt.certifiedBy', select: 'name' },
+      { path: 'grados.certifiedBy', select: 'name' }
+    ]);
 
     res.json({
       success: true,
       message: 'Cinturón actualizado exitosamente',
       data: {
-        belt: alumno.belt
+        belt: alumno.belt,
+        grados: alumno.grados,
+        disciplina: slug,
+        grado,
+        nivel: nivelService.nivel(slug, grado.level),
+        siguienteNivel: nivelService.siguienteNivel(slug, grado.level)
       }
     });
 
@@ -900,6 +973,7 @@ const getAlumnosStats = async (req, res) => {
       menoresEdad,
       mayoresEdad,
       estadisticasCinturones,
+      estadisticasGrados,
       estadisticasSucursales,
       estadisticasProgramas   // v1.5
     ] = await Promise.all([
@@ -919,6 +993,8 @@ const getAlumnosStats = async (req, res) => {
         { $group: { _id: '$belt.level', count: { $sum: 1 } } },
         { $sort: { count: -1 } }
       ]),
+      // Por disciplina y nivel (un alumno cuenta en cada disciplina que practica)
+      Alumno.distribucionGrados(filters),
       Alumno.aggregate([
         { $match: filters },
         {
@@ -952,6 +1028,7 @@ const getAlumnosStats = async (req, res) => {
           mayoresEdad
         },
         cinturones: estadisticasCinturones,
+        grados: estadisticasGrados,
         sucursales: estadisticasSucursales,
         programas: estadisticasProgramas   // v1.5
       }
@@ -1081,7 +1158,8 @@ const getSolicitudPDF = async (req, res) => {
     }
 
     const destDir = path.join(__dirname, '../uploads/solicitudes');
-    const { filePath, fileName, url } = await generateSolicitudIngreso(alumno, destDir);
+    const qr = await generarQr(alumno, { ancho: 200 });
+    const { filePath, fileName, url, contenido } = await generateSolicitudIngreso(alumno, destDir, { qr });
 
     // Guardar referencia en MongoDB
     await Alumno.findByIdAndUpdate(req.params.id, {
@@ -1097,7 +1175,7 @@ const getSolicitudPDF = async (req, res) => {
     // Servir el PDF directamente al cliente
     res.setHeader('Content-Type', 'application/pdf');
     res.setHeader('Content-Disposition', `inline; filename="${fileName}"`);
-    res.sendFile(filePath);
+    res.send(contenido);
 
   } catch (error) {
     console.error('❌ Error generando PDF de solicitud:', error);
@@ -1120,7 +1198,8 @@ const _generarPDFPostCreacion = async (alumnoId, userId) => {
     if (!alumno) return;
 
     const destDir = path.join(__dirname, '../uploads/solicitudes');
-    const { filePath, fileName, url } = await generateSolicitudIngreso(alumno, destDir);
+    const qr = await generarQr(alumno, { ancho: 200 });
+    const { filePath, fileName, url } = await generateSolicitudIngreso(alumno, destDir, { qr });
 
     await Alumno.findByIdAndUpdate(alumnoId, {
       solicitudPdf: {
@@ -1139,6 +1218,105 @@ const _generarPDFPostCreacion = async (alumnoId, userId) => {
   }
 };
 
+// @desc    QR de asistencia del alumno (PNG) para el kiosco
+// @route   GET /api/alumnos/:id/qr
+// @access  Private (Admin, Instructor)
+const getQrAlumno = async (req, res) => {
+  try {
+    const alumno = await Alumno.findById(req.params.id).select('checkin isActive');
+
+    if (!alumno || !alumno.isActive) {
+      return res.status(404).json({ success: false, message: 'Alumno no encontrado' });
+    }
+
+    const png = await generarQr(alumno);
+
+    res.setHeader('Content-Type', 'image/png');
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.send(png);
+
+  } catch (error) {
+    console.error('Error generando QR del alumno:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al generar el código QR'
+    });
+  }
+};
+
+// @desc    Regenerar el QR (credencial perdida): los QR impresos antes dejan de valer
+// @route   POST /api/alumnos/:id/qr/regenerar
+// @access  Private (Admin only)
+const regenerarQrAlumno = async (req, res) => {
+  try {
+    const alumno = await Alumno.findById(req.params.id);
+
+    if (!alumno || !alumno.isActive) {
+      return res.status(404).json({ success: false, message: 'Alumno no encontrado' });
+    }
+
+    const antes = snapshot(alumno);
+    alumno.checkin = {
+      qrVersion    : (alumno.checkin?.qrVersion || 1) + 1,
+      regeneradoEn : new Date(),
+      regeneradoPor: req.user._id
+    };
+    alumno.lastModifiedBy = req.user._id;
+    await alumno.save();
+
+    await registrarAuditoria(req, {
+      entidad    : 'Alumno',
+      accion     : 'actualizar',
+      antes,
+      despues    : alumno,
+      descripcion: 'QR de asistencia regenerado'
+    });
+
+    res.json({
+      success: true,
+      message: 'QR regenerado. Imprime una nueva credencial; la anterior ya no funciona en el kiosco',
+      data: { qrVersion: alumno.checkin.qrVersion }
+    });
+
+  } catch (error) {
+    console.error('Error regenerando QR del alumno:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+// @desc    Credencial del alumno (PDF tamaño tarjeta) con QR de asistencia
+// @route   GET /api/alumnos/:id/credencial-pdf
+// @access  Private (Admin, Instructor)
+const getCredencialPDF = async (req, res) => {
+  try {
+    const alumno = await Alumno.findById(req.params.id)
+      .populate('enrollment.sucursal', 'name')
+      .lean();
+
+    if (!alumno || !alumno.isActive) {
+      return res.status(404).json({ success: false, message: 'Alumno no encontrado' });
+    }
+
+    const qr = await generarQr(alumno, { ancho: 300 });
+    const { contenido, fileName } = await generarCredencial(alumno, qr);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${fileName}"`);
+    res.send(contenido);
+
+  } catch (error) {
+    console.error('Error generando credencial:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al generar la credencial',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   getAlumnos,
   getAlumnoById,
@@ -1150,5 +1328,8 @@ module.exports = {
   getAlumnosStats,
   getAlumnosByPrograma,   // v1.5
   getSolicitudPDF,        // v1.5 PDF
+  getQrAlumno,
+  regenerarQrAlumno,
+  getCredencialPDF,
   _generarPDFPostCreacion // v1.5 PDF (interno)
 };
\ No newline at end of file
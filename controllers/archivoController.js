@@ -0,0 +1,83 @@
+const path = require('path');
+const almacenamiento = require('../services/almacenamientoService');
+const {
+  esCarpetaValida,
+  esPublica,
+  firmarUrl,
+  verificarFirma,
+  separarUrl,
+  puedeAcceder
+} = require('../services/archivoService');
+
+const enviarArchivo = async (res, carpeta, archivo) => {
+  // Los privados no deben quedar en cachés compartidas
+  res.setHeader('Cache-Control', esPublica(carpeta) ? 'public, max-age=86400' : 'private, no-store');
+
+  const enviado = await almacenamiento.enviar(res, almacenamiento.clave(carpeta, archivo));
+  if (!enviado) {
+    res.status(404).json({ success: false, message: 'Archivo no encontrado' });
+  }
+};
+
+// ── Servir ───────────────────────────────────────────────────────────────────
+// Acceso con URL firmada (expira, firma) o con sesión (optionalAuth) y permiso
+// sobre el archivo. carpeta viene de la ruta o del parámetro :carpeta.
+const servirDe = (carpetaFija) => async (req, res) => {
+  try {
+    const carpeta = carpetaFija || req.params.carpeta;
+    const archivo = path.basename(req.params.archivo || req.params.filename || '');
+
+    if (!esCarpetaValida(carpeta) || !archivo) {
+      return res.status(404).json({ success: false, message: 'Archivo no encontrado' });
+    }
+
+    if (verificarFirma(carpeta, archivo, req.query)) {
+      return await enviarArchivo(res, carpeta, archivo);
+    }
+
+    if (!esPublica(carpeta) && !req.user) {
+      return res.status(401).json({
+        success: false,
+        message: req.query.firma ? 'El enlace expiró o no es válido' : 'Acceso denegado. Token no proporcionado'
+      });
+    }
+
+    if (!(await puedeAcceder(req.user, carpeta, archivo))) {
+      return res.status(403).json({ success: false, message: 'No tienes permiso para ver este archivo' });
+    }
+
+    await enviarArchivo(res, carpeta, archivo);
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Error al obtener el archivo', error: error.message });
+  }
+};
+
+exports.servirDe = servirDe;
+exports.servir   = servirDe();
+
+// ── Firmar ───────────────────────────────────────────────────────────────────
+// body: { url: '/uploads/<carpeta>/<archivo>' } o { carpeta, archivo }
+// Devuelve una URL temporal para incrustar el archivo sin enviar el token.
+exports.firmar = async (req, res) => {
+  try {
+    const partes = req.body.url ? separarUrl(req.body.url) : req.body;
+    const carpeta = partes?.carpeta;
+    const archivo = partes?.archivo && path.basename(String(partes.archivo));
+
+    if (!esCarpetaValida(carpeta) || !archivo) {
+      return res.status(400).json({ success: false, message: 'Indica un archivo de uploads válido' });
+    }
+
+    if (!(await puedeAcceder(req.user, carpeta, archivo))) {
+      return res.status(403).json({ success: false, message: 'No tienes permiso para ver este archivo' });
+    }
+
+    if (!(await almacenamiento.existe(almacenamiento.clave(carpeta, archivo)))) {
+      return res.status(404).json({ success: false, message: 'Archivo no encontrado' });
+    }
+
+    res.json({ success: true, data: { url: firmarUrl(carpeta, archivo) } });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Error al firmar el enlace', error: error.message });
+  }
+};
@@ -4,6 +4,11 @@ const Horario = require('../models/Horario');
 const User = require('../models/User');
 const Configuracion = require('../models/Configuracion'); // ✅ NUEVO
 const mongoose = require('mongoose');
+const { obtenerSesion } = require('../services/sesionClaseService');
+const { verificarCodigo, verificarClaveKiosco, buscarClaseActual } = require('../services/checkinService');
+const { evaluarRiesgo, notificarRiesgo, publico } = require('../services/riesgoAsistenciaService');
+const { construirListaMensual, generarCsvLista } = require('../services/listaAsistenciaService');
+const { generarListaAsistencia } = require('../services/pdfService');
 
 // ✅ NUEVO: Función helper para obtener valores de configuración
 const getConfigValue = async (clave, valorDefecto) => {
@@ -45,6 +50,26 @@ const determinarEstadoAsistencia = async (horaRegistro, horaInicioClase) => {
     }
 };
 
+// Función auxiliar: sesión de la clase en la fecha. Devuelve { sesion } o
+// { error } si la clase de ese día se canceló o se reprogramó.
+const resolverSesion = async (horario, fecha) => {
+    const sesion = await obtenerSesion(horario, fecha);
+
+    if (sesion && !sesion.seImparte) {
+        const motivo = sesion.motivoCancelacion ? ` (${sesion.motivoCancelacion})` : '';
+        return { error: `No se puede pasar lista: la clase de esa fecha fue ${sesion.estado}${motivo}` };
+    }
+    return { sesion };
+};
+
+// Función auxiliar: al pasar lista, la sesión queda como realizada
+const marcarSesionRealizada = async (sesion) => {
+    if (sesion && sesion.estado === 'programada') {
+        sesion.estado = 'realizada';
+        await sesion.save();
+    }
+};
+
 // ========================================
 // ✅ NUEVO: OBTENER CONFIGURACIONES DE ASISTENCIAS
 // ========================================
@@ -254,10 +279,20 @@ exports.marcarAsistencia = async (req, res) => {
         const fechaAsistencia = fecha ? new Date(fecha) : new Date();
         fechaAsistencia.setHours(0, 0, 0, 0);
 
+        // Sesión de ese día (una clase cancelada no genera faltas)
+        const { sesion, error: errorSesion } = await resolverSesion(horario, fechaAsistencia);
+        if (errorSesion) {
+            return res.status(400).json({
+                success: false,
+                message: errorSesion
+            });
+        }
+        const horaInicioClase = sesion?.horaInicio || horario.horaInicio;
+
         // ✅ INTEGRACIÓN: Determinar estado automáticamente si se proporciona horaRegistro
         let estadoFinal = estado;
-        if (horaRegistro && horario.horaInicio && !estado) {
-            estadoFinal = await determinarEstadoAsistencia(horaRegistro, horario.horaInicio);
+        if (horaRegistro && horaInicioClase && !estado) {
+            estadoFinal = await determinarEstadoAsistencia(horaRegistro, horaInicioClase);
         }
 
         // Si aún no hay estado, se requiere
@@ -284,12 +319,14 @@ exports.marcarAsistencia = async (req, res) => {
             
             if (notas) asistenciaExistente.notas = notas;
             if (horaRegistro) asistenciaExistente.horaRegistro = horaRegistro;
+            if (sesion && !asistenciaExistente.sesion) asistenciaExistente.sesion = sesion._id;
 
             asistencia = await asistenciaExistente.save();
         } else {
             asistencia = new Asistencia({
                 alumno: alumnoId,
                 horario: horarioId,
+                sesion: sesion?._id,
                 instructor: req.user._id,
                 fecha: fechaAsistencia,
                 estado: estadoFinal,
@@ -301,6 +338,8 @@ exports.marcarAsistencia = async (req, res) => {
             await asistencia.save();
         }
 
+        await marcarSesionRealizada(sesion);
+
         const asistenciaCompleta = await Asistencia.findById(asistencia._id)
             .populate('alumno', 'firstName lastName enrollment.studentId profilePhoto')
             .populate('horario', 'nombre dias horaInicio horaFin')
@@ -355,6 +394,15 @@ exports.marcarAsistenciaGrupo = async (req, res) => {
         const fechaAsistencia = fecha ? new Date(fecha) : new Date();
         fechaAsistencia.setHours(0, 0, 0, 0);
 
+        const { sesion, error: errorSesion } = await resolverSesion(horario, fechaAsistencia);
+        if (errorSesion) {
+            return res.status(400).json({
+                success: false,
+                message: errorSesion
+            });
+        }
+        const horaInicioClase = sesion?.horaInicio || horario.horaInicio;
+
         const resultados = [];
         const errores = [];
 
@@ -372,8 +420,8 @@ exports.marcarAsistenciaGrupo = async (req, res) => {
 
                 // ✅ INTEGRACIÓN: Determinar estado automáticamente
                 let estadoFinal = estado;
-                if (horaRegistro && horario.horaInicio && !estado) {
-                    estadoFinal = await determinarEstadoAsistencia(horaRegistro, horario.horaInicio);
+                if (horaRegistro && horaInicioClase && !estado) {
+                    estadoFinal = await determinarEstadoAsistencia(horaRegistro, horaInicioClase);
                 }
 
                 if (!estadoFinal) {
@@ -399,12 +447,14 @@ exports.marcarAsistenciaGrupo = async (req, res) => {
                     
                     if (notas) asistenciaExistente.notas = notas;
                     if (horaRegistro) asistenciaExistente.horaRegistro = horaRegistro;
+                    if (sesion && !asistenciaExistente.sesion) asistenciaExistente.sesion = sesion._id;
 
                     asistencia = await asistenciaExistente.save();
                 } else {
                     asistencia = new Asistencia({
                         alumno: alumnoId,
                         horario: horarioId,
+                        sesion: sesion?._id,
                         instructor: req.user._id,
                         fecha: fechaAsistencia,
                         estado: estadoFinal,
@@ -431,6 +481,10 @@ exports.marcarAsistenciaGrupo = async (req, res) => {
             }
         }
 
+        if (resultados.length > 0) {
+            await marcarSesionRealizada(sesion);
+        }
+
         res.status(200).json({
             success: true,
             message: `Asistencias procesadas: ${resultados.length} exitosas, ${errores.length} con errores`,
@@ -449,6 +503,154 @@ exports.marcarAsistenciaGrupo = async (req, res) => {
     }
 };
 
+// ===== KIOSCO: AUTENTICAR DISPOSITIVO =====
+// Middleware: valida la clave del kiosco (cabecera X-Kiosco-Clave) contra la
+// sucursal de la URL. El kiosco no inicia sesión con ningún usuario.
+exports.cargarKiosco = async (req, res, next) => {
+    try {
+        const { sucursalId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(sucursalId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'ID de sucursal inválido'
+            });
+        }
+
+        const sucursal = await verificarClaveKiosco(sucursalId, req.get('X-Kiosco-Clave'));
+        if (!sucursal) {
+            return res.status(401).json({
+                success: false,
+                message: 'Kiosco no autorizado'
+            });
+        }
+
+        req.sucursal = sucursal;
+        next();
+    } catch (error) {
+        console.error('Error autenticando kiosco:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+};
+
+// ===== KIOSCO: REGISTRO CON QR =====
+// body: { codigo } — texto leído del QR del alumno.
+// Busca la clase del alumno que está por empezar o en curso en la sucursal y
+// determina presente/retardo con la misma tolerancia que el registro manual.
+// Volver a escanear el mismo día no modifica el registro.
+exports.checkinKiosco = async (req, res) => {
+    try {
+        const datos = verificarCodigo(req.body.codigo);
+        if (!datos) {
+            return res.status(400).json({
+                success: false,
+                message: 'Código no válido'
+            });
+        }
+
+        const alumno = await Alumno.findById(datos.alumnoId).select('firstName lastName isActive checkin');
+        if (!alumno || !alumno.isActive) {
+            return res.status(404).json({
+                success: false,
+                message: 'El alumno no existe o no está activo'
+            });
+        }
+        if ((alumno.checkin?.qrVersion || 1) !== datos.version) {
+            return res.status(400).json({
+                success: false,
+                message: 'Esta credencial fue reemplazada. Solicita la nueva en recepción'
+            });
+        }
+
+        const ahora = new Date();
+        const { horario, error } = await buscarClaseActual(alumno._id, req.sucursal._id, ahora);
+        if (error) {
+            return res.status(404).json({
+                success: false,
+                message: error
+            });
+        }
+
+        const fechaAsistencia = new Date(ahora);
+        fechaAsistencia.setHours(0, 0, 0, 0);
+
+        const { sesion, error: errorSesion } = await resolverSesion(horario, fechaAsistencia);
+        if (errorSesion) {
+            return res.status(400).json({
+                success: false,
+                message: errorSesion
+            });
+        }
+
+        const nombre = `${alumno.firstName} ${alumno.lastName}`;
+        const respuesta = (asistencia) => ({
+            alumno: nombre,
+            clase: horario.nombre,
+            estado: asistencia.estado,
+            horaRegistro: asistencia.horaRegistro
+        });
+
+        const existente = await Asistencia.findOne({
+            alumno: alumno._id,
+            horario: horario._id,
+            fecha: fechaAsistencia
+        });
+        if (existente) {
+            return res.status(200).json({
+                success: true,
+                message: `${nombre}, tu asistencia ya estaba registrada`,
+                data: respuesta(existente)
+            });
+        }
+
+        const horaRegistro = `${String(ahora.getHours()).padStart(2, '0')}:${String(ahora.getMinutes()).padStart(2, '0')}`;
+        const estado = await determinarEstadoAsistencia(horaRegistro, sesion?.horaInicio || horario.horaInicio);
+        const instructor = sesion?.instructorAsignado || horario.instructor;
+
+        const asistencia = new Asistencia({
+            alumno: alumno._id,
+            horario: horario._id,
+            sesion: sesion?._id,
+            instructor,
+            fecha: fechaAsistencia,
+            estado,
+            horaRegistro,
+            origen: 'kiosco',
+            registradoPor: instructor
+        });
+        await asistencia.save();
+
+        await marcarSesionRealizada(sesion);
+
+        res.status(201).json({
+            success: true,
+            message: estado === 'retardo'
+                ? `${nombre}, registramos tu asistencia con retardo`
+                : estado === 'ausente'
+                    ? `${nombre}, llegaste fuera de la tolerancia; avisa a tu instructor`
+                    : `Asistencia registrada. ¡Buena clase, ${nombre}!`,
+            data: respuesta(asistencia)
+        });
+    } catch (error) {
+        console.error('Error en registro de kiosco:', error);
+
+        if (error.code === 11000) {
+            return res.status(200).json({
+                success: true,
+                message: 'Tu asistencia ya estaba registrada'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error al registrar la asistencia'
+        });
+    }
+};
+
 // ===== ACTUALIZAR ASISTENCIA =====
 exports.updateAsistencia = async (req, res) => {
     try {
@@ -656,7 +858,8 @@ exports.getEstadisticasGenerales = async (req, res) => {
     try {
         const { sucursal, fechaInicio, fechaFin } = req.query;
 
-        const filters = {};
+        // Las asistencias de clases canceladas no cuentan
+        const filters = { claseCancelada: { $ne: true } };
 
         if (fechaInicio || fechaFin) {
             filters.fecha = {};
@@ -693,4 +896,156 @@ exports.getEstadisticasGenerales = async (req, res) => {
     }
 };
 
+// ===== LISTA DE ASISTENCIA MENSUAL (PDF / CSV) =====
+// GET /api/asistencias/horario/:horarioId/lista?anio=2025&mes=3&formato=pdf|csv
+// Por defecto el mes en curso y PDF. Instructores: solo sus clases.
+exports.exportarListaMensual = async (req, res) => {
+    try {
+        const hoy = new Date();
+        const anio = parseInt(req.query.anio, 10) || hoy.getFullYear();
+        const mes = parseInt(req.query.mes, 10) || hoy.getMonth() + 1;
+        const formato = (req.query.formato || 'pdf').toLowerCase();
+
+        if (mes < 1 || mes > 12 || anio < 2000 || anio > 2100) {
+            return res.status(400).json({
+                success: false,
+                message: 'Mes o año inválido'
+            });
+        }
+        if (!['pdf', 'csv'].includes(formato)) {
+            return res.status(400).json({
+                success: false,
+                message: "El formato debe ser 'pdf' o 'csv'"
+            });
+        }
+
+        const horario = await Horario.findById(req.params.horarioId)
+            .populate('instructor', 'name')
+            .populate('sucursal', 'name');
+
+        if (!horario) {
+            return res.status(404).json({
+                success: false,
+                message: 'Horario no encontrado'
+            });
+        }
+
+        if (req.user.role !== 'admin' && horario.instructor?._id.toString() !== req.user._id.toString()) {
+            return res.status(403).json({
+                success: false,
+                message: 'Solo puedes exportar la lista de tus propias clases'
+            });
+        }
+
+        const lista = await construirListaMensual(horario, anio, mes);
+        const base = `lista-${horario.nombre}-${anio}-${String(mes).padStart(2, '0')}`
+            .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-zA-Z0-9-]+/g, '-');
+
+        if (formato === 'csv') {
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="${base}.csv"`);
+            return res.send(generarCsvLista(lista));
+        }
+
+        const { contenido } = await generarListaAsistencia(lista);
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `inline; filename="${base}.pdf"`);
+        res.send(contenido);
+    } catch (error) {
+        console.error('Error al exportar lista de asistencia:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al generar la lista de asistencia',
+            error: error.message
+        });
+    }
+};
+
+// ===== ALUMNOS EN RIESGO DE ABANDONO =====
+// Filtros comunes del reporte; los instructores solo ven sus propias clases.
+// Devuelve null (y responde 400) si algún ID no es válido.
+const filtrosRiesgo = (req, res, origen) => {
+    const { sucursal, instructor, semanas, umbral, faltasSeguidas } = origen;
+
+    for (const [campo, valor] of Object.entries({ sucursal, instructor })) {
+        if (valor && !mongoose.Types.ObjectId.isValid(valor)) {
+            res.status(400).json({
+                success: false,
+                message: `El parámetro ${campo} no es un ID válido`
+            });
+            return null;
+        }
+    }
+
+    return {
+        sucursal,
+        instructor: req.user.role === 'admin' ? instructor : req.user._id,
+        semanas,
+        umbral,
+        faltasSeguidas
+    };
+};
+
+// GET /api/asistencias/riesgo
+// Query: sucursal, instructor, semanas, umbral, faltasSeguidas
+exports.getAlumnosEnRiesgo = async (req, res) => {
+    try {
+        const filtros = filtrosRiesgo(req, res, req.query);
+        if (!filtros) return;
+
+        const { parametros, resumen, alumnos } = await evaluarRiesgo(filtros);
+
+        res.status(200).json({
+            success: true,
+            parametros,
+            resumen,
+            data: alumnos.map(publico)
+        });
+    } catch (error) {
+        console.error('Error al obtener alumnos en riesgo:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener el reporte de alumnos en riesgo',
+            error: error.message
+        });
+    }
+};
+
+// POST /api/asistencias/riesgo/notificar (solo admin)
+// Body: mismos filtros que el reporte + destinatarios (['instructor', 'tutor'])
+// Los alumnos avisados en los últimos asistencia_riesgo_dias_entre_avisos días se omiten
+exports.notificarAlumnosEnRiesgo = async (req, res) => {
+    try {
+        const filtros = filtrosRiesgo(req, res, req.body);
+        if (!filtros) return;
+
+        const { destinatarios = ['instructor', 'tutor'] } = req.body;
+        const lista = Array.isArray(destinatarios) ? destinatarios : [destinatarios];
+        if (lista.length === 0 || lista.some(d => !['instructor', 'tutor'].includes(d))) {
+            return res.status(400).json({
+                success: false,
+                message: "destinatarios debe contener 'instructor' y/o 'tutor'"
+            });
+        }
+
+        const { resumen, alumnos } = await evaluarRiesgo(filtros);
+        const envios = await notificarRiesgo(alumnos, lista);
+
+        res.status(200).json({
+            success: true,
+            message: `Avisos enviados para ${resumen.enRiesgo} alumno(s) en riesgo`,
+            data: { resumen, envios }
+        });
+    } catch (error) {
+        console.error('Error al notificar alumnos en riesgo:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al enviar los avisos de alumnos en riesgo',
+            error: error.message
+        });
+    }
+};
+
 module.exports = exports;
\ No newline at end of file
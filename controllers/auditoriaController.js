@@ -0,0 +1,111 @@
+const AuditLog = require('../models/AuditLog');
+const mongoose = require('mongoose');
+
+// ── Obtener lista (filtros: entidad, entidadId, usuario, accion, fechas) ─────
+exports.getAll = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 50,
+      entidad,
+      entidadId,
+      usuario,
+      accion,
+      campo,
+      fechaInicio,
+      fechaFin
+    } = req.query;
+
+    const filtros = {};
+    if (entidad) filtros.entidad = entidad;
+    if (accion)  filtros.accion  = accion;
+    if (campo)   filtros['cambios.campo'] = campo;
+
+    if (entidadId) {
+      if (!mongoose.Types.ObjectId.isValid(entidadId)) {
+        return res.status(400).json({ success: false, message: 'ID de entidad inválido' });
+      }
+      filtros.entidadId = entidadId;
+    }
+
+    if (usuario) {
+      if (!mongoose.Types.ObjectId.isValid(usuario)) {
+        return res.status(400).json({ success: false, message: 'ID de usuario inválido' });
+      }
+      filtros.usuario = usuario;
+    }
+
+    if (fechaInicio || fechaFin) {
+      filtros.fecha = {};
+      if (fechaInicio) filtros.fecha.$gte = new Date(fechaInicio);
+      if (fechaFin) {
+        const fin = new Date(fechaFin);
+        fin.setHours(23, 59, 59, 999);
+        filtros.fecha.$lte = fin;
+      }
+    }
+
+    const limite = Math.min(parseInt(limit) || 50, 200);
+    const skip   = (Math.max(parseInt(page) || 1, 1) - 1) * limite;
+    const total  = await AuditLog.countDocuments(filtros);
+
+    const registros = await AuditLog.find(filtros)
+      .populate('usuario', 'name email role')
+      .sort({ fecha: -1 })
+      .skip(skip)
+      .limit(limite)
+      .lean();
+
+    res.json({
+      success: true,
+      data: registros,
+      pagination: {
+        total,
+        page: parseInt(page) || 1,
+        limit: limite,
+        totalPages: Math.ceil(total / limite)
+      }
+    });
+  } catch (error) {
+    console.error('Error obteniendo auditoría:', error);
+    res.status(500).json({ success: false, message: 'Error al obtener la auditoría', error: error.message });
+  }
+};
+
+// ── Historial de un registro concreto ────────────────────────────────────────
+exports.getHistorial = async (req, res) => {
+  try {
+    const { entidad, entidadId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(entidadId)) {
+      return res.status(400).json({ success: false, message: 'ID de entidad inválido' });
+    }
+
+    const historial = await AuditLog.find({ entidad, entidadId })
+      .populate('usuario', 'name email role')
+      .sort({ fecha: -1 })
+      .lean();
+
+    res.json({ success: true, data: historial, total: historial.length });
+  } catch (error) {
+    console.error('Error obteniendo historial de auditoría:', error);
+    res.status(500).json({ success: false, message: 'Error al obtener el historial', error: error.message });
+  }
+};
+
+// ── Obtener una ──────────────────────────────────────────────────────────────
+exports.getById = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'ID inválido' });
+    }
+
+    const registro = await AuditLog.findById(req.params.id)
+      .populate('usuario', 'name email role');
+    if (!registro) return res.status(404).json({ success: false, message: 'Registro de auditoría no encontrado' });
+
+    res.json({ success: true, data: registro });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
@@ -1,6 +1,14 @@
 const User = require('../models/User');
-const { generateToken } = require('../middleware/auth');
 const bcrypt = require('bcryptjs');
+const {
+  emitirSesion,
+  rotarRefreshToken,
+  revocarAccessToken,
+  revocarRefreshToken,
+  cerrarTodasLasSesiones
+} = require('../services/tokenService');
+const { enviarEmail } = require('../services/emailService');
+const nivelService = require('../services/nivelService');
 
 // @desc    Registrar nuevo usuario
 // @route   POST /api/auth/register
@@ -64,8 +72,8 @@ const register = async (req, res) => {
     const user = new User(userData);
     await user.save();
 
-    // Generar token
-    const token = generateToken(user._id);
+    // Generar access token + refresh token
+    const { token, refreshToken } = await emitirSesion(user._id, req);
 
     // Respuesta exitosa
     res.status(201).json({
@@ -73,7 +81,8 @@ const register = async (req, res) => {
       message: 'Usuario registrado exitosamente',
       data: {
         user: user.getPublicProfile(),
-        token
+        token,
+        refreshToken
       }
     });
 
@@ -198,8 +207,8 @@ const login = async (req, res) => {
     user.lastLogin = new Date();
     await user.save();
 
-    // Generar token
-    const token = generateToken(user._id);
+    // Generar access token + refresh token
+    const { token, refreshToken } = await emitirSesion(user._id, req);
 
     // Respuesta exitosa
     res.json({
@@ -207,7 +216,8 @@ const login = async (req, res) => {
       message: 'Inicio de sesión exitoso',
       data: {
         user: user.getPublicProfile(),
-        token
+        token,
+        refreshToken
       }
     });
 
@@ -245,15 +255,59 @@ const verifyToken = async (req, res) => {
   }
 };
 
-// @desc    Cerrar sesión
+// @desc    Renovar access token con un refresh token (rotación)
+// @route   POST /api/auth/refresh
+// @access  Public (requiere refresh token válido)
+const refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'El refresh token es requerido'
+      });
+    }
+
+    const sesion = await rotarRefreshToken(refreshToken, req);
+
+    if (!sesion) {
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token inválido o expirado. Por favor, inicia sesión nuevamente.'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Sesión renovada',
+      data: {
+        user: sesion.user.getPublicProfile(),
+        token: sesion.token,
+        refreshToken: sesion.refreshToken
+      }
+    });
+  } catch (error) {
+    console.error('Error al renovar sesión:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+// @desc    Cerrar sesión (revoca el access token actual y su refresh token)
 // @route   POST /api/auth/logout
 // @access  Private
 const logout = async (req, res) => {
   try {
-    // En una implementación más compleja, aquí se podría:
-    // - Agregar el token a una blacklist
-    // - Limpiar tokens de refresh
-    // - Registrar la actividad de logout
+    const { refreshToken } = req.body;
+
+    await revocarAccessToken(req.tokenPayload);
+
+    if (refreshToken) {
+      await revocarRefreshToken(refreshToken, req.user._id);
+    }
 
     res.json({
       success: true,
@@ -268,6 +322,27 @@ const logout = async (req, res) => {
   }
 };
 
+// @desc    Cerrar todas las sesiones del usuario actual
+// @route   POST /api/auth/logout-all
+// @access  Private
+const logoutAll = async (req, res) => {
+  try {
+    const { sesionesRevocadas } = await cerrarTodasLasSesiones(req.user._id, 'logout_todas');
+
+    res.json({
+      success: true,
+      message: 'Todas las sesiones fueron cerradas',
+      data: { sesionesRevocadas }
+    });
+  } catch (error) {
+    console.error('Error en logout de todas las sesiones:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
 // @desc    Cambiar contraseña
 // @route   PUT /api/auth/change-password
 // @access  Private
@@ -307,9 +382,17 @@ const changePassword = async (req, res) => {
     user.password = newPassword;
     await user.save();
 
+    // Invalidar todas las sesiones existentes y emitir una nueva para este cliente
+    await cerrarTodasLasSesiones(user._id, 'cambio_password');
+    const { token, refreshToken } = await emitirSesion(user._id, req);
+
     res.json({
       success: true,
-      message: 'Contraseña actualizada exitosamente'
+      message: 'Contraseña actualizada exitosamente',
+      data: {
+        token,
+        refreshToken
+      }
     });
 
   } catch (error) {
@@ -321,6 +404,101 @@ const changePassword = async (req, res) => {
   }
 };
 
+// @desc    Solicitar restablecimiento de contraseña por email
+// @route   POST /api/auth/forgot-password
+// @access  Public (limitado por email)
+const forgotPassword = async (req, res) => {
+  // Respuesta genérica: no revelar si el email está registrado
+  const respuestaGenerica = {
+    success: true,
+    message: 'Si el email está registrado, recibirás un enlace para restablecer tu contraseña'
+  };
+
+  try {
+    const { email } = req.body;
+
+    const user = await User.findByEmail(email);
+
+    if (!user || !user.isActive) {
+      return res.json(respuestaGenerica);
+    }
+
+    const minutos = parseInt(process.env.RESET_PASSWORD_EXPIRE_MINUTES) || 60;
+    const token = user.crearTokenResetPassword(minutos);
+    await user.save();
+
+    const baseUrl = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+    const enlace = `${baseUrl}/reset-password?token=${token}`;
+
+    try {
+      await enviarEmail({
+        to: user.email,
+        subject: 'Restablecer contraseña',
+        titulo: 'Restablecer contraseña',
+        nombreAlumno: user.name,
+        mensaje:
+          `Recibimos una solicitud para restablecer la contraseña de tu cuenta.\n\n` +
+          `Para crear una nueva contraseña abre el siguiente enlace (válido por ${minutos} minutos y de un solo uso):\n\n` +
+          `<a href="${enlace}" style="color:#C0102A;font-weight:bold;">${enlace}</a>\n\n` +
+          `Si no solicitaste este cambio puedes ignorar este mensaje; tu contraseña actual seguirá funcionando.`
+      });
+    } catch (emailError) {
+      // Si el email falla, anular el token para no dejar uno vigente sin
+      // entregar. La respuesta sigue siendo la genérica: un error solo para
+      // cuentas existentes revelaría cuáles están registradas.
+      console.error('Error enviando email de restablecimiento:', emailError.message);
+      user.resetPasswordToken = undefined;
+      user.resetPasswordExpires = undefined;
+      await user.save();
+    }
+
+    res.json(respuestaGenerica);
+
+  } catch (error) {
+    // Misma respuesta también ante errores internos, por la misma razón
+    console.error('Error en forgot-password:', error);
+    res.json(respuestaGenerica);
+  }
+};
+
+// @desc    Restablecer contraseña con token de un solo uso
+// @route   POST /api/auth/reset-password
+// @access  Public
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    // El token se consume al buscarlo (un solo uso, también con solicitudes simultáneas)
+    const user = await User.consumirResetToken(token);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'El enlace de restablecimiento es inválido o ya expiró'
+      });
+    }
+
+    // Actualizar contraseña
+    user.password = password;
+    await user.save();
+
+    // Cerrar cualquier sesión abierta con la contraseña anterior
+    await cerrarTodasLasSesiones(user._id, 'reset_password');
+
+    res.json({
+      success: true,
+      message: 'Contraseña restablecida exitosamente. Ya puedes iniciar sesión.'
+    });
+
+  } catch (error) {
+    console.error('Error en reset-password:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
 // @desc    Obtener perfil del usuario actual
 // @route   GET /api/auth/profile
 // @access  Private
@@ -341,7 +519,7 @@ const getProfile = async (req, res) => {
     res.json({
       success: true,
       data: {
-        user: user.getPublicProfile()
+        user: await nivelService.conNombreGrado(user.getPublicProfile())
       }
     });
 
@@ -473,8 +651,12 @@ module.exports = {
   register,
   login,
   verifyToken,
+  refresh,
   logout,
+  logoutAll,
   changePassword,
+  forgotPassword,
+  resetPassword,
   getProfile,
   updateProfile,
   getUsers
@@ -0,0 +1,248 @@
+const mongoose   = require('mongoose');
+const SesionCaja = require('../models/SesionCaja');
+const Sucursal   = require('../models/Sucursal');
+const { registrarAuditoria, snapshot } = require('../services/auditService');
+const { calcularEsperado, cobrosDeSesion, cerrarSesion } = require('../services/cajaService');
+const { generarCorteCaja } = require('../services/pdfService');
+
+const POPULATE_SESION = [
+  { path: 'sucursal',   select: 'name' },
+  { path: 'usuario',    select: 'name email' },
+  { path: 'cerradaPor', select: 'name email' }
+];
+
+// Solo el propio cajero o un administrador pueden ver / cerrar una sesión
+const puedeAcceder = (req, sesion) =>
+  req.user.role === 'admin' ||
+  (sesion.usuario?._id || sesion.usuario).toString() === req.user._id.toString();
+
+const cargarSesion = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ success: false, message: 'ID de sesión inválido' });
+    return null;
+  }
+
+  const sesion = await SesionCaja.findById(req.params.id).populate(POPULATE_SESION);
+  if (!sesion) {
+    res.status(404).json({ success: false, message: 'Sesión de caja no encontrada' });
+    return null;
+  }
+
+  if (!puedeAcceder(req, sesion)) {
+    res.status(403).json({ success: false, message: 'No tienes acceso a esta sesión de caja' });
+    return null;
+  }
+
+  return sesion;
+};
+
+// ── Abrir caja ───────────────────────────────────────────────────────────────
+// body: { sucursal, fondoInicial, notas }
+exports.abrir = async (req, res) => {
+  try {
+    const sucursalId = req.body.sucursal || req.user.sucursal;
+    const fondoInicial = Number(req.body.fondoInicial) || 0;
+
+    if (!sucursalId || !mongoose.Types.ObjectId.isValid(sucursalId)) {
+      return res.status(400).json({ success: false, message: 'La sucursal es requerida' });
+    }
+
+    const sucursal = await Sucursal.findById(sucursalId).select('name isActive');
+    if (!sucursal || !sucursal.isActive) {
+      return res.status(404).json({ success: false, message: 'Sucursal no encontrada' });
+    }
+
+    const abierta = await SesionCaja.findAbierta(req.user._id);
+    if (abierta) {
+      return res.status(409).json({
+        success: false,
+        message: `Ya tienes una sesión de caja abierta (${abierta.folio})`,
+        data: { sesionId: abierta._id }
+      });
+    }
+
+    const sesion = await SesionCaja.create({
+      sucursal     : sucursalId,
+      usuario      : req.user._id,
+      fondoInicial,
+      notasApertura: req.body.notas
+    });
+
+    await registrarAuditoria(req, {
+      entidad    : 'SesionCaja',
+      accion     : 'crear',
+      despues    : sesion,
+      descripcion: `Apertura de caja ${sesion.folio} en ${sucursal.name}`
+    });
+
+    await sesion.populate(POPULATE_SESION);
+    res.status(201).json({ success: true, message: 'Caja abierta', data: sesion });
+
+  } catch (error) {
+    // Índice único parcial: otra petición abrió la caja al mismo tiempo
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, message: 'Ya tienes una sesión de caja abierta' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Error de validación',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+    res.status(500).json({ success: false, message: 'Error al abrir la caja', error: error.message });
+  }
+};
+
+// ── Sesión abierta del usuario con totales en vivo ───────────────────────────
+exports.getActual = async (req, res) => {
+  try {
+    const sesion = await SesionCaja.findAbierta(req.user._id).populate(POPULATE_SESION);
+
+    if (!sesion) {
+      return res.json({ success: true, data: null });
+    }
+
+    const totales = await calcularEsperado(sesion);
+    res.json({ success: true, data: { ...sesion.toJSON(), ...totales } });
+
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Error al obtener la sesión de caja', error: error.message });
+  }
+};
+
+// ── Listar sesiones (filtros: sucursal, usuario, estado, fechaInicio, fechaFin) ─
+// Los no administradores solo ven sus propias sesiones.
+exports.getAll = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, sucursal, usuario, estado, fechaInicio, fechaFin } = req.query;
+    const filtros = {};
+
+    if (sucursal) filtros.sucursal = sucursal;
+    if (estado)   filtros.estado   = estado;
+
+    if (req.user.role !== 'admin') {
+      filtros.usuario = req.user._id;
+    } else if (usuario) {
+      filtros.usuario = usuario;
+    }
+
+    if (fechaInicio || fechaFin) {
+      filtros.fechaApertura = {};
+      if (fechaInicio) filtros.fechaApertura.$gte = new Date(fechaInicio);
+      if (fechaFin) {
+        const fin = new Date(fechaFin);
+        fin.setHours(23, 59, 59, 999);
+        filtros.fechaApertura.$lte = fin;
+      }
+    }
+
+    const skip  = (parseInt(page) - 1) * parseInt(limit);
+    const total = await SesionCaja.countDocuments(filtros);
+
+    const sesiones = await SesionCaja.find(filtros)
+      .populate(POPULATE_SESION)
+      .sort({ fechaApertura: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    res.json({
+      success: true,
+      data: sesiones,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Error al obtener sesiones de caja', error: error.message });
+  }
+};
+
+// ── Detalle con cobros ───────────────────────────────────────────────────────
+exports.getById = async (req, res) => {
+  try {
+    const sesion = await cargarSesion(req, res);
+    if (!sesion) return;
+
+    const cobros = await cobrosDeSesion(sesion._id);
+    const data = { ...sesion.toJSON(), cobros };
+
+    // Mientras está abierta, lo esperado se calcula al momento
+    if (sesion.estado === 'abierta') {
+      Object.assign(data, await calcularEsperado(sesion));
+    }
+
+    res.json({ success: true, data });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// ── Cerrar caja ──────────────────────────────────────────────────────────────
+// body: { contado: { efectivo, tarjeta, transferencia, cheque, deposito }, notas }
+exports.cerrar = async (req, res) => {
+  try {
+    const sesion = await cargarSesion(req, res);
+    if (!sesion) return;
+
+    if (sesion.estado === 'cerrada') {
+      return res.status(400).json({ success: false, message: 'La sesión de caja ya está cerrada' });
+    }
+
+    const contado = req.body.contado || {};
+    const invalido = Object.entries(contado)
+      .find(([metodo, monto]) => !SesionCaja.METODOS_PAGO.includes(metodo) || isNaN(Number(monto)) || Number(monto) < 0);
+    if (invalido) {
+      return res.status(400).json({ success: false, message: `Conteo inválido para '${invalido[0]}'` });
+    }
+
+    const antes = snapshot(sesion);
+
+    await cerrarSesion(sesion, { contado, notas: req.body.notas, usuarioId: req.user._id });
+
+    await registrarAuditoria(req, {
+      entidad    : 'SesionCaja',
+      accion     : 'actualizar',
+      antes,
+      despues    : sesion,
+      descripcion: `Cierre de caja ${sesion.folio}`
+    });
+
+    await sesion.populate(POPULATE_SESION);
+    res.json({
+      success: true,
+      message: sesion.totalDiferencia === 0
+        ? 'Caja cerrada sin diferencias'
+        : `Caja cerrada con diferencia de $${sesion.totalDiferencia}`,
+      data: sesion
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Error al cerrar la caja', error: error.message });
+  }
+};
+
+// ── PDF del corte ────────────────────────────────────────────────────────────
+exports.getPDF = async (req, res) => {
+  try {
+    const sesion = await cargarSesion(req, res);
+    if (!sesion) return;
+
+    if (sesion.estado !== 'cerrada') {
+      return res.status(400).json({ success: false, message: 'Solo se puede generar el corte de una caja cerrada' });
+    }
+
+    const cobros = await cobrosDeSesion(sesion._id);
+    const { contenido, fileName } = await generarCorteCaja(sesion.toObject(), cobros);
+
+    res.setHeader('Content-Type',        'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${fileName}"`);
+    res.send(contenido);
+
+  } catch (error) {
+    console.error('Error generando corte de caja PDF:', error);
+    res.status(500).json({ success: false, message: 'Error al generar el corte de caja', error: error.message });
+  }
+};
@@ -0,0 +1,125 @@
+const mongoose        = require('mongoose');
+const CalendarioToken = require('../models/CalendarioToken');
+const User            = require('../models/User');
+const Alumno          = require('../models/Alumno');
+const Sucursal        = require('../models/Sucursal');
+const { emitirToken, generarFeed } = require('../services/calendarioService');
+
+const TIPOS = ['instructor', 'alumno', 'sucursal'];
+
+// La referencia del calendario debe existir y estar activa
+const referenciaValida = async (tipo, referencia) => {
+  if (tipo === 'instructor') {
+    return User.exists({ _id: referencia, role: 'instructor', isActive: true });
+  }
+  if (tipo === 'alumno') return Alumno.exists({ _id: referencia, isActive: true });
+  return Sucursal.exists({ _id: referencia, isActive: true });
+};
+
+// ── Feed público (el token es la credencial) ─────────────────────────────────
+// GET /api/calendario/feed/:token.ics
+exports.feed = async (req, res) => {
+  try {
+    const token = String(req.params.archivo || '').replace(/\.ics$/i, '');
+    const { error, ics } = await generarFeed(token);
+
+    if (error) {
+      return res.status(404).json({ success: false, message: error });
+    }
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', 'inline; filename="calendario.ics"');
+    res.setHeader('Cache-Control', 'private, max-age=900');
+    res.send(ics);
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Error al generar el calendario', error: error.message });
+  }
+};
+
+// ── Emitir URL de suscripción ────────────────────────────────────────────────
+// body: { tipo, referencia }
+// Los instructores solo pueden emitir su propio calendario (referencia opcional).
+// Emitir de nuevo reemplaza la URL anterior del mismo usuario.
+exports.emitir = async (req, res) => {
+  try {
+    const { tipo } = req.body;
+    let { referencia } = req.body;
+
+    if (!TIPOS.includes(tipo)) {
+      return res.status(400).json({ success: false, message: `Tipo inválido. Usa: ${TIPOS.join(', ')}` });
+    }
+
+    if (req.user.role === 'instructor') {
+      if (tipo !== 'instructor' || (referencia && referencia.toString() !== req.user._id.toString())) {
+        return res.status(403).json({ success: false, message: 'Solo puedes generar el calendario de tus clases' });
+      }
+      referencia = req.user._id;
+    }
+
+    if (!referencia || !mongoose.Types.ObjectId.isValid(referencia)) {
+      return res.status(400).json({ success: false, message: 'Referencia inválida' });
+    }
+    if (!await referenciaValida(tipo, referencia)) {
+      return res.status(404).json({ success: false, message: 'No se encontró a quién pertenece el calendario' });
+    }
+
+    const { url, webcal, doc } = await emitirToken({ tipo, referencia, userId: req.user._id });
+
+    res.status(201).json({
+      success: true,
+      message: 'URL de calendario generada. Las URL anteriores que generaste para este calendario dejan de funcionar',
+      data: { _id: doc._id, tipo, referencia, url, webcal }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Error al generar el calendario', error: error.message });
+  }
+};
+
+// ── Listar suscripciones ─────────────────────────────────────────────────────
+// query: tipo, referencia, incluirRevocados. Los instructores ven solo las suyas.
+exports.getAll = async (req, res) => {
+  try {
+    const { tipo, referencia, incluirRevocados } = req.query;
+    const filtros = {};
+
+    if (tipo) filtros.tipo = tipo;
+    if (referencia) filtros.referencia = referencia;
+    if (incluirRevocados !== 'true') filtros.revocadoEn = null;
+    if (req.user.role !== 'admin') filtros.creadoPor = req.user._id;
+
+    const tokens = await CalendarioToken.find(filtros)
+      .select('-tokenHash')
+      .populate('creadoPor', 'name role')
+      .sort({ createdAt: -1 });
+
+    res.json({ success: true, data: tokens, count: tokens.length });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Error al obtener los calendarios', error: error.message });
+  }
+};
+
+// ── Revocar una URL de suscripción ───────────────────────────────────────────
+exports.revocar = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'ID inválido' });
+    }
+
+    const registro = await CalendarioToken.findById(req.params.id);
+    const esPropio = registro && registro.creadoPor.toString() === req.user._id.toString();
+
+    if (!registro || (req.user.role !== 'admin' && !esPropio)) {
+      return res.status(404).json({ success: false, message: 'Calendario no encontrado' });
+    }
+    if (registro.revocadoEn) {
+      return res.status(400).json({ success: false, message: 'La URL ya estaba revocada' });
+    }
+
+    registro.revocadoEn = new Date();
+    await registro.save();
+
+    res.json({ success: true, message: 'URL de calendario revocada' });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Error al revocar el calendario', error: error.message });
+  }
+};
@@ -1,4 +1,5 @@
 const Configuracion = require('../models/Configuracion');
+const { registrarAuditoria, snapshot } = require('../services/auditService');
 
 // ========================================
 // OBTENER TODAS LAS CONFIGURACIONES
@@ -189,6 +190,8 @@ exports.createConfiguracion = async (req, res) => {
         const nuevaConfiguracion = new Configuracion(configuracionData);
         await nuevaConfiguracion.save();
 
+        await registrarAuditoria(req, { entidad: 'Configuracion', accion: 'crear', despues: nuevaConfiguracion });
+
         await nuevaConfiguracion.populate('modificadoPor', 'name email');
 
         res.status(201).json({
@@ -232,6 +235,8 @@ exports.updateConfiguracion = async (req, res) => {
             });
         }
 
+        const antes = snapshot(configuracion);
+
         // Si se está actualizando el valor, usar el método con validación
         if (updateData.valor !== undefined) {
             await configuracion.actualizarValor(updateData.valor, req.user._id);
@@ -248,6 +253,8 @@ exports.updateConfiguracion = async (req, res) => {
         configuracion.modificadoPor = req.user._id;
         await configuracion.save();
 
+        await registrarAuditoria(req, { entidad: 'Configuracion', accion: 'actualizar', antes, despues: configuracion });
+
         await configuracion.populate('modificadoPor', 'name email');
 
         res.json({
@@ -281,12 +288,21 @@ exports.updateValorByClave = async (req, res) => {
             });
         }
 
+        const antes = await Configuracion.findOne({ clave, isActive: true }).lean();
+
         const configuracion = await Configuracion.setValor(
             clave, 
             valor, 
             req.user._id
         );
 
+        await registrarAuditoria(req, {
+            entidad: 'Configuracion',
+            accion: antes ? 'actualizar' : 'crear',
+            antes,
+            despues: configuracion
+        });
+
         await configuracion.populate('modificadoPor', 'name email');
 
         res.json({
@@ -336,12 +352,21 @@ exports.updateMultiple = async (req, res) => {
                     continue;
                 }
 
+                const antes = await Configuracion.findOne({ clave, isActive: true }).lean();
+
                 const configuracion = await Configuracion.setValor(
                     clave, 
                     valor, 
                     req.user._id
                 );
 
+                await registrarAuditoria(req, {
+                    entidad: 'Configuracion',
+                    accion: antes ? 'actualizar' : 'crear',
+                    antes,
+                    despues: configuracion
+                });
+
                 resultados.exitosas.push({
                     clave,
                     valorAnterior: configuracion.valorDefecto,
@@ -396,10 +421,14 @@ exports.deleteConfiguracion = async (req, res) => {
             });
         }
 
+        const antes = snapshot(configuracion);
+
         configuracion.isActive = false;
         configuracion.modificadoPor = req.user._id;
         await configuracion.save();
 
+        await registrarAuditoria(req, { entidad: 'Configuracion', accion: 'eliminar', antes, despues: configuracion });
+
         res.json({
             success: true,
             message: 'Configuración eliminada exitosamente',
@@ -439,10 +468,20 @@ exports.restaurarDefecto = async (req, res) => {
             });
         }
 
+        const antes = snapshot(configuracion);
+
         configuracion.valor = configuracion.valorDefecto;
         configuracion.modificadoPor = req.user._id;
         await configuracion.save();
 
+        await registrarAuditoria(req, {
+            entidad: 'Configuracion',
+            accion: 'actualizar',
+            antes,
+            despues: configuracion,
+            descripcion: 'Restaurada a valor por defecto'
+        });
+
         await configuracion.populate('modificadoPor', 'name email');
 
         res.json({
@@ -483,9 +522,17 @@ exports.restaurarCategoria = async (req, res) => {
 
         let restauradas = 0;
         for (const config of configuraciones) {
+            const antes = snapshot(config);
             config.valor = config.valorDefecto;
             config.modificadoPor = req.user._id;
             await config.save();
+            await registrarAuditoria(req, {
+                entidad: 'Configuracion',
+                accion: 'actualizar',
+                antes,
+                despues: config,
+                descripcion: `Restaurada a valor por defecto (categoría ${categoria})`
+            });
             restauradas++;
         }
 
@@ -517,6 +564,13 @@ exports.inicializarDefecto = async (req, res) => {
 
         const total = await Configuracion.countDocuments({ isActive: true });
 
+        await registrarAuditoria(req, {
+            entidad: 'Configuracion',
+            accion: 'masivo',
+            descripcion: 'Configuraciones por defecto inicializadas',
+            metadata: { total }
+        });
+
         res.json({
             success: true,
             message: 'Configuraciones inicializadas correctamente',
@@ -40,22 +40,13 @@ const getDashboardStats = async (req, res) => {
 
         // ===== ESTADÍSTICAS FINANCIERAS DEL MES =====
         
-        // Ingresos del mes actual (pagos con status 'pagado')
+        // Ingresos del mes actual (cada abono cuenta en la fecha en que se cobró)
         const ingresosMes = await Payment.aggregate([
-            {
-                $match: {
-                    status: 'pagado',
-                    paidDate: {
-                        $gte: firstDayOfMonth,
-                        $lte: lastDayOfMonth
-                    },
-                    isActive: true
-                }
-            },
+            ...Payment.etapasCobros({}, { desde: firstDayOfMonth, hasta: lastDayOfMonth }),
             {
                 $group: {
                     _id: null,
-                    total: { $sum: '$total' },
+                    total: { $sum: '$cobro.monto' },
                     count: { $sum: 1 }
                 }
             }
@@ -64,18 +55,18 @@ const getDashboardStats = async (req, res) => {
         const ingresosDelMes = ingresosMes.length > 0 ? ingresosMes[0].total : 0;
         const pagosProcesadosMes = ingresosMes.length > 0 ? ingresosMes[0].count : 0;
 
-        // Pagos pendientes (total)
+        // Pagos pendientes (saldo por cobrar, incluidos los que tienen abonos)
         const pagosPendientes = await Payment.aggregate([
             {
                 $match: {
-                    status: 'pendiente',
+                    status: { $in: ['pendiente', 'parcial'] },
                     isActive: true
                 }
             },
             {
                 $group: {
                     _id: null,
-                    total: { $sum: '$total' },
+                    total: { $sum: Payment.SALDO_AGREGADO },
                     count: { $sum: 1 }
                 }
             }
@@ -91,12 +82,10 @@ const getDashboardStats = async (req, res) => {
         });
 
         // ===== DISTRIBUCIÓN DE ALUMNOS POR CINTURÓN =====
+        const alumnosActivos = { isActive: true, 'enrollment.status': 'activo' };
         const distribucionCinturones = await Alumno.aggregate([
             {
-                $match: {
-                isActive: true,
-                    'enrollment.status': 'activo'
-                }
+                $match: alumnosActivos
             },
             {
                 $group: {
@@ -109,6 +98,9 @@ const getDashboardStats = async (req, res) => {
             }
         ]);
 
+        // Por disciplina y nivel, en el orden de cada sistema de niveles
+        const distribucionGrados = await Alumno.distribucionGrados(alumnosActivos);
+
         // ===== NUEVOS REGISTROS DEL MES =====
         const nuevosAlumnosMes = await Alumno.countDocuments({
             'enrollment.enrollmentDate': {
@@ -136,7 +128,8 @@ const getDashboardStats = async (req, res) => {
                     cantidadPagosPendientes,
                     pagosVencidos
                 },
-                distribucionCinturones
+                distribucionCinturones,
+                distribucionGrados
             }
         });
 
@@ -167,16 +160,22 @@ const getActividadReciente = async (req, res) => {
         .limit(parseInt(limit))
         .lean();
 
-        // Últimos pagos realizados
-        const ultimosPagos = await Payment.find({
-            status: 'pagado',
-            isActive: true
-        })
-        .select('alumno total paidDate paymentMethod receiptNumber')
-        .populate('alumno', 'firstName lastName')
-        .sort({ paidDate: -1 })
-        .limit(parseInt(limit))
-        .lean();
+        // Últimos cobros realizados (cada abono por separado; total = monto cobrado)
+        const ultimosCobros = await Payment.aggregate([
+            ...Payment.etapasCobros(),
+            { $sort: { 'cobro.paidDate': -1 } },
+            { $limit: parseInt(limit) },
+            {
+                $project: {
+                    alumno: 1,
+                    receiptNumber: 1,
+                    total: '$cobro.monto',
+                    paidDate: '$cobro.paidDate',
+                    paymentMethod: '$cobro.paymentMethod'
+                }
+            }
+        ]);
+        const ultimosPagos = await Payment.populate(ultimosCobros, { path: 'alumno', select: 'firstName lastName' });
 
         // Próximos pagos por vencer (en los próximos 7 días)
         const hoy = new Date();
@@ -242,21 +241,14 @@ const getSucursalesStats = async (req, res) => {
                 const lastDayOfMonth = new Date(now.getFullYear(), now.getMonth() + 1, 0);
 
                 const ingresosMes = await Payment.aggregate([
-                    {
-                        $match: {
-                            sucursal: sucursal._id,
-                            status: 'pagado',
-                            paidDate: {
-                                $gte: firstDayOfMonth,
-                                $lte: lastDayOfMonth
-                            },
-                            isActive: true
-                        }
-                    },
+                    ...Payment.etapasCobros(
+                        { sucursal: sucursal._id },
+                        { desde: firstDayOfMonth, hasta: lastDayOfMonth }
+                    ),
                     {
                         $group: {
                             _id: null,
-                            total: { $sum: '$total' }
+                            total: { $sum: '$cobro.monto' }
                         }
                     }
                 ]);
@@ -316,20 +308,11 @@ const getFinancieroStats = async (req, res) => {
 
         // Ingresos por tipo de pago
         const ingresosPorTipo = await Payment.aggregate([
-            {
-                $match: {
-                status: 'pagado',
-                paidDate: {
-                    $gte: firstDay,
-                    $lte: lastDay
-                },
-                isActive: true
-                }
-            },
+            ...Payment.etapasCobros({}, { desde: firstDay, hasta: lastDay }),
             {
                 $group: {
                 _id: '$type',
-                total: { $sum: '$total' },
+                total: { $sum: '$cobro.monto' },
                 count: { $sum: 1 }
                 }
             },
@@ -340,20 +323,11 @@ const getFinancieroStats = async (req, res) => {
 
         // Ingresos por método de pago
         const ingresosPorMetodo = await Payment.aggregate([
-            {
-                $match: {
-                status: 'pagado',
-                paidDate: {
-                    $gte: firstDay,
-                    $lte: lastDay
-                },
-                isActive: true
-                }
-            },
+            ...Payment.etapasCobros({}, { desde: firstDay, hasta: lastDay }),
             {
                 $group: {
-                _id: '$paymentMethod',
-                total: { $sum: '$total' },
+                _id: '$cobro.paymentMethod',
+                total: { $sum: '$cobro.monto' },
                 count: { $sum: 1 }
                 }
             },
@@ -364,20 +338,11 @@ const getFinancieroStats = async (req, res) => {
 
         // Ingresos por sucursal
         const ingresosPorSucursal = await Payment.aggregate([
-            {
-                $match: {
-                status: 'pagado',
-                paidDate: {
-                    $gte: firstDay,
-                    $lte: lastDay
-                },
-                isActive: true
-                }
-            },
+            ...Payment.etapasCobros({}, { desde: firstDay, hasta: lastDay }),
             {
                 $group: {
                 _id: '$sucursal',
-                total: { $sum: '$total' },
+                total: { $sum: '$cobro.monto' },
                 count: { $sum: 1 }
                 }
             },
@@ -592,29 +557,20 @@ const getResumen = async (req, res) => {
                 isActive: true
             }),
             
-            // Ingresos del mes
+            // Ingresos del mes (cada abono en la fecha en que se cobró)
             Payment.aggregate([
-                {
-                $match: {
-                    status: 'pagado',
-                    paidDate: {
-                    $gte: primerDiaMes,
-                    $lte: ultimoDiaMes
-                    },
-                    isActive: true
-                }
-                },
+                ...Payment.etapasCobros({}, { desde: primerDiaMes, hasta: ultimoDiaMes }),
                 {
                 $group: {
                     _id: null,
-                    total: { $sum: '$total' }
+                    total: { $sum: '$cobro.monto' }
                 }
                 }
             ]),
             
-            // Pagos pendientes
+            // Pagos pendientes (incluidos los que ya tienen abonos)
             Payment.countDocuments({
-                status: 'pendiente',
+                status: { $in: ['pendiente', 'parcial'] },
                 isActive: true
             }),
             
@@ -683,21 +639,14 @@ const getSucursalesComparativa = async (req, res) => {
 
                 // Ingresos del mes actual por sucursal
                 const ingresosMes = await Payment.aggregate([
-                    {
-                        $match: {
-                            sucursal: sucursal._id,
-                            status: 'pagado',
-                            paidDate: {
-                                $gte: firstDayOfMonth,
-                                $lte: lastDayOfMonth
-                            },
-                            isActive: true
-                        }
-                    },
+                    ...Payment.etapasCobros(
+                        { sucursal: sucursal._id },
+                        { desde: firstDayOfMonth, hasta: lastDayOfMonth }
+                    ),
                     {
                         $group: {
                             _id: null,
-                            total: { $sum: '$total' }
+                            total: { $sum: '$cobro.monto' }
                         }
                     }
                 ]);
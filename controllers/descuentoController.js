@@ -0,0 +1,189 @@
+const mongoose       = require('mongoose');
+const ReglaDescuento = require('../models/ReglaDescuento');
+const Alumno         = require('../models/Alumno');
+const { registrarAuditoria, snapshot } = require('../services/auditService');
+const { cargarMotor, contextoAlumno, calcularDescuento } = require('../services/descuentoService');
+
+// Campos que se pueden asignar desde el body
+const CAMPOS_EDITABLES = [
+  'nombre', 'descripcion', 'tipo', 'condiciones', 'modo', 'cantidad',
+  'prioridad', 'acumulable', 'tiposPago', 'sucursales',
+  'vigenciaInicio', 'vigenciaFin', 'activa'
+];
+
+const tomarCampos = (body) => {
+  const datos = {};
+  CAMPOS_EDITABLES.forEach(campo => {
+    if (body[campo] !== undefined) datos[campo] = body[campo];
+  });
+  return datos;
+};
+
+// ── Listar reglas ────────────────────────────────────────────────────────────
+exports.getAll = async (req, res) => {
+  try {
+    const { tipo, activa } = req.query;
+    const filtros = {};
+    if (tipo) filtros.tipo = tipo;
+    if (activa !== undefined) filtros.activa = activa === 'true';
+
+    const reglas = await ReglaDescuento.find(filtros)
+      .populate('sucursales', 'name')
+      .populate('creadoPor', 'name email')
+      .sort({ prioridad: -1, createdAt: 1 });
+
+    res.json({ success: true, data: reglas, count: reglas.length });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Error al obtener reglas de descuento', error: error.message });
+  }
+};
+
+// ── Obtener una ──────────────────────────────────────────────────────────────
+exports.getById = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'ID inválido' });
+    }
+
+    const regla = await ReglaDescuento.findById(req.params.id)
+      .populate('sucursales', 'name')
+      .populate('creadoPor', 'name email')
+      .populate('modificadoPor', 'name email');
+
+    if (!regla) return res.status(404).json({ success: false, message: 'Regla de descuento no encontrada' });
+
+    res.json({ success: true, data: regla });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// ── Crear ────────────────────────────────────────────────────────────────────
+exports.create = async (req, res) => {
+  try {
+    const regla = new ReglaDescuento({
+      ...tomarCampos(req.body),
+      creadoPor: req.user._id
+    });
+    await regla.save();
+
+    await registrarAuditoria(req, { entidad: 'ReglaDescuento', accion: 'crear', despues: regla });
+
+    res.status(201).json({ success: true, message: 'Regla de descuento creada', data: regla });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Error de validación',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+    res.status(500).json({ success: false, message: 'Error al crear la regla de descuento', error: error.message });
+  }
+};
+
+// ── Actualizar ───────────────────────────────────────────────────────────────
+// Solo afecta a las mensualidades generadas después del cambio.
+exports.update = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'ID inválido' });
+    }
+
+    const regla = await ReglaDescuento.findById(req.params.id);
+    if (!regla) return res.status(404).json({ success: false, message: 'Regla de descuento no encontrada' });
+
+    const antes = snapshot(regla);
+
+    const datos = tomarCampos(req.body);
+    if (datos.condiciones) {
+      datos.condiciones = { ...regla.toObject().condiciones, ...datos.condiciones };
+    }
+    regla.set(datos);
+    regla.modificadoPor = req.user._id;
+    await regla.save();
+
+    await registrarAuditoria(req, { entidad: 'ReglaDescuento', accion: 'actualizar', antes, despues: regla });
+
+    res.json({ success: true, message: 'Regla de descuento actualizada', data: regla });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Error de validación',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+    res.status(500).json({ success: false, message: 'Error al actualizar la regla de descuento', error: error.message });
+  }
+};
+
+// ── Eliminar ─────────────────────────────────────────────────────────────────
+// Los pagos ya generados conservan el nombre y monto de la regla en descuentosAplicados.
+exports.delete = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'ID inválido' });
+    }
+
+    const regla = await ReglaDescuento.findByIdAndDelete(req.params.id);
+    if (!regla) return res.status(404).json({ success: false, message: 'Regla de descuento no encontrada' });
+
+    await registrarAuditoria(req, { entidad: 'ReglaDescuento', accion: 'eliminar', antes: regla });
+
+    res.json({ success: true, message: 'Regla de descuento eliminada' });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Error al eliminar la regla de descuento', error: error.message });
+  }
+};
+
+// ── Simular descuentos de un alumno ──────────────────────────────────────────
+// Calcula qué reglas aplicarían a su mensualidad sin crear ningún pago.
+// body: { alumnoId, mesesAdelantados }
+exports.simular = async (req, res) => {
+  try {
+    const { alumnoId } = req.body;
+    const mesesAdelantados = parseInt(req.body.mesesAdelantados) || 0;
+
+    if (!mongoose.Types.ObjectId.isValid(alumnoId)) {
+      return res.status(400).json({ success: false, message: 'ID de alumno inválido' });
+    }
+
+    const alumno = await Alumno.findById(alumnoId)
+      .select('firstName lastName enrollment tutor')
+      .lean();
+
+    if (!alumno) return res.status(404).json({ success: false, message: 'Alumno no encontrado' });
+
+    const monto = alumno.enrollment?.monthlyFee;
+    if (!monto) {
+      return res.status(400).json({ success: false, message: 'El alumno no tiene cuota mensual configurada' });
+    }
+
+    const motor = await cargarMotor();
+    const ctx   = await contextoAlumno(alumno);
+
+    const calcular = (adelantado) => {
+      const { discount, descuentosAplicados } = calcularDescuento({
+        monto,
+        ctx,
+        pago: { tipoPago: 'colegiatura', adelantado, mesesAdelantados },
+        motor
+      });
+      return { monto, discount, total: monto - discount, descuentosAplicados };
+    };
+
+    res.json({
+      success: true,
+      data: {
+        alumno       : { _id: alumno._id, nombre: `${alumno.firstName} ${alumno.lastName}` },
+        contexto     : ctx,
+        limites      : motor.limites,
+        mesActual    : calcular(false),
+        mesAdelantado: mesesAdelantados > 0 ? calcular(true) : null
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Error al simular descuentos', error: error.message });
+  }
+};
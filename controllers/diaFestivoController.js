@@ -0,0 +1,139 @@
+const mongoose   = require('mongoose');
+const DiaFestivo = require('../models/DiaFestivo');
+const { registrarAuditoria, snapshot } = require('../services/auditService');
+const { aplicarDiaFestivo, revertirDiaFestivo } = require('../services/sesionClaseService');
+
+const CAMPOS_EDITABLES = ['nombre', 'fechaInicio', 'fechaFin', 'sucursal', 'notas'];
+
+const tomarCampos = (body) => {
+  const datos = {};
+  CAMPOS_EDITABLES.forEach(campo => {
+    if (body[campo] !== undefined) datos[campo] = body[campo] === '' ? null : body[campo];
+  });
+  return datos;
+};
+
+const errorValidacion = (res, error) => res.status(400).json({
+  success: false,
+  message: 'Error de validación',
+  errors: Object.values(error.errors).map(e => e.message)
+});
+
+// ── Listar (filtros: desde, hasta, sucursal) ─────────────────────────────────
+exports.getAll = async (req, res) => {
+  try {
+    const { desde, hasta, sucursal } = req.query;
+    const filtros = {};
+
+    if (desde) filtros.fechaFin = { $gte: new Date(desde) };
+    if (hasta) filtros.fechaInicio = { $lte: new Date(hasta) };
+    if (sucursal) filtros.sucursal = { $in: [null, sucursal] };
+
+    const festivos = await DiaFestivo.find(filtros)
+      .populate('sucursal', 'name')
+      .populate('creadoPor', 'name')
+      .sort({ fechaInicio: 1 });
+
+    res.json({ success: true, data: festivos, count: festivos.length });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Error al obtener días festivos', error: error.message });
+  }
+};
+
+// ── Crear: cancela las sesiones ya generadas en el rango ─────────────────────
+exports.create = async (req, res) => {
+  try {
+    const festivo = new DiaFestivo({ ...tomarCampos(req.body), creadoPor: req.user._id });
+    await festivo.save();
+
+    const sesionesCanceladas = await aplicarDiaFestivo(festivo, req.user._id);
+
+    await registrarAuditoria(req, {
+      entidad : 'DiaFestivo',
+      accion  : 'crear',
+      despues : festivo,
+      metadata: { sesionesCanceladas }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Día festivo registrado. ${sesionesCanceladas} sesión(es) cancelada(s)`,
+      data: festivo,
+      sesionesCanceladas
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') return errorValidacion(res, error);
+    res.status(500).json({ success: false, message: 'Error al registrar el día festivo', error: error.message });
+  }
+};
+
+// ── Actualizar: restaura las sesiones del rango anterior y aplica el nuevo ───
+exports.update = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'ID inválido' });
+    }
+
+    const festivo = await DiaFestivo.findById(req.params.id);
+    if (!festivo) return res.status(404).json({ success: false, message: 'Día festivo no encontrado' });
+
+    const antes = snapshot(festivo);
+    const datos = tomarCampos(req.body);
+
+    // Si cambia el inicio sin fin explícito, el festivo sigue siendo de un día
+    if (datos.fechaInicio && datos.fechaFin === undefined) {
+      const eraUnDia = festivo.fechaInicio.toDateString() === festivo.fechaFin.toDateString();
+      if (eraUnDia) datos.fechaFin = null;
+    }
+
+    festivo.set(datos);
+    await festivo.validate();
+
+    const sesionesRestauradas = await revertirDiaFestivo(festivo, req.user._id);
+    await festivo.save();
+    const sesionesCanceladas = await aplicarDiaFestivo(festivo, req.user._id);
+
+    await registrarAuditoria(req, {
+      entidad : 'DiaFestivo',
+      accion  : 'actualizar',
+      antes,
+      despues : festivo,
+      metadata: { sesionesRestauradas, sesionesCanceladas }
+    });
+
+    res.json({ success: true, message: 'Día festivo actualizado', data: festivo, sesionesRestauradas, sesionesCanceladas });
+  } catch (error) {
+    if (error.name === 'ValidationError') return errorValidacion(res, error);
+    res.status(500).json({ success: false, message: 'Error al actualizar el día festivo', error: error.message });
+  }
+};
+
+// ── Eliminar: las sesiones que canceló vuelven a programarse ─────────────────
+exports.delete = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'ID inválido' });
+    }
+
+    const festivo = await DiaFestivo.findById(req.params.id);
+    if (!festivo) return res.status(404).json({ success: false, message: 'Día festivo no encontrado' });
+
+    const sesionesRestauradas = await revertirDiaFestivo(festivo, req.user._id);
+    await festivo.deleteOne();
+
+    await registrarAuditoria(req, {
+      entidad : 'DiaFestivo',
+      accion  : 'eliminar',
+      antes   : festivo,
+      metadata: { sesionesRestauradas }
+    });
+
+    res.json({
+      success: true,
+      message: `Día festivo eliminado. ${sesionesRestauradas} sesión(es) restaurada(s)`,
+      sesionesRestauradas
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Error al eliminar el día festivo', error: error.message });
+  }
+};
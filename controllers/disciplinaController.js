@@ -1,22 +1,14 @@
 const Disciplina = require('../models/Disciplina');
 const path        = require('path');
-const fs          = require('fs').promises;
-const fsSync      = require('fs');
 const multer      = require('multer');
+const almacenamiento = require('../services/almacenamientoService');
+const { storageImagen, eliminarImagen } = require('../services/imagenService');
+const nivelService = require('../services/nivelService');
 
 // ── Multer — almacenamiento para logos de disciplina ─────────────────────────
-const storage = multer.diskStorage({
-  destination: async (req, file, cb) => {
-    const dir = path.join(__dirname, '../uploads/logos');
-    try { await fs.mkdir(dir, { recursive: true }); } catch (_) {}
-    cb(null, dir);
-  },
-  filename: (req, file, cb) => {
-    const ext    = path.extname(file.originalname).toLowerCase();
-    const unique = `logo-disciplina-${req.params.id}-${Date.now()}${ext}`;
-    cb(null, unique);
-  }
-});
+const storage = storageImagen('logos', (req, file) =>
+  `logo-disciplina-${req.params.id}-${Date.now()}${path.extname(file.originalname).toLowerCase()}`
+, 'logo');
 
 const fileFilter = (req, file, cb) => {
   const allowed = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp', 'image/gif'];
@@ -101,6 +93,7 @@ const createDisciplina = async (req, res) => {
       createdAt: now,
       updatedAt: now,
     });
+    nivelService.invalidar();
 
     res.status(201).json({
       success: true,
@@ -136,6 +129,7 @@ const updateDisciplina = async (req, res) => {
       { $set: campos },
       { new: true, runValidators: false }
     ).lean();
+    nivelService.invalidar();
 
     const logoUrl = buildLogoUrl(updated.logo);
     res.json({ success: true, message: 'Disciplina actualizada', data: { ...updated, logoUrl } });
@@ -154,6 +148,7 @@ const deleteDisciplina = async (req, res) => {
     // Hard delete — elimina el documento de la BD completamente
     // Esto permite crear una nueva disciplina con el mismo nombre/slug después
     await Disciplina.findByIdAndDelete(req.params.id);
+    nivelService.invalidar();
 
     res.json({ success: true, message: `Disciplina "${disc.nombre}" eliminada correctamente` });
   } catch (error) {
@@ -168,31 +163,30 @@ const updateLogo = async (req, res) => {
 
     const existente = await Disciplina.findById(req.params.id).select('nombre logo').lean();
     if (!existente) {
-      await fs.unlink(req.file.path).catch(() => {});
+      await eliminarImagen('logos', req.file);
       return res.status(404).json({ success: false, message: 'Disciplina no encontrada' });
     }
 
     if (existente.logo?.filename) {
-      const oldPath = path.join(__dirname, '../uploads/logos', existente.logo.filename);
-      if (fsSync.existsSync(oldPath)) await fs.unlink(oldPath).catch(() => {});
+      await eliminarImagen('logos', existente.logo);
     }
 
     const newLogo = {
-      url: `/uploads/logos/${req.file.filename}`,
+      url: almacenamiento.url(req.file.clave),
       filename: req.file.filename,
       originalName: req.file.originalname,
       mimetype: req.file.mimetype,
       size: req.file.size,
+      variantes: req.file.variantes,
     };
 
     await Disciplina.findByIdAndUpdate(req.params.id, { $set: { logo: newLogo } }, { runValidators: false });
 
-    const base    = process.env.BACKEND_URL || `http://localhost:${process.env.PORT || 3005}`;
-    const logoUrl = `${base}/uploads/logos/${req.file.filename}`;
+    const logoUrl = buildLogoUrl(newLogo, req);
 
     res.json({ success: true, message: `Logo actualizado`, data: { _id: req.params.id, nombre: existente.nombre, logo: newLogo, logoUrl } });
   } catch (error) {
-    if (req.file?.path) await fs.unlink(req.file.path).catch(() => {});
+    if (req.file) await eliminarImagen('logos', req.file);
     res.status(500).json({ success: false, message: error.message });
   }
 };
@@ -204,8 +198,7 @@ const deleteLogo = async (req, res) => {
     if (!existente) return res.status(404).json({ success: false, message: 'Disciplina no encontrada' });
 
     if (existente.logo?.filename) {
-      const filePath = path.join(__dirname, '../uploads/logos', existente.logo.filename);
-      if (fsSync.existsSync(filePath)) await fs.unlink(filePath).catch(() => {});
+      await eliminarImagen('logos', existente.logo);
     }
 
     await Disciplina.findByIdAndUpdate(req.params.id,
@@ -6,6 +6,8 @@ const User = require('../models/User');
 const Configuracion = require('../models/Configuracion');
 const Payment     = require('../models/Payments'); // ✅ NUEVO
 const mongoose = require('mongoose');
+const { registrarAuditoria, snapshot } = require('../services/auditService');
+const nivelService = require('../services/nivelService');
 
 // ✅ NUEVO: Función helper para obtener valores de configuración
 const getConfigValue = async (clave, valorDefecto) => {
@@ -57,6 +59,7 @@ exports.getAllExamenes = async (req, res) => {
             sucursal,
             tipo,
             estado,
+            disciplina,
             cinturonObjetivo,
             fechaInicio,
             fechaFin,
@@ -75,6 +78,7 @@ exports.getAllExamenes = async (req, res) => {
 
         if (tipo) filters.tipo = tipo;
         if (estado) filters.estado = estado;
+        if (disciplina) filters.disciplina = disciplina;
         if (cinturonObjetivo) filters.cinturonObjetivo = cinturonObjetivo;
 
         if (search) {
@@ -143,7 +147,7 @@ exports.getExamenById = async (req, res) => {
         const examen = await Examen.findById(id)
             .populate('sucursal', 'name address')
             .populate('instructores', 'name email belt')
-            .populate('alumnosInscritos.alumno', 'firstName lastName belt email enrollment.studentId')
+            .populate('alumnosInscritos.alumno', 'firstName lastName belt grados email enrollment.studentId')
             .populate('creadoPor', 'name email')
             .lean();
 
@@ -202,6 +206,8 @@ exports.createExamen = async (req, res) => {
         const examen = new Examen(examenData);
         await examen.save();
 
+        await registrarAuditoria(req, { entidad: 'Examen', accion: 'crear', despues: examen });
+
         const examenCreado = await Examen.findById(examen._id)
             .populate('sucursal', 'name')
             .populate('instructores', 'name email')
@@ -256,6 +262,18 @@ exports.updateExamen = async (req, res) => {
             }
         }
 
+        // Los inscritos se validaron contra los programas y grados de la disciplina
+        if (req.body.disciplina !== undefined &&
+            req.body.disciplina !== examen.disciplina &&
+            examen.alumnosInscritos?.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'No se puede cambiar la disciplina de un examen con alumnos inscritos'
+            });
+        }
+
+        const antes = snapshot(examen);
+
         Object.keys(req.body).forEach(key => {
             examen[key] = req.body[key];
         });
@@ -263,6 +281,8 @@ exports.updateExamen = async (req, res) => {
         examen.modificadoPor = req.user._id;
         await examen.save();
 
+        await registrarAuditoria(req, { entidad: 'Examen', accion: 'actualizar', antes, despues: examen });
+
         const examenActualizado = await Examen.findById(id)
             .populate('sucursal', 'name')
             .populate('instructores', 'name email')
@@ -315,10 +335,14 @@ exports.deleteExamen = async (req, res) => {
             });
         }
 
+        const antes = snapshot(examen);
+
         examen.isActive = false;
         examen.modificadoPor = req.user._id;
         await examen.save();
 
+        await registrarAuditoria(req, { entidad: 'Examen', accion: 'eliminar', antes, despues: examen });
+
         res.status(200).json({
             success: true,
             message: 'Examen eliminado exitosamente'
@@ -357,8 +381,20 @@ exports.inscribirAlumno = async (req, res) => {
             });
         }
 
+        // El examen es de una disciplina: el alumno debe practicarla y los
+        // requisitos de cinturón se miden con su grado en ella
+        if (!nivelService.programasDe(alumno).includes(examen.disciplina)) {
+            return res.status(400).json({
+                success: false,
+                message: 'El alumno no está inscrito en la disciplina del examen',
+                requisito: 'disciplina',
+                disciplina: examen.disciplina
+            });
+        }
+        const grado = nivelService.gradoDe(alumno, examen.disciplina);
+
         if (examen.tipo === 'graduacion' && examen.cinturonActualRequerido && !autorizadoSinPago) {
-            if (alumno.belt.level !== examen.cinturonActualRequerido) {
+            if (grado?.level !== examen.cinturonActualRequerido) {
                 // Solo bloquear si cinturonActualRequerido está definido y no hay autorización
                 // Advertir pero no bloquear — el admin puede inscribir con autorizarSinPago=true
                 return res.status(400).json({
@@ -366,7 +402,7 @@ exports.inscribirAlumno = async (req, res) => {
                     message: `El alumno debe tener cinturón ${examen.cinturonActualRequerido} para inscribirse. Si desea inscribirlo de todas formas, active "Autorizar sin requisitos".`,
                     requisito: 'cinturon',
                     cinturonRequerido: examen.cinturonActualRequerido,
-                    cinturonActual: alumno.belt.level
+                    cinturonActual: grado?.level || null
                 });
             }
         }
@@ -386,8 +422,8 @@ exports.inscribirAlumno = async (req, res) => {
             });
         }
 
-        if (alumno.belt?.date) {
-            const diasConCinturon = Math.floor((Date.now() - new Date(alumno.belt.date).getTime()) / (1000 * 60 * 60 * 24));
+        if (grado?.dateObtained) {
+            const diasConCinturon = Math.floor((Date.now() - new Date(grado.dateObtained).getTime()) / (1000 * 60 * 60 * 24));
             if (diasConCinturon < diasMinimosCinturon && !autorizadoSinPago) {
                 return res.status(400).json({
                     success: false,
@@ -399,6 +435,8 @@ exports.inscribirAlumno = async (req, res) => {
             }
         }
 
+        const antes = snapshot(examen);
+
         await examen.inscribirAlumno(alumnoId, {
             descuento: descuento || 0,
             autorizadoSinPago: autorizadoSinPago || false,
@@ -406,6 +444,15 @@ exports.inscribirAlumno = async (req, res) => {
             motivoAutorizacion: motivoAutorizacion || ''
         });
 
+        await registrarAuditoria(req, {
+            entidad: 'Examen',
+            accion: 'actualizar',
+            antes,
+            despues: examen,
+            descripcion: `Alumno ${alumno.firstName} ${alumno.lastName} inscrito`,
+            metadata: { alumno: alumno._id, autorizadoSinPago: autorizadoSinPago || false }
+        });
+
         // ── Crear pago pendiente si el examen tiene costo ──────────────────
         const costoExamen = Number(examen.requisitos?.costoExamen) || 0
         let pagoCreado = null
@@ -463,7 +510,7 @@ exports.inscribirAlumno = async (req, res) => {
         }
 
         const examenActualizado = await Examen.findById(id)
-            .populate('alumnosInscritos.alumno', 'firstName lastName belt')
+            .populate('alumnosInscritos.alumno', 'firstName lastName belt grados')
             .lean();
 
         res.status(200).json({
@@ -521,12 +568,23 @@ exports.desinscribirAlumno = async (req, res) => {
             });
         }
 
+        const antes = snapshot(examen);
+
         examen.alumnosInscritos = examen.alumnosInscritos.filter(
             inscrito => inscrito.alumno.toString() !== alumnoId
         );
 
         await examen.save();
 
+        await registrarAuditoria(req, {
+            entidad: 'Examen',
+            accion: 'actualizar',
+            antes,
+            despues: examen,
+            descripcion: 'Alumno desinscrito',
+            metadata: { alumno: alumnoId }
+        });
+
         res.status(200).json({
             success: true,
             message: 'Alumno desinscrito exitosamente'
@@ -557,8 +615,19 @@ exports.registrarPagoExamen = async (req, res) => {
             });
         }
 
+        const antes = snapshot(examen);
+
         await examen.registrarPagoExamen(alumnoId, montoPagado, referenciaPago);
 
+        await registrarAuditoria(req, {
+            entidad: 'Examen',
+            accion: 'actualizar',
+            antes,
+            despues: examen,
+            descripcion: 'Pago de examen registrado',
+            metadata: { alumno: alumnoId, montoPagado }
+        });
+
         const examenActualizado = await Examen.findById(id)
             .populate({
                 path: 'alumnosInscritos.alumno',
@@ -597,15 +666,18 @@ exports.getAlumnosElegibles = async (req, res) => {
 
         const filters = {
             isActive: true,
-            'enrollment.sucursal': examen.sucursal
+            'enrollment.sucursal': examen.sucursal,
+            'enrollment.programa': examen.disciplina
         };
 
-        if (examen.tipo === 'graduacion') {
-            filters['belt.level'] = examen.cinturonActualRequerido;
+        if (examen.tipo === 'graduacion' && examen.cinturonActualRequerido) {
+            filters.grados = {
+                $elemMatch: { disciplina: examen.disciplina, level: examen.cinturonActualRequerido }
+            };
         }
 
         let alumnosElegibles = await Alumno.find(filters)
-            .select('firstName lastName belt email phone enrollment stats')
+            .select('firstName lastName belt grados email phone enrollment stats')
             .lean();
 
         const alumnosInscritosIds = examen.alumnosInscritos.map(
@@ -624,15 +696,17 @@ exports.getAlumnosElegibles = async (req, res) => {
             const porcentajeAsistencia = alumno.stats?.attendancePercentage || 0;
             const cumpleAsistencia = porcentajeAsistencia >= asistenciaMinima;
 
+            const grado = nivelService.gradoDe(alumno, examen.disciplina);
             let cumpleDiasCinturon = true;
             let diasConCinturon = 0;
-            if (alumno.belt?.date) {
-                diasConCinturon = Math.floor((Date.now() - new Date(alumno.belt.date).getTime()) / (1000 * 60 * 60 * 24));
+            if (grado?.dateObtained) {
+                diasConCinturon = Math.floor((Date.now() - new Date(grado.dateObtained).getTime()) / (1000 * 60 * 60 * 24));
                 cumpleDiasCinturon = diasConCinturon >= diasMinimosCinturon;
             }
 
             return {
                 ...alumno,
+                grado,
                 cumpleRequisitos: cumpleAsistencia && cumpleDiasCinturon,
                 requisitosDetalle: {
                     asistencia: {
@@ -691,10 +765,14 @@ exports.cambiarEstado = async (req, res) => {
             });
         }
 
+        const antes = snapshot(examen);
+
         examen.estado = estado;
         examen.modificadoPor = req.user._id;
         await examen.save();
 
+        await registrarAuditoria(req, { entidad: 'Examen', accion: 'actualizar', antes, despues: examen });
+
         res.status(200).json({
             success: true,
             message: 'Estado actualizado exitosamente',
@@ -873,12 +951,15 @@ exports.calificarAlumno = async (req, res) => {
         };
 
         if (calificacion) {
+            const antes = snapshot(calificacion);
             Object.assign(calificacion, calificacionData);
             calificacion.modificadoPor = req.user._id;
             await calificacion.save();
+            await registrarAuditoria(req, { entidad: 'Calificacion', accion: 'actualizar', antes, despues: calificacion });
         } else {
             calificacion = new Calificacion(calificacionData);
             await calificacion.save();
+            await registrarAuditoria(req, { entidad: 'Calificacion', accion: 'crear', despues: calificacion });
         }
 
         inscripcion.calificado = true;
@@ -1083,6 +1164,15 @@ exports.sincronizarPagos = async (req, res) => {
             }
         }
 
+        if (creados > 0) {
+            await registrarAuditoria(req, {
+                entidad: 'Payment',
+                accion: 'masivo',
+                descripcion: `Pagos sincronizados para el examen ${examen.nombre}`,
+                metadata: { examen: examen._id, creados, errores: errores.length }
+            });
+        }
+
         res.status(200).json({
             success: true,
             message: `${creados} pago(s) creado(s)${errores.length ? `, ${errores.length} error(es)` : ''}`,
@@ -3,6 +3,8 @@ const Calificacion = require('../models/Calificacion');
 const Examen = require('../models/Examen');
 const Alumno = require('../models/Alumno');
 const mongoose = require('mongoose');
+const { registrarAuditoria, snapshot } = require('../services/auditService');
+const nivelService = require('../services/nivelService');
 
 // ========================================
 // PROCESAR GRADUACIONES MASIVAS
@@ -69,15 +71,29 @@ exports.procesarGraduaciones = async (req, res) => {
                     continue;
                 }
 
-                // Guardar cinturón anterior
-                const cinturonAnterior = alumno.belt.level;
-                const cinturonNuevo = examen.cinturonObjetivo;
+                // Grado anterior en la disciplina del examen (los programas sin
+                // grado aún empiezan en su primer nivel); el nuevo sale de su
+                // sistema de niveles
+                await nivelService.cargar();
+                alumno.sincronizarGrados();
+                const { clave: cinturonNuevo, error: errorNivel } =
+                    await nivelService.nivelDeGraduacion(alumno, examen.disciplina, examen.cinturonObjetivo);
+                const cinturonAnterior = nivelService.gradoDe(alumno, examen.disciplina)?.level || '';
+
+                if (errorNivel) {
+                    graduacionesFallidas.push({
+                        alumnoId,
+                        motivo: errorNivel
+                    });
+                    continue;
+                }
 
                 // Crear registro de graduación
                 const graduacion = new Graduacion({
                     examen: examenId,
                     calificacion: calificacionId,
                     alumno: alumnoId,
+                    disciplina: examen.disciplina,
                     cinturonAnterior,
                     cinturonNuevo,
                     fechaGraduacion: Date.now(),
@@ -92,10 +108,16 @@ exports.procesarGraduaciones = async (req, res) => {
 
                 await graduacion.save();
 
-                // Actualizar cinturón del alumno
-                alumno.belt.level = cinturonNuevo;
-                alumno.belt.dateObtained = Date.now();
-                alumno.belt.certifiedBy = req.user._id;
+                await registrarAuditoria(req, { entidad: 'Graduacion', accion: 'crear', despues: graduacion });
+
+                const alumnoAntes = snapshot(alumno);
+
+                // Actualizar el grado del alumno en la disciplina del examen
+                alumno.setGrado(examen.disciplina, {
+                    level: cinturonNuevo,
+                    dateObtained: Date.now(),
+                    certifiedBy: req.user._id
+                });
                 
                 // Actualizar estadísticas de graduación
                 if (!alumno.stats.graduationTests) {
@@ -105,9 +127,19 @@ exports.procesarGraduaciones = async (req, res) => {
 
                 await alumno.save();
 
+                await registrarAuditoria(req, {
+                    entidad: 'Alumno',
+                    accion: 'actualizar',
+                    antes: alumnoAntes,
+                    despues: alumno,
+                    descripcion: `Graduación: ${cinturonAnterior || 'sin nivel'} → ${cinturonNuevo}`,
+                    metadata: { graduacion: graduacion._id, examen: examen._id }
+                });
+
                 graduacionesExitosas.push({
                     alumnoId,
                     alumnoNombre: `${alumno.firstName} ${alumno.lastName}`,
+                    disciplina: examen.disciplina,
                     cinturonAnterior,
                     cinturonNuevo,
                     graduacionId: graduacion._id
@@ -153,6 +185,7 @@ exports.getAllGraduaciones = async (req, res) => {
             limit = 10, 
             examen,
             alumno,
+            disciplina,
             sucursal,
             fechaInicio,
             fechaFin
@@ -163,6 +196,7 @@ exports.getAllGraduaciones = async (req, res) => {
 
         if (examen) filters.examen = examen;
         if (alumno) filters.alumno = alumno;
+        if (disciplina) filters.disciplina = disciplina;
 
         // Filtro por rango de fechas
         if (fechaInicio || fechaFin) {
@@ -190,8 +224,8 @@ exports.getAllGraduaciones = async (req, res) => {
         const skip = (parseInt(page) - 1) * parseInt(limit);
 
         const graduaciones = await query
-            .populate('examen', 'nombre tipo fecha cinturonObjetivo')
-            .populate('alumno', 'firstName lastName belt enrollment')
+            .populate('examen', 'nombre tipo fecha disciplina cinturonObjetivo')
+            .populate('alumno', 'firstName lastName belt grados enrollment')
             .populate('calificacion', 'calificacionFinal resultado')
             .populate('certificadoPor', 'name email')
             .sort({ fechaGraduacion: -1 })
@@ -232,7 +266,7 @@ exports.getGraduacionesByExamen = async (req, res) => {
             examen: examenId,
             isActive: true
         })
-        .populate('alumno', 'firstName lastName belt enrollment')
+        .populate('alumno', 'firstName lastName belt grados enrollment')
         .populate('calificacion', 'calificacionFinal resultado')
         .populate('certificadoPor', 'name email')
         .sort({ fechaGraduacion: -1 });
@@ -264,7 +298,7 @@ exports.getGraduacionesByAlumno = async (req, res) => {
             alumno: alumnoId,
             isActive: true
         })
-        .populate('examen', 'nombre tipo fecha cinturonObjetivo')
+        .populate('examen', 'nombre tipo fecha disciplina cinturonObjetivo')
         .populate('calificacion', 'calificacionFinal resultado')
         .populate('certificadoPor', 'name email')
         .sort({ fechaGraduacion: -1 });
@@ -290,9 +324,10 @@ exports.getGraduacionesByAlumno = async (req, res) => {
 // ========================================
 exports.getEstadisticas = async (req, res) => {
     try {
-        const { sucursal, fechaInicio, fechaFin } = req.query;
+        const { sucursal, disciplina, fechaInicio, fechaFin } = req.query;
 
         const filters = { isActive: true };
+        if (disciplina) filters.disciplina = disciplina;
 
         // Filtro por rango de fechas
         if (fechaInicio || fechaFin) {
@@ -317,6 +352,7 @@ exports.getEstadisticas = async (req, res) => {
         const estadisticas = {
             total: graduacionesFiltradas.length,
             porCinturon: {},
+            porDisciplina: {},
             promedioCalificacion: 0,
             ultimasGraduaciones: []
         };
@@ -329,6 +365,14 @@ exports.getEstadisticas = async (req, res) => {
             estadisticas.porCinturon[g.cinturonNuevo]++;
         });
 
+        // Contar por disciplina y, dentro de cada una, por cinturón (las
+        // claves de nivel se repiten entre disciplinas)
+        graduacionesFiltradas.forEach(g => {
+            const porDisciplina = estadisticas.porDisciplina[g.disciplina] ||= { total: 0, porCinturon: {} };
+            porDisciplina.total++;
+            porDisciplina.porCinturon[g.cinturonNuevo] = (porDisciplina.porCinturon[g.cinturonNuevo] || 0) + 1;
+        });
+
         // Calcular promedio de calificación
         const calificaciones = graduacionesFiltradas
             .map(g => g.calificacionObtenida)
@@ -364,8 +408,8 @@ exports.generarCertificado = async (req, res) => {
 
         // Buscar la graduación con todos los datos
         const graduacion = await Graduacion.findById(graduacionId)
-            .populate('alumno', 'firstName lastName secondLastName enrollment belt profilePhoto dateOfBirth')
-            .populate('examen', 'nombre tipo cinturonObjetivo fecha')
+            .populate('alumno', 'firstName lastName secondLastName enrollment belt grados profilePhoto dateOfBirth')
+            .populate('examen', 'nombre tipo disciplina cinturonObjetivo fecha')
             .populate('certificadoPor', 'name email')
             .populate('calificacion', 'calificacionFinal resultado');
 
@@ -386,7 +430,7 @@ exports.generarCertificado = async (req, res) => {
         const path = require('path');
         const outputDir = path.join(__dirname, '../uploads/certificados');
 
-        const { filePath, fileName } = await generarCertificadoGraduacion(
+        const { contenido, fileName } = await generarCertificadoGraduacion(
             {
                 graduacion,
                 alumno: graduacion.alumno,
@@ -399,12 +443,7 @@ exports.generarCertificado = async (req, res) => {
         // Enviar el archivo como descarga
         res.setHeader('Content-Type', 'application/pdf');
         res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
-        const fs = require('fs');
-        const stream = fs.createReadStream(filePath);
-        stream.pipe(res);
-        stream.on('error', () => {
-            res.status(500).json({ success: false, message: 'Error al leer el certificado generado' });
-        });
+        res.send(contenido);
     } catch (error) {
         console.error('Error generando certificado:', error);
         res.status(500).json({ success: false, message: error.message });
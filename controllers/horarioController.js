@@ -3,6 +3,22 @@ const User = require('../models/User');
 const Alumno = require('../models/Alumno');
 const Sucursal = require('../models/Sucursal');
 const mongoose = require('mongoose');
+const { procesarListaEspera, responderOferta } = require('../services/listaEsperaService');
+const { notificarInscripcion } = require('../services/inscripcionHorarioService');
+const { conflictosDeHorario, conflictosDeAlumno, reporteConflictos } = require('../services/conflictoHorarioService');
+const { resincronizarHorario } = require('../services/sesionClaseService');
+
+// Campos que, al cambiar, obligan a revisar conflictos de horario
+const CAMPOS_CONFLICTO = ['instructor', 'sucursal', 'salon', 'dias', 'horaInicio', 'horaFin', 'fechaInicio', 'fechaFin'];
+
+// Función auxiliar: respuesta 409 con el detalle de los conflictos
+const responderConflictos = (res, conflictos) => res.status(409).json({
+    success: false,
+    message: conflictos.length === 1
+        ? conflictos[0].mensaje
+        : `Se encontraron ${conflictos.length} conflictos de horario`,
+    conflictos
+});
 
 // ===== OBTENER TODOS LOS HORARIOS =====
 exports.getAllHorarios = async (req, res) => {
@@ -73,8 +89,10 @@ exports.getAllHorarios = async (req, res) => {
         // ✅ CORREGIDO: Agregar virtuals manualmente (porque usamos .lean())
         const horariosConVirtuals = horarios.map(h => {
             const inscritosActivos = (h.alumnosInscritos || []).filter(a => a.activo).length;
+            const inscripcionesPendientes = (h.alumnosInscritos || []).filter(a => a.estado === 'pendiente').length;
+            const ofertasPendientes = (h.listaEspera || []).filter(e => e.estado === 'ofertado').length;
             const capacidad = h.capacidadMaxima || 0;
-            const disponibles = Math.max(0, capacidad - inscritosActivos);
+            const disponibles = Math.max(0, capacidad - inscritosActivos - inscripcionesPendientes - ofertasPendientes);
             const porcentaje = capacidad > 0 ? Math.round((inscritosActivos / capacidad) * 100) : 0;
             
             return {
@@ -83,7 +101,10 @@ exports.getAllHorarios = async (req, res) => {
                 numeroInscritos: inscritosActivos,
                 lugaresDisponibles: disponibles,
                 porcentajeOcupacion: porcentaje, // ✅ AGREGADO
-                estaLleno: disponibles === 0 // ✅ AGREGADO
+                estaLleno: disponibles === 0, // ✅ AGREGADO
+                inscripcionesPendientes,
+                numeroEnEspera: (h.listaEspera || []).filter(e => e.estado === 'esperando').length,
+                ofertasPendientes
             };
         });
 
@@ -118,6 +139,7 @@ exports.getHorarioById = async (req, res) => {
                                         .populate('sucursal', 'name address phone email')
                                         .populate('instructor', 'name email phone instructorInfo')
                                         .populate('alumnosInscritos.alumno', 'firstName lastName enrollment.studentId email phone profilePhoto belt')
+                                        .populate('listaEspera.alumno', 'firstName lastName enrollment.studentId')
                                         .populate('createdBy', 'name email')
                                         .populate('lastModifiedBy', 'name email');
 
@@ -190,10 +212,24 @@ exports.createHorario = async (req, res) => {
             }
         }
 
+        // RETROCOMPATIBILIDAD: 'dia' (singular) → 'dias'
+        if (horarioData.dia && (!horarioData.dias || horarioData.dias.length === 0)) {
+            horarioData.dias = [horarioData.dia];
+        }
+
+        // Verificar choques de instructor / salón y horario de sucursal e instructor
+        const conflictos = await conflictosDeHorario(horarioData);
+        if (conflictos.length > 0) {
+            return responderConflictos(res, conflictos);
+        }
+
         // Crear el horario
         const nuevoHorario = new Horario(horarioData);
         await nuevoHorario.save();
 
+        // Calendario de sesiones de los próximos días
+        await resincronizarHorario(nuevoHorario);
+
         // Obtener el horario con las relaciones pobladas
         const horario = await Horario.findById(nuevoHorario._id)
                                         .populate('sucursal', 'name address')
@@ -282,23 +318,55 @@ exports.updateHorario = async (req, res) => {
             delete updateData.dia;
         }
 
+        // La lista de espera no se edita por aquí (tiene sus propias rutas)
+        delete updateData.listaEspera;
+
+        // Revisar conflictos con el horario resultante (findByIdAndUpdate no
+        // dispara las validaciones pre-save del modelo)
+        if (CAMPOS_CONFLICTO.some(campo => updateData[campo] !== undefined)) {
+            const resultante = horario.toObject();
+            CAMPOS_CONFLICTO.forEach(campo => {
+                if (updateData[campo] !== undefined) resultante[campo] = updateData[campo];
+            });
+
+            const conflictos = await conflictosDeHorario(resultante, { excluirId: horario._id });
+            if (conflictos.length > 0) {
+                return responderConflictos(res, conflictos);
+            }
+        }
+
         // Actualizar el horario
-        const horarioActualizado = await Horario.findByIdAndUpdate(
+        let horarioActualizado = await Horario.findByIdAndUpdate(
             id,
             updateData,
             { 
                 new: true, 
                 runValidators: true 
             }
-        )
-        .populate('sucursal', 'name address')
-        .populate('instructor', 'name email instructorInfo.belt')
-        .populate('alumnosInscritos.alumno', 'firstName lastName enrollment.studentId');
+        );
+
+        // Cambió el patrón: rehacer las sesiones futuras
+        if (CAMPOS_CONFLICTO.some(campo => updateData[campo] !== undefined)) {
+            await resincronizarHorario(horarioActualizado);
+        }
+
+        // Más capacidad (o lista de espera reactivada) puede liberar lugares
+        let promovidos = [];
+        if (updateData.capacidadMaxima !== undefined || updateData.configuracion !== undefined) {
+            promovidos = await procesarListaEspera(horarioActualizado);
+        }
+
+        horarioActualizado = await horarioActualizado.populate([
+            { path: 'sucursal', select: 'name address' },
+            { path: 'instructor', select: 'name email instructorInfo.belt' },
+            { path: 'alumnosInscritos.alumno', select: 'firstName lastName enrollment.studentId' }
+        ]);
 
         res.status(200).json({
             success: true,
             message: 'Horario actualizado exitosamente',
-            data: horarioActualizado.getPublicInfo()
+            data: horarioActualizado.getPublicInfo(),
+            listaEspera: { promovidos }
         });
     } catch (error) {
         console.error('Error al actualizar horario:', error);
@@ -347,6 +415,9 @@ exports.deleteHorario = async (req, res) => {
         horario.lastModifiedBy = req.user._id;
         await horario.save();
 
+        // Quitar las sesiones futuras del calendario
+        await resincronizarHorario(horario);
+
         res.status(200).json({
             success: true,
             message: 'Horario eliminado exitosamente'
@@ -365,7 +436,7 @@ exports.deleteHorario = async (req, res) => {
 exports.inscribirAlumno = async (req, res) => {
     try {
         const { id } = req.params; // ID del horario
-        const { alumnoId } = req.body;
+        const { alumnoId, confirmada } = req.body;
 
         if (!alumnoId) {
             return res.status(400).json({
@@ -382,8 +453,38 @@ exports.inscribirAlumno = async (req, res) => {
             });
         }
 
-        // Usar el método del modelo
-        await horario.inscribirAlumno(alumnoId);
+        // El alumno no puede estar en dos clases al mismo tiempo
+        if (mongoose.Types.ObjectId.isValid(alumnoId)) {
+            const conflictos = await conflictosDeAlumno(alumnoId, horario);
+            if (conflictos.length > 0) {
+                return responderConflictos(res, conflictos);
+            }
+        }
+
+        // Horario lleno: si lo permite, el alumno pasa a la lista de espera
+        if (horario.estaLleno && horario.configuracion?.permitirListaEspera) {
+            const posicion = await horario.agregarAListaEspera(alumnoId, req.user._id);
+
+            return res.status(202).json({
+                success: true,
+                message: `El horario está lleno. El alumno quedó en lista de espera (posición ${posicion})`,
+                data: {
+                    enListaEspera: true,
+                    posicion,
+                    horario: horario.getPublicInfo()
+                }
+            });
+        }
+
+        // Usar el método del modelo. Con requiereConfirmacion queda pendiente,
+        // salvo que el admin la confirme de una vez (confirmada: true)
+        await horario.inscribirAlumno(alumnoId, {
+            userId: req.user._id,
+            confirmada: confirmada === true
+        });
+        const pendiente = !!horario.inscripcionPendiente(alumnoId);
+
+        const notificacion = await notificarInscripcion(horario, alumnoId, pendiente ? 'solicitada' : 'inscrita');
 
         // Obtener el horario actualizado con las relaciones
         const horarioActualizado = await Horario.findById(id)
@@ -391,16 +492,22 @@ exports.inscribirAlumno = async (req, res) => {
                                                 .populate('instructor', 'name')
                                                 .populate('alumnosInscritos.alumno', 'firstName lastName enrollment.studentId');
 
-        res.status(200).json({
+        res.status(pendiente ? 202 : 200).json({
             success: true,
-            message: 'Alumno inscrito exitosamente',
-            data: horarioActualizado.getPublicInfo()
+            message: pendiente
+                ? 'Inscripción registrada, pendiente de confirmación del instructor'
+                : 'Alumno inscrito exitosamente',
+            data: horarioActualizado.getPublicInfo(),
+            pendiente,
+            notificacion
         });
     } catch (error) {
         console.error('Error al inscribir alumno:', error);
         
-        // Errores específicos del método inscribirAlumno
-        if (error.message.includes('lleno') || error.message.includes('inscrito')) {
+        // Errores específicos del método inscribirAlumno / agregarAListaEspera
+        if (error.message.includes('lleno') || error.message.includes('inscrito') ||
+            error.message.includes('lista de espera') || error.message.includes('no está activo') ||
+            error.message.includes('pendiente')) {
             return res.status(400).json({
                 success: false,
                 message: error.message
@@ -430,6 +537,10 @@ exports.desinscribirAlumno = async (req, res) => {
 
         // Usar el método del modelo
         await horario.desinscribirAlumno(alumnoId);
+        await notificarInscripcion(horario, alumnoId, 'baja');
+
+        // El lugar liberado pasa al siguiente de la lista de espera
+        const promovidos = await procesarListaEspera(horario);
 
         // Obtener el horario actualizado
         const horarioActualizado = await Horario.findById(id)
@@ -440,7 +551,8 @@ exports.desinscribirAlumno = async (req, res) => {
         res.status(200).json({
             success: true,
             message: 'Alumno desinscrito exitosamente',
-            data: horarioActualizado.getPublicInfo()
+            data: horarioActualizado.getPublicInfo(),
+            listaEspera: { promovidos }
         });
     } catch (error) {
         console.error('Error al desinscribir alumno:', error);
@@ -611,6 +723,37 @@ exports.getHorariosStats = async (req, res) => {
     }
 };
 
+// ===== REPORTE DE CONFLICTOS =====
+// Choques de instructor, salón y alumnos entre los horarios vigentes, y clases
+// fuera del horario de la sucursal o de la disponibilidad del instructor
+exports.getConflictos = async (req, res) => {
+    try {
+        const { sucursal, instructor } = req.query;
+
+        if ((sucursal && !mongoose.Types.ObjectId.isValid(sucursal)) ||
+            (instructor && !mongoose.Types.ObjectId.isValid(instructor))) {
+            return res.status(400).json({
+                success: false,
+                message: 'ID de sucursal o instructor inválido'
+            });
+        }
+
+        const reporte = await reporteConflictos({ sucursal, instructor });
+
+        res.status(200).json({
+            success: true,
+            data: reporte
+        });
+    } catch (error) {
+        console.error('Error al obtener conflictos de horario:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener el reporte de conflictos',
+            error: error.message
+        });
+    }
+};
+
 // ===== CAMBIAR ESTADO DE HORARIO =====
 exports.cambiarEstadoHorario = async (req, res) => {
     try {
@@ -637,6 +780,14 @@ exports.cambiarEstadoHorario = async (req, res) => {
         horario.lastModifiedBy = req.user._id;
         await horario.save();
 
+        // Al reactivar, los lugares libres se ofrecen a la lista de espera
+        if (estado === 'activo') {
+            await procesarListaEspera(horario);
+        }
+
+        // Suspendido / cancelado / finalizado: sin sesiones futuras; activo: se regeneran
+        await resincronizarHorario(horario);
+
         const horarioActualizado = await Horario.findById(id)
         .populate('sucursal', 'name')
         .populate('instructor', 'name');
@@ -656,6 +807,362 @@ exports.cambiarEstadoHorario = async (req, res) => {
     }
 };
 
+// ===== CONFIRMACIÓN DE INSCRIPCIONES =====
+
+// Función auxiliar: un instructor solo revisa las solicitudes de sus clases
+const puedeRevisar = (req, horario) =>
+    req.user.role === 'admin' ||
+    (horario.instructor?._id || horario.instructor).toString() === req.user._id.toString();
+
+// ===== OBTENER INSCRIPCIONES PENDIENTES =====
+// Admin: todas (filtros sucursal, horario); instructor: solo las de sus clases
+exports.getInscripcionesPendientes = async (req, res) => {
+    try {
+        const { sucursal, horario } = req.query;
+
+        const filters = { isActive: true, 'alumnosInscritos.estado': 'pendiente' };
+        if (sucursal) filters.sucursal = sucursal;
+        if (horario) filters._id = horario;
+        if (req.user.role !== 'admin') filters.instructor = req.user._id;
+
+        const horarios = await Horario.find(filters)
+            .populate('sucursal', 'name')
+            .populate('instructor', 'name email')
+            .populate('alumnosInscritos.alumno', 'firstName lastName enrollment.studentId belt')
+            .populate('alumnosInscritos.solicitadoPor', 'name email');
+
+        const pendientes = [];
+        horarios.forEach(h => {
+            h.alumnosInscritos
+                .filter(a => a.estado === 'pendiente')
+                .forEach(a => pendientes.push({
+                    horario: {
+                        _id: h._id,
+                        nombre: h.nombre,
+                        diasTexto: h.diasTexto,
+                        horarioTexto: h.horarioTexto,
+                        sucursal: h.sucursal,
+                        instructor: h.instructor,
+                        lugaresDisponibles: h.lugaresDisponibles
+                    },
+                    alumno: a.alumno,
+                    fechaInscripcion: a.fechaInscripcion,
+                    solicitadoPor: a.solicitadoPor
+                }));
+        });
+
+        pendientes.sort((a, b) => a.fechaInscripcion - b.fechaInscripcion);
+
+        res.status(200).json({
+            success: true,
+            data: pendientes,
+            total: pendientes.length
+        });
+    } catch (error) {
+        console.error('Error al obtener inscripciones pendientes:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener las inscripciones pendientes',
+            error: error.message
+        });
+    }
+};
+
+// ===== APROBAR / RECHAZAR INSCRIPCIÓN PENDIENTE =====
+// body (rechazar): { motivo }
+const revisarInscripcion = (aprobar) => async (req, res) => {
+    try {
+        const { id, alumnoId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(alumnoId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'ID de alumno inválido'
+            });
+        }
+
+        const horario = await Horario.findById(id);
+        if (!horario) {
+            return res.status(404).json({
+                success: false,
+                message: 'Horario no encontrado'
+            });
+        }
+
+        if (!puedeRevisar(req, horario)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Solo el instructor de la clase o un administrador pueden revisar esta inscripción'
+            });
+        }
+
+        const motivo = req.body.motivo ? String(req.body.motivo).trim() : undefined;
+        let promovidos = [];
+
+        if (aprobar) {
+            await horario.confirmarInscripcion(alumnoId, req.user._id);
+        } else {
+            await horario.rechazarInscripcion(alumnoId, req.user._id, motivo);
+            // El lugar que apartaba la solicitud pasa a la lista de espera
+            promovidos = await procesarListaEspera(horario);
+        }
+
+        const notificacion = await notificarInscripcion(
+            horario, alumnoId, aprobar ? 'confirmada' : 'rechazada', { motivo }
+        );
+
+        const horarioActualizado = await Horario.findById(id)
+            .populate('sucursal', 'name')
+            .populate('instructor', 'name')
+            .populate('alumnosInscritos.alumno', 'firstName lastName enrollment.studentId');
+
+        res.status(200).json({
+            success: true,
+            message: aprobar ? 'Inscripción confirmada' : 'Inscripción rechazada',
+            data: horarioActualizado.getPublicInfo(),
+            notificacion,
+            listaEspera: { promovidos }
+        });
+    } catch (error) {
+        console.error('Error al revisar inscripción:', error);
+
+        if (error.message.includes('pendiente') || error.message.includes('caracteres')) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error al revisar la inscripción',
+            error: error.message
+        });
+    }
+};
+
+exports.aprobarInscripcion = revisarInscripcion(true);
+exports.rechazarInscripcion = revisarInscripcion(false);
+
+// ===== LISTA DE ESPERA =====
+
+// Función auxiliar: horario con la lista de espera ordenada y posiciones
+const respuestaListaEspera = async (horarioId) => {
+    const horario = await Horario.findById(horarioId)
+        .populate('listaEspera.alumno', 'firstName lastName enrollment.studentId email phone')
+        .populate('listaEspera.registradoPor', 'name email');
+
+    const entradas = horario.listaEspera
+        .slice()
+        .sort((a, b) => a.fechaRegistro - b.fechaRegistro)
+        .map(e => e.toObject());
+
+    let posicion = 0;
+    entradas.forEach(e => {
+        e.posicion = e.estado === 'esperando' ? ++posicion : null;
+    });
+
+    return {
+        horario: {
+            _id: horario._id,
+            nombre: horario.nombre,
+            capacidadMaxima: horario.capacidadMaxima,
+            numeroInscritos: horario.numeroInscritos,
+            lugaresDisponibles: horario.lugaresDisponibles,
+            permitirListaEspera: horario.configuracion?.permitirListaEspera,
+            requiereConfirmacion: horario.configuracion?.requiereConfirmacion
+        },
+        esperando: entradas.filter(e => e.estado === 'esperando'),
+        ofertas: entradas.filter(e => e.estado === 'ofertado'),
+        historial: entradas.filter(e => !['esperando', 'ofertado'].includes(e.estado))
+    };
+};
+
+// ===== OBTENER LISTA DE ESPERA =====
+exports.getListaEspera = async (req, res) => {
+    try {
+        const existe = await Horario.exists({ _id: req.params.id });
+        if (!existe) {
+            return res.status(404).json({
+                success: false,
+                message: 'Horario no encontrado'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: await respuestaListaEspera(req.params.id)
+        });
+    } catch (error) {
+        console.error('Error al obtener lista de espera:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener la lista de espera',
+            error: error.message
+        });
+    }
+};
+
+// ===== AGREGAR ALUMNO A LISTA DE ESPERA =====
+exports.agregarListaEspera = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { alumnoId } = req.body;
+
+        if (!alumnoId || !mongoose.Types.ObjectId.isValid(alumnoId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'El ID del alumno es requerido'
+            });
+        }
+
+        const horario = await Horario.findById(id);
+        if (!horario) {
+            return res.status(404).json({
+                success: false,
+                message: 'Horario no encontrado'
+            });
+        }
+
+        const posicion = await horario.agregarAListaEspera(alumnoId, req.user._id);
+
+        // Si hay lugar libre se atiende de inmediato
+        const promovidos = await procesarListaEspera(horario);
+
+        res.status(201).json({
+            success: true,
+            message: promovidos.length > 0
+                ? 'Había lugar disponible: el alumno fue atendido de inmediato'
+                : `Alumno agregado a la lista de espera (posición ${posicion})`,
+            data: await respuestaListaEspera(id),
+            promovidos
+        });
+    } catch (error) {
+        console.error('Error al agregar a lista de espera:', error);
+
+        if (error.message.includes('lista de espera') || error.message.includes('inscrito') ||
+            error.message.includes('no está activo')) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error al agregar a la lista de espera',
+            error: error.message
+        });
+    }
+};
+
+// ===== QUITAR ALUMNO DE LISTA DE ESPERA =====
+// Si tenía una oferta pendiente, el lugar pasa al siguiente.
+exports.quitarListaEspera = async (req, res) => {
+    try {
+        const { id, alumnoId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(alumnoId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'ID de alumno inválido'
+            });
+        }
+
+        const horario = await Horario.findById(id);
+        if (!horario) {
+            return res.status(404).json({
+                success: false,
+                message: 'Horario no encontrado'
+            });
+        }
+
+        await horario.quitarDeListaEspera(alumnoId);
+        const promovidos = await procesarListaEspera(horario);
+
+        res.status(200).json({
+            success: true,
+            message: 'Alumno retirado de la lista de espera',
+            data: await respuestaListaEspera(id),
+            promovidos
+        });
+    } catch (error) {
+        console.error('Error al quitar de lista de espera:', error);
+
+        if (error.message.includes('no está en la lista')) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error al quitar de la lista de espera',
+            error: error.message
+        });
+    }
+};
+
+// ===== RESPONDER OFERTA DE LUGAR =====
+// body: { acepta: true | false } — registrado por el personal a nombre de la familia
+exports.responderOfertaListaEspera = async (req, res) => {
+    try {
+        const { id, alumnoId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(alumnoId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'ID de alumno inválido'
+            });
+        }
+
+        if (typeof req.body.acepta !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                message: "El campo 'acepta' (true/false) es requerido"
+            });
+        }
+
+        const horario = await Horario.findById(id);
+        if (!horario) {
+            return res.status(404).json({
+                success: false,
+                message: 'Horario no encontrado'
+            });
+        }
+
+        const { inscrito, promovidos } = await responderOferta(horario, alumnoId, req.body.acepta);
+
+        res.status(200).json({
+            success: true,
+            message: inscrito ? 'Oferta aceptada: alumno inscrito' : 'Oferta rechazada',
+            data: await respuestaListaEspera(id),
+            promovidos
+        });
+    } catch (error) {
+        if (error.conflictos) {
+            return responderConflictos(res, error.conflictos);
+        }
+
+        console.error('Error al responder oferta de lista de espera:', error);
+
+        if (error.message.includes('oferta') || error.message.includes('no está activo') ||
+            error.message.includes('inscrito') || error.message.includes('lleno')) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error al responder la oferta',
+            error: error.message
+        });
+    }
+};
+
 // ===== FUNCIÓN AUXILIAR: Calcular duración =====
 function calcularDuracion(horaInicio, horaFin) {
     if (!horaInicio || !horaFin) return 0;
@@ -0,0 +1,81 @@
+const { registrarAuditoria } = require('../services/auditService');
+const {
+  analizarCsv,
+  aplicarImportacion,
+  reporte,
+  plantillaCsv
+} = require('../services/importacionService');
+
+const esVerdadero = (valor) => valor === true || valor === 'true' || valor === '1';
+
+// ── Plantilla CSV ────────────────────────────────────────────────────────────
+exports.plantilla = (req, res) => {
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', 'attachment; filename="plantilla-alumnos.csv"');
+  res.send(plantillaCsv());
+};
+
+// ── Importar alumnos y tutores ───────────────────────────────────────────────
+// form-data: archivo (CSV), sucursal (para filas sin columna sucursal),
+// dryRun (true por defecto), omitirErrores (importar las filas válidas aunque
+// otras tengan errores)
+exports.importarAlumnos = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, message: 'No se ha proporcionado ningún archivo' });
+    }
+
+    const dryRun = req.body.dryRun === undefined ? true : esVerdadero(req.body.dryRun);
+    const omitirErrores = esVerdadero(req.body.omitirErrores);
+
+    const analisis = await analizarCsv(req.file.buffer.toString('utf8'), {
+      sucursalDefecto: req.body.sucursal
+    });
+    if (analisis.error) {
+      return res.status(400).json({ success: false, message: analisis.error });
+    }
+
+    const { columnasIgnoradas, filas } = analisis;
+
+    if (dryRun) {
+      return res.json({
+        success: true,
+        dryRun: true,
+        message: 'Vista previa: no se guardó ningún registro',
+        data: { columnasIgnoradas, ...reporte(filas) }
+      });
+    }
+
+    const conErrores = filas.filter(f => f.estado === 'error').length;
+    if (conErrores > 0 && !omitirErrores) {
+      return res.status(400).json({
+        success: false,
+        message: `${conErrores} fila(s) con errores. Corrígelas o envía omitirErrores=true para importar solo las válidas`,
+        data: { columnasIgnoradas, ...reporte(filas) }
+      });
+    }
+
+    const creados = await aplicarImportacion(filas, req.user._id);
+
+    await registrarAuditoria(req, {
+      entidad    : 'Alumno',
+      accion     : 'masivo',
+      descripcion: `Importación de alumnos desde ${req.file.originalname}`,
+      metadata   : {
+        archivo: req.file.originalname,
+        alumnos: creados.alumnos,
+        tutores: creados.tutores
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      dryRun: false,
+      message: `Se importaron ${creados.alumnos.length} alumno(s) y ${creados.tutores.length} tutor(es) nuevo(s)`,
+      data: { columnasIgnoradas, ...reporte(filas) }
+    });
+  } catch (error) {
+    console.error('Error importando alumnos:', error);
+    res.status(500).json({ success: false, message: 'Error al importar el archivo', error: error.message });
+  }
+};
@@ -1,6 +1,18 @@
 const User = require('../models/User');
 const Alumno = require('../models/Alumno');
 const Sucursal = require('../models/Sucursal');
+const { cerrarTodasLasSesiones } = require('../services/tokenService');
+const nivelService = require('../services/nivelService');
+
+// El grado debe existir en el sistema de niveles de la disciplina del instructor
+const validarGrado = async (instructorInfo) => {
+    if (!instructorInfo?.belt) return null;
+    const { error } = await nivelService.validarNivel(
+        nivelService.disciplinaDeInstructor({ instructorInfo }),
+        instructorInfo.belt
+    );
+    return error || null;
+};
 
 // ========================================
 // OBTENER TODOS LOS INSTRUCTORES
@@ -78,7 +90,7 @@ try {
 
     res.status(200).json({
     success: true,
-    data: instructoresConEstadisticas,
+    data: await nivelService.conNombreGrado(instructoresConEstadisticas),
     pagination: {
         total,
         page: parseInt(page),
@@ -131,7 +143,7 @@ try {
     res.status(200).json({
     success: true,
     data: {
-        ...instructor,
+        ...(await nivelService.conNombreGrado(instructor)),
         estadisticas
     }
     });
@@ -190,6 +202,14 @@ try {
     }
     }
 
+    const errorGrado = await validarGrado(instructorInfo);
+    if (errorGrado) {
+    return res.status(400).json({
+        success: false,
+        message: errorGrado
+    });
+    }
+
     // Crear el instructor
     const newInstructor = new User({
     name,
@@ -216,7 +236,7 @@ try {
     res.status(201).json({
     success: true,
     message: 'Instructor creado exitosamente',
-    data: instructor
+    data: await nivelService.conNombreGrado(instructor)
     });
 
 } catch (error) {
@@ -284,6 +304,19 @@ try {
     }
     }
 
+    if (updateData.instructorInfo) {
+    const errorGrado = await validarGrado({
+        disciplina: instructor.instructorInfo?.disciplina,
+        ...updateData.instructorInfo
+    });
+    if (errorGrado) {
+        return res.status(400).json({
+        success: false,
+        message: errorGrado
+        });
+    }
+    }
+
     // Actualizar el instructor
     const updatedInstructor = await User.findByIdAndUpdate(
     id,
@@ -300,7 +333,7 @@ try {
     res.status(200).json({
     success: true,
     message: 'Instructor actualizado exitosamente',
-    data: updatedInstructor
+    data: await nivelService.conNombreGrado(updatedInstructor)
     });
 
 } catch (error) {
@@ -340,6 +373,7 @@ try {
     // Soft delete - cambiar isActive a false
     instructor.isActive = false;
     await instructor.save();
+    await cerrarTodasLasSesiones(instructor._id, 'usuario_desactivado');
 
     res.status(200).json({
     success: true,
@@ -384,7 +418,7 @@ try {
 
     res.status(200).json({
     success: true,
-    data: instructores,
+    data: await nivelService.conNombreGrado(instructores),
     total: instructores.length
     });
 
@@ -421,6 +455,11 @@ try {
     instructor.isActive = !instructor.isActive;
     await instructor.save();
 
+    // Al desactivar, revocar todas sus sesiones abiertas
+    if (!instructor.isActive) {
+    await cerrarTodasLasSesiones(instructor._id, 'usuario_desactivado');
+    }
+
     const updatedInstructor = await User.findById(id)
     .populate('sucursal', 'name address')
     .select('-password')
@@ -429,7 +468,7 @@ try {
     res.status(200).json({
     success: true,
     message: `Instructor ${instructor.isActive ? 'activado' : 'desactivado'} exitosamente`,
-    data: updatedInstructor
+    data: await nivelService.conNombreGrado(updatedInstructor)
     });
 
 } catch (error) {
@@ -0,0 +1,226 @@
+const mongoose   = require('mongoose');
+const JustificacionAsistencia = require('../models/JustificacionAsistencia');
+const Asistencia = require('../models/Asistencia');
+const Horario    = require('../models/Horario');
+const almacenamiento = require('../services/almacenamientoService');
+const { registrarAuditoria, snapshot } = require('../services/auditService');
+const {
+  crearJustificacion,
+  agregarDocumento,
+  revisarJustificacion
+} = require('../services/justificacionService');
+
+const POPULATE_JUSTIFICACION = [
+  { path: 'alumno',        select: 'firstName lastName enrollment.studentId' },
+  { path: 'horario',       select: 'nombre dias horaInicio horaFin instructor sucursal' },
+  { path: 'solicitadoPor', select: 'name role' },
+  { path: 'revisadoPor',   select: 'name' }
+];
+
+const descartarArchivo = (req) => {
+  if (req.file) almacenamiento.descartar(req.file.clave);
+};
+
+// Admin: cualquier clase; instructor: solo las suyas
+const puedeRevisar = (req, horario) =>
+  req.user.role === 'admin' ||
+  (horario?.instructor?._id || horario?.instructor)?.toString() === req.user._id.toString();
+
+const cargarJustificacion = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ success: false, message: 'ID inválido' });
+    return null;
+  }
+
+  const justificacion = await JustificacionAsistencia.findById(req.params.id);
+  const horario = justificacion && await Horario.findById(justificacion.horario).select('instructor').lean();
+
+  // 404 también cuando no es de sus clases, para no revelar que existe
+  if (!justificacion || !puedeRevisar(req, horario)) {
+    res.status(404).json({ success: false, message: 'Justificación no encontrada' });
+    return null;
+  }
+  return justificacion;
+};
+
+// ── Bandeja de revisión ──────────────────────────────────────────────────────
+// query: estado (pendiente por defecto, 'todas' para no filtrar), horario, alumno
+exports.getAll = async (req, res) => {
+  try {
+    const { estado = 'pendiente', horario, alumno } = req.query;
+    const filtros = {};
+
+    if (estado !== 'todas') filtros.estado = estado;
+    if (alumno) filtros.alumno = alumno;
+
+    if (req.user.role !== 'admin') {
+      const propios = await Horario.find({ instructor: req.user._id }).distinct('_id');
+      filtros.horario = { $in: propios };
+      if (horario) filtros.horario.$eq = horario;
+    } else if (horario) {
+      filtros.horario = horario;
+    }
+
+    const justificaciones = await JustificacionAsistencia.find(filtros)
+      .populate(POPULATE_JUSTIFICACION)
+      .sort({ fechaFalta: 1, createdAt: 1 });
+
+    res.json({ success: true, data: justificaciones, count: justificaciones.length });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Error al obtener las justificaciones', error: error.message });
+  }
+};
+
+// ── Detalle ──────────────────────────────────────────────────────────────────
+exports.getById = async (req, res) => {
+  try {
+    const justificacion = await cargarJustificacion(req, res);
+    if (!justificacion) return;
+
+    await justificacion.populate([
+      ...POPULATE_JUSTIFICACION,
+      { path: 'asistencia', select: 'fecha estado horaRegistro notas' }
+    ]);
+
+    res.json({ success: true, data: justificacion });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// ── Presentar (personal) ─────────────────────────────────────────────────────
+// form-data: asistenciaId, motivo, documento (archivo opcional)
+exports.create = async (req, res) => {
+  try {
+    const { asistenciaId, motivo } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(asistenciaId)) {
+      descartarArchivo(req);
+      return res.status(400).json({ success: false, message: 'ID de asistencia inválido' });
+    }
+
+    const asistencia = await Asistencia.findById(asistenciaId);
+    const horario = asistencia && await Horario.findById(asistencia.horario).select('instructor').lean();
+    if (!asistencia || !puedeRevisar(req, horario)) {
+      descartarArchivo(req);
+      return res.status(404).json({ success: false, message: 'Asistencia no encontrada' });
+    }
+
+    const { justificacion, faltaDocumento, error } = await crearJustificacion(asistencia, {
+      motivo,
+      archivo: req.file,
+      userId : req.user._id,
+      origen : 'personal'
+    });
+    if (error) {
+      descartarArchivo(req);
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: faltaDocumento
+        ? 'Justificación registrada. Falta adjuntar el documento justificante'
+        : 'Justificación registrada',
+      data: justificacion
+    });
+  } catch (error) {
+    descartarArchivo(req);
+    if (error.code === 11000) {
+      return res.status(400).json({ success: false, message: 'Ya hay una justificación pendiente de revisión para esta falta' });
+    }
+    res.status(500).json({ success: false, message: 'Error al registrar la justificación', error: error.message });
+  }
+};
+
+// ── Adjuntar documento ───────────────────────────────────────────────────────
+exports.agregarDocumento = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, message: 'No se ha proporcionado ningún archivo' });
+    }
+
+    const justificacion = await cargarJustificacion(req, res);
+    if (!justificacion) return descartarArchivo(req);
+
+    const { error } = await agregarDocumento(justificacion, req.file, req.user._id);
+    if (error) {
+      descartarArchivo(req);
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    res.json({ success: true, message: 'Documento agregado', data: justificacion });
+  } catch (error) {
+    descartarArchivo(req);
+    res.status(500).json({ success: false, message: 'Error al agregar el documento', error: error.message });
+  }
+};
+
+// ── Descargar documento ──────────────────────────────────────────────────────
+exports.getDocumento = async (req, res) => {
+  try {
+    const justificacion = await cargarJustificacion(req, res);
+    if (!justificacion) return;
+
+    const documento = justificacion.documentos.id(req.params.documentoId);
+    if (!documento) {
+      return res.status(404).json({ success: false, message: 'Documento no encontrado' });
+    }
+
+    res.setHeader('Content-Type', documento.mimetype || 'application/octet-stream');
+    res.setHeader('Content-Disposition', `inline; filename="${encodeURIComponent(documento.originalName || documento.filename)}"`);
+    res.setHeader('Cache-Control', 'private, no-store');
+    const enviado = await almacenamiento.enviar(res, almacenamiento.clave('justificantes', documento.filename));
+    if (!enviado) {
+      res.removeHeader('Content-Disposition');
+      res.status(404).json({ success: false, message: 'Documento no encontrado' });
+    }
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Error al descargar el documento', error: error.message });
+  }
+};
+
+// ── Aprobar / rechazar ───────────────────────────────────────────────────────
+// body: { comentario } — requerido al rechazar
+const revisar = (aprobada) => async (req, res) => {
+  try {
+    const justificacion = await cargarJustificacion(req, res);
+    if (!justificacion) return;
+
+    const { comentario } = req.body;
+    if (!aprobada && (!comentario || !String(comentario).trim())) {
+      return res.status(400).json({ success: false, message: 'Indica el motivo del rechazo' });
+    }
+
+    const antes = snapshot(justificacion);
+    const { asistencia, error } = await revisarJustificacion(justificacion, {
+      aprobada,
+      userId: req.user._id,
+      comentario
+    });
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    await registrarAuditoria(req, {
+      entidad    : 'JustificacionAsistencia',
+      accion     : 'actualizar',
+      antes,
+      despues    : justificacion,
+      descripcion: aprobada ? 'Justificación de falta aprobada' : 'Justificación de falta rechazada',
+      metadata   : asistencia ? { asistencia: asistencia._id, estado: asistencia.estado } : undefined
+    });
+
+    await justificacion.populate(POPULATE_JUSTIFICACION);
+    res.json({
+      success: true,
+      message: aprobada ? 'Justificación aprobada. La falta quedó como justificada' : 'Justificación rechazada',
+      data: justificacion
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Error al revisar la justificación', error: error.message });
+  }
+};
+
+exports.aprobar  = revisar(true);
+exports.rechazar = revisar(false);
@@ -4,7 +4,19 @@ const Tutor      = require('../models/Tutor');
 const Sucursal   = require('../models/Sucursal');
 const Configuracion = require('../models/Configuracion');
 const mongoose   = require('mongoose');
-const { generarReciboCobro } = require('../services/pdfService');
+const { generarReciboCobro, generarEstadoCuenta } = require('../services/pdfService');
+const { estadoCuentaAlumno, estadoCuentaTutor } = require('../services/estadoCuentaService');
+const { sesionParaCobro } = require('../services/cajaService');
+const { registrarAuditoria, snapshot } = require('../services/auditService');
+const almacenamiento = require('../services/almacenamientoService');
+const {
+  CAMPOS_ALUMNO,
+  calcularRecargoAutomatico,
+  marcarPagosVencidos,
+  aplicarDescuentoAdelantado,
+  generarMensualidadesAlumno,
+  generarMensualidadesLote
+} = require('../services/billingService');
 
 // ✅ NUEVO: Función helper para obtener valores de configuración
 const getConfigValue = async (clave, valorDefecto) => {
@@ -16,53 +28,42 @@ const getConfigValue = async (clave, valorDefecto) => {
   }
 };
 
-// ✅ NUEVO: Función para calcular recargo automáticamente
-const calcularRecargoAutomatico = async (payment) => {
-  try {
-    // Obtener configuración
-    const diasGracia = await getConfigValue('pago_dias_gracia', 5);
-    const porcentajeRecargo = await getConfigValue('pago_recargo_tardio', 10);
 
-    // Calcular días de retraso
-    const hoy = new Date();
-    hoy.setHours(0, 0, 0, 0);
-    const fechaVencimiento = new Date(payment.dueDate);
-    fechaVencimiento.setHours(0, 0, 0, 0);
-    
-    const diasRetraso = Math.floor((hoy - fechaVencimiento) / (1000 * 60 * 60 * 24));
+// Aplica el recargo por pago tardío una sola vez (en el primer cobro fuera de plazo)
+const aplicarRecargo = async (payment) => {
+  if (payment.lateFee > 0) return null;
 
-    // Si no ha pasado el periodo de gracia, no hay recargo
-    if (diasRetraso <= diasGracia) {
-      return {
-        aplicaRecargo: false,
-        diasRetraso,
-        diasGracia,
-        porcentajeRecargo: 0,
-        montoRecargo: 0
-      };
-    }
+  const recargoInfo = await calcularRecargoAutomatico(payment);
+  if (!recargoInfo.aplicaRecargo) return null;
 
-    // Calcular recargo
-    const montoRecargo = (payment.amount * porcentajeRecargo) / 100;
+  payment.lateFee = recargoInfo.montoRecargo;
+  payment.total   = payment.amount - (payment.discount || 0) + recargoInfo.montoRecargo;
 
-    return {
-      aplicaRecargo: true,
-      diasRetraso,
-      diasGracia,
-      porcentajeRecargo,
-      montoRecargo: Math.round(montoRecargo * 100) / 100 // Redondear a 2 decimales
-    };
+  return {
+    diasRetraso: recargoInfo.diasRetraso,
+    diasGracia : recargoInfo.diasGracia,
+    porcentaje : recargoInfo.porcentajeRecargo,
+    monto      : recargoInfo.montoRecargo
+  };
+};
 
-  } catch (error) {
-    console.error('Error al calcular recargo:', error);
-    return {
-      aplicaRecargo: false,
-      diasRetraso: 0,
-      diasGracia: 5,
-      porcentajeRecargo: 0,
-      montoRecargo: 0
-    };
+// Monto del abono: si no se indica se liquida el saldo. Devuelve { monto } o { error }
+const resolverMontoAbono = (payment, montoSolicitado) => {
+  if (!(payment.saldo > 0)) {
+    return { error: 'El pago no tiene saldo pendiente' };
+  }
+  if (montoSolicitado === undefined || montoSolicitado === null || montoSolicitado === '') {
+    return { monto: payment.saldo };
+  }
+
+  const monto = Math.round(Number(montoSolicitado) * 100) / 100;
+  if (!(monto > 0)) {
+    return { error: 'El monto del abono debe ser mayor a 0' };
+  }
+  if (monto > payment.saldo) {
+    return { error: `El abono ($${monto}) excede el saldo pendiente ($${payment.saldo})` };
   }
+  return { monto };
 };
 
 // ========================================
@@ -351,6 +352,8 @@ exports.createPayment = async (req, res) => {
     const payment = new Payment(paymentData);
     await payment.save();
 
+    await registrarAuditoria(req, { entidad: 'Payment', accion: 'crear', despues: payment });
+
     const paymentPopulated = await Payment.findById(payment._id)
       .populate('alumno', 'firstName lastName enrollment.studentId')
       .populate('tutor', 'firstName lastName email phones.primary')
@@ -409,8 +412,10 @@ exports.updatePayment = async (req, res) => {
       });
     }
 
+    const antes = snapshot(payment);
+
     Object.keys(req.body).forEach(key => {
-      if (key !== '_id' && key !== 'createdBy' && key !== 'createdAt') {
+      if (key !== '_id' && key !== 'createdBy' && key !== 'createdAt' && key !== 'abonos') {
         payment[key] = req.body[key];
       }
     });
@@ -418,6 +423,8 @@ exports.updatePayment = async (req, res) => {
     payment.lastModifiedBy = req.user._id;
     await payment.save();
 
+    await registrarAuditoria(req, { entidad: 'Payment', accion: 'actualizar', antes, despues: payment });
+
     const paymentPopulated = await Payment.findById(payment._id)
       .populate('alumno', 'firstName lastName enrollment.studentId')
       .populate('tutor', 'firstName lastName')
@@ -476,10 +483,14 @@ exports.deletePayment = async (req, res) => {
       });
     }
 
+    const antes = snapshot(payment);
+
     payment.isActive = false;
     payment.lastModifiedBy = req.user._id;
     await payment.save();
 
+    await registrarAuditoria(req, { entidad: 'Payment', accion: 'eliminar', antes, despues: payment });
+
     res.status(200).json({
       success: true,
       message: 'Pago eliminado exitosamente'
@@ -494,11 +505,11 @@ exports.deletePayment = async (req, res) => {
   }
 };
 
-// ===== MARCAR PAGO COMO PAGADO (✅ INTEGRADO CON RECARGO) =====
+// ===== MARCAR PAGO COMO PAGADO / REGISTRAR ABONO (✅ INTEGRADO CON RECARGO) =====
 exports.markAsPaid = async (req, res) => {
   try {
     const { id } = req.params;
-    const { paidDate, paymentMethod, paymentReference, notes, aplicarRecargo } = req.body;
+    const { paidDate, paymentMethod, paymentReference, notes, monto } = req.body;
 
     if (!mongoose.Types.ObjectId.isValid(id)) {
       return res.status(400).json({
@@ -523,6 +534,13 @@ exports.markAsPaid = async (req, res) => {
       });
     }
 
+    if (payment.status === 'cancelado') {
+      return res.status(400).json({
+        success: false,
+        message: 'No se puede cobrar un pago cancelado'
+      });
+    }
+
     if (!paymentMethod) {
       return res.status(400).json({
         success: false,
@@ -530,33 +548,35 @@ exports.markAsPaid = async (req, res) => {
       });
     }
 
-    // ✅ INTEGRACIÓN: Calcular y aplicar recargo si corresponde
-    let montoFinal = payment.amount;
-    let recargoAplicado = null;
-
-    if (aplicarRecargo !== false) { // Por defecto aplica recargo
-      const recargoInfo = await calcularRecargoAutomatico(payment);
-      
-      if (recargoInfo.aplicaRecargo) {
-        montoFinal = payment.amount + recargoInfo.montoRecargo;
-        recargoAplicado = {
-          diasRetraso: recargoInfo.diasRetraso,
-          diasGracia: recargoInfo.diasGracia,
-          porcentaje: recargoInfo.porcentajeRecargo,
-          monto: recargoInfo.montoRecargo
-        };
+    // El cobro queda ligado a la sesión de caja abierta del cajero
+    const { sesion, error: errorCaja } = await sesionParaCobro(req.user._id, payment);
+    if (errorCaja) {
+      return res.status(409).json({ success: false, message: errorCaja });
+    }
 
-        // Actualizar el total del pago
-        payment.total = montoFinal;
-        payment.lateFee = recargoInfo.montoRecargo;
-      }
+    const antes = snapshot(payment);
+
+    // ✅ INTEGRACIÓN: Calcular y aplicar recargo si corresponde (por defecto aplica)
+    const recargoAplicado = req.body.aplicarRecargo !== false
+      ? await aplicarRecargo(payment)
+      : null;
+
+    // Descuento por pago adelantado (colegiaturas cobradas antes de su fecha límite)
+    const descuentoAdelantado = await aplicarDescuentoAdelantado(payment, paidDate || new Date());
+
+    // Sin `monto` se liquida el saldo; con `monto` menor se registra un abono parcial
+    const { monto: montoAbono, error: errorMonto } = resolverMontoAbono(payment, monto);
+    if (errorMonto) {
+      return res.status(400).json({ success: false, message: errorMonto });
     }
 
-    // Marcar como pagado
-    await payment.markAsPaid({
+    await payment.registrarAbono({
+      monto: montoAbono,
       paidDate: paidDate || new Date(),
       paymentMethod,
-      paymentReference
+      paymentReference,
+      notes,
+      sesionCaja: sesion?._id
     }, req.user._id);
 
     if (notes) {
@@ -564,8 +584,18 @@ exports.markAsPaid = async (req, res) => {
       await payment.save();
     }
 
+    await registrarAuditoria(req, {
+      entidad    : 'Payment',
+      accion     : 'actualizar',
+      antes,
+      despues    : payment,
+      descripcion: payment.status === 'pagado'
+        ? 'Pago marcado como pagado'
+        : `Abono registrado por $${montoAbono}`
+    });
+
     // ── Sincronizar pago de examen si este pago está vinculado a un examen ──
-    if (payment.examenRef && payment.alumno) {
+    if (payment.status === 'pagado' && payment.examenRef && payment.alumno) {
       try {
         const Examen = require('../models/Examen');
         await Examen.updateOne(
@@ -591,10 +621,13 @@ exports.markAsPaid = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      message: 'Pago marcado como pagado exitosamente',
+      message: payment.status === 'pagado'
+        ? 'Pago marcado como pagado exitosamente'
+        : `Abono registrado. Saldo pendiente: $${payment.saldo}`,
       data: {
         ...paymentUpdated.getPublicInfo(),
-        recargoAplicado
+        recargoAplicado,
+        descuentoAdelantado
       }
     });
   } catch (error) {
@@ -643,8 +676,18 @@ exports.cancelPayment = async (req, res) => {
       });
     }
 
+    const antes = snapshot(payment);
+
     await payment.cancel(req.user._id, reason);
 
+    await registrarAuditoria(req, {
+      entidad    : 'Payment',
+      accion     : 'actualizar',
+      antes,
+      despues    : payment,
+      descripcion: `Pago cancelado: ${reason}`
+    });
+
     const paymentUpdated = await Payment.findById(payment._id)
       .populate('alumno', 'firstName lastName enrollment.studentId')
       .populate('sucursal', 'name')
@@ -729,26 +772,29 @@ exports.getOverduePayments = async (req, res) => {
 };
 
 // ===== ACTUALIZAR PAGOS VENCIDOS (Paso B) =====
-// Marca como 'vencido' todos los pagos 'pendiente' cuyo dueDate ya pasó.
-// Se llama automáticamente desde PagosPage al cargar.
+// Marca como 'vencido' todos los pagos 'pendiente' o 'parcial' cuyo dueDate ya pasó.
+// Se llama automáticamente desde PagosPage al cargar y desde la tarea
+// programada 'pagos_vencidos'.
 exports.actualizarVencidos = async (req, res) => {
   try {
     const ahora = new Date();
     ahora.setHours(0, 0, 0, 0);
 
-    const result = await Payment.updateMany(
-      {
-        status: 'pendiente',
-        dueDate: { $lt: ahora },
-        isActive: true
-      },
-      { $set: { status: 'vencido' } }
-    );
+    const actualizados = await marcarPagosVencidos(ahora);
+
+    if (actualizados > 0) {
+      await registrarAuditoria(req, {
+        entidad    : 'Payment',
+        accion     : 'masivo',
+        descripcion: 'Pagos pendientes marcados como vencidos',
+        metadata   : { actualizados }
+      });
+    }
 
     res.json({
       success: true,
-      message: `${result.modifiedCount} pago(s) marcados como vencidos`,
-      data: { actualizados: result.modifiedCount }
+      message: `${actualizados} pago(s) marcados como vencidos`,
+      data: { actualizados }
     });
   } catch (error) {
     console.error('Error actualizando vencidos:', error);
@@ -773,97 +819,55 @@ exports.generarMensualidades = async (req, res) => {
 
     // Cargar alumno con los datos necesarios
     const alumno = await Alumno.findById(alumnoId)
-      .select('firstName lastName enrollment tutor')
+      .select(CAMPOS_ALUMNO)
       .lean();
 
     if (!alumno) {
       return res.status(404).json({ success: false, message: 'Alumno no encontrado' });
     }
 
-    const { enrollment } = alumno;
-    const paymentDay    = enrollment?.paymentDay;
-    const monthlyFee    = enrollment?.monthlyFee;
-    const sucursalId    = enrollment?.sucursal;
-    const enrollmentDate = enrollment?.enrollmentDate
-      ? new Date(enrollment.enrollmentDate)
-      : null;
+    // Meses futuros a generar por adelantado; si se cobran antes de su fecha
+    // límite aplican las reglas de pago adelantado (ver aplicarDescuentoAdelantado)
+    const mesesAdelantados = parseInt(req.body?.mesesAdelantados) || 0;
+    if (mesesAdelantados < 0 || mesesAdelantados > 12) {
+      return res.status(400).json({ success: false, message: 'mesesAdelantados debe estar entre 0 y 12' });
+    }
+
+    const pagosCreados = await generarMensualidadesAlumno(alumno, {
+      creadoPor: req.user._id,
+      mesesAdelantados
+    });
 
-    if (!paymentDay || !monthlyFee || !sucursalId || !enrollmentDate) {
+    if (!pagosCreados) {
       return res.status(400).json({
         success: false,
         message: 'El alumno no tiene configurados: día de pago, cuota mensual, sucursal o fecha de inscripción'
       });
     }
 
-    // Calcular el primer mes de cobro:
-    // Si el alumno se inscribió antes del día de pago en ese mes → cobrar ese mismo mes
-    // Si se inscribió después → empezar el mes siguiente
-    const primerMes = new Date(enrollmentDate);
-    if (enrollmentDate.getDate() >= paymentDay) {
-      primerMes.setMonth(primerMes.getMonth() + 1);
-    }
-    primerMes.setDate(1); // normalizar al día 1 para iterar meses
-
-    const hoy = new Date();
-    hoy.setHours(23, 59, 59, 999);
-
-    // Obtener los meses que ya tienen pago registrado para este alumno
-    const pagosExistentes = await Payment.find({
-      alumno: alumnoId,
-      type: 'colegiatura',
-      isActive: true
-    }).select('period').lean();
-
-    const mesesExistentes = new Set(
-      pagosExistentes.map(p => `${p.period?.year}-${p.period?.month}`)
-    );
-
-    // Iterar mes a mes desde primerMes hasta hoy
-    const pagosCreados = [];
-    const cursor = new Date(primerMes);
-
-    while (cursor <= hoy) {
-      const mes  = cursor.getMonth() + 1;  // 1-based
-      const año  = cursor.getFullYear();
-      const clave = `${año}-${mes}`;
-
-      if (!mesesExistentes.has(clave)) {
-        const dueDate = new Date(año, mes - 1, paymentDay);
-        const status  = dueDate < new Date() ? 'vencido' : 'pendiente';
-
-        const nuevoPago = await Payment.create({
-          alumno      : alumnoId,
-          tutor       : alumno.tutor || undefined,
-          sucursal    : sucursalId,
-          type        : 'colegiatura',
-          description : `Colegiatura ${mes}/${año}`,
-          amount      : monthlyFee,
-          discount    : 0,
-          dueDate,
-          status,
-          period      : { month: mes, year: año },
-          createdBy   : req.user._id
-        });
-
-        pagosCreados.push(nuevoPago);
-      }
-
-      // Avanzar al siguiente mes
-      cursor.setMonth(cursor.getMonth() + 1);
-    }
-
     // Después de crear, marcar vencidos en toda la colección
-    await Payment.updateMany(
-      { status: 'pendiente', dueDate: { $lt: new Date() }, isActive: true },
-      { $set: { status: 'vencido' } }
-    );
+    await marcarPagosVencidos();
+
+    if (pagosCreados.length > 0) {
+      await registrarAuditoria(req, {
+        entidad    : 'Payment',
+        accion     : 'masivo',
+        descripcion: `Mensualidades generadas para ${alumno.firstName} ${alumno.lastName}`,
+        metadata   : { alumno: alumnoId, generados: pagosCreados.length, pagos: pagosCreados.map(p => p._id) }
+      });
+    }
 
     res.json({
       success : true,
       message : pagosCreados.length > 0
         ? `${pagosCreados.length} mensualidad(es) generada(s) para ${alumno.firstName} ${alumno.lastName}`
         : `${alumno.firstName} ${alumno.lastName} ya tiene todos los pagos al día`,
-      data    : { generados: pagosCreados.length, alumno: alumnoId }
+      data    : {
+        generados: pagosCreados.length,
+        alumno   : alumnoId,
+        descuentoTotal: pagosCreados.reduce((acc, p) => acc + (p.discount || 0), 0),
+        pagos    : pagosCreados.map(p => p.getPublicInfo())
+      }
     });
 
   } catch (error) {
@@ -879,88 +883,23 @@ exports.generarMensualidades = async (req, res) => {
 // ===== GENERAR MENSUALIDADES PARA TODOS LOS ALUMNOS ACTIVOS (Paso C - bulk) =====
 exports.generarMensualidadesBulk = async (req, res) => {
   try {
-    const alumnos = await Alumno.find({
-      'enrollment.status': 'activo',
-      'enrollment.paymentDay': { $exists: true },
-      'enrollment.monthlyFee': { $gt: 0 }
-    }).select('firstName lastName enrollment tutor').lean();
-
-    let totalGenerados = 0;
-    const errores = [];
-
-    for (const alumno of alumnos) {
-      try {
-        const { enrollment } = alumno;
-        const paymentDay     = enrollment?.paymentDay;
-        const monthlyFee     = enrollment?.monthlyFee;
-        const sucursalId     = enrollment?.sucursal;
-        const enrollmentDate = enrollment?.enrollmentDate
-          ? new Date(enrollment.enrollmentDate)
-          : null;
-
-        if (!paymentDay || !monthlyFee || !sucursalId || !enrollmentDate) continue;
-
-        const primerMes = new Date(enrollmentDate);
-        if (enrollmentDate.getDate() >= paymentDay) {
-          primerMes.setMonth(primerMes.getMonth() + 1);
-        }
-        primerMes.setDate(1);
-
-        const hoy = new Date();
-        hoy.setHours(23, 59, 59, 999);
-
-        const pagosExistentes = await Payment.find({
-          alumno: alumno._id,
-          type: 'colegiatura',
-          isActive: true
-        }).select('period').lean();
-
-        const mesesExistentes = new Set(
-          pagosExistentes.map(p => `${p.period?.year}-${p.period?.month}`)
-        );
-
-        const cursor = new Date(primerMes);
-        while (cursor <= hoy) {
-          const mes   = cursor.getMonth() + 1;
-          const año   = cursor.getFullYear();
-          const clave = `${año}-${mes}`;
-
-          if (!mesesExistentes.has(clave)) {
-            const dueDate = new Date(año, mes - 1, paymentDay);
-            const status  = dueDate < new Date() ? 'vencido' : 'pendiente';
-
-            await Payment.create({
-              alumno      : alumno._id,
-              tutor       : alumno.tutor || undefined,
-              sucursal    : sucursalId,
-              type        : 'colegiatura',
-              description : `Colegiatura ${mes}/${año}`,
-              amount      : monthlyFee,
-              discount    : 0,
-              dueDate,
-              status,
-              period      : { month: mes, year: año },
-              createdBy   : req.user._id
-            });
-            totalGenerados++;
-          }
-          cursor.setMonth(cursor.getMonth() + 1);
-        }
-      } catch (e) {
-        errores.push({ alumno: alumno._id, error: e.message });
-      }
-    }
+    const { totalGenerados, alumnosProcesados, errores } =
+      await generarMensualidadesLote({ creadoPor: req.user._id });
 
     // Actualizar vencidos globalmente
-    await Payment.updateMany(
-      { status: 'pendiente', dueDate: { $lt: new Date() }, isActive: true },
-      { $set: { status: 'vencido' } }
-    );
+    await marcarPagosVencidos();
+
+    await registrarAuditoria(req, {
+      entidad    : 'Payment',
+      accion     : 'masivo',
+      descripcion: 'Generación masiva de mensualidades',
+      metadata   : { totalGenerados, alumnosProcesados, errores: errores.length }
+    });
 
     res.json({
       success  : true,
-      message  : `${totalGenerados} mensualidad(es) generada(s) para ${alumnos.length} alumno(s) activo(s)`,
-      data     : { totalGenerados, alumnosProcesados: alumnos.length, errores }
+      message  : `${totalGenerados} mensualidad(es) generada(s) para ${alumnosProcesados} alumno(s) activo(s)`,
+      data     : { totalGenerados, alumnosProcesados, errores }
     });
 
   } catch (error) {
@@ -1031,6 +970,51 @@ exports.getPaymentsByTutor = async (req, res) => {
   }
 };
 
+// ===== ESTADO DE CUENTA (JSON o PDF) =====
+// Query: desde, hasta (YYYY-MM-DD), formato=json|pdf
+const responderEstadoCuenta = async (req, res, obtenerEstado, id, etiqueta) => {
+  try {
+    const { desde, hasta, formato = 'json' } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: `ID de ${etiqueta} inválido` });
+    }
+
+    if ((desde && isNaN(new Date(desde))) || (hasta && isNaN(new Date(hasta)))) {
+      return res.status(400).json({ success: false, message: 'Rango de fechas inválido' });
+    }
+
+    if (desde && hasta && new Date(desde) > new Date(hasta)) {
+      return res.status(400).json({ success: false, message: 'La fecha inicial no puede ser posterior a la final' });
+    }
+
+    const estado = await obtenerEstado(id, { desde, hasta });
+
+    if (!estado) {
+      return res.status(404).json({ success: false, message: `${etiqueta.charAt(0).toUpperCase()}${etiqueta.slice(1)} no encontrado` });
+    }
+
+    if (formato === 'pdf') {
+      const { contenido, fileName } = await generarEstadoCuenta(estado);
+      res.setHeader('Content-Type',        'application/pdf');
+      res.setHeader('Content-Disposition', `inline; filename="${fileName}"`);
+      return res.send(contenido);
+    }
+
+    res.json({ success: true, data: estado });
+
+  } catch (error) {
+    console.error('Error generando estado de cuenta:', error);
+    res.status(500).json({ success: false, message: 'Error al generar el estado de cuenta', error: error.message });
+  }
+};
+
+exports.getEstadoCuentaAlumno = (req, res) =>
+  responderEstadoCuenta(req, res, estadoCuentaAlumno, req.params.alumnoId, 'alumno');
+
+exports.getEstadoCuentaTutor = (req, res) =>
+  responderEstadoCuenta(req, res, estadoCuentaTutor, req.params.tutorId, 'tutor');
+
 // ===== OBTENER ESTADÍSTICAS DE PAGOS =====
 exports.getPaymentStats = async (req, res) => {
   try {
@@ -1058,16 +1042,17 @@ exports.getPaymentStats = async (req, res) => {
       }
     ]);
 
+    // Ingresos por mes de cobro (cada abono en su propio mes)
     const statsByMonth = await Payment.aggregate([
-      { $match: { isActive: true, status: 'pagado', ...filters } },
+      ...Payment.etapasCobros(filters),
       {
         $group: {
           _id: {
-            year: { $year: '$paidDate' },
-            month: { $month: '$paidDate' }
+            year: { $year: '$cobro.paidDate' },
+            month: { $month: '$cobro.paidDate' }
           },
           count: { $sum: 1 },
-          total: { $sum: '$total' }
+          total: { $sum: '$cobro.monto' }
         }
       },
       { $sort: { '_id.year': -1, '_id.month': -1 } },
@@ -1095,19 +1080,20 @@ exports.getPaymentStats = async (req, res) => {
 // ===== COBRAR CON COMPROBANTE (modal unificado) =====
 // Hace markAsPaid + uploadReceipt en una sola operación.
 // Recibe multipart/form-data con: paymentMethod, paidDate, paymentReference,
-// notes, aplicarRecargo + archivo comprobante (campo "comprobante").
+// notes, aplicarRecargo, monto + archivo comprobante (campo "comprobante").
+// Sin `monto` se liquida el saldo; con un monto menor se registra un abono.
 exports.cobrarConComprobante = async (req, res) => {
   try {
     const { id } = req.params;
-    const { paymentMethod, paidDate, paymentReference, notes, aplicarRecargo } = req.body;
+    const { paymentMethod, paidDate, paymentReference, notes, aplicarRecargo: conRecargo, monto } = req.body;
 
     if (!mongoose.Types.ObjectId.isValid(id)) {
-      if (req.file) require('fs').unlinkSync(req.file.path);
+      if (req.file) almacenamiento.descartar(req.file.clave);
       return res.status(400).json({ success: false, message: 'ID de pago inválido' });
     }
 
     if (!paymentMethod) {
-      if (req.file) require('fs').unlinkSync(req.file.path);
+      if (req.file) almacenamiento.descartar(req.file.clave);
       return res.status(400).json({ success: false, message: 'El método de pago es requerido' });
     }
 
@@ -1122,50 +1108,79 @@ exports.cobrarConComprobante = async (req, res) => {
 
     const payment = await Payment.findById(id);
     if (!payment) {
-      require('fs').unlinkSync(req.file.path);
+      if (req.file) almacenamiento.descartar(req.file.clave);
       return res.status(404).json({ success: false, message: 'Pago no encontrado' });
     }
 
-    if (payment.status === 'pagado') {
-      require('fs').unlinkSync(req.file.path);
-      return res.status(400).json({ success: false, message: 'Este pago ya está registrado como pagado' });
+    if (payment.status === 'pagado' || payment.status === 'cancelado') {
+      if (req.file) almacenamiento.descartar(req.file.clave);
+      return res.status(400).json({ success: false, message: `Este pago ya está registrado como ${payment.status}` });
     }
 
+    const { sesion, error: errorCaja } = await sesionParaCobro(req.user._id, payment);
+    if (errorCaja) {
+      if (req.file) almacenamiento.descartar(req.file.clave);
+      return res.status(409).json({ success: false, message: errorCaja });
+    }
+
+    const antes = snapshot(payment);
+
     // Calcular y aplicar recargo si corresponde
-    if (aplicarRecargo !== 'false' && aplicarRecargo !== false) {
-      const recargoInfo = await calcularRecargoAutomatico(payment);
-      if (recargoInfo.aplicaRecargo) {
-        payment.total    = payment.amount + recargoInfo.montoRecargo;
-        payment.lateFee  = recargoInfo.montoRecargo;
-      }
+    if (conRecargo !== 'false' && conRecargo !== false) {
+      await aplicarRecargo(payment);
+    }
+
+    await aplicarDescuentoAdelantado(payment, paidDate ? new Date(paidDate) : new Date());
+
+    const { monto: montoAbono, error: errorMonto } = resolverMontoAbono(payment, monto);
+    if (errorMonto) {
+      if (req.file) almacenamiento.descartar(req.file.clave);
+      return res.status(400).json({ success: false, message: errorMonto });
     }
 
-    // 1 — Marcar como pagado
-    await payment.markAsPaid({
-      paidDate      : paidDate ? new Date(paidDate) : new Date(),
+    const comprobante = req.file
+      ? {
+          filename     : req.file.filename,
+          originalName : req.file.originalname,
+          mimetype     : req.file.mimetype,
+          size         : req.file.size,
+          url          : almacenamiento.url(req.file.clave),
+          uploadedAt   : new Date()
+        }
+      : undefined;
+
+    // 1 — Registrar el abono (liquida el saldo si no se indicó monto)
+    await payment.registrarAbono({
+      monto           : montoAbono,
+      paidDate        : paidDate ? new Date(paidDate) : new Date(),
       paymentMethod,
-      paymentReference : paymentReference || ''
+      paymentReference: paymentReference || '',
+      receiptFile     : comprobante,
+      notes,
+      sesionCaja      : sesion?._id
     }, req.user._id);
 
     if (notes) {
       payment.notes = notes;
     }
 
-    // 2 — Adjuntar comprobante (solo si se subió)
-    if (req.file) {
-      payment.receiptFile = {
-        filename     : req.file.filename,
-        originalName : req.file.originalname,
-        mimetype     : req.file.mimetype,
-        size         : req.file.size,
-        url          : `/uploads/documents/${req.file.filename}`,
-        uploadedAt   : new Date(),
-        uploadedBy   : req.user._id
-      };
+    // 2 — El comprobante más reciente también queda en el cargo
+    if (comprobante) {
+      payment.receiptFile = { ...comprobante, uploadedBy: req.user._id };
     }
 
     await payment.save();
 
+    await registrarAuditoria(req, {
+      entidad    : 'Payment',
+      accion     : 'actualizar',
+      antes,
+      despues    : payment,
+      descripcion: payment.status === 'pagado'
+        ? 'Pago cobrado con comprobante'
+        : `Abono de $${montoAbono} registrado con comprobante`
+    });
+
     const updated = await Payment.findById(payment._id)
       .populate('alumno', 'firstName lastName secondLastName enrollment.studentId')
       .populate('tutor',   'firstName lastName')
@@ -1174,14 +1189,14 @@ exports.cobrarConComprobante = async (req, res) => {
 
     res.status(200).json({
       success : true,
-      message : 'Pago registrado con comprobante exitosamente',
+      message : updated.status === 'pagado'
+        ? 'Pago registrado con comprobante exitosamente'
+        : `Abono registrado. Saldo pendiente: $${updated.saldo}`,
       data    : updated.getPublicInfo()
     });
 
   } catch (error) {
-    if (req.file?.path) {
-      try { require('fs').unlinkSync(req.file.path); } catch (_) {}
-    }
+    if (req.file) almacenamiento.descartar(req.file.clave);
     console.error('Error en cobrarConComprobante:', error);
     res.status(500).json({
       success: false,
@@ -1219,18 +1234,43 @@ exports.uploadReceipt = async (req, res) => {
       });
     }
 
+    // Opcional: asociar el comprobante a un abono concreto
+    const abono = req.body.abonoId ? payment.abonos.id(req.body.abonoId) : null;
+    if (req.body.abonoId && !abono) {
+      almacenamiento.descartar(req.file.clave);
+      return res.status(404).json({
+        success: false,
+        message: 'Abono no encontrado'
+      });
+    }
+
+    const antes = snapshot(payment);
+
     payment.receiptFile = {
       filename: req.file.filename,
       originalName: req.file.originalname,
       mimetype: req.file.mimetype,
       size: req.file.size,
-      url: `/uploads/documents/${req.file.filename}`,
+      url: almacenamiento.url(req.file.clave),
       uploadedAt: new Date(),
       uploadedBy: req.user._id
     };
 
+    if (abono) {
+      const { uploadedBy, ...archivo } = payment.receiptFile.toObject();
+      abono.receiptFile = archivo;
+    }
+
     await payment.save();
 
+    await registrarAuditoria(req, {
+      entidad    : 'Payment',
+      accion     : 'actualizar',
+      antes,
+      despues    : payment,
+      descripcion: 'Comprobante de pago subido'
+    });
+
     const paymentUpdated = await Payment.findById(payment._id)
       .populate('alumno', 'firstName lastName')
       .populate('receiptFile.uploadedBy', 'name');
@@ -1263,21 +1303,22 @@ exports.getReciboPDF = async (req, res) => {
       .populate('alumno',  'firstName lastName secondLastName enrollment')
       .populate('sucursal','name')
       .populate('paidBy',  'name')
+      .populate('abonos.registradoPor', 'name')
       .lean();
 
     if (!pago) {
       return res.status(404).json({ success: false, message: 'Pago no encontrado' });
     }
 
-    if (pago.status !== 'pagado') {
-      return res.status(400).json({ success: false, message: 'Solo se puede generar recibo de pagos completados' });
+    if (!(pago.abonos?.length > 0 || pago.status === 'pagado')) {
+      return res.status(400).json({ success: false, message: 'Solo se puede generar recibo de pagos completados o con abonos' });
     }
 
-    const { filePath, fileName } = await generarReciboCobro(pago);
+    const { contenido, fileName } = await generarReciboCobro(pago);
 
     res.setHeader('Content-Type',        'application/pdf');
     res.setHeader('Content-Disposition', `inline; filename="${fileName}"`);
-    require('fs').createReadStream(filePath).pipe(res);
+    res.send(contenido);
 
   } catch (error) {
     console.error('Error generando recibo PDF:', error);
@@ -0,0 +1,683 @@
+const Tutor      = require('../models/Tutor');
+const Alumno     = require('../models/Alumno');
+const Payment    = require('../models/Payments');
+const Graduacion = require('../models/Graduacion');
+const Asistencia = require('../models/Asistencia');
+const Horario    = require('../models/Horario');
+const JustificacionAsistencia = require('../models/JustificacionAsistencia');
+const mongoose   = require('mongoose');
+const { generarReciboCobro } = require('../services/pdfService');
+const { responderOferta } = require('../services/listaEsperaService');
+const { emitirToken } = require('../services/calendarioService');
+const { crearJustificacion, agregarDocumento } = require('../services/justificacionService');
+const almacenamiento = require('../services/almacenamientoService');
+
+// Estados de pago que el portal muestra como "por pagar"
+const ESTADOS_PENDIENTES = ['pendiente', 'parcial', 'vencido'];
+
+// Middleware: resuelve el Tutor vinculado al usuario padre autenticado.
+// La vinculación la hace un admin (PUT /api/tutores/:id/usuario); nunca se
+// infiere por email para que nadie pueda registrarse y ver datos ajenos.
+const cargarTutor = async (req, res, next) => {
+  try {
+    const tutor = await Tutor.findByUsuario(req.user._id);
+
+    if (!tutor) {
+      return res.status(403).json({
+        success: false,
+        message: 'Tu cuenta no está vinculada a ningún tutor. Contacta a la escuela.'
+      });
+    }
+
+    req.tutor = tutor;
+    next();
+  } catch (error) {
+    console.error('Error resolviendo tutor del portal:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+// Función auxiliar: obtiene un hijo del tutor o responde 404.
+// Se responde 404 (y no 403) para no revelar si el alumno existe.
+const obtenerHijo = async (req, res) => {
+  const { alumnoId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(alumnoId)) {
+    res.status(400).json({
+      success: false,
+      message: 'ID de alumno inválido'
+    });
+    return null;
+  }
+
+  const alumno = await Alumno.findOne({
+    _id: alumnoId,
+    tutor: req.tutor._id,
+    isActive: true
+  })
+    .populate('enrollment.sucursal', 'name address phone')
+    .populate('belt.certifiedBy', 'name')
+    .populate('grados.certifiedBy', 'name');
+
+  if (!alumno) {
+    res.status(404).json({
+      success: false,
+      message: 'Alumno no encontrado'
+    });
+    return null;
+  }
+
+  return alumno;
+};
+
+// Función auxiliar: información del alumno visible para la familia
+// (sin notas internas del personal)
+const perfilHijo = (alumno) => {
+  const info = alumno.getPublicInfo();
+  delete info.notes;
+  return info;
+};
+
+// @desc    Resumen del portal: tutor, hijos y pagos pendientes
+// @route   GET /api/portal
+// @access  Private (Padre)
+const getResumen = async (req, res) => {
+  try {
+    const hijos = await Alumno.findByTutor(req.tutor._id);
+
+    const pagosPendientes = await Payment.findByTutor(req.tutor._id, {
+      status: { $in: ESTADOS_PENDIENTES }
+    });
+
+    const totalPendiente = pagosPendientes.reduce((acc, p) => acc + (p.saldo || 0), 0);
+
+    res.json({
+      success: true,
+      data: {
+        tutor: req.tutor.getPublicInfo(),
+        hijos: hijos.map(perfilHijo),
+        pagos: {
+          pendientes: pagosPendientes.length,
+          vencidos: pagosPendientes.filter(p => p.status === 'vencido' || p.isOverdue).length,
+          totalPendiente
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo resumen del portal:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+// @desc    Listar hijos del tutor
+// @route   GET /api/portal/hijos
+// @access  Private (Padre)
+const getHijos = async (req, res) => {
+  try {
+    const hijos = await Alumno.findByTutor(req.tutor._id)
+      .sort({ 'enrollment.enrollmentDate': -1 });
+
+    res.json({
+      success: true,
+      data: hijos.map(perfilHijo),
+      count: hijos.length
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo hijos en el portal:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+// @desc    Perfil de un hijo
+// @route   GET /api/portal/hijos/:alumnoId
+// @access  Private (Padre)
+const getHijo = async (req, res) => {
+  try {
+    const alumno = await obtenerHijo(req, res);
+    if (!alumno) return;
+
+    res.json({
+      success: true,
+      data: perfilHijo(alumno)
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo hijo en el portal:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+// @desc    Historial de cinturones de un hijo (grado actual en cada disciplina)
+// @route   GET /api/portal/hijos/:alumnoId/graduaciones
+// @access  Private (Padre)
+const getGraduacionesHijo = async (req, res) => {
+  try {
+    const alumno = await obtenerHijo(req, res);
+    if (!alumno) return;
+
+    const historial = await Graduacion.getHistorialAlumno(alumno._id);
+
+    res.json({
+      success: true,
+      data: {
+        cinturonActual: alumno.belt,
+        grados: alumno.grados,
+        historial
+      },
+      total: historial.length
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo graduaciones en el portal:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+// @desc    Asistencias de un hijo (estadísticas + registros recientes)
+// @route   GET /api/portal/hijos/:alumnoId/asistencias?fechaInicio=&fechaFin=
+// @access  Private (Padre)
+const getAsistenciasHijo = async (req, res) => {
+  try {
+    const alumno = await obtenerHijo(req, res);
+    if (!alumno) return;
+
+    const { fechaInicio, fechaFin, limit = 30 } = req.query;
+
+    const estadisticas = await Asistencia.getEstadisticasAlumno(
+      alumno._id,
+      fechaInicio || null,
+      fechaFin || null
+    );
+
+    const filtros = {};
+    if (fechaInicio || fechaFin) {
+      filtros.fecha = {};
+      if (fechaInicio) filtros.fecha.$gte = new Date(fechaInicio);
+      if (fechaFin) filtros.fecha.$lte = new Date(fechaFin);
+    }
+
+    // Las clases canceladas no se muestran como faltas
+    const registros = await Asistencia.find({ alumno: alumno._id, claseCancelada: { $ne: true }, ...filtros })
+      .populate('horario', 'nombre dias horaInicio horaFin')
+      .select('fecha estado horaRegistro horario')
+      .sort({ fecha: -1 })
+      .limit(Math.min(parseInt(limit) || 30, 200))
+      .lean();
+
+    res.json({
+      success: true,
+      data: {
+        estadisticas,
+        registros
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo asistencias en el portal:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+// Función auxiliar: descarta el archivo subido cuando la solicitud no procede
+const descartarArchivo = (req) => {
+  if (req.file) almacenamiento.descartar(req.file.clave);
+};
+
+// @desc    Justificaciones de faltas de un hijo
+// @route   GET /api/portal/hijos/:alumnoId/justificaciones
+// @access  Private (Padre)
+const getJustificacionesHijo = async (req, res) => {
+  try {
+    const alumno = await obtenerHijo(req, res);
+    if (!alumno) return;
+
+    const justificaciones = await JustificacionAsistencia.find({ alumno: alumno._id })
+      .populate('horario', 'nombre dias horaInicio horaFin')
+      .select('asistencia horario fechaFalta fechaLimite motivo estado comentarioRevision fechaRevision documentos.originalName documentos.uploadedAt createdAt')
+      .sort({ fechaFalta: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: justificaciones
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo justificaciones en el portal:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+// @desc    Justificar una falta de un hijo (documento opcional en el campo "documento")
+// @route   POST /api/portal/hijos/:alumnoId/asistencias/:asistenciaId/justificacion
+// @access  Private (Padre)
+const justificarFaltaHijo = async (req, res) => {
+  try {
+    const alumno = await obtenerHijo(req, res);
+    if (!alumno) return descartarArchivo(req);
+
+    const { asistenciaId } = req.params;
+    const asistencia = mongoose.Types.ObjectId.isValid(asistenciaId)
+      ? await Asistencia.findOne({ _id: asistenciaId, alumno: alumno._id })
+      : null;
+
+    if (!asistencia) {
+      descartarArchivo(req);
+      return res.status(404).json({
+        success: false,
+        message: 'Registro de asistencia no encontrado'
+      });
+    }
+
+    const { justificacion, faltaDocumento, error } = await crearJustificacion(asistencia, {
+      motivo : req.body.motivo,
+      archivo: req.file,
+      userId : req.user._id,
+      origen : 'portal'
+    });
+
+    if (error) {
+      descartarArchivo(req);
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: faltaDocumento
+        ? 'Recibimos la justificación. Adjunta el documento justificante antes de la fecha límite'
+        : 'Recibimos la justificación. El instructor la revisará',
+      data: {
+        _id: justificacion._id,
+        estado: justificacion.estado,
+        fechaLimite: justificacion.fechaLimite,
+        documentos: justificacion.documentos.length
+      }
+    });
+
+  } catch (error) {
+    descartarArchivo(req);
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ya hay una justificación pendiente de revisión para esta falta'
+      });
+    }
+
+    console.error('Error registrando justificación en el portal:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+// @desc    Adjuntar un documento a una justificación pendiente de un hijo
+// @route   POST /api/portal/hijos/:alumnoId/justificaciones/:justificacionId/documentos
+// @access  Private (Padre)
+const agregarDocumentoJustificacionHijo = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No se ha proporcionado ningún archivo'
+      });
+    }
+
+    const alumno = await obtenerHijo(req, res);
+    if (!alumno) return descartarArchivo(req);
+
+    const { justificacionId } = req.params;
+    const justificacion = mongoose.Types.ObjectId.isValid(justificacionId)
+      ? await JustificacionAsistencia.findOne({ _id: justificacionId, alumno: alumno._id })
+      : null;
+
+    if (!justificacion) {
+      descartarArchivo(req);
+      return res.status(404).json({
+        success: false,
+        message: 'Justificación no encontrada'
+      });
+    }
+
+    const { error } = await agregarDocumento(justificacion, req.file, req.user._id);
+    if (error) {
+      descartarArchivo(req);
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Documento recibido',
+      data: {
+        _id: justificacion._id,
+        estado: justificacion.estado,
+        documentos: justificacion.documentos.length
+      }
+    });
+
+  } catch (error) {
+    descartarArchivo(req);
+    console.error('Error adjuntando documento en el portal:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+// @desc    Pagos del tutor (por defecto solo pendientes y vencidos)
+// @route   GET /api/portal/pagos?alumno=&estado=pendientes|pagados|todos
+// @access  Private (Padre)
+const getPagos = async (req, res) => {
+  try {
+    const { alumno, estado = 'pendientes' } = req.query;
+
+    const filtros = {};
+
+    if (estado === 'pendientes') {
+      filtros.status = { $in: ESTADOS_PENDIENTES };
+    } else if (estado === 'pagados') {
+      filtros.status = 'pagado';
+    } else if (estado !== 'todos') {
+      return res.status(400).json({
+        success: false,
+        message: 'Estado inválido. Usa: pendientes, pagados o todos'
+      });
+    }
+
+    if (alumno) {
+      if (!mongoose.Types.ObjectId.isValid(alumno)) {
+        return res.status(400).json({
+          success: false,
+          message: 'ID de alumno inválido'
+        });
+      }
+      filtros.alumno = alumno;
+    }
+
+    const pagos = await Payment.findByTutor(req.tutor._id, filtros);
+
+    res.json({
+      success: true,
+      data: pagos.map(p => {
+        const info = p.getPublicInfo();
+        delete info.createdBy;
+        delete info.lastModifiedBy;
+        delete info.notes;
+        return info;
+      }),
+      count: pagos.length
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo pagos en el portal:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+// @desc    Descargar recibo PDF de un pago del tutor
+// @route   GET /api/portal/pagos/:id/recibo
+// @access  Private (Padre)
+const getReciboPago = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'ID de pago inválido'
+      });
+    }
+
+    const pago = await Payment.findOne({
+      _id: id,
+      tutor: req.tutor._id,
+      isActive: true
+    })
+      .populate('alumno',  'firstName lastName secondLastName enrollment')
+      .populate('sucursal','name')
+      .populate('paidBy',  'name')
+      .populate('abonos.registradoPor', 'name')
+      .lean();
+
+    if (!pago) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pago no encontrado'
+      });
+    }
+
+    if (!(pago.abonos?.length > 0 || pago.status === 'pagado')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Solo se puede descargar el recibo de pagos completados o con abonos'
+      });
+    }
+
+    const { contenido, fileName } = await generarReciboCobro(pago);
+
+    res.setHeader('Content-Type',        'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(contenido);
+
+  } catch (error) {
+    console.error('Error generando recibo en el portal:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al generar el recibo'
+    });
+  }
+};
+
+// @desc    Listas de espera de los hijos (posición y ofertas de lugar vigentes)
+// @route   GET /api/portal/lista-espera
+// @access  Private (Padre)
+const getListaEspera = async (req, res) => {
+  try {
+    const hijos = await Alumno.find({ tutor: req.tutor._id, isActive: true })
+      .select('firstName lastName')
+      .lean();
+    const porId = new Map(hijos.map(h => [h._id.toString(), h]));
+
+    const horarios = await Horario.find({
+      isActive: true,
+      listaEspera: {
+        $elemMatch: {
+          alumno: { $in: hijos.map(h => h._id) },
+          estado: { $in: ['esperando', 'ofertado'] }
+        }
+      }
+    })
+      .populate('sucursal', 'name')
+      .populate('instructor', 'name');
+
+    const data = [];
+    horarios.forEach(horario => {
+      horario.listaEspera
+        .filter(e => porId.has(e.alumno.toString()) && ['esperando', 'ofertado'].includes(e.estado))
+        .forEach(e => {
+          const hijo = porId.get(e.alumno.toString());
+          data.push({
+            horario: {
+              _id: horario._id,
+              nombre: horario.nombre,
+              diasTexto: horario.diasTexto,
+              horarioTexto: horario.horarioTexto,
+              sucursal: horario.sucursal?.name || null,
+              instructor: horario.instructor?.name || null
+            },
+            alumno: { _id: hijo._id, nombre: `${hijo.firstName} ${hijo.lastName}` },
+            estado: e.estado,
+            fechaRegistro: e.fechaRegistro,
+            posicion: e.estado === 'esperando' ? horario.posicionListaEspera(e.alumno) : null,
+            ofertaExpira: e.estado === 'ofertado' ? e.ofertaExpira : null
+          });
+        });
+    });
+
+    res.json({
+      success: true,
+      data,
+      ofertasPendientes: data.filter(d => d.estado === 'ofertado').length
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo lista de espera en el portal:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+// @desc    Aceptar o rechazar el lugar ofrecido a un hijo desde la lista de espera
+// @route   POST /api/portal/hijos/:alumnoId/lista-espera/:horarioId  body: { acepta }
+// @access  Private (Padre)
+const responderListaEspera = async (req, res) => {
+  try {
+    const alumno = await obtenerHijo(req, res);
+    if (!alumno) return;
+
+    const { horarioId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(horarioId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'ID de horario inválido'
+      });
+    }
+
+    if (typeof req.body.acepta !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: "El campo 'acepta' (true/false) es requerido"
+      });
+    }
+
+    const horario = await Horario.findOne({ _id: horarioId, isActive: true });
+    if (!horario) {
+      return res.status(404).json({
+        success: false,
+        message: 'Horario no encontrado'
+      });
+    }
+
+    const { inscrito } = await responderOferta(horario, alumno._id, req.body.acepta);
+
+    res.json({
+      success: true,
+      message: inscrito
+        ? `${alumno.firstName} quedó inscrito en ${horario.nombre}`
+        : 'Rechazaste el lugar ofrecido',
+      data: {
+        horario: horario._id,
+        alumno: alumno._id,
+        inscrito
+      }
+    });
+
+  } catch (error) {
+    // Ya tiene otra clase a la misma hora
+    if (error.conflictos) {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+        conflictos: error.conflictos
+      });
+    }
+
+    // Errores de negocio (sin oferta, oferta expirada, alumno inactivo)
+    if (error.message.includes('oferta') || error.message.includes('no está activo') ||
+        error.message.includes('inscrito') || error.message.includes('lleno')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Error respondiendo oferta en el portal:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+// @desc    URL de suscripción (.ics) al calendario de un hijo: clases, exámenes y ceremonias
+// @route   POST /api/portal/hijos/:alumnoId/calendario
+// @access  Private (Padre)
+// Generarla de nuevo invalida la URL anterior del tutor.
+const generarCalendarioHijo = async (req, res) => {
+  try {
+    const alumno = await obtenerHijo(req, res);
+    if (!alumno) return;
+
+    const { url, webcal } = await emitirToken({
+      tipo: 'alumno',
+      referencia: alumno._id,
+      userId: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Agrega esta URL a tu aplicación de calendario',
+      data: { alumno: alumno._id, url, webcal }
+    });
+
+  } catch (error) {
+    console.error('Error generando calendario en el portal:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+module.exports = {
+  cargarTutor,
+  getResumen,
+  getHijos,
+  getHijo,
+  getGraduacionesHijo,
+  getAsistenciasHijo,
+  getJustificacionesHijo,
+  justificarFaltaHijo,
+  agregarDocumentoJustificacionHijo,
+  getPagos,
+  getReciboPago,
+  getListaEspera,
+  responderListaEspera,
+  generarCalendarioHijo
+};
@@ -0,0 +1,312 @@
+const mongoose    = require('mongoose');
+const SesionClase = require('../models/SesionClase');
+const Horario     = require('../models/Horario');
+const { registrarAuditoria, snapshot } = require('../services/auditService');
+const {
+  inicioDelDia,
+  generarSesiones,
+  generarSesionesLote,
+  cancelarSesion,
+  restaurarSesion,
+  reprogramarSesion,
+  conflictosDeSuplente
+} = require('../services/sesionClaseService');
+
+// Rango máximo del calendario en una consulta
+const MAX_DIAS_CALENDARIO = 92;
+const DIA_MS = 24 * 60 * 60 * 1000;
+
+const POPULATE_SESION = [
+  { path: 'horario',            select: 'nombre nivel categoria capacidadMaxima' },
+  { path: 'sucursal',           select: 'name' },
+  { path: 'instructor',         select: 'name email' },
+  { path: 'instructorSuplente', select: 'name email' },
+  { path: 'diaFestivo',         select: 'nombre fechaInicio fechaFin' }
+];
+
+const cargarSesion = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ success: false, message: 'ID de sesión inválido' });
+    return null;
+  }
+
+  const sesion = await SesionClase.findById(req.params.id);
+  if (!sesion) {
+    res.status(404).json({ success: false, message: 'Sesión de clase no encontrada' });
+    return null;
+  }
+  return sesion;
+};
+
+// ── Calendario de sesiones ───────────────────────────────────────────────────
+// query: desde, hasta (máx. 92 días), horario, sucursal, instructor, estado
+// Las sesiones que falten en el rango se generan al consultar.
+exports.getAll = async (req, res) => {
+  try {
+    const { horario, sucursal, instructor, estado } = req.query;
+
+    const desde = inicioDelDia(req.query.desde || new Date());
+    const hasta = req.query.hasta ? new Date(req.query.hasta) : new Date(desde.getTime() + 6 * DIA_MS);
+    hasta.setHours(23, 59, 59, 999);
+
+    if (isNaN(desde) || isNaN(hasta) || hasta < desde) {
+      return res.status(400).json({ success: false, message: 'Rango de fechas inválido' });
+    }
+    if ((hasta - desde) / DIA_MS > MAX_DIAS_CALENDARIO) {
+      return res.status(400).json({ success: false, message: `El rango no puede exceder ${MAX_DIAS_CALENDARIO} días` });
+    }
+
+    const filtrosHorario = { isActive: true, estado: 'activo' };
+    if (horario)  filtrosHorario._id = horario;
+    if (sucursal) filtrosHorario.sucursal = sucursal;
+
+    const horarios = await Horario.find(filtrosHorario)
+      .select('sucursal instructor salon dias horaInicio horaFin fechaInicio fechaFin estado isActive')
+      .lean();
+    for (const h of horarios) {
+      await generarSesiones(h, { desde, hasta });
+    }
+
+    const filtros = { fecha: { $gte: desde, $lte: hasta } };
+    if (horario)  filtros.horario = horario;
+    if (sucursal) filtros.sucursal = sucursal;
+    if (estado)   filtros.estado = estado;
+    if (instructor) {
+      filtros.$or = [
+        { instructorSuplente: instructor },
+        { instructor, instructorSuplente: null }
+      ];
+    }
+
+    const sesiones = await SesionClase.find(filtros)
+      .populate(POPULATE_SESION)
+      .sort({ fecha: 1, horaInicio: 1 });
+
+    res.json({
+      success: true,
+      data: sesiones,
+      count: sesiones.length,
+      rango: { desde, hasta }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Error al obtener las sesiones', error: error.message });
+  }
+};
+
+// ── Detalle ──────────────────────────────────────────────────────────────────
+exports.getById = async (req, res) => {
+  try {
+    const sesion = await cargarSesion(req, res);
+    if (!sesion) return;
+
+    await sesion.populate([
+      ...POPULATE_SESION,
+      { path: 'canceladaPor',   select: 'name' },
+      { path: 'reprogramadaA',  select: 'fecha horaInicio horaFin estado' },
+      { path: 'reprogramadaDe', select: 'fecha horaInicio horaFin estado' }
+    ]);
+
+    res.json({ success: true, data: sesion });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// ── Generar sesiones ─────────────────────────────────────────────────────────
+// body: { desde, hasta, horario } — por defecto, el horizonte configurado
+exports.generar = async (req, res) => {
+  try {
+    const { horario } = req.body;
+
+    if (horario && !mongoose.Types.ObjectId.isValid(horario)) {
+      return res.status(400).json({ success: false, message: 'ID de horario inválido' });
+    }
+
+    const resultado = await generarSesionesLote({
+      desde    : req.body.desde ? new Date(req.body.desde) : new Date(),
+      hasta    : req.body.hasta ? new Date(req.body.hasta) : undefined,
+      horarioId: horario
+    });
+
+    res.json({
+      success: true,
+      message: `${resultado.creadas} sesión(es) generada(s) para ${resultado.horarios} horario(s)`,
+      data: resultado
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Error al generar sesiones', error: error.message });
+  }
+};
+
+// ── Cancelar ─────────────────────────────────────────────────────────────────
+// body: { motivo }
+exports.cancelar = async (req, res) => {
+  try {
+    const sesion = await cargarSesion(req, res);
+    if (!sesion) return;
+
+    if (!req.body.motivo || !String(req.body.motivo).trim()) {
+      return res.status(400).json({ success: false, message: 'El motivo de cancelación es requerido' });
+    }
+
+    const antes = snapshot(sesion);
+    const { asistenciasAfectadas } = await cancelarSesion(sesion, {
+      motivo: String(req.body.motivo).trim(),
+      userId: req.user._id
+    });
+
+    await registrarAuditoria(req, {
+      entidad    : 'SesionClase',
+      accion     : 'actualizar',
+      antes,
+      despues    : sesion,
+      descripcion: 'Cancelación de sesión de clase',
+      metadata   : { asistenciasAfectadas }
+    });
+
+    await sesion.populate(POPULATE_SESION);
+    res.json({
+      success: true,
+      message: asistenciasAfectadas > 0
+        ? `Sesión cancelada. ${asistenciasAfectadas} registro(s) de asistencia dejan de contar`
+        : 'Sesión cancelada',
+      data: sesion
+    });
+  } catch (error) {
+    if (error.message.startsWith('La sesión ya')) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({ success: false, message: 'Error al cancelar la sesión', error: error.message });
+  }
+};
+
+// ── Restaurar una sesión cancelada ───────────────────────────────────────────
+exports.restaurar = async (req, res) => {
+  try {
+    const sesion = await cargarSesion(req, res);
+    if (!sesion) return;
+
+    const antes = snapshot(sesion);
+    await restaurarSesion(sesion, { userId: req.user._id });
+
+    await registrarAuditoria(req, {
+      entidad    : 'SesionClase',
+      accion     : 'actualizar',
+      antes,
+      despues    : sesion,
+      descripcion: 'Sesión de clase restaurada'
+    });
+
+    await sesion.populate(POPULATE_SESION);
+    res.json({ success: true, message: 'Sesión restaurada', data: sesion });
+  } catch (error) {
+    if (error.message.startsWith('Solo se puede')) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({ success: false, message: 'Error al restaurar la sesión', error: error.message });
+  }
+};
+
+// ── Reprogramar ──────────────────────────────────────────────────────────────
+// body: { fecha, horaInicio, horaFin, motivo }
+exports.reprogramar = async (req, res) => {
+  try {
+    const sesion = await cargarSesion(req, res);
+    if (!sesion) return;
+
+    const { fecha, horaInicio, horaFin, motivo } = req.body;
+
+    if (!fecha && !horaInicio) {
+      return res.status(400).json({ success: false, message: 'Indica la nueva fecha u hora de la sesión' });
+    }
+    if (fecha && isNaN(new Date(fecha))) {
+      return res.status(400).json({ success: false, message: 'Fecha inválida' });
+    }
+
+    const antes = snapshot(sesion);
+    const { nueva } = await reprogramarSesion(sesion, {
+      fecha, horaInicio, horaFin, motivo, userId: req.user._id
+    });
+
+    await registrarAuditoria(req, {
+      entidad    : 'SesionClase',
+      accion     : 'actualizar',
+      antes,
+      despues    : sesion,
+      descripcion: 'Sesión de clase reprogramada',
+      metadata   : { nuevaSesion: nueva._id, fecha: nueva.fecha, horaInicio: nueva.horaInicio }
+    });
+
+    await nueva.populate(POPULATE_SESION);
+    res.status(201).json({ success: true, message: 'Sesión reprogramada', data: { original: sesion, nueva } });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, message: 'Ya existe una sesión de esta clase en esa fecha y hora' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Error de validación',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+    if (error.message.startsWith('La sesión ya') || error.message.startsWith('La nueva fecha')) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({ success: false, message: 'Error al reprogramar la sesión', error: error.message });
+  }
+};
+
+// ── Instructor suplente ──────────────────────────────────────────────────────
+// body: { instructorId } — null para quitar al suplente
+exports.asignarSuplente = async (req, res) => {
+  try {
+    const sesion = await cargarSesion(req, res);
+    if (!sesion) return;
+
+    const { instructorId } = req.body;
+
+    if (!sesion.seImparte) {
+      return res.status(400).json({ success: false, message: `La sesión está ${sesion.estado}` });
+    }
+
+    if (instructorId) {
+      if (!mongoose.Types.ObjectId.isValid(instructorId)) {
+        return res.status(400).json({ success: false, message: 'ID de instructor inválido' });
+      }
+      if (instructorId.toString() === sesion.instructor.toString()) {
+        return res.status(400).json({ success: false, message: 'El suplente no puede ser el instructor titular' });
+      }
+
+      const { error, conflictos } = await conflictosDeSuplente(sesion, instructorId);
+      if (error) {
+        return res.status(400).json({ success: false, message: error });
+      }
+      if (conflictos.length > 0) {
+        return res.status(409).json({ success: false, message: conflictos[0].mensaje, conflictos });
+      }
+    }
+
+    const antes = snapshot(sesion);
+    sesion.instructorSuplente = instructorId || null;
+    sesion.modificadoPor = req.user._id;
+    await sesion.save();
+
+    await registrarAuditoria(req, {
+      entidad    : 'SesionClase',
+      accion     : 'actualizar',
+      antes,
+      despues    : sesion,
+      descripcion: instructorId ? 'Instructor suplente asignado' : 'Instructor suplente retirado'
+    });
+
+    await sesion.populate(POPULATE_SESION);
+    res.json({
+      success: true,
+      message: instructorId ? 'Suplente asignado' : 'Suplente retirado',
+      data: sesion
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Error al asignar suplente', error: error.message });
+  }
+};
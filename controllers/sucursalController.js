@@ -1,8 +1,9 @@
 const Sucursal = require('../models/Sucursal');
 const User = require('../models/User');
 const multer = require('multer');
-const path = require('path');
-const fs = require('fs').promises;
+const almacenamiento = require('../services/almacenamientoService');
+const { eliminarImagen } = require('../services/imagenService');
+const { emitirClaveKiosco } = require('../services/checkinService');
 
 // @desc    Obtener todas las sucursales
 // @route   GET /api/sucursales
@@ -387,8 +388,7 @@ const deleteSucursal = async (req, res) => {
     // Eliminar logo si existe
     if (sucursal.logo.filename) {
       try {
-        const logoPath = path.join(__dirname, '../uploads/logos', sucursal.logo.filename);
-        await fs.unlink(logoPath);
+        await eliminarImagen('logos', sucursal.logo);
       } catch (error) {
         console.error('Error eliminando logo:', error);
       }
@@ -449,8 +449,7 @@ const uploadLogo = async (req, res) => {
     // Eliminar logo anterior si existe
     if (sucursal.logo.filename) {
       try {
-        const oldLogoPath = path.join(__dirname, '../uploads/logos', sucursal.logo.filename);
-        await fs.unlink(oldLogoPath);
+        await eliminarImagen('logos', sucursal.logo);
       } catch (error) {
         console.error('⚠️ Error eliminando logo anterior:', error);
       }
@@ -462,7 +461,8 @@ const uploadLogo = async (req, res) => {
       originalName: req.file.originalname,
       mimetype: req.file.mimetype,
       size: req.file.size,
-      url: `/uploads/logos/${req.file.filename}`
+      url: almacenamiento.url(req.file.clave),
+      variantes: req.file.variantes
     };
 
     await sucursal.save();
@@ -534,6 +534,49 @@ const getSucursalStats = async (req, res) => {
   }
 };
 
+// @desc    Generar la clave del kiosco de asistencia (invalida la anterior)
+// @route   POST /api/sucursales/:id/kiosco
+// @access  Private (Admin only)
+const generarClaveKiosco = async (req, res) => {
+  try {
+    const sucursal = await Sucursal.findById(req.params.id);
+
+    if (!sucursal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sucursal no encontrada'
+      });
+    }
+
+    if (!sucursal.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'La sucursal no está activa'
+      });
+    }
+
+    const clave = await emitirClaveKiosco(sucursal, req.user._id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Clave de kiosco generada. Configúrala en el dispositivo; no se volverá a mostrar',
+      data: {
+        sucursal: sucursal._id,
+        clave,
+        endpoint: `/api/asistencias/kiosco/${sucursal._id}`,
+        generadaEn: sucursal.kiosco.generadaEn
+      }
+    });
+
+  } catch (error) {
+    console.error('Error generando clave de kiosco:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
 module.exports = {
   getSucursales,
   getSucursalById,
@@ -541,5 +584,6 @@ module.exports = {
   updateSucursal,
   deleteSucursal,
   uploadLogo,
-  getSucursalStats
+  getSucursalStats,
+  generarClaveKiosco
 };
\ No newline at end of file
@@ -0,0 +1,129 @@
+const TareaProgramada = require('../models/TareaProgramada');
+const EjecucionTarea  = require('../models/EjecucionTarea');
+const {
+  getDefinicion,
+  calcularProximaEjecucion,
+  ejecutarAhora
+} = require('../services/schedulerService');
+
+// ── Listar tareas con su último resultado ────────────────────────────────────
+exports.getAll = async (req, res) => {
+  try {
+    const tareas = await TareaProgramada.find().sort({ nombre: 1 });
+
+    res.json({
+      success: true,
+      data: tareas.map(t => ({
+        ...t.toJSON(),
+        registrada: !!getDefinicion(t.nombre)
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Error al obtener tareas programadas', error: error.message });
+  }
+};
+
+// ── Obtener una ──────────────────────────────────────────────────────────────
+exports.getByNombre = async (req, res) => {
+  try {
+    const tarea = await TareaProgramada.findOne({ nombre: req.params.nombre });
+    if (!tarea) return res.status(404).json({ success: false, message: 'Tarea no encontrada' });
+
+    const ultimasEjecuciones = await EjecucionTarea.find({ tarea: tarea.nombre })
+      .populate('usuario', 'name email')
+      .sort({ inicio: -1 })
+      .limit(10)
+      .lean();
+
+    res.json({ success: true, data: { ...tarea.toJSON(), ultimasEjecuciones } });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// ── Historial de ejecuciones (todas o de una tarea) ──────────────────────────
+exports.getEjecuciones = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, estado } = req.query;
+    const filtros = {};
+    if (req.params.nombre) filtros.tarea = req.params.nombre;
+    if (estado) filtros.estado = estado;
+
+    const skip  = (parseInt(page) - 1) * parseInt(limit);
+    const total = await EjecucionTarea.countDocuments(filtros);
+
+    const ejecuciones = await EjecucionTarea.find(filtros)
+      .populate('usuario', 'name email')
+      .sort({ inicio: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    res.json({
+      success: true,
+      data: ejecuciones,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Error al obtener ejecuciones', error: error.message });
+  }
+};
+
+// ── Actualizar frecuencia / activar / desactivar ─────────────────────────────
+exports.update = async (req, res) => {
+  try {
+    const tarea = await TareaProgramada.findOne({ nombre: req.params.nombre });
+    if (!tarea) return res.status(404).json({ success: false, message: 'Tarea no encontrada' });
+
+    const { activa, hora, intervaloMinutos } = req.body;
+
+    if (activa !== undefined) tarea.activa = !!activa;
+
+    if (hora !== undefined || intervaloMinutos !== undefined) {
+      if (hora && intervaloMinutos) {
+        return res.status(400).json({ success: false, message: 'Usa hora o intervaloMinutos, no ambos' });
+      }
+      if (!hora && !intervaloMinutos) {
+        return res.status(400).json({ success: false, message: 'Debes indicar hora (HH:MM) o intervaloMinutos' });
+      }
+      tarea.hora             = hora || null;
+      tarea.intervaloMinutos = intervaloMinutos ? parseInt(intervaloMinutos) : null;
+      tarea.proximaEjecucion = calcularProximaEjecucion(tarea);
+    }
+
+    await tarea.save();
+    res.json({ success: true, message: 'Tarea actualizada', data: tarea });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+// ── Ejecutar ahora ───────────────────────────────────────────────────────────
+exports.ejecutar = async (req, res) => {
+  try {
+    if (!getDefinicion(req.params.nombre)) {
+      return res.status(404).json({ success: false, message: 'Tarea no encontrada' });
+    }
+
+    const ejecucion = await ejecutarAhora(req.params.nombre, req.user._id);
+    if (!ejecucion) {
+      return res.status(409).json({ success: false, message: 'La tarea se está ejecutando en este momento' });
+    }
+
+    res.json({
+      success: ejecucion.estado === 'exito',
+      message: ejecucion.estado === 'exito'
+        ? 'Tarea ejecutada correctamente'
+        : `La tarea terminó con error: ${ejecucion.error}`,
+      data: ejecucion
+    });
+  } catch (error) {
+    console.error('Error ejecutando tarea:', error);
+    res.status(500).json({ success: false, message: 'Error al ejecutar la tarea', error: error.message });
+  }
+};
@@ -1,8 +1,9 @@
 const Tutor = require('../models/Tutor');
 const Alumno = require('../models/Alumno');
 const multer = require('multer');
-const path = require('path');
-const fs = require('fs').promises;
+const almacenamiento = require('../services/almacenamientoService');
+const { eliminarImagen } = require('../services/imagenService');
+const mongoose = require('mongoose');
 
 // @desc    Obtener todos los tutores
 // @route   GET /api/tutores
@@ -480,8 +481,7 @@ const deleteTutor = async (req, res) => {
     // Eliminar foto si existe
     if (tutor.profilePhoto.filename) {
       try {
-        const photoPath = path.join(__dirname, '../uploads/profiles', tutor.profilePhoto.filename);
-        await fs.unlink(photoPath);
+        await eliminarImagen('profiles', tutor.profilePhoto);
       } catch (error) {
         console.error('Error eliminando foto:', error);
       }
@@ -539,8 +539,7 @@ const uploadPhoto = async (req, res) => {
     // Eliminar foto anterior si existe
     if (tutor.profilePhoto.filename) {
       try {
-        const oldPhotoPath = path.join(__dirname, '../uploads/profiles', tutor.profilePhoto.filename);
-        await fs.unlink(oldPhotoPath);
+        await eliminarImagen('profiles', tutor.profilePhoto);
       } catch (error) {
         console.error('Error eliminando foto anterior:', error);
       }
@@ -552,7 +551,8 @@ const uploadPhoto = async (req, res) => {
       originalName: req.file.originalname,
       mimetype: req.file.mimetype,
       size: req.file.size,
-      url: `/uploads/profiles/${req.file.filename}`
+      url: almacenamiento.url(req.file.clave),
+      variantes: req.file.variantes
     };
 
     await tutor.save();
@@ -562,6 +562,7 @@ const uploadPhoto = async (req, res) => {
       message: 'Foto subida exitosamente',
       data: {
         photoUrl: tutor.profilePhotoUrl,
+        thumbUrl: tutor.profilePhotoThumbUrl,
         photo: tutor.profilePhoto
       }
     });
@@ -628,6 +629,94 @@ const getTutorChildren = async (req, res) => {
   }
 };
 
+// @desc    Vincular (o desvincular) la cuenta de usuario padre de un tutor
+// @route   PUT /api/tutores/:id/usuario
+// @access  Private (Admin only)
+const vincularUsuario = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { userId } = req.body;
+
+    const tutor = await Tutor.findById(id);
+
+    if (!tutor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tutor no encontrado'
+      });
+    }
+
+    // userId vacío o null → desvincular
+    if (!userId) {
+      tutor.usuario = null;
+      tutor.lastModifiedBy = req.user._id;
+      await tutor.save();
+
+      return res.json({
+        success: true,
+        message: 'Cuenta de usuario desvinculada del tutor',
+        data: { tutor: tutor.getPublicInfo() }
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'ID de usuario inválido'
+      });
+    }
+
+    const User = require('../models/User');
+    const usuario = await User.findById(userId);
+
+    if (!usuario) {
+      return res.status(404).json({
+        success: false,
+        message: 'Usuario no encontrado'
+      });
+    }
+
+    if (usuario.role !== 'padre') {
+      return res.status(400).json({
+        success: false,
+        message: 'Solo se pueden vincular usuarios con rol padre'
+      });
+    }
+
+    const yaVinculado = await Tutor.findOne({
+      usuario: usuario._id,
+      _id: { $ne: tutor._id }
+    }).select('firstName lastName');
+
+    if (yaVinculado) {
+      return res.status(400).json({
+        success: false,
+        message: `El usuario ya está vinculado al tutor ${yaVinculado.firstName} ${yaVinculado.lastName}`
+      });
+    }
+
+    tutor.usuario = usuario._id;
+    tutor.lastModifiedBy = req.user._id;
+    await tutor.save();
+
+    res.json({
+      success: true,
+      message: 'Cuenta de usuario vinculada al tutor exitosamente',
+      data: {
+        tutor: tutor.getPublicInfo(),
+        usuario: { _id: usuario._id, name: usuario.name, email: usuario.email }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error vinculando usuario al tutor:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
 // Función auxiliar para verificar acceso a tutor
 const canAccessTutor = async (user, tutor) => {
   if (user.role === 'admin') return true;
@@ -660,5 +749,6 @@ module.exports = {
   updateTutor,
   deleteTutor,
   uploadPhoto,
-  getTutorChildren
+  getTutorChildren,
+  vincularUsuario
 };
\ No newline at end of file
@@ -1,5 +1,20 @@
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const User = require('../models/User');
+const TokenRevocado = require('../models/TokenRevocado');
+
+// Verifica si un access token ya decodificado fue revocado:
+// - por logout (su jti está en la lista de revocación)
+// - por invalidación masiva del usuario (emitido antes de sesionesValidasDesde)
+const isTokenRevocado = async (decoded, user) => {
+  if (await TokenRevocado.estaRevocado(decoded.jti)) return true;
+
+  if (user.sesionesValidasDesde && decoded.iat * 1000 < user.sesionesValidasDesde.getTime()) {
+    return true;
+  }
+
+  return false;
+};
 
 // Middleware para verificar token JWT
 const authenticate = async (req, res, next) => {
@@ -67,8 +82,17 @@ const authenticate = async (req, res, next) => {
       });
     }
 
-    // Agregar usuario a la request
+    // Verificar que el token no haya sido revocado
+    if (await isTokenRevocado(decoded, user)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Sesión cerrada. Por favor, inicia sesión nuevamente.'
+      });
+    }
+
+    // Agregar usuario y token decodificado a la request
     req.user = user;
+    req.tokenPayload = decoded;
     next();
 
   } catch (error) {
@@ -161,7 +185,7 @@ const optionalAuth = async (req, res, next) => {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     const user = await User.findById(decoded.id).select('-password');
     
-    if (user && user.isActive) {
+    if (user && user.isActive && !(await isTokenRevocado(decoded, user))) {
       req.user = user;
     } else {
       req.user = null;
@@ -176,13 +200,14 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
-// Función para generar token JWT
+// Función para generar access token JWT (vida corta; se renueva con refresh token)
 const generateToken = (userId) => {
   return jwt.sign(
     { id: userId },
     process.env.JWT_SECRET,
     { 
-      expiresIn: process.env.JWT_EXPIRE || '30d',
+      expiresIn: process.env.JWT_EXPIRE || '15m',
+      jwtid: crypto.randomUUID(),
       issuer: 'taekwondo-system',
       audience: 'taekwondo-users'
     }
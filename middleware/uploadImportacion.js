@@ -0,0 +1,42 @@
+const multer = require('multer');
+const path = require('path');
+
+// Archivos de importación: se procesan en memoria y no se guardan en disco
+const storage = multer.memoryStorage();
+
+// Solo CSV (Excel: "Guardar como" → CSV UTF-8)
+const fileFilter = (req, file, cb) => {
+  const ext = path.extname(file.originalname).toLowerCase();
+
+  if (ext === '.csv' || ext === '.txt') {
+    cb(null, true);
+  } else if (ext === '.xlsx' || ext === '.xls') {
+    cb(new Error('Guarda la hoja de Excel como "CSV UTF-8 (delimitado por comas)" y súbela de nuevo'), false);
+  } else {
+    cb(new Error('Solo se permiten archivos CSV'), false);
+  }
+};
+
+const upload = multer({
+  storage,
+  limits: {
+    fileSize: 2 * 1024 * 1024 // 2MB
+  },
+  fileFilter
+});
+
+// Campo "archivo". Los errores de multer se responden como 400.
+const uploadImportacion = (req, res, next) => {
+  upload.single('archivo')(req, res, (error) => {
+    if (!error) return next();
+
+    const message = error instanceof multer.MulterError && error.code === 'LIMIT_FILE_SIZE'
+      ? 'El archivo es demasiado grande. Máximo 2MB.'
+      : error.message;
+    res.status(400).json({ success: false, message });
+  });
+};
+
+module.exports = {
+  uploadImportacion
+};
@@ -0,0 +1,48 @@
+const multer = require('multer');
+const path = require('path');
+const crypto = require('crypto');
+const { storageMulter } = require('../services/almacenamientoService');
+
+// Justificantes de faltas: carpeta privada (con el driver local, fuera de
+// /uploads) porque pueden contener datos médicos; solo se descargan a través
+// de la API con autenticación.
+const storage = storageMulter('justificantes', (req, file) =>
+  'justificante-' + crypto.randomBytes(16).toString('hex') + path.extname(file.originalname).toLowerCase()
+);
+
+// Imágenes (JPG, PNG) o PDF
+const fileFilter = (req, file, cb) => {
+  const allowedTypes = /jpeg|jpg|png|pdf/;
+  const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
+  const mimetype = allowedTypes.test(file.mimetype);
+
+  if (extname && mimetype) {
+    cb(null, true);
+  } else {
+    cb(new Error('Solo se permiten imágenes (JPG, PNG) o PDF'), false);
+  }
+};
+
+const upload = multer({
+  storage,
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB
+  },
+  fileFilter
+});
+
+// Campo "documento" (opcional). Los errores de multer se responden como 400.
+const uploadJustificante = (req, res, next) => {
+  upload.single('documento')(req, res, (error) => {
+    if (!error) return next();
+
+    const message = error instanceof multer.MulterError && error.code === 'LIMIT_FILE_SIZE'
+      ? 'El archivo es demasiado grande. Máximo 5MB.'
+      : error.message;
+    res.status(400).json({ success: false, message });
+  });
+};
+
+module.exports = {
+  uploadJustificante
+};
@@ -112,6 +112,40 @@ const validateChangePassword = [
   handleValidationErrors
 ];
 
+// Validaciones para solicitar restablecimiento de contraseña
+const validateForgotPassword = [
+  body('email')
+    .trim()
+    .notEmpty()
+    .withMessage('El email es requerido')
+    .isEmail()
+    .withMessage('El email debe tener un formato válido'),
+
+  handleValidationErrors
+];
+
+// Validaciones para restablecer contraseña con token
+const validateResetPassword = [
+  body('token')
+    .trim()
+    .notEmpty()
+    .withMessage('El token es requerido')
+    .isHexadecimal()
+    .withMessage('Token inválido')
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Token inválido'),
+
+  body('password')
+    .notEmpty()
+    .withMessage('La nueva contraseña es requerida')
+    .isLength({ min: 6, max: 128 })
+    .withMessage('La nueva contraseña debe tener entre 6 y 128 caracteres')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('La nueva contraseña debe contener al menos una minúscula, una mayúscula y un número'),
+
+  handleValidationErrors
+];
+
 // Validaciones para actualizar perfil
 const validateUpdateProfile = [
   body('name')
@@ -589,14 +623,20 @@ const validateAlumnoUpdate = [
 
 // Validación específica para actualización de cinturón
 const validateBeltUpdate = [
+  // Slug de una de las disciplinas del alumno (por defecto, la principal); la
+  // clave se valida contra su sistema de niveles en el controlador
+  body('disciplina')
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Disciplina inválida'),
+
   body('level')
     .optional()
-    .isIn([
-      'blanco', 'blanco-amarillo', 'amarillo', 'amarillo-naranja', 'naranja',
-      'naranja-verde', 'verde', 'verde-azul', 'azul', 'azul-marron', 'marron',
-      'marron-negro', 'negro-1', 'negro-2', 'negro-3', 'negro-4', 'negro-5',
-      'negro-6', 'negro-7', 'negro-8', 'negro-9'
-    ])
+    .isString()
+    .trim()
+    .notEmpty()
     .withMessage('Nivel de cinturón inválido'),
 
   body('dateObtained')
@@ -703,6 +743,8 @@ module.exports = {
   validateRegister,
   validateLogin,
   validateChangePassword,
+  validateForgotPassword,
+  validateResetPassword,
   validateUpdateProfile,
   validateUserQuery,
   
@@ -1,4 +1,31 @@
 const mongoose = require('mongoose');
+const { urlFirmada } = require('../services/archivoService');
+const nivelService = require('../services/nivelService');
+
+// ─────────────────────────────────────────────
+// Grado en una disciplina (un alumno puede entrenar varias)
+// ─────────────────────────────────────────────
+const gradoSchema = new mongoose.Schema({
+  // Slug de Disciplina, como enrollment.programa
+  disciplina: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Clave de un nivel de Disciplina.sistemaNiveles
+  level: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  dateObtained: {
+    type: Date
+  },
+  certifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { _id: false });
 
 const alumnoSchema = new mongoose.Schema({
   // ─────────────────────────────────────────────
@@ -230,34 +257,21 @@ const alumnoSchema = new mongoose.Schema({
   },
 
   // ─────────────────────────────────────────────
-  // Información Académica de Taekwondo
+  // Grados por disciplina
   // ─────────────────────────────────────────────
+  // Uno por cada programa del alumno (se conserva el de programas que dejó)
+  grados: {
+    type: [gradoSchema],
+    default: []
+  },
+
+  // Grado en la disciplina principal (enrollment.programa[0]); copia de su
+  // entrada en grados, se mantiene por compatibilidad. Ver sincronizarGrados
   belt: {
     level: {
       type: String,
-      enum: [
-        'principiante',
-        'blanca-chobocha',
-        'blanca-1', 'blanca-2', 'blanca-3',
-        'blanca-avanzada',
-        'amarilla', 'amarilla-avanzada',
-        'verde', 'verde-avanzada',
-        'azul', 'azul-avanzada',
-        'marron', 'marron-avanzada',
-        'roja', 'roja-ieby',
-        'negra-1-poom', 'negra-2-poom', 'negra-3-poom',
-        'negra-1-dan', 'negra-2-dan', 'negra-3-dan',
-        'negra-4-dan', 'negra-5-dan', 'negra-6-dan',
-        'negra-7-dan', 'negra-8-dan', 'negra-9-dan',
-        '1-parcial', '2-parcial', '3-parcial',
-        '4-parcial', '5-parcial', '6-parcial',
-        'naranja', 'morada', 'cafe',
-        // Valores legacy para compatibilidad con registros existentes
-        'blanco', 'blanco-amarillo', 'amarillo', 'amarillo-naranja',
-        'naranja-verde', 'verde-azul', 'azul-marron',
-        'marron-negro', 'negro-1', 'negro-2', 'negro-3'
-      ],
-      default: 'principiante'
+      trim: true,
+      default: null
     },
     dateObtained: {
       type: Date
@@ -355,7 +369,12 @@ const alumnoSchema = new mongoose.Schema({
     originalName: { type: String, default: null },
     mimetype: { type: String, default: null },
     size: { type: Number, default: null },
-    url: { type: String, default: null }
+    url: { type: String, default: null },
+    // Miniaturas generadas al subir (ver services/imagenService.js)
+    variantes: {
+      thumb: { filename: String, url: String, ancho: Number, alto: Number },
+      card: { filename: String, url: String, ancho: Number, alto: Number }
+    }
   },
 
   // ─────────────────────────────────────────────
@@ -371,6 +390,8 @@ const alumnoSchema = new mongoose.Schema({
       max: 100
     },
     lastAttendance: { type: Date },
+    // Último aviso de riesgo de abandono enviado (ver riesgoAsistenciaService)
+    lastRiskNotice: { type: Date },
     graduationTests: {
       passed: { type: Number, default: 0 },
       failed: { type: Number, default: 0 }
@@ -416,6 +437,17 @@ const alumnoSchema = new mongoose.Schema({
     ref: 'User'
   },
 
+  // ── Código QR de asistencia (kiosco) ─────────────────────────────────────
+  // Al regenerarlo sube la versión y las credenciales impresas antes dejan de valer
+  checkin: {
+    qrVersion    : { type: Number, default: 1, min: 1 },
+    regeneradoEn : { type: Date },
+    regeneradoPor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref : 'User'
+    }
+  },
+
   // ── v1.5: PDF Solicitud de Ingreso generado automáticamente ──────────────
   solicitudPdf: {
     fileName   : { type: String },
@@ -442,6 +474,7 @@ alumnoSchema.index({ 'enrollment.sucursal': 1 });
 alumnoSchema.index({ 'enrollment.status': 1 });
 alumnoSchema.index({ 'enrollment.programa': 1 }); // v1.5
 alumnoSchema.index({ 'belt.level': 1 });
+alumnoSchema.index({ 'grados.disciplina': 1, 'grados.level': 1 });
 alumnoSchema.index({ tutor: 1 });
 alumnoSchema.index({ createdAt: -1 });
 alumnoSchema.index({ isActive: 1 });
@@ -471,14 +504,13 @@ alumnoSchema.virtual('isMinor').get(function() {
 });
 
 alumnoSchema.virtual('profilePhotoUrl').get(function() {
-  if (this.profilePhoto && this.profilePhoto.url) {
-    if (this.profilePhoto.url.startsWith('http')) {
-      return this.profilePhoto.url;
-    }
-    const baseUrl = process.env.BASE_URL || 'http://localhost:3005';
-    return `${baseUrl}${this.profilePhoto.url}`;
-  }
-  return null;
+  // Privada: URL firmada de corta duración (ver archivoService)
+  return urlFirmada(this.profilePhoto?.url);
+});
+
+// Miniatura para listas; las fotos anteriores al procesamiento no la tienen
+alumnoSchema.virtual('profilePhotoThumbUrl').get(function() {
+  return urlFirmada(this.profilePhoto?.variantes?.thumb?.url || this.profilePhoto?.url);
 });
 
 alumnoSchema.virtual('membershipDuration').get(function() {
@@ -529,7 +561,9 @@ alumnoSchema.methods.getPublicInfo = function() {
     preferences: this.preferences,
     notes: this.notes,
     profilePhotoUrl: this.profilePhotoUrl,
+    profilePhotoThumbUrl: this.profilePhotoThumbUrl,
     belt: this.belt,
+    grados: this.grados,
     enrollment: this.enrollment,
     stats: this.stats,
     membershipDuration: this.membershipDuration,
@@ -618,10 +652,120 @@ alumnoSchema.methods.updateStats = async function() {
   }
 };
 
+// Alumnos por disciplina y nivel, ordenados según cada sistema de niveles.
+// Los registros sin grados (anteriores a la migración) cuentan con belt en su
+// programa principal.
+alumnoSchema.statics.distribucionGrados = async function(match = {}) {
+  const [conteo] = await Promise.all([
+    this.aggregate([
+      { $match: match },
+      {
+        $project: {
+          grados: {
+            $cond: [
+              { $gt: [{ $size: { $ifNull: ['$grados', []] } }, 0] },
+              '$grados',
+              [{ disciplina: { $ifNull: [{ $arrayElemAt: ['$enrollment.programa', 0] }, nivelService.DISCIPLINA_DEFECTO] }, level: '$belt.level' }]
+            ]
+          }
+        }
+      },
+      { $unwind: '$grados' },
+      { $group: { _id: { disciplina: '$grados.disciplina', level: '$grados.level' }, count: { $sum: 1 } } }
+    ]),
+    nivelService.cargar()
+  ]);
+
+  return conteo
+    .map(({ _id: { disciplina, level }, count }) => {
+      const nivel = nivelService.nivel(disciplina, level);
+      return { disciplina, level, nombre: nivel?.nombre || level, color: nivel?.color || null, orden: nivel?.orden ?? null, count };
+    })
+    .sort((a, b) => a.disciplina.localeCompare(b.disciplina) || (a.orden ?? Infinity) - (b.orden ?? Infinity));
+};
+
+// ─────────────────────────────────────────────
+// Grados por disciplina
+// ─────────────────────────────────────────────
+
+// Grado en una disciplina (por defecto la principal) o null
+alumnoSchema.methods.gradoEn = function(disciplina = nivelService.disciplinaDe(this)) {
+  return this.grados.find(g => g.disciplina === disciplina) || null;
+};
+
+// Asigna el grado de una disciplina; belt se actualiza al validar si es la principal
+alumnoSchema.methods.setGrado = function(disciplina, { level, dateObtained, certifiedBy }) {
+  // Registro anterior a grados: su belt es el grado en la principal
+  const principal = nivelService.disciplinaDe(this);
+  if (this.grados.length === 0 && this.belt?.level && disciplina !== principal) {
+    this.grados.push({
+      disciplina: principal,
+      level: this.belt.level,
+      dateObtained: this.belt.dateObtained,
+      certifiedBy: this.belt.certifiedBy
+    });
+  }
+
+  const grado = this.gradoEn(disciplina);
+  const datos = { disciplina, level, dateObtained: dateObtained || new Date(), certifiedBy };
+  if (grado) grado.set(datos);
+  else this.grados.push(datos);
+  return this.gradoEn(disciplina);
+};
+
+// Un grado por programa (el primer nivel de su sistema si no tenía) y belt
+// como copia del grado en la disciplina principal. desdeBelt: el cambio llegó
+// por belt (API anterior) y se lleva al grado principal; también se toma de
+// belt si aún no hay grados (registros anteriores a grados).
+// Requiere nivelService.cargar() antes.
+alumnoSchema.methods.sincronizarGrados = function({ desdeBelt = false } = {}) {
+  const principal = nivelService.disciplinaDe(this);
+
+  if (this.belt?.level && (desdeBelt || this.grados.length === 0)) {
+    this.setGrado(principal, {
+      level: this.belt.level,
+      dateObtained: this.belt.dateObtained,
+      certifiedBy: this.belt.certifiedBy
+    });
+  }
+
+  for (const disciplina of nivelService.programasDe(this)) {
+    const grado = this.gradoEn(disciplina);
+    if (grado?.level) continue;
+    const primero = nivelService.primerNivel(disciplina);
+    if (grado) grado.level = primero?.clave || null;
+    else this.grados.push({ disciplina, level: primero?.clave || null, dateObtained: new Date() });
+  }
+
+  const grado = this.gradoEn(principal);
+  if (grado) {
+    this.belt = { level: grado.level, dateObtained: grado.dateObtained, certifiedBy: grado.certifiedBy };
+  }
+};
+
 // ─────────────────────────────────────────────
-// Middleware Pre-Save
+// Middleware Pre-Validate / Pre-Save
 // ─────────────────────────────────────────────
 
+// Grados: uno por programa y cada nivel debe existir en el sistema de su
+// disciplina (solo al crear o al cambiar grados, cinturón o programas, para no
+// bloquear registros anteriores a la migración de niveles)
+alumnoSchema.pre('validate', async function() {
+  const cambioGrados = this.isModified('grados');
+  const cambioBelt = this.isModified('belt.level');
+  if (!this.isNew && !cambioGrados && !cambioBelt && !this.isModified('enrollment.programa')) return;
+
+  await nivelService.cargar();
+  // Al crear, grados viene vacío salvo que se indique explícitamente
+  const desdeBelt = cambioBelt && (this.isNew ? this.grados.length === 0 : !cambioGrados);
+  this.sincronizarGrados({ desdeBelt });
+
+  this.grados.forEach((grado, i) => {
+    const error = grado.level && nivelService.errorNivel(grado.disciplina, grado.level);
+    if (error) this.invalidate(`grados.${i}.level`, error, grado.level);
+  });
+});
+
 // Generar studentId automático
 alumnoSchema.pre('save', async function(next) {
   if (this.isNew && !this.enrollment.studentId) {
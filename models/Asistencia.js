@@ -20,6 +20,13 @@ const asistenciaSchema = new mongoose.Schema({
         required: [true, 'El instructor/admin es requerido']
         // Se valida en pre-save que sea instructor o admin
     },
+    // Sesión concreta de la clase (los registros anteriores a las sesiones no la tienen)
+    sesion: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SesionClase',
+        default: null,
+        index: true
+    },
 
     // ===== INFORMACIÓN DE LA ASISTENCIA =====
     fecha: {
@@ -44,6 +51,12 @@ const asistenciaSchema = new mongoose.Schema({
         trim: true,
         maxlength: [500, 'Las notas no pueden exceder 500 caracteres']
     },
+    // La sesión se canceló después de pasar lista: el registro se conserva
+    // pero no cuenta en las estadísticas (la clase no se impartió)
+    claseCancelada: {
+        type: Boolean,
+        default: false
+    },
     horaRegistro: {
         type: String,
         trim: true,
@@ -57,6 +70,14 @@ const asistenciaSchema = new mongoose.Schema({
         }
     },
 
+    // Cómo se registró: lista del instructor o QR en el kiosco de la sucursal.
+    // En el kiosco, instructor y registradoPor son el instructor de la sesión.
+    origen: {
+        type: String,
+        enum: ['manual', 'kiosco'],
+        default: 'manual'
+    },
+
     // ===== AUDITORÍA =====
     registradoPor: {
         type: mongoose.Schema.Types.ObjectId,
@@ -123,6 +144,9 @@ asistenciaSchema.methods.getPublicInfo = function() {
         estado: this.estado,
         notas: this.notas,
         horaRegistro: this.horaRegistro,
+        sesion: this.sesion,
+        claseCancelada: this.claseCancelada,
+        origen: this.origen,
         registradoPor: this.registradoPor,
         modificadoPor: this.modificadoPor,
         fechaModificacion: this.fechaModificacion,
@@ -201,7 +225,10 @@ asistenciaSchema.statics.findByFecha = function(fecha, filters = {}) {
 
 // Método para obtener estadísticas de asistencia de un alumno
 asistenciaSchema.statics.getEstadisticasAlumno = async function(alumnoId, fechaInicio = null, fechaFin = null) {
-    const matchStage = { alumno: new mongoose.Types.ObjectId(alumnoId) };
+    const matchStage = {
+        alumno: new mongoose.Types.ObjectId(alumnoId),
+        claseCancelada: { $ne: true }
+    };
 
     // Filtrar por rango de fechas si se proporciona
     if (fechaInicio || fechaFin) {
@@ -247,7 +274,10 @@ asistenciaSchema.statics.getEstadisticasAlumno = async function(alumnoId, fechaI
 
 // Método para obtener estadísticas de asistencia por horario
 asistenciaSchema.statics.getEstadisticasHorario = async function(horarioId, fecha = null) {
-    const matchStage = { horario: new mongoose.Types.ObjectId(horarioId) };
+    const matchStage = {
+        horario: new mongoose.Types.ObjectId(horarioId),
+        claseCancelada: { $ne: true }
+    };
 
     if (fecha) {
         const startOfDay = new Date(fecha);
@@ -295,6 +325,23 @@ asistenciaSchema.statics.getEstadisticasHorario = async function(horarioId, fech
     return resultado;
 };
 
+// Recalcular las estadísticas guardadas en el alumno
+asistenciaSchema.statics.actualizarStatsAlumno = async function(alumnoId, ultimaAsistencia = null) {
+    const Alumno = mongoose.model('Alumno');
+    const alumno = await Alumno.findById(alumnoId);
+    if (!alumno) return null;
+
+    const stats = await this.getEstadisticasAlumno(alumnoId);
+
+    alumno.stats.totalClasses = stats.total;
+    alumno.stats.attendanceCount = stats.presente + stats.retardo;
+    alumno.stats.attendancePercentage = stats.porcentajeAsistencia;
+    if (ultimaAsistencia) alumno.stats.lastAttendance = ultimaAsistencia;
+
+    await alumno.save();
+    return stats;
+};
+
 // ===== MIDDLEWARE =====
 
 // Pre-save: Validar instructor
@@ -327,21 +374,7 @@ asistenciaSchema.pre('save', async function(next) {
 // Post-save: Actualizar estadísticas del alumno
 asistenciaSchema.post('save', async function(doc) {
     try {
-        const Alumno = mongoose.model('Alumno');
-        const alumno = await Alumno.findById(doc.alumno);
-        
-        if (alumno) {
-            // Obtener estadísticas actualizadas
-            const stats = await mongoose.model('Asistencia').getEstadisticasAlumno(doc.alumno);
-            
-            // Actualizar stats del alumno
-            alumno.stats.totalClasses = stats.total;
-            alumno.stats.attendanceCount = stats.presente + stats.retardo;
-            alumno.stats.attendancePercentage = stats.porcentajeAsistencia;
-            alumno.stats.lastAttendance = doc.fecha;
-            
-            await alumno.save();
-        }
+        await mongoose.model('Asistencia').actualizarStatsAlumno(doc.alumno, doc.fecha);
     } catch (error) {
         console.error('Error actualizando estadísticas del alumno:', error);
     }
@@ -350,19 +383,8 @@ asistenciaSchema.post('save', async function(doc) {
 // Pre-remove: Actualizar estadísticas al eliminar
 asistenciaSchema.pre('remove', async function(next) {
     try {
-        const Alumno = mongoose.model('Alumno');
-        const alumno = await Alumno.findById(this.alumno);
-        
-        if (alumno) {
-            // Recalcular estadísticas después de eliminar
-            const stats = await mongoose.model('Asistencia').getEstadisticasAlumno(this.alumno);
-            
-            alumno.stats.totalClasses = stats.total;
-            alumno.stats.attendanceCount = stats.presente + stats.retardo;
-            alumno.stats.attendancePercentage = stats.porcentajeAsistencia;
-            
-            await alumno.save();
-        }
+        // Recalcular estadísticas después de eliminar
+        await mongoose.model('Asistencia').actualizarStatsAlumno(this.alumno);
     } catch (error) {
         console.error('Error actualizando estadísticas al eliminar:', error);
     }
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// Bitácora persistente de cambios: quién modificó qué, cuándo y desde dónde.
+const cambioSchema = new mongoose.Schema({
+  campo  : { type: String, required: true },
+  antes  : { type: mongoose.Schema.Types.Mixed },
+  despues: { type: mongoose.Schema.Types.Mixed }
+}, { _id: false });
+
+const auditLogSchema = new mongoose.Schema({
+  // ── Actor ────────────────────────────────────────────────────────────────
+  usuario: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null // null = proceso del sistema
+  },
+  usuarioNombre: { type: String, trim: true },
+  usuarioEmail : { type: String, trim: true, lowercase: true },
+  usuarioRol   : { type: String, trim: true },
+
+  // ── Entidad afectada ─────────────────────────────────────────────────────
+  entidad: {
+    type: String,
+    required: [true, 'La entidad es requerida'],
+    enum: ['Alumno', 'Payment', 'Examen', 'Calificacion', 'Graduacion', 'Configuracion', 'ReglaDescuento', 'SesionCaja', 'SesionClase', 'DiaFestivo', 'JustificacionAsistencia']
+  },
+  entidadId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null // null en operaciones masivas
+  },
+  accion: {
+    type: String,
+    required: [true, 'La acción es requerida'],
+    enum: ['crear', 'actualizar', 'eliminar', 'masivo']
+  },
+  descripcion: {
+    type: String,
+    trim: true,
+    maxlength: 300
+  },
+
+  // ── Diferencias (solo campos que cambiaron) ──────────────────────────────
+  cambios: [cambioSchema],
+  metadata: { type: mongoose.Schema.Types.Mixed },
+
+  // ── Origen de la petición ────────────────────────────────────────────────
+  ip       : { type: String, trim: true },
+  userAgent: { type: String, trim: true, maxlength: 300 },
+  metodo   : { type: String, trim: true },
+  ruta     : { type: String, trim: true, maxlength: 300 }
+}, {
+  timestamps: { createdAt: 'fecha', updatedAt: false }
+});
+
+auditLogSchema.index({ entidad: 1, entidadId: 1, fecha: -1 });
+auditLogSchema.index({ usuario: 1, fecha: -1 });
+auditLogSchema.index({ accion: 1 });
+auditLogSchema.index({ fecha: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// Token de suscripción a un calendario iCalendar (.ics). El token viaja en la
+// URL del feed porque los clientes de calendario no envían cabeceras de
+// autenticación; solo se guarda su hash SHA-256.
+const calendarioTokenSchema = new mongoose.Schema({
+  tipo: {
+    type: String,
+    enum: {
+      values: ['instructor', 'alumno', 'sucursal'],
+      message: '{VALUE} no es un tipo de calendario válido'
+    },
+    required: [true, 'El tipo de calendario es requerido']
+  },
+  // User (instructor), Alumno o Sucursal según el tipo
+  referencia: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'La referencia es requerida']
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  creadoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  revocadoEn: {
+    type: Date,
+    default: null
+  },
+  ultimoAcceso: {
+    type: Date,
+    default: null
+  },
+  accesos: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+calendarioTokenSchema.index({ tipo: 1, referencia: 1, revocadoEn: 1 });
+calendarioTokenSchema.index({ creadoPor: 1 });
+
+calendarioTokenSchema.virtual('isActive').get(function() {
+  return !this.revocadoEn;
+});
+
+// Revoca los tokens vigentes de un calendario (opcionalmente solo los de un usuario)
+calendarioTokenSchema.statics.revocarVigentes = function(tipo, referencia, creadoPor = null) {
+  const filtros = { tipo, referencia, revocadoEn: null };
+  if (creadoPor) filtros.creadoPor = creadoPor;
+  return this.updateMany(filtros, { $set: { revocadoEn: new Date() } });
+};
+
+module.exports = mongoose.model('CalendarioToken', calendarioTokenSchema);
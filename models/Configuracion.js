@@ -340,6 +340,17 @@ configuracionSchema.statics.inicializarDefecto = async function() {
             esEditable: false,
             orden: 4
         },
+        {
+            categoria: 'general',
+            clave: 'lista_espera_horas_oferta',
+            valor: 24,
+            tipo: 'number',
+            descripcion: 'Horas que tiene la familia para confirmar un lugar ofrecido desde la lista de espera',
+            valorDefecto: 24,
+            validaciones: { min: 1, max: 168 },
+            esPublica: true,
+            orden: 5
+        },
 
         // ===== EXÁMENES =====
         {
@@ -450,6 +461,38 @@ configuracionSchema.statics.inicializarDefecto = async function() {
             esPublica: false,
             orden: 4
         },
+        {
+            categoria: 'pagos',
+            clave: 'pago_descuento_maximo',
+            valor: 50,
+            tipo: 'number',
+            descripcion: 'Porcentaje máximo de descuento acumulado por reglas en una mensualidad',
+            valorDefecto: 50,
+            validaciones: { min: 0, max: 100 },
+            esPublica: false,
+            orden: 5
+        },
+        {
+            categoria: 'pagos',
+            clave: 'pago_descuento_max_reglas',
+            valor: 2,
+            tipo: 'number',
+            descripcion: 'Máximo de reglas de descuento que se combinan en un pago (0 = sin límite)',
+            valorDefecto: 2,
+            validaciones: { min: 0, max: 10 },
+            esPublica: false,
+            orden: 6
+        },
+        {
+            categoria: 'pagos',
+            clave: 'caja_requiere_sesion',
+            valor: false,
+            tipo: 'boolean',
+            descripcion: 'Requiere una sesión de caja abierta para registrar cobros',
+            valorDefecto: false,
+            esPublica: false,
+            orden: 7
+        },
 
         // ===== ASISTENCIAS =====
         {
@@ -484,6 +527,72 @@ configuracionSchema.statics.inicializarDefecto = async function() {
             esPublica: false,
             orden: 3
         },
+        {
+            categoria: 'asistencias',
+            clave: 'asistencia_horizonte_sesiones',
+            valor: 28,
+            tipo: 'number',
+            descripcion: 'Días hacia adelante para los que se generan las sesiones de clase',
+            valorDefecto: 28,
+            validaciones: { min: 7, max: 120 },
+            esPublica: false,
+            orden: 4
+        },
+        {
+            categoria: 'asistencias',
+            clave: 'asistencia_kiosco_minutos_antes',
+            valor: 30,
+            tipo: 'number',
+            descripcion: 'Minutos antes del inicio de la clase en que el kiosco acepta el registro por QR',
+            valorDefecto: 30,
+            validaciones: { min: 0, max: 120 },
+            esPublica: false,
+            orden: 5
+        },
+        {
+            categoria: 'asistencias',
+            clave: 'asistencia_riesgo_semanas',
+            valor: 4,
+            tipo: 'number',
+            descripcion: 'Semanas que se analizan en el reporte de alumnos en riesgo',
+            valorDefecto: 4,
+            validaciones: { min: 1, max: 52 },
+            esPublica: false,
+            orden: 6
+        },
+        {
+            categoria: 'asistencias',
+            clave: 'asistencia_riesgo_umbral',
+            valor: 70,
+            tipo: 'number',
+            descripcion: 'Porcentaje de asistencia por debajo del cual un alumno se considera en riesgo',
+            valorDefecto: 70,
+            validaciones: { min: 1, max: 100 },
+            esPublica: false,
+            orden: 7
+        },
+        {
+            categoria: 'asistencias',
+            clave: 'asistencia_riesgo_faltas_seguidas',
+            valor: 3,
+            tipo: 'number',
+            descripcion: 'Faltas consecutivas para considerar a un alumno en riesgo',
+            valorDefecto: 3,
+            validaciones: { min: 2, max: 20 },
+            esPublica: false,
+            orden: 8
+        },
+        {
+            categoria: 'asistencias',
+            clave: 'asistencia_riesgo_dias_entre_avisos',
+            valor: 14,
+            tipo: 'number',
+            descripcion: 'Días mínimos entre dos avisos de riesgo para el mismo alumno',
+            valorDefecto: 14,
+            validaciones: { min: 1, max: 90 },
+            esPublica: false,
+            orden: 9
+        },
 
         // ===== NOTIFICACIONES =====
         {
@@ -531,11 +640,22 @@ configuracionSchema.statics.inicializarDefecto = async function() {
             clave: 'notif_recordatorio_pagos',
             valor: true,
             tipo: 'boolean',
-            descripcion: 'Enviar recordatorios de pagos vencidos',
+            descripcion: 'Enviar recordatorios de pago (antes del vencimiento y al vencer)',
             valorDefecto: true,
             esPublica: false,
             orden: 5
         },
+        {
+            categoria: 'notificaciones',
+            clave: 'notif_recordatorio_dias_antes',
+            valor: 3,
+            tipo: 'number',
+            descripcion: 'Días antes del vencimiento para enviar el recordatorio de pago (0 = no enviar)',
+            valorDefecto: 3,
+            validaciones: { min: 0, max: 30 },
+            esPublica: false,
+            orden: 6
+        },
 
         // ===== CINTURONES =====
         {
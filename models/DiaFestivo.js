@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// Día festivo o periodo vacacional sin clases. Sin sucursal aplica a todas.
+// Las sesiones de clase que caen en el rango se cancelan automáticamente.
+const diaFestivoSchema = new mongoose.Schema({
+  nombre: {
+    type: String,
+    required: [true, 'El nombre es requerido'],
+    trim: true,
+    maxlength: [100, 'El nombre no puede exceder 100 caracteres']
+  },
+  fechaInicio: {
+    type: Date,
+    required: [true, 'La fecha es requerida']
+  },
+  // Último día del periodo (inclusive); igual a fechaInicio si es un solo día
+  fechaFin: {
+    type: Date,
+    validate: {
+      validator: function(fecha) {
+        return !fecha || !this.fechaInicio || fecha >= this.fechaInicio;
+      },
+      message: 'La fecha de fin no puede ser anterior a la de inicio'
+    }
+  },
+  sucursal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sucursal',
+    default: null
+  },
+  notas: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Las notas no pueden exceder 300 caracteres']
+  },
+  creadoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+diaFestivoSchema.index({ fechaInicio: 1, fechaFin: 1 });
+diaFestivoSchema.index({ sucursal: 1 });
+
+// Normaliza el rango a días completos
+diaFestivoSchema.pre('validate', function(next) {
+  if (this.fechaInicio) {
+    this.fechaInicio = new Date(this.fechaInicio);
+    this.fechaInicio.setHours(0, 0, 0, 0);
+  }
+  if (!this.fechaFin && this.fechaInicio) this.fechaFin = this.fechaInicio;
+  if (this.fechaFin) {
+    this.fechaFin = new Date(this.fechaFin);
+    this.fechaFin.setHours(23, 59, 59, 999);
+  }
+  next();
+});
+
+// Festivos que tocan el rango [desde, hasta] para una sucursal (incluye los generales)
+diaFestivoSchema.statics.findEnRango = function(desde, hasta, sucursalId = null) {
+  const filtros = {
+    fechaInicio: { $lte: hasta },
+    fechaFin: { $gte: desde }
+  };
+  if (sucursalId) filtros.sucursal = { $in: [null, sucursalId] };
+  return this.find(filtros).sort({ fechaInicio: 1 });
+};
+
+module.exports = mongoose.model('DiaFestivo', diaFestivoSchema);
@@ -168,7 +168,12 @@ const disciplinaSchema = new mongoose.Schema({
         originalName: { type: String, default: null },
         mimetype: { type: String, default: null },
         size: { type: Number, default: null },
-        url: { type: String, default: null }
+        url: { type: String, default: null },
+        // Miniaturas generadas al subir (ver services/imagenService.js)
+        variantes: {
+            thumb: { filename: String, url: String, ancho: Number, alto: Number },
+            card: { filename: String, url: String, ancho: Number, alto: Number }
+        }
     },
 
     // ──────────────────────────
@@ -316,11 +321,12 @@ const disciplinaSchema = new mongoose.Schema({
     // Métodos de Instancia
     // ─────────────────────────────────────────────────────────────────
 
-    // Obtener el nivel siguiente de un alumno
+    // Obtener el nivel siguiente de un alumno (por orden, no por posición)
     disciplinaSchema.methods.getSiguienteNivel = function(claveActual) {
-    const index = this.sistemaNiveles.findIndex(n => n.clave === claveActual);
-    if (index === -1 || index === this.sistemaNiveles.length - 1) return null;
-    return this.sistemaNiveles[index + 1];
+    const niveles = [...this.sistemaNiveles].sort((a, b) => a.orden - b.orden);
+    const index = niveles.findIndex(n => n.clave === claveActual);
+    if (index === -1 || index === niveles.length - 1) return null;
+    return niveles[index + 1];
     };
 
     // Verificar si una clave de nivel existe en esta disciplina
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// Historial de ejecuciones del scheduler (se conserva 90 días)
+const ejecucionTareaSchema = new mongoose.Schema({
+  tarea: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  disparadaPor: {
+    type: String,
+    enum: ['programada', 'manual'],
+    default: 'programada'
+  },
+  usuario: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  instancia: {
+    type: String
+  },
+  inicio: {
+    type: Date,
+    required: true
+  },
+  fin: {
+    type: Date
+  },
+  duracionMs: {
+    type: Number
+  },
+  estado: {
+    type: String,
+    enum: ['en_curso', 'exito', 'error'],
+    default: 'en_curso'
+  },
+  resultado: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  error: {
+    type: String
+  }
+});
+
+ejecucionTareaSchema.index({ tarea: 1, inicio: -1 });
+ejecucionTareaSchema.index({ estado: 1 });
+ejecucionTareaSchema.index({ inicio: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('EjecucionTarea', ejecucionTareaSchema);
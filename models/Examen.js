@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const nivelService = require('../services/nivelService');
 
 // ========================================
 // ESQUEMA DE EXAMEN
@@ -45,11 +46,20 @@ const examenSchema = new mongoose.Schema({
         match: [/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Formato de hora inválido (HH:MM)']
     },
 
+    // Disciplina del examen (slug de Disciplina, como enrollment.programa):
+    // solo gradúa alumnos inscritos en ella y en su sistema de niveles
+    disciplina: {
+        type: String,
+        trim: true,
+        required: [true, 'La disciplina del examen es requerida'],
+        default: 'tae-kwon-do'
+    },
+
     // Cinturón Objetivo (para exámenes de graduación)
+    // Clave de Disciplina.sistemaNiveles; se valida en pre('validate')
     cinturonObjetivo: {
         type: String,
         trim: true,
-        // Sin enum — acepta cualquier clave de cinturón definida en configuraciones
         required: function() {
             return this.tipo === 'graduacion';
         }
@@ -59,7 +69,6 @@ const examenSchema = new mongoose.Schema({
     cinturonActualRequerido: {
         type: String,
         trim: true,
-        // Sin enum — acepta cualquier clave de cinturón definida en configuraciones
         required: function() {
             return this.tipo === 'graduacion';
         }
@@ -260,6 +269,7 @@ const examenSchema = new mongoose.Schema({
 examenSchema.index({ sucursal: 1, fecha: -1 });
 examenSchema.index({ estado: 1 });
 examenSchema.index({ cinturonObjetivo: 1 });
+examenSchema.index({ disciplina: 1 });
 examenSchema.index({ 'alumnosInscritos.alumno': 1 });
 
 // ========================================
@@ -341,8 +351,8 @@ examenSchema.methods.verificarRequisitosAlumno = async function(alumnoId) {
         resultado.asistencia.porcentaje = Math.round(porcentajeAsistencia);
         resultado.asistencia.cumple = porcentajeAsistencia >= this.requisitos.asistenciaMinima;
 
-        // 2. Verificar tiempo con cinturón
-        const fechaObtencionCinturon = alumno.belt.dateObtained || alumno.createdAt;
+        // 2. Verificar tiempo con cinturón (el grado en la disciplina del examen)
+        const fechaObtencionCinturon = nivelService.gradoDe(alumno, this.disciplina)?.dateObtained || alumno.createdAt;
         const diasConCinturon = Math.floor((Date.now() - fechaObtencionCinturon) / (1000 * 60 * 60 * 24));
         
         resultado.tiempoCinturon.dias = diasConCinturon;
@@ -431,6 +441,18 @@ examenSchema.methods.registrarPagoExamen = async function(alumnoId, montoPagado,
 // MIDDLEWARE
 // ========================================
 
+// Los cinturones deben existir en el sistema de niveles de la disciplina
+examenSchema.pre('validate', async function() {
+    if (!this.isNew && !this.isModified('disciplina') &&
+        !this.isModified('cinturonObjetivo') && !this.isModified('cinturonActualRequerido')) return;
+
+    await nivelService.cargar();
+    for (const campo of ['cinturonObjetivo', 'cinturonActualRequerido']) {
+        const error = this[campo] && nivelService.errorNivel(this.disciplina, this[campo]);
+        if (error) this.invalidate(campo, error, this[campo]);
+    }
+});
+
 // Validar que la suma de pesos de categorías sea 100
 examenSchema.pre('save', function(next) {
     if (this.categorias && this.categorias.length > 0) {
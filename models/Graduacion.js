@@ -33,19 +33,27 @@ const graduacionSchema = new mongoose.Schema({
         required: [true, 'El alumno es requerido']
     },
 
+    // Disciplina en la que se gradúa (la del examen)
+    disciplina: {
+        type: String,
+        trim: true,
+        required: [true, 'La disciplina es requerida']
+    },
+
     // Información del Cinturón
     cinturonAnterior: {
         type: String,
         trim: true,
-        required: [true, 'El cinturón anterior es requerido'],
-        // Sin enum — acepta cualquier clave definida en configuraciones
+        default: '',
+        // Clave de Disciplina.sistemaNiveles de la disciplina de la graduación;
+        // vacía si el alumno aún no tenía nivel en ella (disciplinas sin sistema)
     },
 
     cinturonNuevo: {
         type: String,
         trim: true,
         required: [true, 'El cinturón nuevo es requerido'],
-        // Sin enum — acepta cualquier clave definida en configuraciones
+        // Clave de Disciplina.sistemaNiveles de la disciplina de la graduación
     },
 
     // Fecha de Graduación
@@ -205,6 +213,7 @@ const graduacionSchema = new mongoose.Schema({
 graduacionSchema.index({ alumno: 1, fechaGraduacion: -1 });
 graduacionSchema.index({ examen: 1 });
 graduacionSchema.index({ cinturonNuevo: 1 });
+graduacionSchema.index({ disciplina: 1, cinturonNuevo: 1 });
 graduacionSchema.index({ estado: 1 });
 graduacionSchema.index({ 'certificado.numero': 1 }, { sparse: true });
 
@@ -256,10 +265,12 @@ graduacionSchema.methods.actualizarCinturonAlumno = async function() {
             throw new Error('Alumno no encontrado');
         }
 
-        // Actualizar cinturón
-        alumno.belt.level = this.cinturonNuevo;
-        alumno.belt.dateObtained = this.fechaGraduacion;
-        alumno.belt.certifiedBy = this.certificadoPor[0]; // Primer instructor certificador
+        // Actualizar el grado en la disciplina de la graduación
+        alumno.setGrado(this.disciplina, {
+            level: this.cinturonNuevo,
+            dateObtained: this.fechaGraduacion,
+            certifiedBy: this.certificadoPor[0] // Primer instructor certificador
+        });
         
         await alumno.save();
 
@@ -347,7 +358,7 @@ graduacionSchema.methods.generarReporte = function() {
 // Obtener historial de graduaciones de un alumno
 graduacionSchema.statics.getHistorialAlumno = async function(alumnoId) {
     return this.find({ alumno: alumnoId, isActive: true })
-        .populate('examen', 'nombre tipo fecha')
+        .populate('examen', 'nombre tipo fecha disciplina')
         .populate('certificadoPor', 'name email')
         .populate('calificacion', 'calificacionFinal notaAdicional')
         .sort({ fechaGraduacion: -1 })
@@ -426,6 +437,13 @@ graduacionSchema.statics.getEstadisticas = async function(filtros = {}) {
 // MIDDLEWARE
 // ========================================
 
+// Disciplina por defecto: la del examen
+graduacionSchema.pre('validate', async function() {
+    if (this.disciplina || !this.examen) return;
+    const examen = await mongoose.model('Examen').findById(this.examen).select('disciplina').lean();
+    if (examen) this.disciplina = examen.disciplina;
+});
+
 // Validar que el alumno esté inscrito en el examen
 graduacionSchema.pre('save', async function(next) {
     if (this.isNew) {
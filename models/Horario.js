@@ -105,6 +105,9 @@ const horarioSchema = new mongoose.Schema({
     },
 
     // ===== ALUMNOS INSCRITOS =====
+    // Con configuracion.requiereConfirmacion la inscripción entra como
+    // 'pendiente' (activo = false, pero aparta lugar) hasta que un instructor
+    // o admin la confirma o la rechaza.
     alumnosInscritos: [{
         alumno: {
             type: mongoose.Schema.Types.ObjectId,
@@ -117,6 +120,53 @@ const horarioSchema = new mongoose.Schema({
         activo: {
             type: Boolean,
             default: true
+        },
+        estado: {
+            type: String,
+            enum: ['pendiente', 'confirmada', 'rechazada'],
+            default: 'confirmada'
+        },
+        solicitadoPor: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        revisadoPor: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        fechaRevision: Date,
+        motivoRechazo: {
+            type: String,
+            trim: true,
+            maxlength: [300, 'El motivo no puede exceder 300 caracteres']
+        }
+    }],
+
+    // ===== LISTA DE ESPERA =====
+    // Cola por orden de registro. Cuando se libera un lugar el primero en
+    // 'esperando' se inscribe directo o, si el horario requiere confirmación,
+    // recibe una oferta con vigencia que aparta el lugar hasta que responda.
+    listaEspera: [{
+        alumno: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Alumno',
+            required: true
+        },
+        fechaRegistro: {
+            type: Date,
+            default: Date.now
+        },
+        estado: {
+            type: String,
+            enum: ['esperando', 'ofertado', 'aceptado', 'rechazado', 'expirado', 'cancelado'],
+            default: 'esperando'
+        },
+        ofertadaEn: Date,
+        ofertaExpira: Date,
+        respondidaEn: Date,
+        registradoPor: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
         }
     }],
 
@@ -223,6 +273,9 @@ horarioSchema.index({ nivel: 1, estado: 1 });
 horarioSchema.index({ dia: 1, estado: 1 });
 horarioSchema.index({ createdAt: -1 });
 horarioSchema.index({ 'alumnosInscritos.alumno': 1 });
+horarioSchema.index({ 'alumnosInscritos.estado': 1 });
+horarioSchema.index({ 'listaEspera.alumno': 1 });
+horarioSchema.index({ 'listaEspera.estado': 1, 'listaEspera.ofertaExpira': 1 });
 
 // ===== VIRTUALS =====
 
@@ -253,11 +306,29 @@ horarioSchema.virtual('duracionTexto').get(function() {
     return `${horas}h ${mins}min`;
 });
 
+// Virtual para ofertas de lista de espera pendientes de respuesta (apartan lugar)
+horarioSchema.virtual('ofertasPendientes').get(function() {
+    if (!this.listaEspera) return 0;
+    return this.listaEspera.filter(e => e.estado === 'ofertado').length;
+});
+
+// Virtual para inscripciones por confirmar (apartan lugar)
+horarioSchema.virtual('inscripcionesPendientes').get(function() {
+    if (!this.alumnosInscritos) return 0;
+    return this.alumnosInscritos.filter(a => a.estado === 'pendiente').length;
+});
+
 // Virtual para calcular lugares disponibles
 horarioSchema.virtual('lugaresDisponibles').get(function() {
     if (!this.alumnosInscritos) return this.capacidadMaxima || 0;
     const inscritos = this.alumnosInscritos.filter(a => a.activo).length;
-    return Math.max(0, this.capacidadMaxima - inscritos);
+    return Math.max(0, this.capacidadMaxima - inscritos - this.inscripcionesPendientes - this.ofertasPendientes);
+});
+
+// Virtual para número de alumnos esperando lugar
+horarioSchema.virtual('numeroEnEspera').get(function() {
+    if (!this.listaEspera) return 0;
+    return this.listaEspera.filter(e => e.estado === 'esperando').length;
 });
 
 // Virtual para calcular porcentaje de ocupación
@@ -307,7 +378,9 @@ horarioSchema.virtual('diasTexto').get(function() {
 // ===== MÉTODOS DE INSTANCIA =====
 
 // Método para inscribir alumno
-horarioSchema.methods.inscribirAlumno = async function(alumnoId) {
+// opciones.userId: quien solicita; opciones.confirmada: omite la confirmación
+// aunque el horario la requiera (p. ej. oferta de lista de espera aceptada)
+horarioSchema.methods.inscribirAlumno = async function(alumnoId, opciones = {}) {
     // Verificar que no esté ya inscrito
     const yaInscrito = this.alumnosInscritos.some(
         a => a.alumno.toString() === alumnoId.toString() && a.activo
@@ -317,6 +390,10 @@ horarioSchema.methods.inscribirAlumno = async function(alumnoId) {
         throw new Error('El alumno ya está inscrito en este horario');
     }
 
+    if (this.inscripcionPendiente(alumnoId)) {
+        throw new Error('El alumno ya tiene una inscripción pendiente de confirmación en este horario');
+    }
+
     // Verificar capacidad
     if (this.estaLleno) {
         throw new Error('El horario está lleno');
@@ -331,19 +408,144 @@ horarioSchema.methods.inscribirAlumno = async function(alumnoId) {
     }
         
     // Agregar alumno
+    const pendiente = !!this.configuracion?.requiereConfirmacion && !opciones.confirmada;
     this.alumnosInscritos.push({
         alumno: alumnoId,
         fechaInscripcion: new Date(),
-        activo: true
+        activo: !pendiente,
+        estado: pendiente ? 'pendiente' : 'confirmada',
+        solicitadoPor: opciones.userId
     });
 
+    // Si estaba en lista de espera, su entrada queda atendida
+    const enEspera = this.entradaListaEspera(alumnoId);
+    if (enEspera) {
+        enEspera.estado = 'aceptado';
+        enEspera.respondidaEn = new Date();
+    }
+
     await this.save();
     return this;
 };
 
-// Método para desinscribir alumno
+// Entrada vigente (esperando u ofertado) de un alumno en la lista de espera
+horarioSchema.methods.entradaListaEspera = function(alumnoId) {
+    return (this.listaEspera || []).find(
+        e => e.alumno.toString() === alumnoId.toString() &&
+             ['esperando', 'ofertado'].includes(e.estado)
+    );
+};
+
+// Posición (1..n) de un alumno entre los que esperan; null si no está esperando
+horarioSchema.methods.posicionListaEspera = function(alumnoId) {
+    const cola = (this.listaEspera || [])
+        .filter(e => e.estado === 'esperando')
+        .sort((a, b) => a.fechaRegistro - b.fechaRegistro);
+
+    const indice = cola.findIndex(e => e.alumno.toString() === alumnoId.toString());
+    return indice === -1 ? null : indice + 1;
+};
+
+// Método para agregar alumno a la lista de espera
+horarioSchema.methods.agregarAListaEspera = async function(alumnoId, userId) {
+    if (!this.configuracion?.permitirListaEspera) {
+        throw new Error('El horario no permite lista de espera');
+    }
+
+    const yaInscrito = this.alumnosInscritos.some(
+        a => a.alumno.toString() === alumnoId.toString() && a.activo
+    );
+    if (yaInscrito) {
+        throw new Error('El alumno ya está inscrito en este horario');
+    }
+
+    if (this.inscripcionPendiente(alumnoId)) {
+        throw new Error('El alumno ya tiene una inscripción pendiente de confirmación en este horario');
+    }
+
+    if (this.entradaListaEspera(alumnoId)) {
+        throw new Error('El alumno ya está en la lista de espera de este horario');
+    }
+
+    const Alumno = mongoose.model('Alumno');
+    const alumno = await Alumno.findById(alumnoId);
+
+    if (!alumno || !alumno.isActive || alumno.enrollment.status !== 'activo') {
+        throw new Error('El alumno no existe o no está activo');
+    }
+
+    this.listaEspera.push({
+        alumno: alumnoId,
+        fechaRegistro: new Date(),
+        estado: 'esperando',
+        registradoPor: userId
+    });
+
+    await this.save();
+    return this.posicionListaEspera(alumnoId);
+};
+
+// Método para sacar a un alumno de la lista de espera (también retira su oferta)
+horarioSchema.methods.quitarDeListaEspera = async function(alumnoId) {
+    const entrada = this.entradaListaEspera(alumnoId);
+
+    if (!entrada) {
+        throw new Error('El alumno no está en la lista de espera de este horario');
+    }
+
+    entrada.estado = 'cancelado';
+    entrada.respondidaEn = new Date();
+    await this.save();
+    return this;
+};
+
+// Inscripción pendiente de confirmación de un alumno (o undefined)
+horarioSchema.methods.inscripcionPendiente = function(alumnoId) {
+    return this.alumnosInscritos.find(
+        a => a.alumno.toString() === alumnoId.toString() && a.estado === 'pendiente'
+    );
+};
+
+// Método para confirmar una inscripción pendiente
+horarioSchema.methods.confirmarInscripcion = async function(alumnoId, userId) {
+    const inscripcion = this.inscripcionPendiente(alumnoId);
+
+    if (!inscripcion) {
+        throw new Error('El alumno no tiene una inscripción pendiente en este horario');
+    }
+
+    inscripcion.estado = 'confirmada';
+    inscripcion.activo = true;
+    inscripcion.revisadoPor = userId;
+    inscripcion.fechaRevision = new Date();
+
+    await this.save();
+    return inscripcion;
+};
+
+// Método para rechazar una inscripción pendiente (libera el lugar apartado)
+horarioSchema.methods.rechazarInscripcion = async function(alumnoId, userId, motivo) {
+    const inscripcion = this.inscripcionPendiente(alumnoId);
+
+    if (!inscripcion) {
+        throw new Error('El alumno no tiene una inscripción pendiente en este horario');
+    }
+
+    inscripcion.estado = 'rechazada';
+    inscripcion.activo = false;
+    inscripcion.revisadoPor = userId;
+    inscripcion.fechaRevision = new Date();
+    inscripcion.motivoRechazo = motivo;
+
+    await this.save();
+    return inscripcion;
+};
+
+// Método para desinscribir alumno (también retira una solicitud pendiente)
 horarioSchema.methods.desinscribirAlumno = async function(alumnoId) {
     const inscripcion = this.alumnosInscritos.find(
+        a => a.alumno.toString() === alumnoId.toString() && (a.activo || a.estado === 'pendiente')
+    ) || this.alumnosInscritos.find(
         a => a.alumno.toString() === alumnoId.toString()
     );
 
@@ -352,6 +554,10 @@ horarioSchema.methods.desinscribirAlumno = async function(alumnoId) {
     }
 
     inscripcion.activo = false;
+    if (inscripcion.estado === 'pendiente') {
+        inscripcion.estado = 'rechazada';
+        inscripcion.fechaRevision = new Date();
+    }
     await this.save();
     return this;
 };
@@ -363,9 +569,11 @@ horarioSchema.methods.getPublicInfo = function() {
     // ✅ CALCULAR manualmente los valores que dependen de alumnosInscritos
     // porque los virtuals pueden no funcionar correctamente después del populate
     const inscritosActivos = (obj.alumnosInscritos || []).filter(a => a.activo).length;
+    const inscripcionesPendientes = (obj.alumnosInscritos || []).filter(a => a.estado === 'pendiente').length;
+    const ofertasPendientes = (obj.listaEspera || []).filter(e => e.estado === 'ofertado').length;
     const capacidad = obj.capacidadMaxima || 0;
     const porcentaje = capacidad > 0 ? Math.round((inscritosActivos / capacidad) * 100) : 0;
-    const disponibles = Math.max(0, capacidad - inscritosActivos);
+    const disponibles = Math.max(0, capacidad - inscritosActivos - inscripcionesPendientes - ofertasPendientes);
     
     // 🔍 DEBUG
     console.log('📊 CÁLCULO DE PORCENTAJE:');
@@ -397,6 +605,10 @@ horarioSchema.methods.getPublicInfo = function() {
         lugaresDisponibles: disponibles, // ✅ CALCULADO manualmente
         porcentajeOcupacion: porcentaje, // ✅ CALCULADO manualmente
         estaLleno: disponibles === 0, // ✅ CALCULADO manualmente
+        listaEspera: (obj.listaEspera || []).filter(e => ['esperando', 'ofertado'].includes(e.estado)),
+        inscripcionesPendientes,
+        numeroEnEspera: (obj.listaEspera || []).filter(e => e.estado === 'esperando').length,
+        ofertasPendientes,
         estado: obj.estado,
         fechaInicio: obj.fechaInicio,
         fechaFin: obj.fechaFin,
@@ -483,12 +695,32 @@ horarioSchema.methods.getPublicInfo = function() {
                         cond: { $eq: ['$$inscrito.activo', true] }
                         }
                     }
+                    },
+                    // Las inscripciones por confirmar y las ofertas de lista
+                    // de espera sin responder apartan lugar
+                    inscripcionesPendientes: {
+                    $size: {
+                        $filter: {
+                        input: '$alumnosInscritos',
+                        as: 'inscrito',
+                        cond: { $eq: ['$$inscrito.estado', 'pendiente'] }
+                        }
+                    }
+                    },
+                    ofertasPendientes: {
+                    $size: {
+                        $filter: {
+                        input: { $ifNull: ['$listaEspera', []] },
+                        as: 'espera',
+                        cond: { $eq: ['$$espera.estado', 'ofertado'] }
+                        }
+                    }
                     }
                 }
             },
             {
                 $match: {
-                    $expr: { $lt: ['$numeroInscritos', '$capacidadMaxima'] }
+                    $expr: { $lt: [{ $add: ['$numeroInscritos', '$inscripcionesPendientes', '$ofertasPendientes'] }, '$capacidadMaxima'] }
                 }
             },
             {
@@ -552,49 +784,9 @@ horarioSchema.pre('save', function(next) {
     next();
 });
 
-// Validar que no haya conflictos de horario
-horarioSchema.pre('save', async function(next) {
-    // Solo validar en creación o si se modifican los horarios
-    if (!this.isNew && !this.isModified('dia') && !this.isModified('horaInicio') && !this.isModified('horaFin')) {
-        return next();
-    }
-
-    try {
-        // Buscar conflictos con el mismo instructor
-        const conflictos = await this.constructor.find({
-            _id: { $ne: this._id },
-            instructor: this.instructor,
-            dias: { $in: this.dias },
-            estado: { $in: ['activo', 'suspendido'] },
-            isActive: true,
-            $or: [
-                // El nuevo horario empieza durante un horario existente
-                {
-                    horaInicio: { $lte: this.horaInicio },
-                    horaFin: { $gt: this.horaInicio }
-                },
-                // El nuevo horario termina durante un horario existente
-                {
-                    horaInicio: { $lt: this.horaFin },
-                    horaFin: { $gte: this.horaFin }
-                },
-                // El nuevo horario engloba un horario existente
-                {
-                    horaInicio: { $gte: this.horaInicio },
-                    horaFin: { $lte: this.horaFin }
-                }
-            ]
-        });
-
-        if (conflictos.length > 0) {
-            return next(new Error('El instructor ya tiene un horario asignado en este día y hora'));
-        }
-
-        next();
-    } catch (error) {
-        next(error);
-    }
-});
+// Los conflictos de instructor, salón y disponibilidad (con vigencia
+// fechaInicio/fechaFin) se revisan antes de guardar en
+// services/conflictoHorarioService.js (conflictosDeHorario)
 
 // ===== MIDDLEWARE POST-SAVE =====
 
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+// Archivo de respaldo (receta, constancia médica, etc.). No tiene URL pública:
+// se descarga a través de la API con autenticación.
+const documentoSchema = new mongoose.Schema({
+  filename    : { type: String, required: true },
+  originalName: { type: String, trim: true },
+  mimetype    : String,
+  size        : Number,
+  uploadedAt  : { type: Date, default: Date.now },
+  uploadedBy  : {
+    type: mongoose.Schema.Types.ObjectId,
+    ref : 'User'
+  }
+});
+
+// Solicitud para justificar una falta. Se presenta dentro de
+// `asistencia_dias_justificar` días; al aprobarse la Asistencia pasa a
+// 'justificado'.
+const justificacionAsistenciaSchema = new mongoose.Schema({
+  asistencia: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Asistencia',
+    required: [true, 'La asistencia es requerida']
+  },
+  alumno: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Alumno',
+    required: true
+  },
+  horario: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Horario',
+    required: true
+  },
+  fechaFalta: {
+    type: Date,
+    required: true
+  },
+  // Último momento para presentar la solicitud y sus documentos
+  fechaLimite: {
+    type: Date,
+    required: true
+  },
+  motivo: {
+    type: String,
+    required: [true, 'El motivo es requerido'],
+    trim: true,
+    maxlength: [500, 'El motivo no puede exceder 500 caracteres']
+  },
+  documentos: [documentoSchema],
+
+  estado: {
+    type: String,
+    enum: ['pendiente', 'aprobada', 'rechazada'],
+    default: 'pendiente'
+  },
+  origen: {
+    type: String,
+    enum: ['portal', 'personal'],
+    default: 'personal'
+  },
+  solicitadoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // ── Revisión ──────────────────────────────────────────────────────────────
+  revisadoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  fechaRevision: Date,
+  comentarioRevision: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'El comentario no puede exceder 300 caracteres']
+  },
+  // Rechazada por la tarea programada al vencer el plazo sin el documento requerido
+  rechazoAutomatico: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+justificacionAsistenciaSchema.index({ estado: 1, fechaFalta: 1 });
+justificacionAsistenciaSchema.index({ alumno: 1, fechaFalta: -1 });
+justificacionAsistenciaSchema.index({ horario: 1, estado: 1 });
+// Una sola solicitud pendiente por falta
+justificacionAsistenciaSchema.index(
+  { asistencia: 1 },
+  { unique: true, partialFilterExpression: { estado: 'pendiente' } }
+);
+
+module.exports = mongoose.model('JustificacionAsistencia', justificacionAsistenciaSchema);
@@ -1,4 +1,66 @@
 const mongoose = require('mongoose');
+const { urlFirmada } = require('../services/archivoService');
+
+// ===== ABONO =====
+const abonoSchema = new mongoose.Schema({
+  numero: {
+    type: Number,
+    required: true
+  },
+  monto: {
+    type: Number,
+    required: [true, 'El monto del abono es requerido'],
+    min: [0.01, 'El monto del abono debe ser mayor a 0']
+  },
+  paymentMethod: {
+    type: String,
+    enum: {
+      values: ['efectivo', 'tarjeta', 'transferencia', 'cheque', 'deposito'],
+      message: '{VALUE} no es un método de pago válido'
+    },
+    required: [true, 'El método de pago es requerido']
+  },
+  paymentReference: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'La referencia no puede exceder 100 caracteres']
+  },
+  paidDate: {
+    type: Date,
+    default: Date.now,
+    validate: {
+      validator: function(date) {
+        return !date || date <= new Date();
+      },
+      message: 'La fecha de pago no puede ser futura'
+    }
+  },
+  receiptFile: {
+    filename: String,
+    originalName: String,
+    mimetype: String,
+    size: Number,
+    url: String,
+    uploadedAt: Date
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Las notas no pueden exceder 500 caracteres']
+  },
+  registradoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Sesión de caja del cajero que registró el cobro
+  sesionCaja: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SesionCaja',
+    default: null
+  }
+}, {
+  timestamps: true
+});
 
 const paymentSchema = new mongoose.Schema({
   // ===== RELACIONES =====
@@ -93,6 +155,29 @@ const paymentSchema = new mongoose.Schema({
       return this.amount - (this.discount || 0);
     }
   },
+  // Recargo por pago tardío (se fija al registrar el primer abono fuera de plazo)
+  lateFee: {
+    type: Number,
+    min: [0, 'El recargo no puede ser negativo'],
+    default: 0
+  },
+  // Reglas de descuento que produjeron `discount` (generación automática)
+  descuentosAplicados: [{
+    regla: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ReglaDescuento'
+    },
+    nombre: String,
+    tipo: String,
+    modo: String,
+    cantidad: Number,
+    monto: Number,
+    // true si el monto se recortó por el tope global de descuento
+    limitado: {
+      type: Boolean,
+      default: false
+    }
+  }],
 
   // ===== FECHAS =====
   dueDate: {
@@ -147,7 +232,7 @@ const paymentSchema = new mongoose.Schema({
   status: {
     type: String,
     enum: {
-      values: ['pendiente', 'pagado', 'vencido', 'cancelado'],
+      values: ['pendiente', 'parcial', 'pagado', 'vencido', 'cancelado'],
       message: '{VALUE} no es un estado válido'
     },
     default: 'pendiente',
@@ -215,6 +300,41 @@ const paymentSchema = new mongoose.Schema({
     }
   },
 
+  // ===== ABONOS (pagos parciales) =====
+  // Cada cobro registrado sobre el cargo; la suma determina el saldo y el estado
+  // ('parcial' mientras quede saldo, 'vencido' si además pasó la fecha límite,
+  // 'pagado' al liquidarse).
+  abonos: [abonoSchema],
+
+  // ===== RECORDATORIOS ENVIADOS =====
+  // 'previo' = N días antes del vencimiento, 'vencido' = al pasar a vencido.
+  // Los 'fallido' se reintentan en las siguientes ejecuciones (hasta 3 veces,
+  // ver recordatorioPagosService).
+  recordatorios: [{
+    tipo: {
+      type: String,
+      enum: ['previo', 'vencido'],
+      required: true
+    },
+    fecha: {
+      type: Date,
+      default: Date.now
+    },
+    email: {
+      type: String,
+      trim: true
+    },
+    estado: {
+      type: String,
+      enum: ['enviado', 'fallido', 'omitido'],
+      required: true
+    },
+    motivo: {
+      type: String,
+      trim: true
+    }
+  }],
+
   // ===== NOTAS Y OBSERVACIONES =====
   notes: {
     type: String,
@@ -254,6 +374,7 @@ paymentSchema.index({ type: 1, status: 1 });
 paymentSchema.index({ status: 1, dueDate: 1 });
 paymentSchema.index({ 'period.year': 1, 'period.month': 1 });
 paymentSchema.index({ createdAt: -1 });
+paymentSchema.index({ 'abonos.sesionCaja': 1 }, { sparse: true });
 
 // ===== VIRTUALS =====
 
@@ -289,47 +410,110 @@ paymentSchema.virtual('periodName').get(function() {
   return `${months[this.period.month - 1]} ${this.period.year}`;
 });
 
+// Virtual para lo cobrado hasta ahora (pagos previos a los abonos cuentan completos)
+paymentSchema.virtual('montoPagado').get(function() {
+  if (!this.abonos || this.abonos.length === 0) {
+    return this.status === 'pagado' ? (this.total || 0) : 0;
+  }
+  const suma = this.abonos.reduce((acc, a) => acc + (a.monto || 0), 0);
+  return Math.round(suma * 100) / 100;
+});
+
+// Virtual para saldo pendiente (monto - descuento + recargo - abonos)
+paymentSchema.virtual('saldo').get(function() {
+  if (this.status === 'cancelado') return 0;
+  const totalCargo = (this.amount || 0) - (this.discount || 0) + (this.lateFee || 0);
+  return Math.max(0, Math.round((totalCargo - this.montoPagado) * 100) / 100);
+});
+
 // Virtual para URL completa del comprobante
 paymentSchema.virtual('receiptFileUrl').get(function() {
-  if (this.receiptFile && this.receiptFile.url) {
-    if (this.receiptFile.url.startsWith('http')) {
-      return this.receiptFile.url;
-    }
-    const baseUrl = process.env.BASE_URL || 'http://localhost:3005';
-    return `${baseUrl}${this.receiptFile.url}`;
-  }
-  return null;
+  // Privada: URL firmada de corta duración (ver archivoService)
+  return urlFirmada(this.receiptFile?.url);
 });
 
 // ===== MÉTODOS DE INSTANCIA =====
 
-// Método para marcar como pagado
-paymentSchema.methods.markAsPaid = async function(paymentData, userId) {
-  this.status = 'pagado';
-  this.paidDate = paymentData.paidDate || new Date();
-  this.paymentMethod = paymentData.paymentMethod;
-  this.paymentReference = paymentData.paymentReference || '';
-  this.paidBy = userId;
+// Siguiente número de recibo del mes: REC-AAAAMM-00001
+const generarNumeroRecibo = async (Model) => {
+  const year = new Date().getFullYear();
+  const month = (new Date().getMonth() + 1).toString().padStart(2, '0');
+
+  try {
+    const count = await Model.countDocuments({
+      receiptNumber: new RegExp(`^REC-${year}${month}`)
+    });
+
+    const sequence = (count + 1).toString().padStart(5, '0');
+    return `REC-${year}${month}-${sequence}`;
+  } catch (error) {
+    console.error('Error generando número de recibo:', error);
+    return undefined;
+  }
+};
+
+// Método para registrar un abono (pago parcial o liquidación)
+// abonoData: { monto, paymentMethod, paymentReference, paidDate, receiptFile, notes, sesionCaja }
+paymentSchema.methods.registrarAbono = async function(abonoData, userId) {
+  if (this.status === 'pagado' || this.status === 'cancelado') {
+    throw new Error(`No se pueden registrar abonos en un pago ${this.status}`);
+  }
+
+  const saldo = this.saldo;
+  const monto = Math.round(Number(abonoData.monto) * 100) / 100;
+
+  if (!(monto > 0)) {
+    throw new Error('El monto del abono debe ser mayor a 0');
+  }
+  if (monto > saldo) {
+    throw new Error(`El abono ($${monto}) excede el saldo pendiente ($${saldo})`);
+  }
+
+  const paidDate = abonoData.paidDate || new Date();
+
+  this.abonos.push({
+    numero: this.abonos.length + 1,
+    monto,
+    paymentMethod: abonoData.paymentMethod,
+    paymentReference: abonoData.paymentReference || '',
+    paidDate,
+    receiptFile: abonoData.receiptFile,
+    notes: abonoData.notes,
+    registradoPor: userId,
+    sesionCaja: abonoData.sesionCaja || null
+  });
+
+  // El cargo refleja el último método y referencia utilizados
+  this.paymentMethod = abonoData.paymentMethod;
+  this.paymentReference = abonoData.paymentReference || '';
   this.lastModifiedBy = userId;
-  
-  // Generar número de recibo si no existe
+
+  if (monto === saldo) {
+    this.status = 'pagado';
+    this.paidDate = paidDate;
+    this.paidBy = userId;
+  } else {
+    // Con saldo y la fecha límite ya pasada, el cargo sigue vencido
+    const hoy = new Date();
+    hoy.setHours(0, 0, 0, 0);
+    this.status = this.dueDate && this.dueDate < hoy ? 'vencido' : 'parcial';
+  }
+
+  // El folio se asigna con el primer abono y lo comparten los siguientes
   if (!this.receiptNumber) {
-    const year = new Date().getFullYear();
-    const month = (new Date().getMonth() + 1).toString().padStart(2, '0');
-    
-    try {
-      const count = await this.constructor.countDocuments({
-        receiptNumber: new RegExp(`^REC-${year}${month}`)
-      });
-      
-      const sequence = (count + 1).toString().padStart(5, '0');
-      this.receiptNumber = `REC-${year}${month}-${sequence}`;
-    } catch (error) {
-      console.error('Error generando número de recibo:', error);
-    }
+    this.receiptNumber = await generarNumeroRecibo(this.constructor);
   }
-  
+
   await this.save();
+  return this.abonos[this.abonos.length - 1];
+};
+
+// Método para marcar como pagado: liquida el saldo pendiente en un solo abono
+paymentSchema.methods.markAsPaid = async function(paymentData, userId) {
+  await this.registrarAbono({
+    ...paymentData,
+    monto: this.saldo
+  }, userId);
   return this;
 };
 
@@ -356,7 +540,12 @@ paymentSchema.methods.getPublicInfo = function() {
     description: obj.description,
     amount: obj.amount,
     discount: obj.discount,
+    descuentosAplicados: obj.descuentosAplicados,
+    lateFee: obj.lateFee,
     total: obj.total,
+    montoPagado: obj.montoPagado,
+    saldo: obj.saldo,
+    abonos: obj.abonos,
     dueDate: obj.dueDate,
     paidDate: obj.paidDate,
     period: obj.period,
@@ -369,6 +558,7 @@ paymentSchema.methods.getPublicInfo = function() {
     daysOverdue: obj.daysOverdue,
     receiptFile: obj.receiptFile,
     receiptFileUrl: obj.receiptFileUrl,
+    recordatorios: obj.recordatorios,
     notes: obj.notes,
     createdBy: obj.createdBy,
     lastModifiedBy: obj.lastModifiedBy,
@@ -439,8 +629,68 @@ paymentSchema.statics.findByTutor = function(tutorId, filters = {}) {
     .sort({ dueDate: -1 });
 };
 
+// ===== COBROS E INGRESOS EN AGREGACIONES =====
+
+// Estados con saldo por cobrar
+const ESTADOS_ABIERTOS = ['pendiente', 'parcial', 'vencido'];
+
+// Saldo de un cargo abierto dentro de una agregación (como el virtual saldo)
+const SALDO_AGREGADO = {
+  $max: [0, { $round: [{ $subtract: ['$total', { $sum: '$abonos.monto' }] }, 2] }]
+};
+
+// Etapas que convierten cada cargo en sus cobros, en el campo `cobro`
+// ({ monto, paidDate, paymentMethod }): uno por abono o, en los cargos
+// liquidados antes de los abonos, uno por el total. Los ingresos se cuentan en
+// la fecha de cada cobro. { desde, hasta } filtra por esa fecha.
+paymentSchema.statics.etapasCobros = function(filters = {}, { desde, hasta } = {}) {
+  const fecha = {};
+  if (desde) fecha.$gte = desde;
+  if (hasta) fecha.$lte = hasta;
+  const porFecha = Object.keys(fecha).length > 0;
+
+  return [
+    {
+      $match: {
+        isActive: true,
+        status: { $ne: 'cancelado' },
+        ...(porFecha ? { $or: [{ 'abonos.paidDate': fecha }, { paidDate: fecha }] } : {}),
+        ...filters
+      }
+    },
+    {
+      $addFields: {
+        cobro: {
+          $cond: [
+            { $gt: [{ $size: { $ifNull: ['$abonos', []] } }, 0] },
+            {
+              $map: {
+                input: '$abonos',
+                as: 'abono',
+                in: { monto: '$$abono.monto', paidDate: '$$abono.paidDate', paymentMethod: '$$abono.paymentMethod' }
+              }
+            },
+            {
+              $cond: [
+                { $eq: ['$status', 'pagado'] },
+                [{ monto: '$total', paidDate: '$paidDate', paymentMethod: '$paymentMethod' }],
+                []
+              ]
+            }
+          ]
+        }
+      }
+    },
+    { $unwind: '$cobro' },
+    ...(porFecha ? [{ $match: { 'cobro.paidDate': fecha } }] : [])
+  ];
+};
+
+paymentSchema.statics.ESTADOS_ABIERTOS = ESTADOS_ABIERTOS;
+paymentSchema.statics.SALDO_AGREGADO = SALDO_AGREGADO;
+
 paymentSchema.statics.getStats = async function(filters = {}) {
-  // ✅ Calcular estadísticas por estado
+  // ✅ Calcular estadísticas por estado (en los abiertos, el saldo por cobrar)
   const stats = await this.aggregate([
     { 
       $match: { 
@@ -452,13 +702,15 @@ paymentSchema.statics.getStats = async function(filters = {}) {
       $group: {
         _id: '$status',
         count: { $sum: 1 },
-        total: { $sum: '$total' }
+        total: {
+          $sum: { $cond: [{ $in: ['$status', ESTADOS_ABIERTOS] }, SALDO_AGREGADO, '$total'] }
+        }
       }
     }
   ]);
 
   // ✅ NUEVO: Calcular pagos vencidos dinámicamente
-  // Un pago está vencido si: status = 'pendiente' o 'vencido' Y dueDate < hoy
+  // Un pago está vencido si sigue abierto (pendiente, parcial o vencido) Y dueDate < hoy
   const today = new Date();
   today.setHours(0, 0, 0, 0);
   
@@ -466,7 +718,7 @@ paymentSchema.statics.getStats = async function(filters = {}) {
     {
       $match: {
         isActive: true,
-        status: { $in: ['pendiente', 'vencido'] },
+        status: { $in: ESTADOS_ABIERTOS },
         dueDate: { $lt: today },
         ...filters
       }
@@ -475,7 +727,7 @@ paymentSchema.statics.getStats = async function(filters = {}) {
       $group: {
         _id: null,
         count: { $sum: 1 },
-        total: { $sum: '$total' }
+        total: { $sum: SALDO_AGREGADO }
       }
     }
   ]);
@@ -506,20 +758,10 @@ paymentSchema.statics.getStats = async function(filters = {}) {
 
 paymentSchema.pre('save', async function(next) {
   if (this.isNew && this.status === 'pagado' && !this.receiptNumber) {
-    try {
-      const year = new Date().getFullYear();
-      const month = (new Date().getMonth() + 1).toString().padStart(2, '0');
-      const count = await this.constructor.countDocuments({
-        receiptNumber: new RegExp(`^REC-${year}${month}`)
-      });
-      const sequence = (count + 1).toString().padStart(5, '0');
-      this.receiptNumber = `REC-${year}${month}-${sequence}`;
-    } catch (error) {
-      console.error('Error generando número de recibo:', error);
-    }
+    this.receiptNumber = await generarNumeroRecibo(this.constructor);
   }
   
-  this.total = this.amount - (this.discount || 0);
+  this.total = this.amount - (this.discount || 0) + (this.lateFee || 0);
   next();
 });
 
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// Refresh tokens de sesión. Solo se guarda el hash SHA-256 del token;
+// el valor en claro únicamente lo conoce el cliente.
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'El usuario es requerido']
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Rotación: al usarse se revoca y apunta al token que lo reemplazó
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['rotado', 'logout', 'logout_todas', 'cambio_password', 'usuario_desactivado', 'reuso_detectado', 'reset_password'],
+    default: null
+  },
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RefreshToken',
+    default: null
+  },
+  // Metadata de la sesión
+  createdByIp: {
+    type: String,
+    trim: true
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+    maxlength: 300
+  }
+}, {
+  timestamps: true
+});
+
+refreshTokenSchema.index({ user: 1, revokedAt: 1 });
+// MongoDB elimina los documentos automáticamente al expirar
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual: el token puede usarse para renovar la sesión
+refreshTokenSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Método de instancia para revocar el token
+refreshTokenSchema.methods.revocar = async function(motivo, replacedById = null) {
+  this.revokedAt = new Date();
+  this.revokedReason = motivo;
+  if (replacedById) this.replacedBy = replacedById;
+  await this.save();
+  return this;
+};
+
+// Método estático para revocar todas las sesiones activas de un usuario
+refreshTokenSchema.statics.revocarTodos = function(userId, motivo) {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: motivo } }
+  );
+};
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
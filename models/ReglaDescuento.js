@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+
+// Reglas de descuento que se aplican automáticamente al generar mensualidades.
+// Se evalúan por prioridad (mayor primero); los límites de acumulación globales
+// están en Configuracion (pago_descuento_maximo, pago_descuento_max_reglas).
+const reglaDescuentoSchema = new mongoose.Schema({
+  nombre: {
+    type: String,
+    required: [true, 'El nombre es requerido'],
+    trim: true,
+    maxlength: [100, 'El nombre no puede exceder 100 caracteres']
+  },
+  descripcion: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'La descripción no puede exceder 500 caracteres']
+  },
+
+  // ── Tipo de regla ─────────────────────────────────────────────────────────
+  // hermanos            → alumnos activos con el mismo Tutor
+  // multiples_programas → alumno inscrito en varios enrollment.programa
+  // pago_adelantado     → colegiatura cobrada antes de su fecha límite (se aplica al cobrar)
+  tipo: {
+    type: String,
+    enum: {
+      values: ['hermanos', 'multiples_programas', 'pago_adelantado'],
+      message: '{VALUE} no es un tipo de regla válido'
+    },
+    required: [true, 'El tipo de regla es requerido']
+  },
+
+  condiciones: {
+    // hermanos: mínimo de alumnos activos con el mismo tutor
+    minHermanos: {
+      type: Number,
+      min: [2, 'Se requieren al menos 2 hermanos'],
+      default: 2
+    },
+    // hermanos: si es false, el primer inscrito paga completo
+    aplicarAlPrimero: {
+      type: Boolean,
+      default: false
+    },
+    // multiples_programas: mínimo de programas inscritos
+    minProgramas: {
+      type: Number,
+      min: [2, 'Se requieren al menos 2 programas'],
+      default: 2
+    },
+    // pago_adelantado: mínimo de colegiaturas por vencer del alumno al cobrar (incluida la cobrada)
+    minMeses: {
+      type: Number,
+      min: [2, 'Se requieren al menos 2 meses'],
+      default: 3
+    }
+  },
+
+  // ── Valor del descuento ───────────────────────────────────────────────────
+  modo: {
+    type: String,
+    enum: ['porcentaje', 'monto'],
+    default: 'porcentaje'
+  },
+  cantidad: {
+    type: Number,
+    required: [true, 'La cantidad del descuento es requerida'],
+    min: [0, 'La cantidad no puede ser negativa'],
+    validate: {
+      validator: function(value) {
+        return this.modo !== 'porcentaje' || value <= 100;
+      },
+      message: 'El porcentaje no puede ser mayor a 100'
+    }
+  },
+
+  // ── Acumulación ───────────────────────────────────────────────────────────
+  prioridad: {
+    type: Number,
+    default: 0
+  },
+  // Una regla no acumulable solo se aplica sola
+  acumulable: {
+    type: Boolean,
+    default: true
+  },
+
+  // ── Alcance ───────────────────────────────────────────────────────────────
+  tiposPago: {
+    type: [String],
+    enum: ['colegiatura', 'inscripcion', 'uniforme', 'examen', 'equipo', 'otro'],
+    default: ['colegiatura']
+  },
+  // Vacío = todas las sucursales
+  sucursales: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sucursal'
+  }],
+  vigenciaInicio: {
+    type: Date,
+    default: null
+  },
+  vigenciaFin: {
+    type: Date,
+    default: null
+  },
+
+  // ── Estado y Auditoría ────────────────────────────────────────────────────
+  activa: {
+    type: Boolean,
+    default: true
+  },
+  creadoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  modificadoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+reglaDescuentoSchema.index({ activa: 1, prioridad: -1 });
+
+// Reglas activas y vigentes en una fecha, ordenadas por prioridad
+reglaDescuentoSchema.statics.findVigentes = function(fecha = new Date()) {
+  return this.find({
+    activa: true,
+    $and: [
+      { $or: [{ vigenciaInicio: null }, { vigenciaInicio: { $lte: fecha } }] },
+      { $or: [{ vigenciaFin: null }, { vigenciaFin: { $gte: fecha } }] }
+    ]
+  })
+    .sort({ prioridad: -1, createdAt: 1 })
+    .lean();
+};
+
+module.exports = mongoose.model('ReglaDescuento', reglaDescuentoSchema);
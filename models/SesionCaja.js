@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+
+const METODOS_PAGO = ['efectivo', 'tarjeta', 'transferencia', 'cheque', 'deposito'];
+
+// Importe por método de pago (esperado, contado o diferencia)
+const porMetodoSchema = new mongoose.Schema(
+  METODOS_PAGO.reduce((acc, metodo) => {
+    acc[metodo] = { type: Number, default: 0 };
+    return acc;
+  }, {}),
+  { _id: false }
+);
+
+// Sesión de caja (corte de caja): un cajero abre la caja en una sucursal, cada
+// cobro que registra queda ligado a la sesión (Payment.abonos.sesionCaja) y al
+// cerrar se compara lo esperado contra lo contado por método de pago.
+const sesionCajaSchema = new mongoose.Schema({
+  folio: {
+    type: String,
+    unique: true,
+    trim: true,
+    uppercase: true
+  },
+  sucursal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sucursal',
+    required: [true, 'La sucursal es requerida']
+  },
+  usuario: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'El cajero es requerido']
+  },
+  estado: {
+    type: String,
+    enum: ['abierta', 'cerrada'],
+    default: 'abierta'
+  },
+
+  // ── Apertura ──────────────────────────────────────────────────────────────
+  fechaApertura: {
+    type: Date,
+    default: Date.now
+  },
+  // Efectivo en el cajón al abrir; se suma a lo esperado en efectivo
+  fondoInicial: {
+    type: Number,
+    min: [0, 'El fondo inicial no puede ser negativo'],
+    default: 0
+  },
+  notasApertura: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Las notas no pueden exceder 500 caracteres']
+  },
+
+  // ── Cierre ────────────────────────────────────────────────────────────────
+  fechaCierre: {
+    type: Date,
+    default: null
+  },
+  cerradaPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  esperado: {
+    type: porMetodoSchema,
+    default: () => ({})
+  },
+  contado: {
+    type: porMetodoSchema,
+    default: () => ({})
+  },
+  // contado - esperado (negativo = faltante, positivo = sobrante)
+  diferencias: {
+    type: porMetodoSchema,
+    default: () => ({})
+  },
+  totalEsperado  : { type: Number, default: 0 },
+  totalContado   : { type: Number, default: 0 },
+  totalDiferencia: { type: Number, default: 0 },
+  numeroCobros   : { type: Number, default: 0 },
+  notasCierre: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Las notas no pueden exceder 500 caracteres']
+  }
+}, {
+  timestamps: true
+});
+
+// Un cajero solo puede tener una sesión abierta a la vez
+sesionCajaSchema.index(
+  { usuario: 1 },
+  { unique: true, partialFilterExpression: { estado: 'abierta' } }
+);
+sesionCajaSchema.index({ sucursal: 1, fechaApertura: -1 });
+sesionCajaSchema.index({ estado: 1 });
+
+// Folio consecutivo por mes: CAJA-AAAAMM-0001
+sesionCajaSchema.pre('save', async function(next) {
+  if (this.isNew && !this.folio) {
+    try {
+      const year = new Date().getFullYear();
+      const month = (new Date().getMonth() + 1).toString().padStart(2, '0');
+      const count = await this.constructor.countDocuments({
+        folio: new RegExp(`^CAJA-${year}${month}`)
+      });
+      this.folio = `CAJA-${year}${month}-${(count + 1).toString().padStart(4, '0')}`;
+    } catch (error) {
+      console.error('Error generando folio de caja:', error);
+    }
+  }
+  next();
+});
+
+sesionCajaSchema.statics.METODOS_PAGO = METODOS_PAGO;
+
+// Sesión abierta de un cajero (o null)
+sesionCajaSchema.statics.findAbierta = function(usuarioId) {
+  return this.findOne({ usuario: usuarioId, estado: 'abierta' });
+};
+
+module.exports = mongoose.model('SesionCaja', sesionCajaSchema);
@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+
+// Sesión concreta de una clase en una fecha. Se materializa a partir del patrón
+// del Horario (dias, fechaInicio, fechaFin) y permite cancelar, reprogramar o
+// asignar un instructor suplente sin tocar el horario recurrente.
+const sesionClaseSchema = new mongoose.Schema({
+  horario: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Horario',
+    required: [true, 'El horario es requerido']
+  },
+  sucursal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sucursal',
+    required: [true, 'La sucursal es requerida']
+  },
+  // Día de la sesión (00:00 hora local, igual que Asistencia.fecha)
+  fecha: {
+    type: Date,
+    required: [true, 'La fecha es requerida']
+  },
+  horaInicio: {
+    type: String,
+    required: true,
+    match: [/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, 'La hora de inicio debe estar en formato HH:MM']
+  },
+  horaFin: {
+    type: String,
+    required: true,
+    match: [/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, 'La hora de fin debe estar en formato HH:MM']
+  },
+  salon: {
+    type: String,
+    trim: true
+  },
+  instructor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'El instructor es requerido']
+  },
+  instructorSuplente: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  estado: {
+    type: String,
+    enum: ['programada', 'realizada', 'cancelada', 'reprogramada'],
+    default: 'programada'
+  },
+
+  // ── Cancelación ───────────────────────────────────────────────────────────
+  motivoCancelacion: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'El motivo no puede exceder 300 caracteres']
+  },
+  canceladaPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  diaFestivo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DiaFestivo',
+    default: null
+  },
+
+  // ── Reprogramación ────────────────────────────────────────────────────────
+  // La sesión original queda 'reprogramada' y apunta a la nueva
+  reprogramadaA: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SesionClase',
+    default: null
+  },
+  reprogramadaDe: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SesionClase',
+    default: null
+  },
+
+  notas: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Las notas no pueden exceder 500 caracteres']
+  },
+  modificadoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Una sola sesión por horario, fecha y hora
+sesionClaseSchema.index({ horario: 1, fecha: 1, horaInicio: 1 }, { unique: true });
+sesionClaseSchema.index({ sucursal: 1, fecha: 1 });
+sesionClaseSchema.index({ instructor: 1, fecha: 1 });
+sesionClaseSchema.index({ instructorSuplente: 1, fecha: 1 });
+sesionClaseSchema.index({ diaFestivo: 1 });
+
+// Quien imparte la sesión
+sesionClaseSchema.virtual('instructorAsignado').get(function() {
+  return this.instructorSuplente || this.instructor;
+});
+
+// ¿La clase se imparte (o se impartió)?
+sesionClaseSchema.virtual('seImparte').get(function() {
+  return ['programada', 'realizada'].includes(this.estado);
+});
+
+module.exports = mongoose.model('SesionClase', sesionClaseSchema);
@@ -58,6 +58,11 @@ const sucursalSchema = new mongoose.Schema({
     url: {
       type: String,
       default: null
+    },
+    // Miniaturas generadas al subir (ver services/imagenService.js)
+    variantes: {
+      thumb: { filename: String, url: String, ancho: Number, alto: Number },
+      card: { filename: String, url: String, ancho: Number, alto: Number }
     }
   },
   schedule: {
@@ -123,6 +128,18 @@ const sucursalSchema = new mongoose.Schema({
       default: 0
     }
   },
+  // Kiosco de asistencia: solo se guarda el hash de la clave del dispositivo
+  kiosco: {
+    claveHash: {
+      type: String,
+      select: false
+    },
+    generadaEn: Date,
+    generadaPor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
   isActive: {
     type: Boolean,
     default: true
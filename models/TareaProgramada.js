@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+// Estado persistido de cada tarea del scheduler. El documento también sirve
+// de candado: solo la instancia que logra tomar el bloqueo ejecuta la tarea,
+// así varias instancias del servidor no duplican mensualidades ni envíos.
+const tareaProgramadaSchema = new mongoose.Schema({
+  nombre: {
+    type: String,
+    required: [true, 'El nombre es requerido'],
+    unique: true,
+    trim: true
+  },
+  descripcion: {
+    type: String,
+    trim: true
+  },
+  activa: {
+    type: Boolean,
+    default: true
+  },
+
+  // ── Frecuencia: hora diaria 'HH:MM' o cada N minutos ──────────────────────
+  hora: {
+    type: String,
+    match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'La hora debe tener formato HH:MM'],
+    default: null
+  },
+  intervaloMinutos: {
+    type: Number,
+    min: [1, 'El intervalo mínimo es 1 minuto'],
+    default: null
+  },
+  proximaEjecucion: {
+    type: Date,
+    default: Date.now
+  },
+
+  // ── Bloqueo entre instancias ──────────────────────────────────────────────
+  bloqueadaPor: {
+    type: String,
+    default: null
+  },
+  bloqueadaHasta: {
+    type: Date,
+    default: null
+  },
+
+  // ── Resultado de la última ejecución ──────────────────────────────────────
+  ultimaEjecucion: {
+    type: Date,
+    default: null
+  },
+  ultimoEstado: {
+    type: String,
+    enum: ['exito', 'error', null],
+    default: null
+  },
+  ultimoError: {
+    type: String,
+    default: null
+  },
+  fallosConsecutivos: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+tareaProgramadaSchema.index({ activa: 1, proximaEjecucion: 1 });
+
+// Virtual: la tarea está siendo ejecutada por alguna instancia
+tareaProgramadaSchema.virtual('enEjecucion').get(function() {
+  return !!(this.bloqueadaHasta && this.bloqueadaHasta > new Date());
+});
+
+tareaProgramadaSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('TareaProgramada', tareaProgramadaSchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// Lista de revocación de access tokens (JWT) por su identificador `jti`.
+// Cada entrada vive solo hasta que el JWT habría expirado de todas formas.
+const tokenRevocadoSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+tokenRevocadoSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Método estático para saber si un jti fue revocado
+tokenRevocadoSchema.statics.estaRevocado = async function(jti) {
+  if (!jti) return false;
+  const existe = await this.exists({ jti });
+  return !!existe;
+};
+
+module.exports = mongoose.model('TokenRevocado', tokenRevocadoSchema);
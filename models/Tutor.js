@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { urlFirmada } = require('../services/archivoService');
 
 const tutorSchema = new mongoose.Schema({
   // Información Personal Básica
@@ -174,6 +175,11 @@ const tutorSchema = new mongoose.Schema({
     url: {
       type: String,
       default: null
+    },
+    // Miniaturas generadas al subir (ver services/imagenService.js)
+    variantes: {
+      thumb: { filename: String, url: String, ancho: Number, alto: Number },
+      card: { filename: String, url: String, ancho: Number, alto: Number }
     }
   },
 
@@ -242,6 +248,13 @@ const tutorSchema = new mongoose.Schema({
     maxlength: [1000, 'Las notas no pueden exceder 1000 caracteres']
   },
 
+  // Cuenta de usuario (rol padre) vinculada para el portal de familias
+  usuario: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
   // Estado y Auditoría
   isActive: {
     type: Boolean,
@@ -268,6 +281,11 @@ tutorSchema.index({ firstName: 1, lastName: 1 });
 tutorSchema.index({ 'phones.primary': 1 });
 tutorSchema.index({ isActive: 1 });
 tutorSchema.index({ createdAt: -1 });
+// Una cuenta de usuario solo puede estar vinculada a un tutor
+tutorSchema.index(
+  { usuario: 1 },
+  { unique: true, partialFilterExpression: { usuario: { $type: 'objectId' } } }
+);
 
 // Virtual para nombre completo
 tutorSchema.virtual('fullName').get(function() {
@@ -309,14 +327,13 @@ tutorSchema.virtual('fullAddress').get(function() {
 
 // Virtual para URL de foto de perfil
 tutorSchema.virtual('profilePhotoUrl').get(function() {
-  if (this.profilePhoto && this.profilePhoto.url) {
-    if (this.profilePhoto.url.startsWith('http')) {
-      return this.profilePhoto.url;
-    }
-    const baseUrl = process.env.BASE_URL || 'http://localhost:3005';
-    return `${baseUrl}${this.profilePhoto.url}`;
-  }
-  return null;
+  // Privada: URL firmada de corta duración (ver archivoService)
+  return urlFirmada(this.profilePhoto?.url);
+});
+
+// Miniatura para listas; las fotos anteriores al procesamiento no la tienen
+tutorSchema.virtual('profilePhotoThumbUrl').get(function() {
+  return urlFirmada(this.profilePhoto?.variantes?.thumb?.url || this.profilePhoto?.url);
 });
 
 // Virtual para obtener el número de hijos registrados
@@ -338,6 +355,7 @@ tutorSchema.methods.getPublicInfo = function() {
     email: this.email,
     phones: this.phones,
     profilePhotoUrl: this.profilePhotoUrl,
+    profilePhotoThumbUrl: this.profilePhotoThumbUrl,
     preferences: this.preferences,
     isActive: this.isActive,
     createdAt: this.createdAt
@@ -365,6 +383,14 @@ tutorSchema.statics.findActive = function(filters = {}) {
   }).populate('createdBy', 'name');
 };
 
+// Método estático para obtener el tutor vinculado a una cuenta de usuario
+tutorSchema.statics.findByUsuario = function(userId) {
+  return this.findOne({
+    usuario: userId,
+    isActive: true
+  });
+};
+
 // Método para buscar tutores con sus hijos
 tutorSchema.statics.findWithChildren = function(tutorId = null) {
   const match = tutorId ? { _id: tutorId, isActive: true } : { isActive: true };
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const nivelService = require('../services/nivelService');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -86,6 +88,21 @@ const userSchema = new mongoose.Schema({
   lastLogin: {
     type: Date
   },
+  // Los access tokens emitidos antes de esta fecha se consideran revocados
+  // (logout de todas las sesiones, cambio de contraseña, desactivación)
+  sesionesValidasDesde: {
+    type: Date,
+    default: null
+  },
+  // Restablecimiento de contraseña: solo se guarda el hash del token
+  resetPasswordToken: {
+    type: String,
+    select: false
+  },
+  resetPasswordExpires: {
+    type: Date,
+    select: false
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -100,9 +117,15 @@ const userSchema = new mongoose.Schema({
   // ============================================
   instructorInfo: {
     // Grado y certificaciones
+    // Disciplina del grado (slug de Disciplina) y clave de uno de sus niveles
+    disciplina: {
+      type: String,
+      trim: true,
+      default: 'tae-kwon-do'
+    },
     belt: {
       type: String,
-      enum: ['blanco', 'amarillo', 'verde', 'azul', 'rojo', 'negro_1dan', 'negro_2dan', 'negro_3dan', 'negro_4dan', 'negro_5dan', 'negro_6dan', 'negro_7dan', 'negro_8dan', 'negro_9dan'],
+      trim: true,
       default: null
     },
     danGrade: {
@@ -268,29 +291,9 @@ userSchema.virtual('fullName').get(function() {
   return this.name;
 });
 
-// Virtual para obtener información del cinturón del instructor en formato legible
-userSchema.virtual('instructorInfo.beltDisplay').get(function() {
-  if (!this.instructorInfo || !this.instructorInfo.belt) return null;
-  
-  const beltNames = {
-    'blanco': 'Cinta Blanca',
-    'amarillo': 'Cinta Amarilla',
-    'verde': 'Cinta Verde',
-    'azul': 'Cinta Azul',
-    'rojo': 'Cinta Roja',
-    'negro_1dan': 'Cinta Negra 1er Dan',
-    'negro_2dan': 'Cinta Negra 2do Dan',
-    'negro_3dan': 'Cinta Negra 3er Dan',
-    'negro_4dan': 'Cinta Negra 4to Dan',
-    'negro_5dan': 'Cinta Negra 5to Dan',
-    'negro_6dan': 'Cinta Negra 6to Dan',
-    'negro_7dan': 'Cinta Negra 7mo Dan',
-    'negro_8dan': 'Cinta Negra 8vo Dan',
-    'negro_9dan': 'Cinta Negra 9no Dan'
-  };
-  
-  return beltNames[this.instructorInfo.belt] || this.instructorInfo.belt;
-});
+// El nombre legible del grado (instructorInfo.beltDisplay) depende del sistema
+// de niveles de la disciplina: lo agregan las respuestas con
+// nivelService.conNombreGrado
 
 // Middleware para hashear la contraseña antes de guardar
 userSchema.pre('save', async function(next) {
@@ -306,6 +309,15 @@ userSchema.pre('save', async function(next) {
   }
 });
 
+// El grado del instructor debe existir en el sistema de su disciplina
+userSchema.pre('validate', async function() {
+  const belt = this.instructorInfo?.belt;
+  if (!belt || !(this.isModified('instructorInfo.belt') || this.isModified('instructorInfo.disciplina'))) return;
+
+  const { error } = await nivelService.validarNivel(nivelService.disciplinaDeInstructor(this), belt);
+  if (error) this.invalidate('instructorInfo.belt', error, belt);
+});
+
 // Middleware para actualizar lastLogin
 userSchema.pre('save', function(next) {
   if (this.isNew || this.isModified('lastLogin')) {
@@ -330,10 +342,47 @@ userSchema.methods.getPublicProfile = function() {
   // Remover campos sensibles
   delete userObject.password;
   delete userObject.__v;
+  delete userObject.sesionesValidasDesde;
+  delete userObject.resetPasswordToken;
+  delete userObject.resetPasswordExpires;
   
   return userObject;
 };
 
+// Método de instancia para invalidar todos los access tokens emitidos hasta ahora.
+// Se redondea al segundo porque el claim `iat` del JWT no tiene milisegundos.
+userSchema.methods.invalidarSesiones = function() {
+  this.sesionesValidasDesde = new Date(Math.floor(Date.now() / 1000) * 1000);
+  return this;
+};
+
+// Método de instancia para generar un token de restablecimiento de contraseña.
+// Devuelve el token en claro (para el enlace del email) y guarda solo su hash.
+userSchema.methods.crearTokenResetPassword = function(minutosVigencia = 60) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  this.resetPasswordToken = crypto.createHash('sha256').update(token).digest('hex');
+  this.resetPasswordExpires = new Date(Date.now() + minutosVigencia * 60 * 1000);
+
+  return token;
+};
+
+// Método estático para consumir un token de restablecimiento vigente: lo borra
+// en la misma operación que lo busca, así dos solicitudes con el mismo token no
+// pueden usarlo ambas. Devuelve el usuario (activo) o null.
+userSchema.statics.consumirResetToken = function(token) {
+  const hash = crypto.createHash('sha256').update(token).digest('hex');
+  return this.findOneAndUpdate(
+    {
+      resetPasswordToken: hash,
+      resetPasswordExpires: { $gt: new Date() },
+      isActive: true
+    },
+    { $unset: { resetPasswordToken: 1, resetPasswordExpires: 1 } },
+    { new: true }
+  ).select('+password');
+};
+
 // Método estático para buscar usuario por email
 userSchema.statics.findByEmail = function(email) {
   return this.findOne({ email: email.toLowerCase() });
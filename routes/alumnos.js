@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const multer = require('multer');
-const path = require('path');
+const { nombreUnico } = require('../services/almacenamientoService');
+const { storageImagen } = require('../services/imagenService');
 
 // Importar controladores
 const {
@@ -14,7 +15,10 @@ const {
   updateBelt,
   getAlumnosStats,
   getAlumnosByPrograma,   // v1.5
-  getSolicitudPDF         // v1.5 PDF
+  getSolicitudPDF,        // v1.5 PDF
+  getQrAlumno,
+  regenerarQrAlumno,
+  getCredencialPDF
 } = require('../controllers/alumnoController');
 
 // Importar middleware de autenticación
@@ -37,18 +41,7 @@ const {
 } = require('../middleware/validation');
 
 // Configuración de multer para subida de fotos de perfil
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    const uploadPath = path.join(__dirname, '../uploads/profiles');
-    cb(null, uploadPath);
-  },
-  filename: function (req, file, cb) {
-    // Generar nombre único para el archivo
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const ext = path.extname(file.originalname);
-    cb(null, 'alumno-' + uniqueSuffix + ext);
-  }
-});
+const storage = storageImagen('profiles', nombreUnico('alumno'));
 
 // Filtros para multer
 const fileFilter = (req, file, cb) => {
@@ -68,28 +61,6 @@ const upload = multer({
   }
 });
 
-// Middleware para crear directorio de uploads si no existe
-const ensureUploadDir = async (req, res, next) => {
-  try {
-    const fs = require('fs').promises;
-    const uploadPath = path.join(__dirname, '../uploads/profiles');
-    
-    try {
-      await fs.access(uploadPath);
-    } catch {
-      await fs.mkdir(uploadPath, { recursive: true });
-    }
-    
-    next();
-  } catch (error) {
-    console.error('Error creando directorio de uploads:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error del servidor al preparar subida de archivos'
-    });
-  }
-};
-
 // @route   GET /api/alumnos/stats
 // @desc    Obtener estadísticas generales de alumnos
 // @access  Private (Admin, Instructor)
@@ -133,6 +104,39 @@ router.get('/:id/solicitud-pdf',
   getSolicitudPDF
 );
 
+// @route   GET /api/alumnos/:id/qr
+// @desc    QR de asistencia del alumno (PNG) para el kiosco
+// @access  Private (Admin, Instructor)
+router.get('/:id/qr',
+  authenticate,
+  isInstructor,
+  validateMongoId,
+  logAuthRequest,
+  getQrAlumno
+);
+
+// @route   POST /api/alumnos/:id/qr/regenerar
+// @desc    Regenerar QR de asistencia (invalida credenciales anteriores)
+// @access  Private (Admin only)
+router.post('/:id/qr/regenerar',
+  authenticate,
+  isAdmin,
+  validateMongoId,
+  logAuthRequest,
+  regenerarQrAlumno
+);
+
+// @route   GET /api/alumnos/:id/credencial-pdf
+// @desc    Credencial del alumno con QR de asistencia
+// @access  Private (Admin, Instructor)
+router.get('/:id/credencial-pdf',
+  authenticate,
+  isInstructor,
+  validateMongoId,
+  logAuthRequest,
+  getCredencialPDF
+);
+
 // @route   GET /api/alumnos/:id
 // @desc    Obtener alumno por ID
 // @access  Private (Admin, Instructor)
@@ -187,7 +191,6 @@ router.post('/:id/photo',
   authenticate, 
   isAdmin,
   validateMongoId, 
-  ensureUploadDir,
   upload.single('photo'),
   validateFileSize(5 * 1024 * 1024), // 5MB
   validateFileType(['image/jpeg', 'image/jpg', 'image/png', 'image/gif']),
@@ -0,0 +1,12 @@
+const express = require('express');
+const router  = express.Router();
+const ctrl    = require('../controllers/archivoController');
+const { authenticate, optionalAuth } = require('../middleware/auth');
+
+// Enlace temporal para <img>/<a> (el navegador no envía el JWT)
+router.post('/firmar', authenticate, ctrl.firmar);
+
+// Con URL firmada no hace falta sesión; sin ella se revisan los permisos
+router.get('/:carpeta/:archivo', optionalAuth, ctrl.servir);
+
+module.exports = router;
@@ -14,7 +14,12 @@ const {
     getAsistenciasByHorario,
     getAsistenciasByFecha,
     getEstadisticasGenerales,
-    getConfiguracionesAsistencias // ✅ NUEVO
+    getAlumnosEnRiesgo,
+    exportarListaMensual,
+    notificarAlumnosEnRiesgo,
+    getConfiguracionesAsistencias, // ✅ NUEVO
+    cargarKiosco,
+    checkinKiosco
 } = require('../controllers/asistenciaController');
 
 // Importar middleware de autenticación
@@ -66,6 +71,15 @@ router.get('/configuraciones',
     getConfiguracionesAsistencias
 );
 
+// Registro con QR desde el kiosco de una sucursal (sin usuario: el kiosco
+// se identifica con su clave en la cabecera X-Kiosco-Clave)
+// POST /api/asistencias/kiosco/:sucursalId
+// Body: { codigo }
+router.post('/kiosco/:sucursalId',
+    cargarKiosco,
+    checkinKiosco
+);
+
 // Obtener estadísticas generales de asistencias
 // GET /api/asistencias/estadisticas
 router.get('/estadisticas', 
@@ -75,6 +89,27 @@ router.get('/estadisticas',
     getEstadisticasGenerales
 );
 
+// Reporte de alumnos en riesgo de abandono (instructores: solo sus clases)
+// GET /api/asistencias/riesgo?sucursal=&instructor=&semanas=&umbral=&faltasSeguidas=
+router.get('/riesgo', 
+    authenticate, 
+    isInstructor, 
+    logAuthRequest, 
+    getAlumnosEnRiesgo
+);
+
+// Enviar avisos por email a instructores y/o familias de los alumnos en riesgo
+// (solo admin; se omiten los alumnos avisados recientemente)
+// POST /api/asistencias/riesgo/notificar
+// Body: { sucursal, instructor, semanas, umbral, faltasSeguidas, destinatarios }
+router.post('/riesgo/notificar', 
+    authenticate, 
+    isAdmin, 
+    sanitizeInput, 
+    logAuthRequest, 
+    notificarAlumnosEnRiesgo
+);
+
 // Obtener asistencias por alumno
 // GET /api/asistencias/alumno/:alumnoId
 router.get('/alumno/:alumnoId', 
@@ -85,6 +120,16 @@ router.get('/alumno/:alumnoId',
     getAsistenciasByAlumno
 );
 
+// Lista de asistencia mensual de una clase (cuadrícula alumnos × fechas)
+// GET /api/asistencias/horario/:horarioId/lista?anio=&mes=&formato=pdf|csv
+router.get('/horario/:horarioId/lista', 
+    authenticate, 
+    isInstructor,
+    validateParamId('horarioId'),
+    logAuthRequest, 
+    exportarListaMensual
+);
+
 // Obtener asistencias por horario
 // GET /api/asistencias/horario/:horarioId
 router.get('/horario/:horarioId', 
@@ -0,0 +1,13 @@
+const express    = require('express');
+const router     = express.Router();
+const ctrl       = require('../controllers/auditoriaController');
+const { authenticate, authorize } = require('../middleware/auth');
+
+// Solo lectura y solo admin: el registro no se puede editar ni borrar por API
+router.use(authenticate, authorize('admin'));
+
+router.get('/',                              ctrl.getAll);
+router.get('/historial/:entidad/:entidadId', ctrl.getHistorial);
+router.get('/:id',                           ctrl.getById);
+
+module.exports = router;
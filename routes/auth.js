@@ -1,4 +1,5 @@
 const express = require('express');
+const rateLimit = require('express-rate-limit');
 const router = express.Router();
 
 // Importar controladores
@@ -6,8 +7,12 @@ const {
   register,
   login,
   verifyToken,
+  refresh,
   logout,
+  logoutAll,
   changePassword,
+  forgotPassword,
+  resetPassword,
   getProfile,
   updateProfile,
   getUsers
@@ -25,6 +30,8 @@ const {
   validateRegister,
   validateLogin,
   validateChangePassword,
+  validateForgotPassword,
+  validateResetPassword,
   validateUpdateProfile,
   validateUserQuery,
   sanitizeInput
@@ -40,21 +47,66 @@ router.post('/register', sanitizeInput, validateRegister, register);
 // @access  Public
 router.post('/login', sanitizeInput, validateLogin, login);
 
+// Rate limiting por email para solicitudes de restablecimiento de contraseña
+const forgotPasswordLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hora
+  max: 3, // máximo 3 solicitudes por email por hora
+  keyGenerator: (req) => `forgot:${String(req.body?.email || req.ip).toLowerCase().trim()}`,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    success: false,
+    message: 'Demasiadas solicitudes de restablecimiento para este email. Intenta de nuevo en una hora.'
+  }
+});
+
+// Rate limiting por IP para intentos de restablecimiento con token
+const resetPasswordLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutos
+  max: 10,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    success: false,
+    message: 'Demasiados intentos de restablecimiento. Intenta de nuevo más tarde.'
+  }
+});
+
 // @route   GET /api/auth/verify
 // @desc    Verificar token
 // @access  Private
 router.get('/verify', authenticate, verifyToken);
 
+// @route   POST /api/auth/refresh
+// @desc    Renovar access token (rota el refresh token)
+// @access  Public
+router.post('/refresh', sanitizeInput, refresh);
+
 // @route   POST /api/auth/logout
-// @desc    Cerrar sesión
+// @desc    Cerrar sesión actual (revoca access y refresh token)
+// @access  Private
+router.post('/logout', authenticate, sanitizeInput, logout);
+
+// @route   POST /api/auth/logout-all
+// @desc    Cerrar todas las sesiones del usuario
 // @access  Private
-router.post('/logout', authenticate, logout);
+router.post('/logout-all', authenticate, logAuthRequest, logoutAll);
 
 // @route   PUT /api/auth/change-password
 // @desc    Cambiar contraseña
 // @access  Private
 router.put('/change-password', authenticate, sanitizeInput, validateChangePassword, changePassword);
 
+// @route   POST /api/auth/forgot-password
+// @desc    Solicitar enlace para restablecer contraseña
+// @access  Public
+router.post('/forgot-password', sanitizeInput, validateForgotPassword, forgotPasswordLimiter, forgotPassword);
+
+// @route   POST /api/auth/reset-password
+// @desc    Restablecer contraseña con token de un solo uso
+// @access  Public
+router.post('/reset-password', resetPasswordLimiter, sanitizeInput, validateResetPassword, resetPassword);
+
 // @route   GET /api/auth/profile
 // @desc    Obtener perfil del usuario actual
 // @access  Private
@@ -0,0 +1,16 @@
+const express    = require('express');
+const router     = express.Router();
+const ctrl       = require('../controllers/cajaController');
+const { authenticate, authorize } = require('../middleware/auth');
+
+// Cajeros: administradores e instructores
+router.use(authenticate, authorize('admin', 'instructor'));
+
+router.get('/',               ctrl.getAll);
+router.get('/actual',         ctrl.getActual);
+router.post('/abrir',         ctrl.abrir);
+router.get('/:id',            ctrl.getById);
+router.post('/:id/cerrar',    ctrl.cerrar);
+router.get('/:id/pdf',        ctrl.getPDF);
+
+module.exports = router;
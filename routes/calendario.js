@@ -0,0 +1,17 @@
+const express = require('express');
+const router  = express.Router();
+const ctrl    = require('../controllers/calendarioController');
+const { authenticate, authorize } = require('../middleware/auth');
+
+// Feed .ics público: los clientes de calendario no envían el JWT, el token
+// de la URL es la credencial
+router.get('/feed/:archivo', ctrl.feed);
+
+router.use(authenticate, authorize('admin', 'instructor'));
+
+// URLs de suscripción (instructores: solo su propio calendario)
+router.get('/tokens',        ctrl.getAll);
+router.post('/tokens',       ctrl.emitir);
+router.delete('/tokens/:id', ctrl.revocar);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express    = require('express');
+const router     = express.Router();
+const ctrl       = require('../controllers/descuentoController');
+const { authenticate, authorize } = require('../middleware/auth');
+
+// Todas las rutas requieren autenticación de administrador
+router.use(authenticate, authorize('admin'));
+
+router.get('/',           ctrl.getAll);
+router.post('/',          ctrl.create);
+router.post('/simular',   ctrl.simular);
+router.get('/:id',        ctrl.getById);
+router.put('/:id',        ctrl.update);
+router.delete('/:id',     ctrl.delete);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+const express = require('express');
+const router  = express.Router();
+const ctrl    = require('../controllers/diaFestivoController');
+const { authenticate, authorize } = require('../middleware/auth');
+
+router.use(authenticate);
+
+router.get('/',       authorize('admin', 'instructor'), ctrl.getAll);
+router.post('/',      authorize('admin'), ctrl.create);
+router.put('/:id',    authorize('admin'), ctrl.update);
+router.delete('/:id', authorize('admin'), ctrl.delete);
+
+module.exports = router;
@@ -15,7 +15,15 @@ const {
     getHorariosByDia,
     getHorariosDisponibles,
     getHorariosStats,
-    cambiarEstadoHorario
+    cambiarEstadoHorario,
+    getInscripcionesPendientes,
+    getConflictos,
+    aprobarInscripcion,
+    rechazarInscripcion,
+    getListaEspera,
+    agregarListaEspera,
+    quitarListaEspera,
+    responderOfertaListaEspera
 } = require('../controllers/horarioController');
 
 // Importar middleware de autenticación
@@ -56,6 +64,26 @@ router.get('/disponibles',
     getHorariosDisponibles
 );
 
+// @route   GET /api/horarios/conflictos
+// @desc    Reporte de conflictos de instructor, salón, alumnos y horarios de atención
+// @access  Private (Admin, Instructor)
+router.get('/conflictos', 
+    authenticate, 
+    isInstructor, 
+    logAuthRequest, 
+    getConflictos
+);
+
+// @route   GET /api/horarios/inscripciones/pendientes
+// @desc    Inscripciones por confirmar (el instructor solo ve las de sus clases)
+// @access  Private (Admin, Instructor)
+router.get('/inscripciones/pendientes', 
+    authenticate, 
+    isInstructor, 
+    logAuthRequest, 
+    getInscripcionesPendientes
+);
+
 // @route   GET /api/horarios/sucursal/:sucursalId
 // @desc    Obtener horarios por sucursal
 // @access  Private (Admin, Instructor)
@@ -174,6 +202,79 @@ router.delete('/:id/desinscribir/:alumnoId',
     desinscribirAlumno
 );
 
+// @route   POST /api/horarios/:id/inscripciones/:alumnoId/aprobar
+// @desc    Confirmar inscripción pendiente
+// @access  Private (Admin, Instructor de la clase)
+router.post('/:id/inscripciones/:alumnoId/aprobar', 
+    authenticate, 
+    isInstructor, 
+    validateMongoId, 
+    logAuthRequest, 
+    aprobarInscripcion
+);
+
+// @route   POST /api/horarios/:id/inscripciones/:alumnoId/rechazar
+// @desc    Rechazar inscripción pendiente (libera el lugar)
+// @access  Private (Admin, Instructor de la clase)
+router.post('/:id/inscripciones/:alumnoId/rechazar', 
+    authenticate, 
+    isInstructor, 
+    validateMongoId, 
+    sanitizeInput, 
+    logAuthRequest, 
+    rechazarInscripcion
+);
+
+// ============================================
+// RUTAS DE LISTA DE ESPERA
+// ============================================
+
+// @route   GET /api/horarios/:id/lista-espera
+// @desc    Ver lista de espera, ofertas pendientes e historial
+// @access  Private (Admin, Instructor)
+router.get('/:id/lista-espera', 
+    authenticate, 
+    isInstructor, 
+    validateMongoId, 
+    logAuthRequest, 
+    getListaEspera
+);
+
+// @route   POST /api/horarios/:id/lista-espera
+// @desc    Agregar alumno a la lista de espera
+// @access  Private (Admin only)
+router.post('/:id/lista-espera', 
+    authenticate, 
+    isAdmin, 
+    validateMongoId, 
+    sanitizeInput, 
+    logAuthRequest, 
+    agregarListaEspera
+);
+
+// @route   DELETE /api/horarios/:id/lista-espera/:alumnoId
+// @desc    Quitar alumno de la lista de espera (libera su oferta si tenía)
+// @access  Private (Admin only)
+router.delete('/:id/lista-espera/:alumnoId', 
+    authenticate, 
+    isAdmin, 
+    validateMongoId, 
+    logAuthRequest, 
+    quitarListaEspera
+);
+
+// @route   POST /api/horarios/:id/lista-espera/:alumnoId/responder
+// @desc    Aceptar o rechazar la oferta de lugar a nombre de la familia
+// @access  Private (Admin only)
+router.post('/:id/lista-espera/:alumnoId/responder', 
+    authenticate, 
+    isAdmin, 
+    validateMongoId, 
+    sanitizeInput, 
+    logAuthRequest, 
+    responderOfertaListaEspera
+);
+
 // ============================================
 // RUTAS ADICIONALES
 // ============================================
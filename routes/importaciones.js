@@ -0,0 +1,13 @@
+const express = require('express');
+const router  = express.Router();
+const ctrl    = require('../controllers/importacionController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { uploadImportacion } = require('../middleware/uploadImportacion');
+
+// Altas masivas (p. ej. al abrir una sucursal): solo administradores
+router.use(authenticate, authorize('admin'));
+
+router.get('/alumnos/plantilla', ctrl.plantilla);
+router.post('/alumnos',          uploadImportacion, ctrl.importarAlumnos);
+
+module.exports = router;
@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const multer = require('multer');
-const path = require('path');
+const { nombreUnico, url } = require('../services/almacenamientoService');
+const { storageImagen } = require('../services/imagenService');
 
 // Importar controladores
 const {
@@ -30,17 +31,7 @@ const {
 } = require('../middleware/validation');
 
 // Configuración de multer para subida de fotos de perfil de instructores
-const storage = multer.diskStorage({
-    destination: function (req, file, cb) {
-        const uploadPath = path.join(__dirname, '../uploads/instructors');
-        cb(null, uploadPath);
-    },
-    filename: function (req, file, cb) {
-        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-        const ext = path.extname(file.originalname);
-        cb(null, 'instructor-' + uniqueSuffix + ext);
-    }
-});
+const storage = storageImagen('instructors', nombreUnico('instructor'));
 
 const fileFilter = (req, file, cb) => {
     if (file.mimetype.startsWith('image/')) {
@@ -58,27 +49,6 @@ const upload = multer({
     }
 });
 
-const ensureUploadDir = async (req, res, next) => {
-    try {
-        const fs = require('fs').promises;
-        const uploadPath = path.join(__dirname, '../uploads/instructors');
-        
-        try {
-            await fs.access(uploadPath);
-        } catch {
-            await fs.mkdir(uploadPath, { recursive: true });
-        }
-        
-        next();
-    } catch (error) {
-        console.error('Error creando directorio de uploads:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Error del servidor al preparar subida de archivos'
-        });
-    }
-};
-
 // ============================================
 // RUTAS ESPECÍFICAS (deben ir antes de /:id)
 // ============================================
@@ -192,7 +162,6 @@ router.post('/:id/photo',
     authenticate, 
     isAdmin,
     validateMongoId, 
-    ensureUploadDir,
     upload.single('photo'),
     logAuthRequest,
     (req, res) => {
@@ -203,14 +172,15 @@ router.post('/:id/photo',
             });
         }
 
-        const photoUrl = `/uploads/instructors/${req.file.filename}`;
+        const photoUrl = url(req.file.clave);
         
         res.status(200).json({
             success: true,
             message: 'Foto subida exitosamente',
             data: {
                 photoUrl,
-                filename: req.file.filename
+                filename: req.file.filename,
+                variantes: req.file.variantes
             }
         });
     }
@@ -0,0 +1,20 @@
+const express = require('express');
+const router  = express.Router();
+const ctrl    = require('../controllers/justificacionController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { uploadJustificante } = require('../middleware/uploadJustificante');
+
+// Revisión de justificaciones: admin (todas) e instructores (sus clases)
+router.use(authenticate, authorize('admin', 'instructor'));
+
+router.get('/',     ctrl.getAll);
+router.post('/',    uploadJustificante, ctrl.create);
+router.get('/:id',  ctrl.getById);
+
+router.post('/:id/documentos',             uploadJustificante, ctrl.agregarDocumento);
+router.get('/:id/documentos/:documentoId', ctrl.getDocumento);
+
+router.post('/:id/aprobar',  ctrl.aprobar);
+router.post('/:id/rechazar', ctrl.rechazar);
+
+module.exports = router;
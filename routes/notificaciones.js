@@ -16,6 +16,8 @@ router.delete('/:id',       authorize('admin'), ctrl.delete);
 // Acciones especiales
 router.post('/preview-destinatarios', authorize('admin'), ctrl.previewDestinatarios);
 router.post('/:id/enviar',  authorize('admin'), ctrl.enviar);
+router.post('/:id/programar', authorize('admin'), ctrl.programar);
+router.post('/:id/cancelar-programacion', authorize('admin'), ctrl.cancelarProgramacion);
 router.get('/test/email',   authorize('admin'), ctrl.verificarEmail);
 
 module.exports = router;
\ No newline at end of file
@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const multer = require('multer');
 const path = require('path');
-const fs = require('fs');
+const { storageMulter, nombreUnico } = require('../services/almacenamientoService');
 
 // Importar controlador
 const paymentController = require('../controllers/paymentController');
@@ -12,24 +12,8 @@ const { authenticate, authorize } = require('../middleware/auth');
 
 // ===== CONFIGURACIÓN DE MULTER PARA SUBIDA DE COMPROBANTES =====
 
-// Asegurar que existe el directorio de uploads
-const uploadsDir = path.join(__dirname, '../uploads/documents');
-if (!fs.existsSync(uploadsDir)) {
-  fs.mkdirSync(uploadsDir, { recursive: true });
-}
-
-// Configuración de almacenamiento
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, uploadsDir);
-  },
-  filename: function (req, file, cb) {
-    // Generar nombre único: comprobante-timestamp-random.ext
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const ext = path.extname(file.originalname);
-    cb(null, 'comprobante-' + uniqueSuffix + ext);
-  }
-});
+// Almacenamiento configurado (local o S3): comprobante-timestamp-random.ext
+const storage = storageMulter('documents', nombreUnico('comprobante'));
 
 // Filtro de archivos permitidos
 const fileFilter = (req, file, cb) => {
@@ -102,6 +86,14 @@ router.get('/alumno/:alumnoId', paymentController.getPaymentsByAlumno);
 // GET /api/pagos/tutor/:tutorId
 router.get('/tutor/:tutorId', paymentController.getPaymentsByTutor);
 
+// Estado de cuenta de un alumno (JSON o PDF), para recepción
+// GET /api/pagos/estado-cuenta/alumno/:alumnoId?desde=&hasta=&formato=json|pdf
+router.get('/estado-cuenta/alumno/:alumnoId', authorize('admin', 'instructor'), paymentController.getEstadoCuentaAlumno);
+
+// Estado de cuenta de un tutor con todos sus hijos (JSON o PDF), para recepción
+// GET /api/pagos/estado-cuenta/tutor/:tutorId?desde=&hasta=&formato=json|pdf
+router.get('/estado-cuenta/tutor/:tutorId', authorize('admin', 'instructor'), paymentController.getEstadoCuentaTutor);
+
 // ===== RUTAS CRUD PRINCIPALES =====
 
 // Obtener todos los pagos (con paginación y filtros)
@@ -136,7 +128,7 @@ router.delete('/:id', paymentController.deletePayment);
 
 // ===== RUTAS DE ACCIONES ESPECIALES =====
 
-// Marcar pago como pagado
+// Marcar pago como pagado (o registrar un abono si se envía `monto`)
 // PUT /api/pagos/:id/marcar-pagado
 router.put('/:id/marcar-pagado', paymentController.markAsPaid);
 
@@ -146,7 +138,7 @@ router.put('/:id/cancelar', paymentController.cancelPayment);
 
 // Cobrar + subir comprobante en un solo paso (modal unificado)
 // POST /api/pagos/:id/cobrar
-// Form-data: paymentMethod, paidDate, paymentReference, notes + comprobante (file)
+// Form-data: paymentMethod, paidDate, paymentReference, notes, monto (opcional) + comprobante (file)
 router.post(
   '/:id/cobrar',
   upload.single('comprobante'),
@@ -155,7 +147,7 @@ router.post(
 
 // Subir comprobante de pago
 // POST /api/pagos/:id/comprobante
-// Form-data: comprobante (file)
+// Form-data: comprobante (file), abonoId (opcional: asociarlo a un abono)
 router.post(
   '/:id/comprobante',
   upload.single('comprobante'),
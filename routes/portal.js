@@ -0,0 +1,94 @@
+const express = require('express');
+const router = express.Router();
+
+// Importar controladores
+const {
+  cargarTutor,
+  getResumen,
+  getHijos,
+  getHijo,
+  getGraduacionesHijo,
+  getAsistenciasHijo,
+  getJustificacionesHijo,
+  justificarFaltaHijo,
+  agregarDocumentoJustificacionHijo,
+  getPagos,
+  getReciboPago,
+  getListaEspera,
+  responderListaEspera,
+  generarCalendarioHijo
+} = require('../controllers/portalController');
+
+// Importar middleware de autenticación
+const { authenticate, authorize } = require('../middleware/auth');
+const { uploadJustificante } = require('../middleware/uploadJustificante');
+
+// Todas las rutas del portal: usuario padre autenticado con tutor vinculado
+router.use(authenticate, authorize('padre'), cargarTutor);
+
+// @route   GET /api/portal
+// @desc    Resumen del tutor, hijos y pagos pendientes
+// @access  Private (Padre)
+router.get('/', getResumen);
+
+// @route   GET /api/portal/hijos
+// @desc    Listar hijos del tutor
+// @access  Private (Padre)
+router.get('/hijos', getHijos);
+
+// @route   GET /api/portal/hijos/:alumnoId
+// @desc    Perfil de un hijo
+// @access  Private (Padre)
+router.get('/hijos/:alumnoId', getHijo);
+
+// @route   GET /api/portal/hijos/:alumnoId/graduaciones
+// @desc    Historial de cinturones de un hijo
+// @access  Private (Padre)
+router.get('/hijos/:alumnoId/graduaciones', getGraduacionesHijo);
+
+// @route   GET /api/portal/hijos/:alumnoId/asistencias
+// @desc    Estadísticas y registros de asistencia de un hijo
+// @access  Private (Padre)
+router.get('/hijos/:alumnoId/asistencias', getAsistenciasHijo);
+
+// @route   GET /api/portal/hijos/:alumnoId/justificaciones
+// @desc    Justificaciones de faltas de un hijo
+// @access  Private (Padre)
+router.get('/hijos/:alumnoId/justificaciones', getJustificacionesHijo);
+
+// @route   POST /api/portal/hijos/:alumnoId/asistencias/:asistenciaId/justificacion
+// @desc    Justificar una falta (form-data: motivo, documento)
+// @access  Private (Padre)
+router.post('/hijos/:alumnoId/asistencias/:asistenciaId/justificacion', uploadJustificante, justificarFaltaHijo);
+
+// @route   POST /api/portal/hijos/:alumnoId/justificaciones/:justificacionId/documentos
+// @desc    Adjuntar documento a una justificación pendiente (form-data: documento)
+// @access  Private (Padre)
+router.post('/hijos/:alumnoId/justificaciones/:justificacionId/documentos', uploadJustificante, agregarDocumentoJustificacionHijo);
+
+// @route   POST /api/portal/hijos/:alumnoId/calendario
+// @desc    Generar la URL de suscripción (.ics) al calendario de un hijo
+// @access  Private (Padre)
+router.post('/hijos/:alumnoId/calendario', generarCalendarioHijo);
+
+// @route   POST /api/portal/hijos/:alumnoId/lista-espera/:horarioId
+// @desc    Aceptar o rechazar el lugar ofrecido desde la lista de espera
+// @access  Private (Padre)
+router.post('/hijos/:alumnoId/lista-espera/:horarioId', responderListaEspera);
+
+// @route   GET /api/portal/lista-espera
+// @desc    Listas de espera y ofertas de lugar de los hijos
+// @access  Private (Padre)
+router.get('/lista-espera', getListaEspera);
+
+// @route   GET /api/portal/pagos
+// @desc    Pagos del tutor (pendientes por defecto)
+// @access  Private (Padre)
+router.get('/pagos', getPagos);
+
+// @route   GET /api/portal/pagos/:id/recibo
+// @desc    Descargar recibo PDF de un pago realizado
+// @access  Private (Padre)
+router.get('/pagos/:id/recibo', getReciboPago);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const router  = express.Router();
+const ctrl    = require('../controllers/sesionClaseController');
+const { authenticate, authorize } = require('../middleware/auth');
+
+router.use(authenticate);
+
+// Calendario: administradores e instructores
+router.get('/',     authorize('admin', 'instructor'), ctrl.getAll);
+router.get('/:id',  authorize('admin', 'instructor'), ctrl.getById);
+
+// Cambios al calendario: solo administradores
+router.post('/generar',          authorize('admin'), ctrl.generar);
+router.post('/:id/cancelar',     authorize('admin'), ctrl.cancelar);
+router.post('/:id/restaurar',    authorize('admin'), ctrl.restaurar);
+router.post('/:id/reprogramar',  authorize('admin'), ctrl.reprogramar);
+router.put('/:id/suplente',      authorize('admin'), ctrl.asignarSuplente);
+
+module.exports = router;
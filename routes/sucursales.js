@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const multer = require('multer');
-const path = require('path');
+const { nombreUnico } = require('../services/almacenamientoService');
+const { storageImagen } = require('../services/imagenService');
 
 // Importar controladores
 const {
@@ -11,7 +12,8 @@ const {
   updateSucursal,
   deleteSucursal,
   uploadLogo,
-  getSucursalStats
+  getSucursalStats,
+  generarClaveKiosco
 } = require('../controllers/sucursalController');
 
 // Importar middleware de autenticación
@@ -32,18 +34,7 @@ const {
 } = require('../middleware/validation');
 
 // Configuración de multer para subida de logos
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    const uploadPath = path.join(__dirname, '../uploads/logos');
-    cb(null, uploadPath);
-  },
-  filename: function (req, file, cb) {
-    // Generar nombre único para el archivo
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const ext = path.extname(file.originalname);
-    cb(null, 'logo-' + uniqueSuffix + ext);
-  }
-});
+const storage = storageImagen('logos', nombreUnico('logo'), 'logo');
 
 // Filtros para multer
 const fileFilter = (req, file, cb) => {
@@ -63,28 +54,6 @@ const upload = multer({
   }
 });
 
-// Middleware para crear directorio de uploads si no existe
-const ensureUploadDir = async (req, res, next) => {
-  try {
-    const fs = require('fs').promises;
-    const uploadPath = path.join(__dirname, '../uploads/logos');
-    
-    try {
-      await fs.access(uploadPath);
-    } catch {
-      await fs.mkdir(uploadPath, { recursive: true });
-    }
-    
-    next();
-  } catch (error) {
-    console.error('Error creando directorio de uploads:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error del servidor al preparar subida de archivos'
-    });
-  }
-};
-
 // @route   GET /api/sucursales
 // @desc    Obtener todas las sucursales
 // @access  Private (Admin, Instructor)
@@ -146,7 +115,6 @@ router.delete('/:id',
 router.post('/:id/logo', 
   authenticate, 
   validateMongoId, 
-  ensureUploadDir,
   upload.single('logo'),
   validateFileSize(5 * 1024 * 1024), // 5MB
   validateFileType(['image/jpeg', 'image/jpg', 'image/png', 'image/gif']),
@@ -164,6 +132,17 @@ router.get('/:id/stats',
   getSucursalStats
 );
 
+// @route   POST /api/sucursales/:id/kiosco
+// @desc    Generar la clave del kiosco de asistencia por QR
+// @access  Private (Admin only)
+router.post('/:id/kiosco',
+  authenticate,
+  isAdmin,
+  validateMongoId,
+  logAuthRequest,
+  generarClaveKiosco
+);
+
 // Middleware para manejo de errores de multer
 router.use((error, req, res, next) => {
   if (error instanceof multer.MulterError) {
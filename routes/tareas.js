@@ -0,0 +1,16 @@
+const express    = require('express');
+const router     = express.Router();
+const ctrl       = require('../controllers/tareaController');
+const { authenticate, authorize } = require('../middleware/auth');
+
+// Todas las rutas requieren autenticación de administrador
+router.use(authenticate, authorize('admin'));
+
+router.get('/',                        ctrl.getAll);
+router.get('/ejecuciones',             ctrl.getEjecuciones);
+router.get('/:nombre',                 ctrl.getByNombre);
+router.get('/:nombre/ejecuciones',     ctrl.getEjecuciones);
+router.put('/:nombre',                 ctrl.update);
+router.post('/:nombre/ejecutar',       ctrl.ejecutar);
+
+module.exports = router;
@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const multer = require('multer');
-const path = require('path');
+const { nombreUnico } = require('../services/almacenamientoService');
+const { storageImagen } = require('../services/imagenService');
 
 // Importar controladores
 const {
@@ -11,7 +12,8 @@ const {
   updateTutor,
   deleteTutor,
   uploadPhoto,
-  getTutorChildren
+  getTutorChildren,
+  vincularUsuario
 } = require('../controllers/tutorController');
 
 // Importar middleware de autenticación
@@ -33,18 +35,7 @@ const {
 } = require('../middleware/validation');
 
 // Configuración de multer para subida de fotos de perfil
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    const uploadPath = path.join(__dirname, '../uploads/profiles');
-    cb(null, uploadPath);
-  },
-  filename: function (req, file, cb) {
-    // Generar nombre único para el archivo
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const ext = path.extname(file.originalname);
-    cb(null, 'tutor-' + uniqueSuffix + ext);
-  }
-});
+const storage = storageImagen('profiles', nombreUnico('tutor'));
 
 // Filtros para multer
 const fileFilter = (req, file, cb) => {
@@ -64,28 +55,6 @@ const upload = multer({
   }
 });
 
-// Middleware para crear directorio de uploads si no existe
-const ensureUploadDir = async (req, res, next) => {
-  try {
-    const fs = require('fs').promises;
-    const uploadPath = path.join(__dirname, '../uploads/profiles');
-    
-    try {
-      await fs.access(uploadPath);
-    } catch {
-      await fs.mkdir(uploadPath, { recursive: true });
-    }
-    
-    next();
-  } catch (error) {
-    console.error('Error creando directorio de uploads:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error del servidor al preparar subida de archivos'
-    });
-  }
-};
-
 // @route   GET /api/tutores
 // @desc    Obtener todos los tutores
 // @access  Private (Admin, Instructor)
@@ -150,7 +119,6 @@ router.post('/:id/photo',
   authenticate, 
   isInstructor,
   validateMongoId, 
-  ensureUploadDir,
   upload.single('photo'),
   validateFileSize(5 * 1024 * 1024), // 5MB
   validateFileType(['image/jpeg', 'image/jpg', 'image/png', 'image/gif']),
@@ -169,6 +137,18 @@ router.get('/:id/children',
   getTutorChildren
 );
 
+// @route   PUT /api/tutores/:id/usuario
+// @desc    Vincular cuenta de usuario padre al tutor (portal de familias)
+// @access  Private (Admin only)
+router.put('/:id/usuario', 
+  authenticate, 
+  isAdmin,
+  validateMongoId, 
+  sanitizeInput, 
+  logAuthRequest, 
+  vincularUsuario
+);
+
 // Middleware para manejo de errores de multer
 router.use((error, req, res, next) => {
   if (error instanceof multer.MulterError) {
@@ -0,0 +1,177 @@
+/**
+ * migrarAlmacenamiento.js
+ * Copia los archivos de un driver de almacenamiento a otro (p. ej. del disco
+ * local a S3/MinIO) y reescribe los campos url de los modelos con la url que
+ * corresponde en el destino. Ver services/almacenamientoService.js.
+ *
+ * Por defecto solo muestra lo que haría; --aplicar ejecuta los cambios.
+ * Después de aplicar, cambia ALMACENAMIENTO_DRIVER en el .env y reinicia.
+ *
+ * Uso: node scripts/migrarAlmacenamiento.js --origen local --destino s3 [--aplicar] [--eliminar-origen]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const almacenamiento = require('../services/almacenamientoService');
+const Alumno     = require('../models/Alumno');
+const Tutor      = require('../models/Tutor');
+const Sucursal   = require('../models/Sucursal');
+const Disciplina = require('../models/Disciplina');
+const Payment    = require('../models/Payments');
+
+const MONGO_URI = process.env.MONGODB_URI || process.env.MONGO_URI;
+
+const CARPETAS = [
+  'logos', 'instructors', 'profiles', 'documents', 'justificantes',
+  'solicitudes', 'recibos', 'estados-cuenta', 'cortes-caja',
+  'certificados', 'credenciales', 'listas-asistencia'
+];
+
+// Campos { filename, url } por modelo; la clave sale de la carpeta + filename
+const CAMPOS = [
+  { modelo: Alumno,     campo: 'profilePhoto',     carpeta: 'profiles' },
+  { modelo: Alumno,     campo: 'solicitudPdf',     carpeta: 'solicitudes', archivo: 'fileName' },
+  { modelo: Tutor,      campo: 'profilePhoto',     carpeta: 'profiles' },
+  { modelo: Sucursal,   campo: 'logo',             carpeta: 'logos' },
+  { modelo: Disciplina, campo: 'logo',             carpeta: 'logos' },
+  { modelo: Disciplina, campo: 'logoOrganizacion', carpeta: 'logos' },
+  { modelo: Payment,    campo: 'receiptFile',      carpeta: 'documents' }
+];
+
+const argumento = (nombre) => {
+  const i = process.argv.indexOf(`--${nombre}`);
+  return i === -1 ? null : process.argv[i + 1];
+};
+
+const aplicar = process.argv.includes('--aplicar');
+const eliminarOrigen = process.argv.includes('--eliminar-origen');
+
+// ── Archivos ─────────────────────────────────────────────────────────────────
+async function copiarArchivos(origen, destino) {
+  const totales = { copiados: 0, existentes: 0, errores: 0 };
+
+  for (const carpeta of CARPETAS) {
+    const claves = await origen.listar(carpeta);
+    if (claves.length === 0) continue;
+    console.log(`📁 ${carpeta}: ${claves.length} archivo(s)`);
+
+    for (const clave of claves) {
+      try {
+        if (await destino.existe(clave)) {
+          totales.existentes++;
+        } else {
+          if (aplicar) {
+            const contenido = await origen.leer(clave);
+            if (!contenido) throw new Error('no se pudo leer en el origen');
+            await destino.guardar(clave, contenido, { contentType: almacenamiento.tipoContenido(clave) });
+          }
+          totales.copiados++;
+        }
+
+        if (aplicar && eliminarOrigen) await origen.eliminar(clave);
+      } catch (err) {
+        console.error(`   ❌ ${clave}: ${err.message}`);
+        totales.errores++;
+      }
+    }
+  }
+
+  return totales;
+}
+
+// ── URLs en los modelos ──────────────────────────────────────────────────────
+const nuevaUrl = (destino, carpeta, filename) =>
+  filename ? destino.url(almacenamiento.clave(carpeta, filename)) : null;
+
+async function reescribirUrls(destino) {
+  let actualizados = 0;
+
+  for (const { modelo, campo, carpeta, archivo = 'filename' } of CAMPOS) {
+    const docs = await modelo.collection
+      .find({ [`${campo}.${archivo}`]: { $nin: [null, ''] } })
+      .project({ [campo]: 1 })
+      .toArray();
+
+    for (const doc of docs) {
+      const cambios = {};
+      const url = nuevaUrl(destino, carpeta, doc[campo][archivo]);
+      if (url && url !== doc[campo].url) cambios[`${campo}.url`] = url;
+
+      // Miniaturas de fotos y logos (ver services/imagenService.js)
+      for (const [nombre, variante] of Object.entries(doc[campo].variantes || {})) {
+        const urlVariante = nuevaUrl(destino, carpeta, variante?.filename);
+        if (urlVariante && urlVariante !== variante.url) cambios[`${campo}.variantes.${nombre}.url`] = urlVariante;
+      }
+      if (Object.keys(cambios).length === 0) continue;
+
+      if (aplicar) await modelo.collection.updateOne({ _id: doc._id }, { $set: cambios });
+      actualizados++;
+    }
+    console.log(`🔗 ${modelo.modelName}.${campo}: ${docs.length} con archivo`);
+  }
+
+  // Comprobantes de abonos (arreglo)
+  const pagos = await Payment.collection
+    .find({ 'abonos.receiptFile.filename': { $nin: [null, ''] } })
+    .project({ abonos: 1 })
+    .toArray();
+
+  for (const pago of pagos) {
+    const cambios = {};
+    pago.abonos.forEach((abono, i) => {
+      const url = nuevaUrl(destino, 'documents', abono.receiptFile?.filename);
+      if (url && url !== abono.receiptFile.url) cambios[`abonos.${i}.receiptFile.url`] = url;
+    });
+    if (Object.keys(cambios).length === 0) continue;
+
+    if (aplicar) await Payment.collection.updateOne({ _id: pago._id }, { $set: cambios });
+    actualizados++;
+  }
+  console.log(`🔗 Payment.abonos.receiptFile: ${pagos.length} pago(s) con comprobantes`);
+
+  return actualizados;
+}
+
+async function run() {
+  const nombreOrigen = argumento('origen') || 'local';
+  const nombreDestino = argumento('destino');
+
+  if (!nombreDestino || nombreDestino === nombreOrigen) {
+    console.error('❌ Indica un --destino distinto del origen (local o s3)');
+    process.exit(1);
+  }
+  if (!MONGO_URI) {
+    console.error('❌ Variable MONGODB_URI no encontrada en .env');
+    process.exit(1);
+  }
+
+  const origen = almacenamiento.crearDriver(nombreOrigen);
+  const destino = almacenamiento.crearDriver(nombreDestino);
+
+  console.log(`🚚 Migrando archivos: ${origen.nombre} → ${destino.nombre}${aplicar ? '' : ' (simulación, usa --aplicar)'}\n`);
+
+  const archivos = await copiarArchivos(origen, destino);
+
+  console.log('\n🔌 Conectando a MongoDB...');
+  await mongoose.connect(MONGO_URI);
+  console.log('✅ Conectado\n');
+
+  const urls = await reescribirUrls(destino);
+
+  console.log('\n' + '='.repeat(50));
+  console.log(aplicar ? '📊 RESUMEN:' : '📊 RESUMEN (simulación):');
+  console.log(`   📤 Archivos copiados:     ${archivos.copiados}`);
+  console.log(`   ⏭️  Ya estaban en destino: ${archivos.existentes}`);
+  console.log(`   ❌ Errores:               ${archivos.errores}`);
+  console.log(`   🔗 Documentos con url nueva: ${urls}`);
+  if (aplicar && eliminarOrigen) console.log('   🗑️  Archivos eliminados del origen');
+  console.log('='.repeat(50));
+
+  await mongoose.disconnect();
+  console.log('\n🔌 Desconectado.');
+}
+
+run().catch(err => {
+  console.error('❌ Error fatal:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,149 @@
+/**
+ * migrarGrados.js
+ * Completa los grados por disciplina de los registros anteriores a
+ * Alumno.grados, Examen.disciplina y Graduacion.disciplina:
+ * - Alumno.grados: el de la disciplina principal sale de belt y cada otro
+ *   programa empieza en el primer nivel de su sistema (como
+ *   alumno.sincronizarGrados() al guardar).
+ * - Examen.disciplina: la única disciplina en la que existen sus cinturones;
+ *   si no se puede deducir, Tae Kwon Do (los exámenes anteriores lo eran).
+ * - Graduacion.disciplina: la de su examen o, sin examen, la principal del
+ *   alumno.
+ *
+ * Ejecutar después de scripts/migrarNiveles.js, para que las claves ya sean
+ * las del sistema de cada disciplina.
+ * Por defecto solo muestra lo que haría; --aplicar ejecuta los cambios.
+ *
+ * Uso: node scripts/migrarGrados.js [--aplicar]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const nivelService = require('../services/nivelService');
+const Alumno     = require('../models/Alumno');
+const Graduacion = require('../models/Graduacion');
+const Examen     = require('../models/Examen');
+require('../models/Disciplina');
+
+const MONGO_URI = process.env.MONGODB_URI || process.env.MONGO_URI;
+const aplicar = process.argv.includes('--aplicar');
+
+const resumen = { alumnos: 0, examenes: 0, graduaciones: 0, pendientes: [] };
+
+// ── Alumnos ──────────────────────────────────────────────────────────────────
+async function migrarAlumnos() {
+  const alumnos = await Alumno.collection
+    .find({})
+    .project({ firstName: 1, lastName: 1, belt: 1, grados: 1, enrollment: 1 })
+    .toArray();
+
+  const disciplinaAlumno = new Map();
+  for (const raw of alumnos) {
+    disciplinaAlumno.set(raw._id.toString(), nivelService.disciplinaDe(raw));
+
+    const alumno = Alumno.hydrate(raw);
+    alumno.sincronizarGrados();
+    if (!alumno.isModified('grados') && !alumno.isModified('belt')) continue;
+
+    resumen.alumnos++;
+    const grados = alumno.grados.map(g => g.toObject());
+    console.log(`   🥋 ${raw.firstName} ${raw.lastName}: ${grados.map(g => `${g.disciplina}=${g.level}`).join(', ')}`);
+
+    if (aplicar) {
+      await Alumno.collection.updateOne({ _id: raw._id }, { $set: { grados, belt: alumno.belt.toObject() } });
+    }
+  }
+  console.log(`🥋 Alumnos revisados: ${alumnos.length}\n`);
+
+  return disciplinaAlumno;
+}
+
+// ── Exámenes ─────────────────────────────────────────────────────────────────
+const deducirDisciplina = (examen, sistemas) => {
+  const claves = [examen.cinturonObjetivo, examen.cinturonActualRequerido].filter(Boolean);
+  if (claves.length === 0) return nivelService.DISCIPLINA_DEFECTO;
+  if (claves.every(c => nivelService.nivel(nivelService.DISCIPLINA_DEFECTO, c))) return nivelService.DISCIPLINA_DEFECTO;
+
+  const candidatas = [...sistemas.keys()].filter(slug => claves.every(c => nivelService.nivel(slug, c)));
+  if (candidatas.length === 1) return candidatas[0];
+
+  resumen.pendientes.push(`Examen ${examen._id} (${examen.nombre}) cinturones ${claves.join(', ')}: ${candidatas.length ? `varias disciplinas (${candidatas.join(', ')})` : 'en ninguna disciplina'}`);
+  return nivelService.DISCIPLINA_DEFECTO;
+};
+
+async function migrarExamenes(sistemas) {
+  const examenes = await Examen.collection
+    .find({})
+    .project({ nombre: 1, disciplina: 1, cinturonObjetivo: 1, cinturonActualRequerido: 1 })
+    .toArray();
+
+  const disciplinaExamen = new Map();
+  for (const examen of examenes) {
+    const slug = examen.disciplina || deducirDisciplina(examen, sistemas);
+    disciplinaExamen.set(examen._id.toString(), slug);
+    if (examen.disciplina) continue;
+
+    resumen.examenes++;
+    if (aplicar) await Examen.collection.updateOne({ _id: examen._id }, { $set: { disciplina: slug } });
+  }
+  console.log(`📝 Exámenes revisados: ${examenes.length}`);
+
+  return disciplinaExamen;
+}
+
+// ── Graduaciones ─────────────────────────────────────────────────────────────
+async function migrarGraduaciones(disciplinaExamen, disciplinaAlumno) {
+  const graduaciones = await Graduacion.collection
+    .find({ disciplina: { $in: [null, ''] } })
+    .project({ examen: 1, alumno: 1 })
+    .toArray();
+
+  for (const graduacion of graduaciones) {
+    const slug = disciplinaExamen.get(String(graduacion.examen))
+      || disciplinaAlumno.get(String(graduacion.alumno))
+      || nivelService.DISCIPLINA_DEFECTO;
+
+    resumen.graduaciones++;
+    if (aplicar) await Graduacion.collection.updateOne({ _id: graduacion._id }, { $set: { disciplina: slug } });
+  }
+  console.log(`🎓 Graduaciones sin disciplina: ${graduaciones.length}`);
+}
+
+async function run() {
+  if (!MONGO_URI) {
+    console.error('❌ Variable MONGODB_URI no encontrada en .env');
+    process.exit(1);
+  }
+
+  console.log('🔌 Conectando a MongoDB...');
+  await mongoose.connect(MONGO_URI);
+  console.log(`✅ Conectado${aplicar ? '' : ' (simulación, usa --aplicar)'}\n`);
+
+  const sistemas = await nivelService.cargar();
+  if (![...sistemas.values()].some(d => d.niveles.length > 0)) {
+    console.error('❌ No hay disciplinas con sistema de niveles. Ejecuta antes scripts/seedDisciplinas.js');
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+
+  const disciplinaAlumno = await migrarAlumnos();
+  const disciplinaExamen = await migrarExamenes(sistemas);
+  await migrarGraduaciones(disciplinaExamen, disciplinaAlumno);
+
+  console.log('\n' + '='.repeat(50));
+  console.log(aplicar ? '📊 RESUMEN:' : '📊 RESUMEN (simulación):');
+  console.log(`   🥋 Alumnos con grados ${aplicar ? 'completados' : 'por completar'}: ${resumen.alumnos}`);
+  console.log(`   📝 Exámenes con disciplina ${aplicar ? 'asignada' : 'por asignar'}: ${resumen.examenes}`);
+  console.log(`   🎓 Graduaciones con disciplina ${aplicar ? 'asignada' : 'por asignar'}: ${resumen.graduaciones}`);
+  console.log(`   ⚠️  Exámenes a revisar: ${resumen.pendientes.length}`);
+  resumen.pendientes.forEach(p => console.log(`      - ${p}`));
+  console.log('='.repeat(50));
+
+  await mongoose.disconnect();
+  console.log('\n🔌 Desconectado.');
+}
+
+run().catch(err => {
+  console.error('❌ Error fatal:', err.message);
+  process.exit(1);
+});
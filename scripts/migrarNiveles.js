@@ -0,0 +1,189 @@
+/**
+ * migrarNiveles.js
+ * Convierte los cinturones guardados con los valores anteriores (enum fijo de
+ * Alumno.belt.level, 'negro_1dan' de instructores, etc.) a claves del sistema
+ * de niveles de cada disciplina (Disciplina.sistemaNiveles, ver
+ * services/nivelService.js).
+ *
+ * Revisa: Alumno.belt.level y Alumno.grados, User.instructorInfo.belt,
+ * Graduacion (cinturonAnterior, cinturonNuevo) y Examen (cinturonObjetivo,
+ * cinturonActualRequerido). Los valores sin equivalencia se listan como
+ * pendientes para corregirlos a mano.
+ *
+ * Por defecto solo muestra lo que haría; --aplicar ejecuta los cambios.
+ * Requiere las disciplinas cargadas (scripts/seedDisciplinas.js). Después,
+ * scripts/migrarGrados.js completa los grados por disciplina.
+ *
+ * Uso: node scripts/migrarNiveles.js [--aplicar]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const nivelService = require('../services/nivelService');
+const Alumno     = require('../models/Alumno');
+const User       = require('../models/User');
+const Graduacion = require('../models/Graduacion');
+const Examen     = require('../models/Examen');
+require('../models/Disciplina');
+
+const MONGO_URI = process.env.MONGODB_URI || process.env.MONGO_URI;
+const aplicar = process.argv.includes('--aplicar');
+
+const PRIMER_NIVEL = Symbol('primer nivel');
+
+// Valor anterior → claves candidatas; se usa la primera que exista en la
+// disciplina (p. ej. 'roja' es 'rojo' en Hapkido y no existe en Tae Kwon Do)
+const EQUIVALENCIAS = {
+  'principiante'     : [PRIMER_NIVEL],
+  'blanca-chobocha'  : [PRIMER_NIVEL],
+  'blanca-1'         : ['blanco-amarillo', 'blanco'],
+  'blanca-2'         : ['blanco-amarillo', 'blanco'],
+  'blanca-3'         : ['blanco-amarillo', 'blanco'],
+  'blanca-avanzada'  : ['blanco-amarillo', 'blanco'],
+  'amarilla'         : ['amarillo'],
+  'amarilla-avanzada': ['amarillo-naranja', 'amarillo'],
+  'verde-avanzada'   : ['verde-azul', 'verde2', 'verde'],
+  'azul-avanzada'    : ['azul-marron', 'azul'],
+  'marron-avanzada'  : ['marron-negro', 'marron'],
+  'cafe'             : ['marron'],
+  'roja'             : ['rojo'],
+  'roja-ieby'        : ['rojo3', 'rojo']
+}
+
+// 'negra-1-dan', 'negra-1-poom', 'negro_1dan', 'negro-1' → N° dan
+const DAN = /^negr[oa][-_](\d)(?:-?(?:dan|poom))?$/;
+
+const candidatos = (valor) => {
+  if (EQUIVALENCIAS[valor]) return EQUIVALENCIAS[valor];
+  const dan = DAN.exec(valor);
+  if (dan) return [`negro-${dan[1]}`, `dan-${dan[1]}`];
+  return [];
+}
+
+// undefined = ya es válido (o la disciplina no tiene sistema); null = sin
+// equivalencia; string = clave nueva
+const resolver = (slug, valor) => {
+  if (!valor || !nivelService.tieneSistema(slug) || nivelService.nivel(slug, valor)) return undefined;
+
+  for (const candidato of candidatos(valor)) {
+    if (candidato === PRIMER_NIVEL) return nivelService.primerNivel(slug)?.clave || null;
+    if (nivelService.nivel(slug, candidato)) return candidato;
+  }
+  return null;
+}
+
+// ── Resultados ───────────────────────────────────────────────────────────────
+const resumen = { cambios: 0, pendientes: [] };
+const conteo = new Map(); // 'Modelo.campo: viejo → nuevo' → n
+
+const registrar = (etiqueta, viejo, nuevo) => {
+  const clave = `${etiqueta}: "${viejo}" → "${nuevo}"`;
+  conteo.set(clave, (conteo.get(clave) || 0) + 1);
+  resumen.cambios++;
+}
+
+// Revisa los campos de un documento y aplica los cambios con $set directo
+// (sin validaciones del modelo, que son justo las que fallan con lo anterior)
+async function migrarDocumento(modelo, doc, campos, slug, descripcion) {
+  const cambios = {};
+  for (const campo of campos) {
+    const valor = campo.split('.').reduce((o, k) => o?.[k], doc);
+    const nuevo = resolver(slug, valor);
+    if (nuevo === undefined) continue;
+
+    if (nuevo === null) {
+      resumen.pendientes.push(`${modelo.modelName} ${doc._id} (${descripcion}) ${campo}="${valor}" en ${slug}`);
+    } else {
+      cambios[campo] = nuevo;
+      registrar(`${modelo.modelName}.${campo}`, valor, nuevo);
+    }
+  }
+
+  if (aplicar && Object.keys(cambios).length > 0) {
+    await modelo.collection.updateOne({ _id: doc._id }, { $set: cambios });
+  }
+}
+
+async function run() {
+  if (!MONGO_URI) {
+    console.error('❌ Variable MONGODB_URI no encontrada en .env');
+    process.exit(1);
+  }
+
+  console.log('🔌 Conectando a MongoDB...');
+  await mongoose.connect(MONGO_URI);
+  console.log(`✅ Conectado${aplicar ? '' : ' (simulación, usa --aplicar)'}\n`);
+
+  const sistemas = await nivelService.cargar();
+  if (![...sistemas.values()].some(d => d.niveles.length > 0)) {
+    console.error('❌ No hay disciplinas con sistema de niveles. Ejecuta antes scripts/seedDisciplinas.js');
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+
+  // Alumnos (todos: su disciplina también sirve para sus graduaciones); cada
+  // grado se revisa en su propia disciplina
+  const alumnos = await Alumno.collection
+    .find({})
+    .project({ firstName: 1, lastName: 1, 'belt.level': 1, grados: 1, 'enrollment.programa': 1 })
+    .toArray();
+  const disciplinaAlumno = new Map();
+  for (const alumno of alumnos) {
+    const slug = nivelService.disciplinaDe(alumno);
+    const nombre = `${alumno.firstName} ${alumno.lastName}`;
+    disciplinaAlumno.set(alumno._id.toString(), slug);
+    await migrarDocumento(Alumno, alumno, ['belt.level'], slug, nombre);
+    for (const [i, grado] of (alumno.grados || []).entries()) {
+      await migrarDocumento(Alumno, alumno, [`grados.${i}.level`], grado.disciplina, nombre);
+    }
+  }
+  console.log(`🥋 Alumnos revisados: ${alumnos.length}`);
+
+  // Instructores
+  const instructores = await User.collection
+    .find({ 'instructorInfo.belt': { $nin: [null, ''] } })
+    .project({ name: 1, instructorInfo: 1 })
+    .toArray();
+  for (const user of instructores) {
+    await migrarDocumento(User, user, ['instructorInfo.belt'], nivelService.disciplinaDeInstructor(user), user.name);
+  }
+  console.log(`👤 Instructores revisados: ${instructores.length}`);
+
+  // Graduaciones: su disciplina o, si aún no la tienen, la del alumno
+  const graduaciones = await Graduacion.collection
+    .find({})
+    .project({ alumno: 1, disciplina: 1, cinturonAnterior: 1, cinturonNuevo: 1 })
+    .toArray();
+  for (const graduacion of graduaciones) {
+    const slug = graduacion.disciplina || disciplinaAlumno.get(String(graduacion.alumno)) || nivelService.DISCIPLINA_DEFECTO;
+    await migrarDocumento(Graduacion, graduacion, ['cinturonAnterior', 'cinturonNuevo'], slug, `alumno ${graduacion.alumno}`);
+  }
+  console.log(`🎓 Graduaciones revisadas: ${graduaciones.length}`);
+
+  // Exámenes: los anteriores a Examen.disciplina eran de Tae Kwon Do
+  const examenes = await Examen.collection
+    .find({ $or: [{ cinturonObjetivo: { $nin: [null, ''] } }, { cinturonActualRequerido: { $nin: [null, ''] } }] })
+    .project({ nombre: 1, disciplina: 1, cinturonObjetivo: 1, cinturonActualRequerido: 1 })
+    .toArray();
+  for (const examen of examenes) {
+    const slug = examen.disciplina || nivelService.DISCIPLINA_DEFECTO;
+    await migrarDocumento(Examen, examen, ['cinturonObjetivo', 'cinturonActualRequerido'], slug, examen.nombre);
+  }
+  console.log(`📝 Exámenes revisados: ${examenes.length}`);
+
+  console.log('\n' + '='.repeat(50));
+  console.log(aplicar ? '📊 RESUMEN:' : '📊 RESUMEN (simulación):');
+  for (const [clave, n] of conteo) console.log(`   ✅ ${clave}: ${n}`);
+  console.log(`   🔄 Valores ${aplicar ? 'actualizados' : 'por actualizar'}: ${resumen.cambios}`);
+  console.log(`   ⚠️  Sin equivalencia: ${resumen.pendientes.length}`);
+  resumen.pendientes.forEach(p => console.log(`      - ${p}`));
+  console.log('='.repeat(50));
+
+  await mongoose.disconnect();
+  console.log('\n🔌 Desconectado.');
+}
+
+run().catch(err => {
+  console.error('❌ Error fatal:', err.message);
+  process.exit(1);
+});
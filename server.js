@@ -7,6 +7,10 @@ require('dotenv').config();
 // Importar configuración de base de datos
 const connectDB = require('./config/database');
 
+// Scheduler de tareas recurrentes (mensualidades, vencidos, notificaciones)
+const { iniciarScheduler } = require('./services/schedulerService');
+require('./services/tareasProgramadas');
+
 const app = express();
 
 // Conectar a la base de datos
@@ -53,178 +57,56 @@ app.use(limiter);
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-const path = require('path');
+const { firmarUrl, esPublica } = require('./services/archivoService');
+const almacenamiento = require('./services/almacenamientoService');
+const archivoController = require('./controllers/archivoController');
+const { optionalAuth, authenticate, isAdmin } = require('./middleware/auth');
 
-// Headers súper permisivos para archivos estáticos
-app.use('/uploads', (req, res, next) => {
-    res.header('Access-Control-Allow-Origin', '*');
-    res.header('Access-Control-Allow-Methods', 'GET');
-    res.header('Access-Control-Allow-Headers', '*');
-    res.header('Cross-Origin-Resource-Policy', 'cross-origin');
-    res.header('Cross-Origin-Embedder-Policy', 'unsafe-none');
-    res.header('Cache-Control', 'no-cache'); // Deshabilitar cache temporalmente
+// CORS abierto solo para las carpetas públicas (logos e instructores); los
+// privados siguen la política de cors() y el caché lo define archivoController
+app.use('/uploads/:carpeta', (req, res, next) => {
+    if (esPublica(req.params.carpeta)) {
+        res.header('Access-Control-Allow-Origin', '*');
+        res.header('Access-Control-Allow-Methods', 'GET');
+    }
     next();
 });
 
-// Servir archivos estáticos 
-app.use('/uploads', express.static(path.join(__dirname, 'uploads'), {
-    maxAge: 0, // Sin cache para testing
-    index: false,
-    dotfiles: 'ignore',
-    setHeaders: (res, path) => {
-        res.header('Access-Control-Allow-Origin', '*');
-        res.header('Cross-Origin-Resource-Policy', 'cross-origin');
-    }
-}));
+// Archivos desde el almacenamiento configurado (local o S3). Logos e
+// instructores son públicos; fotos, comprobantes y PDFs generados requieren
+// sesión con permiso o URL firmada
+app.get('/uploads/:carpeta/:archivo', optionalAuth, archivoController.servir);
 
-// Endpoint alternativo para imágenes con headers súper permisivos
-app.get('/api/images/logos/:filename', (req, res) => {
-    const { filename } = req.params;
-    const imagePath = path.join(__dirname, 'uploads', 'logos', filename);
-    
-    // Headers súper permisivos
-    res.header('Access-Control-Allow-Origin', '*');
-    res.header('Access-Control-Allow-Methods', 'GET');
-    res.header('Access-Control-Allow-Headers', '*');
-    res.header('Cross-Origin-Resource-Policy', 'cross-origin');
-    res.header('Cross-Origin-Embedder-Policy', 'unsafe-none');
-    res.header('Cache-Control', 'no-cache');
-    
-    // Verificar si el archivo existe
-    const fs = require('fs');
-    if (!fs.existsSync(imagePath)) {
-        return res.status(404).json({
-            success: false,
-            message: 'Imagen no encontrada'
-        });
-    }
-    
-    // Servir la imagen
-    res.sendFile(imagePath);
-});
+// Endpoint alternativo para imágenes (públicas)
+app.get('/api/images/logos/:filename', archivoController.servirDe('logos'));
 
-// Endpoint para imágenes de perfiles
-app.get('/api/images/profiles/:filename', (req, res) => {
-    const { filename } = req.params;
-    const imagePath = path.join(__dirname, 'uploads', 'profiles', filename);
-    
-    // Headers súper permisivos
-    res.header('Access-Control-Allow-Origin', '*');
-    res.header('Access-Control-Allow-Methods', 'GET');
-    res.header('Access-Control-Allow-Headers', '*');
-    res.header('Cross-Origin-Resource-Policy', 'cross-origin');
-    res.header('Cross-Origin-Embedder-Policy', 'unsafe-none');
-    res.header('Cache-Control', 'no-cache');
-    
-    // Verificar si el archivo existe
-    const fs = require('fs');
-    if (!fs.existsSync(imagePath)) {
-        return res.status(404).json({
-            success: false,
-            message: 'Imagen no encontrada'
-        });
-    }
-    
-    // Servir la imagen
-    res.sendFile(imagePath);
-});
+// Endpoint para imágenes de perfiles (privadas: ver archivoService)
+app.get('/api/images/profiles/:filename', optionalAuth, archivoController.servirDe('profiles'));
 
-// Endpoint para imágenes de instructores
-app.get('/api/images/instructors/:filename', (req, res) => {
-    const { filename } = req.params;
-    const imagePath = path.join(__dirname, 'uploads', 'instructors', filename);
-    
-    // Headers súper permisivos
-    res.header('Access-Control-Allow-Origin', '*');
-    res.header('Access-Control-Allow-Methods', 'GET');
-    res.header('Access-Control-Allow-Headers', '*');
-    res.header('Cross-Origin-Resource-Policy', 'cross-origin');
-    res.header('Cross-Origin-Embedder-Policy', 'unsafe-none');
-    res.header('Cache-Control', 'no-cache');
-    
-    // Verificar si el archivo existe
-    const fs = require('fs');
-    if (!fs.existsSync(imagePath)) {
-        return res.status(404).json({
-            success: false,
-            message: 'Imagen no encontrada'
-        });
-    }
-    
-    // Servir la imagen
-    res.sendFile(imagePath);
-});
+// Endpoint para imágenes de instructores (públicas)
+app.get('/api/images/instructors/:filename', archivoController.servirDe('instructors'));
 
-// 🔧 NUEVO: Endpoint para comprobantes de pago (documentos)
-app.get('/api/documents/:filename', (req, res) => {
-    const { filename } = req.params;
-    const documentPath = path.join(__dirname, 'uploads', 'documents', filename);
-    
-    // Headers súper permisivos
-    res.header('Access-Control-Allow-Origin', '*');
-    res.header('Access-Control-Allow-Methods', 'GET');
-    res.header('Access-Control-Allow-Headers', '*');
-    res.header('Cross-Origin-Resource-Policy', 'cross-origin');
-    res.header('Cross-Origin-Embedder-Policy', 'unsafe-none');
-    res.header('Cache-Control', 'no-cache');
-    
-    // Verificar si el archivo existe
-    const fs = require('fs');
-    if (!fs.existsSync(documentPath)) {
-        console.log('❌ Documento no encontrado:', documentPath);
-        return res.status(404).json({
-            success: false,
-            message: 'Documento no encontrado',
-            path: documentPath
-        });
-    }
-    
-    // Configurar el tipo de contenido según la extensión
-    const ext = path.extname(filename).toLowerCase();
-    const contentTypes = {
-        '.jpg': 'image/jpeg',
-        '.jpeg': 'image/jpeg',
-        '.png': 'image/png',
-        '.pdf': 'application/pdf',
-        '.doc': 'application/msword',
-        '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
-    };
-    
-    if (contentTypes[ext]) {
-        res.header('Content-Type', contentTypes[ext]);
-    }
-    
-    // Servir el documento
-    res.sendFile(documentPath);
-});
+// 🔧 NUEVO: Endpoint para comprobantes de pago (documentos, privados)
+app.get('/api/documents/:filename', optionalAuth, archivoController.servirDe('documents'));
 
-// Endpoint de prueba para listar documentos (útil para debugging)
-app.get('/api/documents', (req, res) => {
-    const fs = require('fs');
-    const documentsPath = path.join(__dirname, 'uploads', 'documents');
-    
+// Endpoint de prueba para listar documentos (útil para debugging, solo admin)
+app.get('/api/documents', authenticate, isAdmin, async (req, res) => {
     try {
-        if (!fs.existsSync(documentsPath)) {
-            return res.json({
-                success: true,
-                message: 'Carpeta de documentos no existe aún',
-                documents: []
-            });
-        }
-        
-        const files = fs.readdirSync(documentsPath);
-        const documents = files.map(file => ({
-            filename: file,
-            url: `/uploads/documents/${file}`,
-            apiUrl: `/api/documents/${file}`,
-            fullUrl: `http://localhost:${PORT}/uploads/documents/${file}`,
-            fullApiUrl: `http://localhost:${PORT}/api/documents/${file}`
-        }));
+        const claves = await almacenamiento.driver().listar('documents');
+        const documents = claves.map(clave => {
+            const file = clave.slice('documents/'.length);
+            return {
+                filename: file,
+                url: `/uploads/documents/${file}`,
+                apiUrl: `/api/documents/${file}`,
+                signedUrl: firmarUrl('documents', file)
+            };
+        });
         
         res.json({
             success: true,
             total: documents.length,
-            documentsPath,
+            driver: almacenamiento.driver().nombre,
             documents
         });
     } catch (error) {
@@ -278,6 +160,17 @@ app.use('/api/graduaciones', require('./routes/graduaciones'));
 app.use('/api/configuraciones', require('./routes/configuraciones'));
 app.use('/api/notificaciones',  require('./routes/notificaciones'));
 app.use('/api/disciplinas', require('./routes/disciplinas'));  // v1.5
+app.use('/api/portal', require('./routes/portal'));
+app.use('/api/auditoria', require('./routes/auditoria'));
+app.use('/api/tareas', require('./routes/tareas'));
+app.use('/api/descuentos', require('./routes/descuentos'));
+app.use('/api/caja', require('./routes/caja'));
+app.use('/api/sesiones', require('./routes/sesiones'));
+app.use('/api/dias-festivos', require('./routes/diasFestivos'));
+app.use('/api/calendario', require('./routes/calendario'));
+app.use('/api/justificaciones', require('./routes/justificaciones'));
+app.use('/api/importaciones', require('./routes/importaciones'));
+app.use('/api/archivos', require('./routes/archivos'));
 
 // Middleware para manejo de errores
 app.use((err, req, res, next) => {
@@ -301,6 +194,8 @@ app.listen(PORT, () => {
     console.log(`Servidor corriendo en puerto ${PORT}`);
     console.log(`Entorno: ${process.env.NODE_ENV || 'development'}`);
     console.log(`API disponible en: http://localhost:${PORT}`);
+
+    iniciarScheduler();
 });
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,396 @@
+/**
+ * almacenamientoService.js
+ * Almacenamiento de archivos (fotos, logos, comprobantes, justificantes y PDFs
+ * generados) con dos drivers intercambiables:
+ * - 'local': disco del servidor, en uploads/<carpeta>/ (justificantes en privado/).
+ * - 's3':    bucket S3 o compatible (MinIO, DigitalOcean Spaces...), con firma
+ *            AWS SigV4 propia para no depender del SDK.
+ *
+ * Cada archivo se identifica por su clave "<carpeta>/<archivo>". El campo url
+ * que se guarda en los modelos sigue siendo '/uploads/<clave>' (se sirve a
+ * través de archivoController, que revisa permisos y lee del driver), salvo
+ * las carpetas públicas en S3 con S3_URL_PUBLICA, que apuntan directo al bucket.
+ *
+ * Los PDFs se generan en uploads/<carpeta>/ y luego se suben al driver; con S3
+ * esa copia local es solo de trabajo y se borra una vez subida.
+ *
+ * Variables de entorno:
+ *   ALMACENAMIENTO_DRIVER = 'local' (por defecto) o 's3'
+ *   S3_ENDPOINT           = (opcional) p. ej. http://minio:9000; por defecto AWS
+ *   S3_REGION             = por defecto us-east-1
+ *   S3_BUCKET, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY
+ *   S3_PREFIJO            = (opcional) prefijo de las claves dentro del bucket
+ *   S3_URL_PUBLICA        = (opcional) URL pública del bucket para logos e instructores
+ *
+ * Migración entre drivers: scripts/migrarAlmacenamiento.js
+ */
+
+const crypto = require('crypto');
+const fs     = require('fs');
+const http   = require('http');
+const https  = require('https');
+const path   = require('path');
+const { pipeline } = require('stream');
+const { UPLOADS_DIR, esPublica } = require('./archivoService');
+
+// Carpetas que no viven en uploads/ con el driver local
+const DIRECTORIOS_LOCALES = {
+  justificantes: path.join(__dirname, '../privado/justificantes')
+};
+
+const TIPOS_CONTENIDO = {
+  '.jpg' : 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png' : 'image/png',
+  '.gif' : 'image/gif',
+  '.webp': 'image/webp',
+  '.pdf' : 'application/pdf',
+  '.doc' : 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+};
+
+const tipoContenido = (clave) =>
+  TIPOS_CONTENIDO[path.extname(clave).toLowerCase()] || 'application/octet-stream';
+
+// "<carpeta>/<archivo>" → { carpeta, archivo }; basename evita salir de la carpeta
+const separarClave = (clave) => {
+  const [carpeta, ...resto] = String(clave || '').split('/');
+  const archivo = path.basename(resto.join('/'));
+  if (!/^[a-z0-9-]+$/.test(carpeta) || !archivo || archivo.startsWith('.')) {
+    throw new Error(`Clave de archivo inválida: ${clave}`);
+  }
+  return { carpeta, archivo };
+};
+
+const clave = (carpeta, archivo) => `${carpeta}/${path.basename(archivo)}`;
+
+// '/uploads/<carpeta>/<archivo>' (o URL absoluta que lo contenga) → clave o null
+const claveDeUrl = (url) => {
+  const coincide = /\/uploads\/([a-z0-9-]+)\/([^/?#]+)(?:[?#].*)?$/.exec(url || '');
+  return coincide ? `${coincide[1]}/${decodeURIComponent(coincide[2])}` : null;
+};
+
+// ── Driver local ─────────────────────────────────────────────────────────────
+const crearDriverLocal = () => {
+  const rutaLocal = (claveArchivo) => {
+    const { carpeta, archivo } = separarClave(claveArchivo);
+    return path.join(DIRECTORIOS_LOCALES[carpeta] || path.join(UPLOADS_DIR, carpeta), archivo);
+  };
+
+  return {
+    nombre: 'local',
+    rutaLocal,
+
+    guardar: async (claveArchivo, contenido) => {
+      const destino = rutaLocal(claveArchivo);
+      await fs.promises.mkdir(path.dirname(destino), { recursive: true });
+      await fs.promises.writeFile(destino, contenido);
+    },
+
+    // Los PDFs ya se generan en su lugar; solo se copian si vienen de otro directorio.
+    // Devuelve el contenido guardado.
+    guardarDesdeRuta: async (claveArchivo, origen) => {
+      const destino = rutaLocal(claveArchivo);
+      if (path.resolve(origen) !== path.resolve(destino)) {
+        await fs.promises.mkdir(path.dirname(destino), { recursive: true });
+        await fs.promises.copyFile(origen, destino);
+      }
+      return fs.promises.readFile(destino);
+    },
+
+    leer: async (claveArchivo) => {
+      try {
+        return await fs.promises.readFile(rutaLocal(claveArchivo));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    existe: async (claveArchivo) => fs.existsSync(rutaLocal(claveArchivo)),
+
+    eliminar: async (claveArchivo) => {
+      await fs.promises.unlink(rutaLocal(claveArchivo)).catch((error) => {
+        if (error.code !== 'ENOENT') throw error;
+      });
+    },
+
+    enviar: async (res, claveArchivo) => {
+      const ruta = rutaLocal(claveArchivo);
+      if (!fs.existsSync(ruta)) return false;
+      res.sendFile(ruta);
+      return true;
+    },
+
+    listar: async (carpeta) => {
+      const dir = DIRECTORIOS_LOCALES[carpeta] || path.join(UPLOADS_DIR, carpeta);
+      if (!fs.existsSync(dir)) return [];
+      return fs.readdirSync(dir, { withFileTypes: true })
+        .filter(entrada => entrada.isFile() && !entrada.name.startsWith('.'))
+        .map(entrada => clave(carpeta, entrada.name));
+    },
+
+    url: (claveArchivo) => `/uploads/${claveArchivo}`
+  };
+};
+
+// ── Driver S3 ────────────────────────────────────────────────────────────────
+const sha256 = (contenido) => crypto.createHash('sha256').update(contenido).digest('hex');
+const hmac = (llave, texto) => crypto.createHmac('sha256', llave).update(texto).digest();
+
+// Codificación de la especificación SigV4 (RFC 3986 estricto)
+const codificar = (texto) => encodeURIComponent(texto)
+  .replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const ENTIDADES_XML = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+// Sin actividad en el socket durante este tiempo se aborta la petición
+const TIEMPO_ESPERA_MS = 30000;
+
+const crearDriverS3 = ({
+  endpoint  = process.env.S3_ENDPOINT,
+  region    = process.env.S3_REGION || 'us-east-1',
+  bucket    = process.env.S3_BUCKET,
+  accessKey = process.env.S3_ACCESS_KEY_ID,
+  secretKey = process.env.S3_SECRET_ACCESS_KEY,
+  prefijo   = process.env.S3_PREFIJO || '',
+  urlPublica = process.env.S3_URL_PUBLICA
+} = {}) => {
+  if (!bucket || !accessKey || !secretKey) {
+    throw new Error('Faltan S3_BUCKET, S3_ACCESS_KEY_ID o S3_SECRET_ACCESS_KEY para el almacenamiento S3');
+  }
+
+  // Estilo ruta (/<bucket>/<objeto>): funciona igual en AWS y en MinIO
+  const base = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+  const cliente = base.protocol === 'http:' ? http : https;
+  const prefijoLimpio = prefijo ? `${prefijo.replace(/^\/+|\/+$/g, '')}/` : '';
+
+  const rutaObjeto = (claveArchivo) =>
+    `/${bucket}/${`${prefijoLimpio}${claveArchivo}`.split('/').map(codificar).join('/')}`;
+
+  // Devuelve la respuesta sin consumir (para poder enviarla en streaming)
+  const peticion = (metodo, ruta, { query = {}, cuerpo, contentType } = {}) => new Promise((resolve, reject) => {
+    const ahora = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const fecha = ahora.slice(0, 8);
+    const hashCuerpo = sha256(cuerpo || '');
+
+    const consulta = Object.keys(query).sort()
+      .map(k => `${codificar(k)}=${codificar(String(query[k]))}`)
+      .join('&');
+
+    const cabeceras = {
+      host                  : base.host,
+      'x-amz-content-sha256': hashCuerpo,
+      'x-amz-date'          : ahora
+    };
+    if (contentType) cabeceras['content-type'] = contentType;
+
+    const nombres = Object.keys(cabeceras).sort();
+    const canonica = [
+      metodo,
+      ruta,
+      consulta,
+      nombres.map(n => `${n}:${cabeceras[n]}\n`).join(''),
+      nombres.join(';'),
+      hashCuerpo
+    ].join('\n');
+
+    const alcance = `${fecha}/${region}/s3/aws4_request`;
+    const porFirmar = ['AWS4-HMAC-SHA256', ahora, alcance, sha256(canonica)].join('\n');
+    const llave = ['s3', 'aws4_request'].reduce(hmac, hmac(hmac(`AWS4${secretKey}`, fecha), region));
+    const firma = crypto.createHmac('sha256', llave).update(porFirmar).digest('hex');
+
+    cabeceras.authorization = `AWS4-HMAC-SHA256 Credential=${accessKey}/${alcance}, ` +
+      `SignedHeaders=${nombres.join(';')}, Signature=${firma}`;
+    if (cuerpo) cabeceras['content-length'] = cuerpo.length;
+
+    const req = cliente.request({
+      protocol: base.protocol,
+      hostname: base.hostname,
+      port    : base.port || undefined,
+      method  : metodo,
+      path    : consulta ? `${ruta}?${consulta}` : ruta,
+      headers : cabeceras
+    }, resolve);
+    req.setTimeout(TIEMPO_ESPERA_MS, () => {
+      req.destroy(new Error(`S3 sin respuesta tras ${TIEMPO_ESPERA_MS / 1000}s (${metodo} ${ruta})`));
+    });
+    req.on('error', reject);
+    req.end(cuerpo);
+  });
+
+  const leerCuerpo = (respuesta) => new Promise((resolve, reject) => {
+    const partes = [];
+    respuesta.on('data', parte => partes.push(parte));
+    respuesta.on('end', () => resolve(Buffer.concat(partes)));
+    respuesta.on('error', reject);
+  });
+
+  const fallo = async (respuesta, accion) => {
+    const detalle = (await leerCuerpo(respuesta)).toString().match(/<Message>(.*?)<\/Message>/)?.[1];
+    return new Error(`S3 ${accion}: ${respuesta.statusCode}${detalle ? ` ${detalle}` : ''}`);
+  };
+
+  const guardar = async (claveArchivo, contenido, { contentType } = {}) => {
+    separarClave(claveArchivo);
+    const respuesta = await peticion('PUT', rutaObjeto(claveArchivo), {
+      cuerpo: contenido,
+      contentType: contentType || tipoContenido(claveArchivo)
+    });
+    if (respuesta.statusCode !== 200) throw await fallo(respuesta, `al guardar ${claveArchivo}`);
+    respuesta.resume();
+  };
+
+  return {
+    nombre: 's3',
+    rutaLocal: null,
+    guardar,
+
+    // La copia local es solo de trabajo: se borra una vez subida
+    guardarDesdeRuta: async (claveArchivo, origen) => {
+      const contenido = await fs.promises.readFile(origen);
+      await guardar(claveArchivo, contenido);
+      await fs.promises.unlink(origen).catch((error) => {
+        console.error(`⚠️  No se pudo eliminar la copia local ${origen}:`, error.message);
+      });
+      return contenido;
+    },
+
+    leer: async (claveArchivo) => {
+      const respuesta = await peticion('GET', rutaObjeto(claveArchivo));
+      if (respuesta.statusCode === 404) { respuesta.resume(); return null; }
+      if (respuesta.statusCode !== 200) throw await fallo(respuesta, `al leer ${claveArchivo}`);
+      return leerCuerpo(respuesta);
+    },
+
+    existe: async (claveArchivo) => {
+      const respuesta = await peticion('HEAD', rutaObjeto(claveArchivo));
+      respuesta.resume();
+      return respuesta.statusCode === 200;
+    },
+
+    eliminar: async (claveArchivo) => {
+      const respuesta = await peticion('DELETE', rutaObjeto(claveArchivo));
+      if (![200, 204, 404].includes(respuesta.statusCode)) throw await fallo(respuesta, `al eliminar ${claveArchivo}`);
+      respuesta.resume();
+    },
+
+    enviar: async (res, claveArchivo) => {
+      const respuesta = await peticion('GET', rutaObjeto(claveArchivo));
+      if (respuesta.statusCode === 404) { respuesta.resume(); return false; }
+      if (respuesta.statusCode !== 200) throw await fallo(respuesta, `al leer ${claveArchivo}`);
+
+      res.setHeader('Content-Type', respuesta.headers['content-type'] || tipoContenido(claveArchivo));
+      if (respuesta.headers['content-length']) res.setHeader('Content-Length', respuesta.headers['content-length']);
+      // pipeline cierra ambos lados si falla S3 a media descarga o el cliente se desconecta
+      pipeline(respuesta, res, (error) => {
+        if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+          console.error(`❌ S3 al enviar ${claveArchivo}:`, error.message);
+        }
+      });
+      return true;
+    },
+
+    // ListObjectsV2, paginado de 1000 en 1000
+    listar: async (carpeta) => {
+      const claves = [];
+      let continuacion = null;
+      do {
+        const query = { 'list-type': 2, prefix: `${prefijoLimpio}${carpeta}/` };
+        if (continuacion) query['continuation-token'] = continuacion;
+
+        const respuesta = await peticion('GET', `/${bucket}`, { query });
+        if (respuesta.statusCode !== 200) throw await fallo(respuesta, `al listar ${carpeta}`);
+        const xml = (await leerCuerpo(respuesta)).toString();
+
+        for (const [, escapado] of xml.matchAll(/<Key>(.*?)<\/Key>/g)) {
+          const objeto = escapado.replace(/&(amp|lt|gt|quot|apos);/g, (_, e) => ENTIDADES_XML[e]);
+          const nombre = objeto.slice(prefijoLimpio.length + carpeta.length + 1);
+          if (nombre && !nombre.includes('/')) claves.push(clave(carpeta, nombre));
+        }
+        continuacion = /<IsTruncated>true<\/IsTruncated>/.test(xml)
+          ? xml.match(/<NextContinuationToken>(.*?)<\/NextContinuationToken>/)?.[1]
+          : null;
+      } while (continuacion);
+      return claves;
+    },
+
+    url: (claveArchivo) => {
+      const { carpeta } = separarClave(claveArchivo);
+      return urlPublica && esPublica(carpeta)
+        ? `${urlPublica.replace(/\/+$/, '')}/${prefijoLimpio}${claveArchivo}`
+        : `/uploads/${claveArchivo}`;
+    }
+  };
+};
+
+// ── Driver activo ────────────────────────────────────────────────────────────
+const crearDriver = (nombre = process.env.ALMACENAMIENTO_DRIVER || 'local') => {
+  if (nombre === 'local') return crearDriverLocal();
+  if (nombre === 's3') return crearDriverS3();
+  throw new Error(`Driver de almacenamiento desconocido: ${nombre}`);
+};
+
+let activo = null;
+const driver = () => {
+  if (!activo) activo = crearDriver();
+  return activo;
+};
+
+// ── Subidas con multer ───────────────────────────────────────────────────────
+// Motor de almacenamiento de multer que guarda en el driver activo.
+// nombreArchivo(req, file) → nombre del archivo dentro de la carpeta.
+// req.file queda con filename, size y clave.
+const storageMulter = (carpeta, nombreArchivo) => ({
+  _handleFile(req, file, cb) {
+    const partes = [];
+    file.stream.on('data', parte => partes.push(parte));
+    file.stream.on('error', cb);
+    file.stream.on('end', () => {
+      const contenido = Buffer.concat(partes);
+      const filename = path.basename(nombreArchivo(req, file));
+      const claveArchivo = clave(carpeta, filename);
+
+      driver().guardar(claveArchivo, contenido, { contentType: file.mimetype })
+        .then(() => cb(null, { filename, size: contenido.length, clave: claveArchivo }))
+        .catch(cb);
+    });
+  },
+
+  _removeFile(req, file, cb) {
+    driver().eliminar(file.clave).then(() => cb(null), cb);
+  }
+});
+
+// Nombre único: <prefijo>-<timestamp>-<aleatorio><ext>
+const nombreUnico = (prefijo) => (req, file) => {
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  return `${prefijo}-${uniqueSuffix}${path.extname(file.originalname).toLowerCase()}`;
+};
+
+// Borrado que no interrumpe el flujo (archivos huérfanos, reemplazos)
+const descartar = (claveArchivo) => {
+  if (!claveArchivo) return Promise.resolve();
+  return driver().eliminar(claveArchivo).catch((error) => {
+    console.error(`⚠️  No se pudo eliminar ${claveArchivo}:`, error.message);
+  });
+};
+
+module.exports = {
+  clave,
+  claveDeUrl,
+  separarClave,
+  tipoContenido,
+  crearDriver,
+  driver,
+  storageMulter,
+  nombreUnico,
+  descartar,
+  guardar          : (...args) => driver().guardar(...args),
+  guardarDesdeRuta : (...args) => driver().guardarDesdeRuta(...args),
+  leer             : (...args) => driver().leer(...args),
+  existe           : (...args) => driver().existe(...args),
+  eliminar         : (...args) => driver().eliminar(...args),
+  enviar           : (...args) => driver().enviar(...args),
+  url              : (...args) => driver().url(...args)
+};
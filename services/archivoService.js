@@ -0,0 +1,183 @@
+/**
+ * archivoService.js
+ * Acceso a los archivos subidos (guardados con almacenamientoService).
+ *
+ * Solo los logos y las fotos de instructores son públicos. El resto (fotos de
+ * alumnos y tutores, comprobantes de pago y PDFs generados) requiere:
+ * - una sesión con permiso sobre el archivo (ver puedeAcceder), o
+ * - una URL firmada de corta duración, para incrustarla en <img> o abrirla en
+ *   otra pestaña sin cabecera Authorization.
+ *
+ * URL firmada: /api/archivos/<carpeta>/<archivo>?expira=<unix>&firma=<hmac>,
+ * HMAC-SHA256 de "<carpeta>/<archivo>:<expira>".
+ *
+ * Variables de entorno:
+ *   ARCHIVOS_SECRET      = (opcional) secreto de la firma; por defecto JWT_SECRET
+ *   ARCHIVOS_URL_MINUTOS = (opcional) vigencia de las URLs firmadas; por defecto 60
+ */
+
+const crypto   = require('crypto');
+const path     = require('path');
+const mongoose = require('mongoose');
+
+const UPLOADS_DIR = path.join(__dirname, '../uploads');
+
+// Se sirven a cualquiera (aparecen en PDFs, portal y sitio público)
+const CARPETAS_PUBLICAS = ['logos', 'instructors'];
+
+// Carpetas privadas subidas por usuarios
+const CARPETAS_PRIVADAS = ['profiles', 'documents'];
+
+// PDFs generados por el sistema: solo administración (los módulos que los
+// generan los entregan directamente a quien corresponde)
+const CARPETAS_GENERADAS = [
+  'solicitudes', 'recibos', 'estados-cuenta', 'cortes-caja',
+  'certificados', 'credenciales', 'listas-asistencia'
+];
+
+const esCarpetaValida = (carpeta) =>
+  [...CARPETAS_PUBLICAS, ...CARPETAS_PRIVADAS, ...CARPETAS_GENERADAS].includes(carpeta);
+
+const esPublica = (carpeta) => CARPETAS_PUBLICAS.includes(carpeta);
+
+// ── Firma ────────────────────────────────────────────────────────────────────
+const minutosVigencia = () => parseInt(process.env.ARCHIVOS_URL_MINUTOS, 10) || 60;
+
+const firmar = (carpeta, archivo, expira) => crypto
+  .createHmac('sha256', process.env.ARCHIVOS_SECRET || process.env.JWT_SECRET)
+  .update(`${carpeta}/${archivo}:${expira}`)
+  .digest('base64url');
+
+const firmarUrl = (carpeta, archivo, minutos = minutosVigencia()) => {
+  const nombre = path.basename(archivo);
+  const expira = Math.floor(Date.now() / 1000) + minutos * 60;
+  const baseUrl = process.env.BASE_URL || 'http://localhost:3005';
+  return `${baseUrl}/api/archivos/${carpeta}/${encodeURIComponent(nombre)}` +
+    `?expira=${expira}&firma=${firmar(carpeta, nombre, expira)}`;
+};
+
+const verificarFirma = (carpeta, archivo, { expira, firma } = {}) => {
+  if (!expira || typeof firma !== 'string') return false;
+  if (!/^\d+$/.test(expira) || parseInt(expira, 10) < Date.now() / 1000) return false;
+
+  const esperada = Buffer.from(firmar(carpeta, path.basename(archivo), expira));
+  const recibida = Buffer.from(firma);
+  return esperada.length === recibida.length && crypto.timingSafeEqual(esperada, recibida);
+};
+
+// '/uploads/<carpeta>/<archivo>' → { carpeta, archivo } o null
+const separarUrl = (url) => {
+  const coincide = /^\/uploads\/([^/]+)\/([^/?#]+)$/.exec(url || '');
+  return coincide ? { carpeta: coincide[1], archivo: decodeURIComponent(coincide[2]) } : null;
+};
+
+// URL absoluta para las respuestas de la API: las públicas tal cual y las
+// privadas firmadas. La usan los virtuales *Url de los modelos.
+const urlFirmada = (url) => {
+  if (!url) return null;
+  if (url.startsWith('http')) return url;
+
+  const partes = separarUrl(url);
+  if (!partes || esPublica(partes.carpeta)) {
+    const baseUrl = process.env.BASE_URL || 'http://localhost:3005';
+    return `${baseUrl}${url}`;
+  }
+  return firmarUrl(partes.carpeta, partes.archivo);
+};
+
+// ── Permisos ─────────────────────────────────────────────────────────────────
+const mismoId = (a, b) => !!a && !!b && (a._id || a).toString() === (b._id || b).toString();
+
+// Alumnos que el usuario puede ver: padre → sus hijos; instructor → los de su
+// sucursal o los inscritos en sus clases
+const puedeVerAlumnos = async (user, alumnos) => {
+  if (alumnos.length === 0) return false;
+
+  if (user.role === 'padre') {
+    const tutor = await mongoose.model('Tutor').findByUsuario(user._id);
+    return !!tutor && alumnos.some(a => mismoId(a.tutor, tutor));
+  }
+
+  if (user.role === 'instructor') {
+    if (alumnos.some(a => mismoId(a.enrollment?.sucursal, user.sucursal))) return true;
+    const enSusClases = await mongoose.model('Horario').exists({
+      instructor: user._id,
+      'alumnosInscritos.alumno': { $in: alumnos.map(a => a._id) }
+    });
+    return !!enSusClases;
+  }
+
+  return false;
+};
+
+// La foto principal o cualquiera de sus variantes (ver imagenService)
+const filtroFoto = (archivo) => ({
+  $or: [
+    { 'profilePhoto.filename': archivo },
+    { 'profilePhoto.variantes.thumb.filename': archivo },
+    { 'profilePhoto.variantes.card.filename': archivo }
+  ]
+});
+
+const puedeVerFoto = async (user, archivo) => {
+  const Alumno = mongoose.model('Alumno');
+
+  const alumno = await Alumno.findOne(filtroFoto(archivo))
+    .select('tutor enrollment.sucursal')
+    .lean();
+  if (alumno) return puedeVerAlumnos(user, [alumno]);
+
+  const tutor = await mongoose.model('Tutor').findOne(filtroFoto(archivo))
+    .select('usuario')
+    .lean();
+  if (!tutor) return false;
+  if (user.role === 'padre') return mismoId(tutor.usuario, user._id);
+
+  const hijos = await Alumno.find({ tutor: tutor._id }).select('tutor enrollment.sucursal').lean();
+  return puedeVerAlumnos(user, hijos);
+};
+
+const puedeVerComprobante = async (user, archivo) => {
+  const pago = await mongoose.model('Payment').findOne({
+    $or: [{ 'receiptFile.filename': archivo }, { 'abonos.receiptFile.filename': archivo }]
+  })
+    .select('alumno tutor sucursal')
+    .lean();
+  if (!pago) return false;
+
+  if (user.role === 'instructor') return mismoId(pago.sucursal, user.sucursal);
+
+  if (user.role === 'padre') {
+    const tutor = await mongoose.model('Tutor').findByUsuario(user._id);
+    if (!tutor) return false;
+    if (mismoId(pago.tutor, tutor)) return true;
+    return !!(await mongoose.model('Alumno').exists({ _id: pago.alumno, tutor: tutor._id }));
+  }
+
+  return false;
+};
+
+// user: req.user (o null). Admin puede todo; padre solo lo de su familia;
+// instructor lo de su sucursal o sus clases.
+const puedeAcceder = async (user, carpeta, archivo) => {
+  if (esPublica(carpeta)) return true;
+  if (!user) return false;
+  if (user.role === 'admin') return true;
+
+  const nombre = path.basename(archivo);
+  if (carpeta === 'profiles') return puedeVerFoto(user, nombre);
+  if (carpeta === 'documents') return puedeVerComprobante(user, nombre);
+  return false;
+};
+
+module.exports = {
+  UPLOADS_DIR,
+  CARPETAS_PUBLICAS,
+  esCarpetaValida,
+  esPublica,
+  firmarUrl,
+  verificarFirma,
+  separarUrl,
+  urlFirmada,
+  puedeAcceder
+};
@@ -0,0 +1,125 @@
+/**
+ * auditService.js
+ * Registro de auditoría de mutaciones (crear / actualizar / eliminar).
+ *
+ * Uso típico en un controlador:
+ *   const antes = snapshot(payment);
+ *   ...modificar y guardar...
+ *   registrarAuditoria(req, { entidad: 'Payment', accion: 'actualizar', antes, despues: payment });
+ *
+ * El registro nunca interrumpe la petición: si falla solo se reporta en consola.
+ */
+
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+
+// Campos que no aportan información al diff
+const CAMPOS_IGNORADOS = new Set(['__v', 'updatedAt', 'createdAt', 'id']);
+
+// Campos sensibles que nunca se guardan en claro
+const CAMPOS_SENSIBLES = new Set(['password', 'resetPasswordToken', 'medicalInfo']);
+
+// ── Normalizar un valor para comparación / almacenamiento ────────────────────
+const normalizar = (valor) => {
+  if (valor === undefined) return null;
+  if (valor instanceof mongoose.Types.ObjectId) return valor.toString();
+  if (valor instanceof Date) return valor.toISOString();
+  if (valor && typeof valor === 'object' && valor._bsontype === 'ObjectId') return valor.toString();
+  if (Array.isArray(valor)) return valor.map(normalizar);
+  if (valor && typeof valor === 'object') {
+    const out = {};
+    Object.keys(valor).forEach(k => { out[k] = normalizar(valor[k]); });
+    return out;
+  }
+  return valor;
+};
+
+// ── Obtener copia plana de un documento (mongoose o lean) ────────────────────
+const snapshot = (doc) => {
+  if (!doc) return null;
+  const obj = typeof doc.toObject === 'function'
+    ? doc.toObject({ depopulate: true, virtuals: false })
+    : doc;
+  return normalizar(obj);
+};
+
+// ── Aplanar objeto a rutas con punto (los arreglos se comparan completos) ────
+const aplanar = (obj, prefijo = '', out = {}) => {
+  if (!obj || typeof obj !== 'object') return out;
+
+  Object.keys(obj).forEach(clave => {
+    if (!prefijo && CAMPOS_IGNORADOS.has(clave)) return;
+
+    const ruta  = prefijo ? `${prefijo}.${clave}` : clave;
+    const valor = obj[clave];
+
+    if (CAMPOS_SENSIBLES.has(clave)) {
+      out[ruta] = valor === null || valor === undefined ? null : '[oculto]';
+    } else if (valor && typeof valor === 'object' && !Array.isArray(valor)) {
+      aplanar(valor, ruta, out);
+    } else {
+      out[ruta] = valor === undefined ? null : valor;
+    }
+  });
+
+  return out;
+};
+
+// ── Calcular diferencias entre dos snapshots ─────────────────────────────────
+const calcularCambios = (antes, despues) => {
+  const a = aplanar(antes || {});
+  const d = aplanar(despues || {});
+  const campos = new Set([...Object.keys(a), ...Object.keys(d)]);
+
+  const cambios = [];
+  campos.forEach(campo => {
+    const va = a[campo] ?? null;
+    const vd = d[campo] ?? null;
+    if (JSON.stringify(va) !== JSON.stringify(vd)) {
+      cambios.push({ campo, antes: va, despues: vd });
+    }
+  });
+
+  return cambios;
+};
+
+// ── Registrar una entrada de auditoría ───────────────────────────────────────
+// opciones: { entidad, accion, entidadId?, antes?, despues?, descripcion?, metadata? }
+const registrarAuditoria = async (req, opciones) => {
+  try {
+    const { entidad, accion, descripcion, metadata } = opciones;
+
+    const antes   = opciones.antes   && typeof opciones.antes.toObject   === 'function' ? snapshot(opciones.antes)   : normalizar(opciones.antes);
+    const despues = opciones.despues && typeof opciones.despues.toObject === 'function' ? snapshot(opciones.despues) : normalizar(opciones.despues);
+
+    const entidadId = opciones.entidadId || despues?._id || antes?._id || null;
+    const cambios   = accion === 'masivo' ? [] : calcularCambios(antes, despues);
+
+    // Una actualización sin cambios reales no se registra
+    if (accion === 'actualizar' && cambios.length === 0 && !metadata) return null;
+
+    const user = req?.user;
+
+    return await AuditLog.create({
+      usuario      : user?._id || null,
+      usuarioNombre: user?.name,
+      usuarioEmail : user?.email,
+      usuarioRol   : user?.role,
+      entidad,
+      entidadId,
+      accion,
+      descripcion,
+      cambios,
+      metadata,
+      ip       : req?.ip,
+      userAgent: (req?.get?.('User-Agent') || '').substring(0, 300),
+      metodo   : req?.method,
+      ruta     : req?.originalUrl
+    });
+  } catch (error) {
+    console.error('Error registrando auditoría:', error.message);
+    return null;
+  }
+};
+
+module.exports = { registrarAuditoria, snapshot, calcularCambios };
@@ -0,0 +1,286 @@
+/**
+ * billingService.js
+ * Lógica de cobranza compartida entre los endpoints de pagos y las tareas
+ * programadas: recargos por pago tardío, generación de mensualidades (con
+ * reglas de descuento, ver descuentoService), descuento por pago adelantado
+ * al cobrar y marcado de pagos vencidos.
+ */
+
+const Payment       = require('../models/Payments');
+const Alumno        = require('../models/Alumno');
+const Configuracion = require('../models/Configuracion');
+const { cargarMotor, contextoAlumno, calcularDescuento } = require('./descuentoService');
+
+// Filtro de alumnos a los que se les generan mensualidades
+const FILTRO_ALUMNOS_COBRABLES = {
+  'enrollment.status': 'activo',
+  'enrollment.paymentDay': { $exists: true },
+  'enrollment.monthlyFee': { $gt: 0 }
+};
+
+const CAMPOS_ALUMNO = 'firstName lastName enrollment tutor';
+
+// Valor de configuración con respaldo si la consulta falla
+const getConfigValue = async (clave, valorDefecto) => {
+  try {
+    return await Configuracion.getValor(clave, valorDefecto);
+  } catch (error) {
+    console.warn(`No se pudo obtener configuración ${clave}, usando valor por defecto:`, valorDefecto);
+    return valorDefecto;
+  }
+};
+
+// ── Calcular recargo por pago tardío según configuración ─────────────────────
+const calcularRecargoAutomatico = async (payment) => {
+  try {
+    // Obtener configuración
+    const diasGracia = await getConfigValue('pago_dias_gracia', 5);
+    const porcentajeRecargo = await getConfigValue('pago_recargo_tardio', 10);
+
+    // Calcular días de retraso
+    const hoy = new Date();
+    hoy.setHours(0, 0, 0, 0);
+    const fechaVencimiento = new Date(payment.dueDate);
+    fechaVencimiento.setHours(0, 0, 0, 0);
+    
+    const diasRetraso = Math.floor((hoy - fechaVencimiento) / (1000 * 60 * 60 * 24));
+
+    // Si no ha pasado el periodo de gracia, no hay recargo
+    if (diasRetraso <= diasGracia) {
+      return {
+        aplicaRecargo: false,
+        diasRetraso,
+        diasGracia,
+        porcentajeRecargo: 0,
+        montoRecargo: 0
+      };
+    }
+
+    // Calcular recargo
+    const montoRecargo = (payment.amount * porcentajeRecargo) / 100;
+
+    return {
+      aplicaRecargo: true,
+      diasRetraso,
+      diasGracia,
+      porcentajeRecargo,
+      montoRecargo: Math.round(montoRecargo * 100) / 100 // Redondear a 2 decimales
+    };
+
+  } catch (error) {
+    console.error('Error al calcular recargo:', error);
+    return {
+      aplicaRecargo: false,
+      diasRetraso: 0,
+      diasGracia: 5,
+      porcentajeRecargo: 0,
+      montoRecargo: 0
+    };
+  }
+};
+
+const inicioDelDia = (fecha = new Date()) => {
+  const d = new Date(fecha);
+  d.setHours(0, 0, 0, 0);
+  return d;
+};
+
+// ── Marcar como 'vencido' los pagos con saldo y dueDate anterior al corte ────
+// Incluye los 'parcial': un abono no evita que el resto del cargo venza (ver
+// Payment.registrarAbono). Por defecto el corte es el inicio de hoy: un pago
+// vence al terminar su día límite, no a las 00:00 de ese día.
+const marcarPagosVencidos = async (fechaCorte = inicioDelDia()) => {
+  const result = await Payment.updateMany(
+    {
+      status: { $in: ['pendiente', 'parcial'] },
+      dueDate: { $lt: fechaCorte },
+      isActive: true
+    },
+    { $set: { status: 'vencido' } }
+  );
+  return result.modifiedCount;
+};
+
+// ── Generar mensualidades faltantes de un alumno ─────────────────────────────
+// Genera los pagos de colegiatura de todos los meses desde su enrollmentDate
+// hasta `hasta` (más `mesesAdelantados` meses futuros) que aún no tienen
+// registro, aplicando las reglas de descuento vigentes salvo 'pago_adelantado',
+// que depende de cuándo se pague (ver aplicarDescuentoAdelantado). Devuelve los pagos
+// creados, o null si el alumno no tiene configurados los datos de cobro.
+// `motor` (reglas y límites) puede pasarse ya cargado para no consultarlo
+// una vez por alumno.
+const generarMensualidadesAlumno = async (alumno, {
+  creadoPor,
+  hasta = new Date(),
+  mesesAdelantados = 0,
+  motor = null
+} = {}) => {
+  const { enrollment } = alumno;
+  const paymentDay     = enrollment?.paymentDay;
+  const monthlyFee     = enrollment?.monthlyFee;
+  const sucursalId     = enrollment?.sucursal;
+  const enrollmentDate = enrollment?.enrollmentDate
+    ? new Date(enrollment.enrollmentDate)
+    : null;
+
+  if (!paymentDay || !monthlyFee || !sucursalId || !enrollmentDate) return null;
+
+  // Calcular el primer mes de cobro:
+  // Si el alumno se inscribió antes del día de pago en ese mes → cobrar ese mismo mes
+  // Si se inscribió después → empezar el mes siguiente
+  const primerMes = new Date(enrollmentDate);
+  if (enrollmentDate.getDate() >= paymentDay) {
+    primerMes.setMonth(primerMes.getMonth() + 1);
+  }
+  primerMes.setDate(1); // normalizar al día 1 para iterar meses
+
+  const limite = new Date(hasta);
+  if (mesesAdelantados > 0) {
+    limite.setDate(1);
+    limite.setMonth(limite.getMonth() + mesesAdelantados + 1, 0); // último día del mes
+  }
+  limite.setHours(23, 59, 59, 999);
+
+  // Obtener los meses que ya tienen pago registrado para este alumno
+  const pagosExistentes = await Payment.find({
+    alumno: alumno._id,
+    type: 'colegiatura',
+    isActive: true
+  }).select('period').lean();
+
+  const mesesExistentes = new Set(
+    pagosExistentes.map(p => `${p.period?.year}-${p.period?.month}`)
+  );
+
+  // Iterar mes a mes desde primerMes hasta el límite
+  const hoy     = inicioDelDia();
+  const periodos = [];
+  const cursor  = new Date(primerMes);
+
+  while (cursor <= limite) {
+    const mes   = cursor.getMonth() + 1;  // 1-based
+    const año   = cursor.getFullYear();
+    const clave = `${año}-${mes}`;
+
+    if (!mesesExistentes.has(clave)) {
+      const dueDate = new Date(año, mes - 1, paymentDay);
+      periodos.push({ mes, año, dueDate });
+    }
+
+    // Avanzar al siguiente mes
+    cursor.setMonth(cursor.getMonth() + 1);
+  }
+
+  if (periodos.length === 0) return [];
+
+  // Descuentos: el contexto del alumno es el mismo para todos sus periodos
+  const motorDescuentos = motor || await cargarMotor();
+  const ctx = motorDescuentos.reglas.length ? await contextoAlumno(alumno) : null;
+
+  const pagosCreados = [];
+
+  for (const { mes, año, dueDate } of periodos) {
+    const { discount, descuentosAplicados } = ctx
+      ? calcularDescuento({
+          monto: monthlyFee,
+          ctx,
+          pago : { tipoPago: 'colegiatura', adelantado: false },
+          motor: motorDescuentos
+        })
+      : { discount: 0, descuentosAplicados: [] };
+
+    const nuevoPago = await Payment.create({
+      alumno      : alumno._id,
+      tutor       : alumno.tutor || undefined,
+      sucursal    : sucursalId,
+      type        : 'colegiatura',
+      description : `Colegiatura ${mes}/${año}`,
+      amount      : monthlyFee,
+      discount,
+      descuentosAplicados,
+      dueDate,
+      // Mismo criterio que marcarPagosVencidos: el del día de pago no está vencido
+      status      : dueDate < hoy ? 'vencido' : 'pendiente',
+      period      : { month: mes, year: año },
+      createdBy   : creadoPor
+    });
+
+    pagosCreados.push(nuevoPago);
+  }
+
+  return pagosCreados;
+};
+
+// ── Descuento por pago adelantado ────────────────────────────────────────────
+// Se evalúa al registrar el primer abono de una colegiatura: aplica si se paga
+// antes del día de su dueDate y el alumno tiene al menos `minMeses` colegiaturas
+// por vencer (contando esta). Actualiza discount y descuentosAplicados sin
+// guardar el pago (registrarAbono lo guarda). Devuelve el descuento agregado.
+const aplicarDescuentoAdelantado = async (payment, paidDate = new Date()) => {
+  if (payment.type !== 'colegiatura' || !payment.alumno || payment.abonos?.length) return 0;
+  if (!(new Date(paidDate) < inicioDelDia(payment.dueDate))) return 0;
+  if (payment.descuentosAplicados?.some(d => d.tipo === 'pago_adelantado')) return 0;
+
+  const motor = await cargarMotor(new Date(paidDate));
+  if (!motor.reglas.some(r => r.tipo === 'pago_adelantado')) return 0;
+
+  const alumno = await Alumno.findById(payment.alumno._id || payment.alumno)
+    .select(CAMPOS_ALUMNO)
+    .lean();
+  if (!alumno) return 0;
+
+  const mesesAdelantados = await Payment.countDocuments({
+    alumno  : alumno._id,
+    type    : 'colegiatura',
+    status  : { $ne: 'cancelado' },
+    dueDate : { $gt: new Date(paidDate) },
+    isActive: true
+  });
+
+  const { discount, descuentosAplicados } = calcularDescuento({
+    monto: payment.amount,
+    ctx  : await contextoAlumno(alumno),
+    pago : { tipoPago: 'colegiatura', adelantado: true, mesesAdelantados },
+    motor
+  });
+
+  const agregado = Math.round((discount - (payment.discount || 0)) * 100) / 100;
+  if (agregado <= 0 || !descuentosAplicados.some(d => d.tipo === 'pago_adelantado')) return 0;
+
+  payment.discount = discount;
+  payment.descuentosAplicados = descuentosAplicados;
+  return agregado;
+};
+
+// ── Generar mensualidades para varios alumnos activos ────────────────────────
+// `filtroExtra` permite acotar los alumnos (p. ej. por día de pago).
+const generarMensualidadesLote = async ({ creadoPor, hasta = new Date(), filtroExtra = {} } = {}) => {
+  const alumnos = await Alumno.find({ ...FILTRO_ALUMNOS_COBRABLES, ...filtroExtra })
+    .select(CAMPOS_ALUMNO)
+    .lean();
+
+  const motor = await cargarMotor();
+
+  let totalGenerados = 0;
+  const errores = [];
+
+  for (const alumno of alumnos) {
+    try {
+      const creados = await generarMensualidadesAlumno(alumno, { creadoPor, hasta, motor });
+      totalGenerados += creados?.length || 0;
+    } catch (e) {
+      errores.push({ alumno: alumno._id, error: e.message });
+    }
+  }
+
+  return { totalGenerados, alumnosProcesados: alumnos.length, errores };
+};
+
+module.exports = {
+  CAMPOS_ALUMNO,
+  calcularRecargoAutomatico,
+  marcarPagosVencidos,
+  aplicarDescuentoAdelantado,
+  generarMensualidadesAlumno,
+  generarMensualidadesLote
+};
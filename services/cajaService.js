@@ -0,0 +1,145 @@
+/**
+ * cajaService.js
+ * Sesiones de caja (corte de caja) por sucursal y cajero.
+ *
+ * Cada abono registrado con markAsPaid / cobrarConComprobante guarda la sesión
+ * abierta del cajero en Payment.abonos.sesionCaja. Lo esperado por método de
+ * pago se calcula a partir de esos abonos (más el fondo inicial en efectivo) y
+ * al cerrar se compara contra lo contado.
+ *
+ * Las sesiones son opcionales: con caja_requiere_sesion = true (por defecto
+ * false) no se permite cobrar sin caja abierta; si no, el abono queda sin
+ * sesión. Solo se liga la sesión a cobros de su misma sucursal.
+ */
+
+const mongoose      = require('mongoose');
+const Payment       = require('../models/Payments');
+const SesionCaja    = require('../models/SesionCaja');
+const Configuracion = require('../models/Configuracion');
+
+const { METODOS_PAGO } = SesionCaja;
+
+const redondear = (n) => Math.round(n * 100) / 100;
+
+const porMetodoEnCero = () =>
+  METODOS_PAGO.reduce((acc, m) => { acc[m] = 0; return acc; }, {});
+
+// ── Sesión con la que se registra un cobro ───────────────────────────────────
+// Devuelve { sesion } o { error } si la caja abierta es de otra sucursal o si
+// es obligatoria y no hay sesión abierta
+const sesionParaCobro = async (usuarioId, payment) => {
+  const sesion = await SesionCaja.findAbierta(usuarioId);
+  if (sesion) {
+    if (String(sesion.sucursal) !== String(payment.sucursal?._id || payment.sucursal)) {
+      return { error: 'La sesión de caja abierta es de otra sucursal; ciérrala para cobrar en la sucursal del pago' };
+    }
+    return { sesion };
+  }
+
+  const requiere = await Configuracion.getValor('caja_requiere_sesion', false);
+  if (requiere) {
+    return { error: 'Debes abrir una sesión de caja antes de registrar cobros' };
+  }
+  return { sesion: null };
+};
+
+// ── Totales esperados por método de pago ─────────────────────────────────────
+const calcularEsperado = async (sesion) => {
+  const sesionId = new mongoose.Types.ObjectId(sesion._id);
+
+  const porMetodo = await Payment.aggregate([
+    { $match: { 'abonos.sesionCaja': sesionId } },
+    { $unwind: '$abonos' },
+    { $match: { 'abonos.sesionCaja': sesionId } },
+    {
+      $group: {
+        _id: '$abonos.paymentMethod',
+        total: { $sum: '$abonos.monto' },
+        cobros: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const esperado = porMetodoEnCero();
+  let numeroCobros = 0;
+
+  porMetodo.forEach(({ _id, total, cobros }) => {
+    if (esperado[_id] !== undefined) esperado[_id] = redondear(total);
+    numeroCobros += cobros;
+  });
+
+  esperado.efectivo = redondear(esperado.efectivo + (sesion.fondoInicial || 0));
+
+  return {
+    esperado,
+    totalEsperado: redondear(Object.values(esperado).reduce((a, b) => a + b, 0)),
+    numeroCobros
+  };
+};
+
+// ── Cobros registrados en la sesión ──────────────────────────────────────────
+const cobrosDeSesion = async (sesionId) => {
+  const id = new mongoose.Types.ObjectId(sesionId);
+
+  const pagos = await Payment.find({ 'abonos.sesionCaja': id })
+    .select('alumno description period receiptNumber abonos')
+    .populate('alumno', 'firstName lastName')
+    .lean();
+
+  return pagos
+    .flatMap(p => p.abonos
+      .filter(a => a.sesionCaja?.toString() === id.toString())
+      .map(a => ({
+        pago            : p._id,
+        folio           : p.receiptNumber,
+        alumno          : p.alumno ? `${p.alumno.firstName} ${p.alumno.lastName}` : '',
+        concepto        : p.description,
+        abono           : a.numero,
+        monto           : a.monto,
+        paymentMethod   : a.paymentMethod,
+        paymentReference: a.paymentReference,
+        paidDate        : a.paidDate,
+        registradoEn    : a.createdAt
+      })))
+    .sort((a, b) => new Date(a.registradoEn) - new Date(b.registradoEn));
+};
+
+// ── Cerrar sesión con el conteo del cajero ───────────────────────────────────
+// contado: { efectivo, tarjeta, ... } (los métodos omitidos cuentan 0)
+const cerrarSesion = async (sesion, { contado = {}, notas, usuarioId }) => {
+  const { esperado, totalEsperado, numeroCobros } = await calcularEsperado(sesion);
+
+  const conteo = porMetodoEnCero();
+  const diferencias = porMetodoEnCero();
+
+  METODOS_PAGO.forEach(m => {
+    conteo[m] = redondear(Number(contado[m]) || 0);
+    diferencias[m] = redondear(conteo[m] - esperado[m]);
+  });
+
+  const totalContado = redondear(Object.values(conteo).reduce((a, b) => a + b, 0));
+
+  sesion.set({
+    estado         : 'cerrada',
+    fechaCierre    : new Date(),
+    cerradaPor     : usuarioId,
+    esperado,
+    contado        : conteo,
+    diferencias,
+    totalEsperado,
+    totalContado,
+    totalDiferencia: redondear(totalContado - totalEsperado),
+    numeroCobros,
+    notasCierre    : notas
+  });
+
+  await sesion.save();
+  return sesion;
+};
+
+module.exports = {
+  sesionParaCobro,
+  calcularEsperado,
+  cobrosDeSesion,
+  cerrarSesion
+};
@@ -0,0 +1,471 @@
+/**
+ * calendarioService.js
+ * Feeds iCalendar (RFC 5545) de clases, exámenes y ceremonias para
+ * suscribirse desde Google Calendar, Apple Calendar, Outlook, etc.
+ *
+ * Feeds disponibles (tipo de CalendarioToken):
+ *   instructor → sus clases (Horario.findByInstructor) y las sesiones que cubre como suplente
+ *   alumno     → clases inscritas, exámenes inscritos y ceremonias de graduación
+ *   sucursal   → clases activas y exámenes programados de la sucursal
+ *
+ * Cada horario es un solo evento con RRULE semanal (BYDAY a partir de
+ * Horario.dias). Las sesiones canceladas o reprogramadas (SesionClase) se
+ * excluyen con EXDATE y las reprogramadas se publican como evento aparte.
+ *
+ * Las horas se publican "flotantes" (sin zona) junto con X-WR-TIMEZONE
+ * (`sistema_timezone`), igual que el resto del sistema trabaja en hora local.
+ */
+
+const crypto          = require('crypto');
+const CalendarioToken = require('../models/CalendarioToken');
+const Horario         = require('../models/Horario');
+const Examen          = require('../models/Examen');
+const Graduacion      = require('../models/Graduacion');
+const SesionClase     = require('../models/SesionClase');
+const Alumno          = require('../models/Alumno');
+const Sucursal        = require('../models/Sucursal');
+const User            = require('../models/User');
+const Tutor           = require('../models/Tutor');
+const Configuracion   = require('../models/Configuracion');
+const { inicioDelDia, DIAS_SEMANA } = require('./sesionClaseService');
+
+const DIA_ICAL = {
+  lunes: 'MO', martes: 'TU', miercoles: 'WE', jueves: 'TH',
+  viernes: 'FR', sabado: 'SA', domingo: 'SU'
+};
+
+// Examen y Graduacion no guardan duración
+const DURACION_EXAMEN_MIN    = 120;
+const DURACION_CEREMONIA_MIN = 120;
+
+const SELECT_HORARIO = 'nombre nivel categoria dias horaInicio horaFin fechaInicio fechaFin salon sucursal instructor estado isActive updatedAt';
+
+// ── Formato iCalendar ────────────────────────────────────────────────────────
+const pad = (n) => String(n).padStart(2, '0');
+
+const fechaLocal = (d) => `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}`;
+const fechaHoraLocal = (d) => `${fechaLocal(d)}T${pad(d.getHours())}${pad(d.getMinutes())}00`;
+const fechaHoraUTC = (d) => new Date(d).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const conHora = (fecha, hhmm) => {
+  const d = inicioDelDia(fecha);
+  const [h, m] = hhmm.split(':').map(Number);
+  d.setHours(h, m, 0, 0);
+  return d;
+};
+
+const sumarMinutos = (fecha, minutos) => new Date(fecha.getTime() + minutos * 60 * 1000);
+
+const escaparTexto = (texto) => String(texto)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Líneas de máximo 75 octetos; la continuación empieza con un espacio
+const plegarLinea = (linea) => {
+  const partes = [];
+  let actual = '';
+  let octetos = 0;
+
+  for (const caracter of linea) {
+    const n = Buffer.byteLength(caracter);
+    const limite = partes.length === 0 ? 75 : 74;
+    if (octetos + n > limite) {
+      partes.push(actual);
+      actual = '';
+      octetos = 0;
+    }
+    actual += caracter;
+    octetos += n;
+  }
+  partes.push(actual);
+  return partes.join('\r\n ');
+};
+
+const dominioUid = () => {
+  try {
+    return new URL(process.env.BASE_URL || 'http://localhost:3005').hostname;
+  } catch {
+    return 'localhost';
+  }
+};
+
+// evento: { uid, inicio, fin, todoElDia, rrule, exdates, resumen, descripcion,
+//           ubicacion, categoria, actualizado }
+const lineasEvento = (evento, ahora) => {
+  const lineas = [
+    'BEGIN:VEVENT',
+    `UID:${evento.uid}@${dominioUid()}`,
+    `DTSTAMP:${fechaHoraUTC(ahora)}`
+  ];
+
+  if (evento.todoElDia) {
+    const siguiente = inicioDelDia(evento.inicio);
+    siguiente.setDate(siguiente.getDate() + 1);
+    lineas.push(`DTSTART;VALUE=DATE:${fechaLocal(evento.inicio)}`);
+    lineas.push(`DTEND;VALUE=DATE:${fechaLocal(siguiente)}`);
+  } else {
+    lineas.push(`DTSTART:${fechaHoraLocal(evento.inicio)}`);
+    lineas.push(`DTEND:${fechaHoraLocal(evento.fin)}`);
+  }
+
+  if (evento.rrule) lineas.push(`RRULE:${evento.rrule}`);
+  (evento.exdates || []).forEach(d => lineas.push(`EXDATE:${fechaHoraLocal(d)}`));
+
+  lineas.push(`SUMMARY:${escaparTexto(evento.resumen)}`);
+  if (evento.descripcion) lineas.push(`DESCRIPTION:${escaparTexto(evento.descripcion)}`);
+  if (evento.ubicacion)   lineas.push(`LOCATION:${escaparTexto(evento.ubicacion)}`);
+  if (evento.categoria)   lineas.push(`CATEGORIES:${escaparTexto(evento.categoria)}`);
+  if (evento.actualizado) lineas.push(`LAST-MODIFIED:${fechaHoraUTC(evento.actualizado)}`);
+  lineas.push('END:VEVENT');
+
+  return lineas;
+};
+
+// Documento VCALENDAR completo (líneas terminadas en CRLF)
+const generarIcs = async ({ nombre, eventos }) => {
+  const [sistema, zona] = await Promise.all([
+    Configuracion.getValor('sistema_nombre', 'TaekwondoSys'),
+    Configuracion.getValor('sistema_timezone', 'America/Mexico_City')
+  ]);
+  const ahora = new Date();
+
+  const lineas = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:-//${sistema}//Calendario//ES`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escaparTexto(nombre)}`,
+    `X-WR-TIMEZONE:${zona}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT6H',
+    'X-PUBLISHED-TTL:PT6H',
+    ...eventos.flatMap(e => lineasEvento(e, ahora)),
+    'END:VCALENDAR'
+  ];
+
+  return lineas.map(plegarLinea).join('\r\n') + '\r\n';
+};
+
+// ── Eventos de clases ────────────────────────────────────────────────────────
+// Primer día desde fechaInicio que coincide con Horario.dias (DTSTART debe ser
+// la primera ocurrencia de la regla)
+const primeraOcurrencia = (horario) => {
+  const dia = inicioDelDia(horario.fechaInicio || new Date());
+  for (let i = 0; i < 7; i++) {
+    if (horario.dias.includes(DIAS_SEMANA[dia.getDay()])) return dia;
+    dia.setDate(dia.getDate() + 1);
+  }
+  return null;
+};
+
+const ubicacionDe = (sucursal, salon) => [
+  salon ? `Salón ${salon}` : null,
+  sucursal?.name,
+  sucursal?.address
+].filter(Boolean).join(', ');
+
+const eventoDeHorario = (horario, exdates = []) => {
+  const dias = (horario.dias || []).filter(d => DIA_ICAL[d]);
+  if (dias.length === 0) return null;
+
+  const primera = primeraOcurrencia(horario);
+  if (!primera) return null;
+  if (horario.fechaFin && primera > horario.fechaFin) return null;
+
+  let rrule = `FREQ=WEEKLY;BYDAY=${dias.map(d => DIA_ICAL[d]).join(',')}`;
+  if (horario.fechaFin) {
+    rrule += `;UNTIL=${fechaLocal(new Date(horario.fechaFin))}T235959`;
+  }
+
+  return {
+    uid        : `horario-${horario._id}`,
+    inicio     : conHora(primera, horario.horaInicio),
+    fin        : conHora(primera, horario.horaFin),
+    rrule,
+    exdates    : exdates.map(s => conHora(s.fecha, horario.horaInicio)),
+    resumen    : horario.nombre,
+    descripcion: [
+      horario.instructor?.name ? `Instructor: ${horario.instructor.name}` : null,
+      horario.nivel ? `Nivel: ${horario.nivel}` : null
+    ].filter(Boolean).join('\n'),
+    ubicacion  : ubicacionDe(horario.sucursal, horario.salon),
+    categoria  : 'Clase',
+    actualizado: horario.updatedAt
+  };
+};
+
+const eventoDeSesion = (sesion, horario, nota) => ({
+  uid        : `sesion-${sesion._id}`,
+  inicio     : conHora(sesion.fecha, sesion.horaInicio),
+  fin        : conHora(sesion.fecha, sesion.horaFin),
+  resumen    : horario.nombre,
+  descripcion: nota,
+  ubicacion  : ubicacionDe(horario.sucursal, sesion.salon || horario.salon),
+  categoria  : 'Clase',
+  actualizado: sesion.updatedAt
+});
+
+// Eventos de un conjunto de horarios aplicando las excepciones del calendario.
+// opciones.instructorId: feed de un instructor; las sesiones que cubre un
+// suplente salen de su calendario.
+const eventosDeHorarios = async (horarios, { instructorId = null } = {}) => {
+  const vigentes = horarios.filter(h => h.isActive && h.estado === 'activo');
+  if (vigentes.length === 0) return [];
+
+  const porId = new Map(vigentes.map(h => [h._id.toString(), h]));
+
+  const excepciones = await SesionClase.find({
+    horario: { $in: vigentes.map(h => h._id) },
+    $or: [
+      { estado: { $in: ['cancelada', 'reprogramada'] } },
+      { reprogramadaDe: { $ne: null } },
+      { instructorSuplente: { $ne: null } }
+    ]
+  })
+    .populate('instructorSuplente', 'name')
+    .lean();
+
+  const exdates = new Map();
+  const sueltas = [];
+  const excluir = (sesion) => {
+    const clave = sesion.horario.toString();
+    if (!exdates.has(clave)) exdates.set(clave, []);
+    exdates.get(clave).push(sesion);
+  };
+
+  excepciones.forEach(sesion => {
+    const horario = porId.get(sesion.horario.toString());
+    const esOcurrenciaRegular = sesion.horaInicio === horario.horaInicio && !sesion.reprogramadaDe;
+    const seImparte = ['programada', 'realizada'].includes(sesion.estado);
+
+    if (!seImparte) {
+      if (esOcurrenciaRegular) excluir(sesion);
+      return;
+    }
+
+    const cubiertaPorSuplente = instructorId && sesion.instructorSuplente;
+    if (cubiertaPorSuplente) {
+      if (esOcurrenciaRegular) excluir(sesion);
+      return;
+    }
+
+    if (sesion.reprogramadaDe) {
+      sueltas.push(eventoDeSesion(sesion, horario, 'Sesión reprogramada'));
+    } else if (sesion.instructorSuplente?.name) {
+      sueltas.push({
+        ...eventoDeSesion(sesion, horario, `Instructor suplente: ${sesion.instructorSuplente.name}`),
+        uid: `sesion-${sesion._id}-suplente`
+      });
+      excluir(sesion);
+    }
+  });
+
+  return [
+    ...vigentes.map(h => eventoDeHorario(h, exdates.get(h._id.toString()))).filter(Boolean),
+    ...sueltas
+  ];
+};
+
+// ── Eventos de exámenes y ceremonias ─────────────────────────────────────────
+const eventoDeExamen = (examen) => {
+  const inicio = conHora(examen.fecha, examen.hora);
+  return {
+    uid        : `examen-${examen._id}`,
+    inicio,
+    fin        : sumarMinutos(inicio, DURACION_EXAMEN_MIN),
+    resumen    : `Examen: ${examen.nombre}`,
+    descripcion: examen.cinturonObjetivo ? `Cinturón objetivo: ${examen.cinturonObjetivo}` : examen.descripcion,
+    ubicacion  : ubicacionDe(examen.sucursal),
+    categoria  : 'Examen',
+    actualizado: examen.updatedAt
+  };
+};
+
+// Ceremonias registradas sin hora (00:00) se publican como evento de todo el día
+const eventoDeCeremonia = (graduacion, alumno) => {
+  const inicio = new Date(graduacion.ceremonia.fecha);
+  const todoElDia = inicio.getHours() === 0 && inicio.getMinutes() === 0;
+  return {
+    uid        : `ceremonia-${graduacion._id}`,
+    inicio,
+    fin        : sumarMinutos(inicio, DURACION_CEREMONIA_MIN),
+    todoElDia,
+    resumen    : `Ceremonia de graduación: ${alumno.firstName} ${alumno.lastName}`,
+    descripcion: graduacion.cinturonNuevo ? `Cinturón: ${graduacion.cinturonNuevo}` : null,
+    ubicacion  : graduacion.ceremonia.lugar,
+    categoria  : 'Graduación',
+    actualizado: graduacion.updatedAt
+  };
+};
+
+// ── Feeds ────────────────────────────────────────────────────────────────────
+// Devuelven { nombre, eventos } o { error } si la referencia ya no existe.
+const feedInstructor = async (instructorId) => {
+  const instructor = await User.findById(instructorId).select('name role isActive').lean();
+  if (!instructor || instructor.role !== 'instructor' || !instructor.isActive) {
+    return { error: 'Instructor no encontrado' };
+  }
+
+  const horarios = await Horario.findByInstructor(instructorId)
+    .populate('instructor', 'name')
+    .lean();
+  const eventos = await eventosDeHorarios(horarios, { instructorId });
+
+  // Sesiones de otros instructores que cubre como suplente
+  const suplencias = await SesionClase.find({
+    instructorSuplente: instructorId,
+    estado: { $in: ['programada', 'realizada'] }
+  })
+    .populate({ path: 'horario', select: 'nombre salon sucursal', populate: { path: 'sucursal', select: 'name address' } })
+    .lean();
+
+  suplencias
+    .filter(s => s.horario)
+    .forEach(s => eventos.push({
+      ...eventoDeSesion(s, s.horario, 'Suplencia'),
+      uid: `sesion-${s._id}-suplente`
+    }));
+
+  return { nombre: `Clases de ${instructor.name}`, eventos };
+};
+
+const feedAlumno = async (alumnoId) => {
+  const alumno = await Alumno.findOne({ _id: alumnoId, isActive: true }).select('firstName lastName').lean();
+  if (!alumno) return { error: 'Alumno no encontrado' };
+
+  const [horarios, examenes, graduaciones] = await Promise.all([
+    Horario.find({
+      isActive: true,
+      alumnosInscritos: { $elemMatch: { alumno: alumnoId, activo: true } }
+    })
+      .select(SELECT_HORARIO)
+      .populate('sucursal', 'name address')
+      .populate('instructor', 'name')
+      .lean(),
+    Examen.find({ 'alumnosInscritos.alumno': alumnoId, estado: { $ne: 'cancelado' } })
+      .select('nombre descripcion fecha hora cinturonObjetivo sucursal updatedAt')
+      .populate('sucursal', 'name address')
+      .lean(),
+    Graduacion.find({ alumno: alumnoId, estado: { $ne: 'cancelada' }, 'ceremonia.fecha': { $ne: null } })
+      .select('ceremonia cinturonNuevo updatedAt')
+      .lean()
+  ]);
+
+  const eventos = [
+    ...await eventosDeHorarios(horarios),
+    ...examenes.map(eventoDeExamen),
+    ...graduaciones.map(g => eventoDeCeremonia(g, alumno))
+  ];
+
+  return { nombre: `Taekwondo - ${alumno.firstName} ${alumno.lastName}`, eventos };
+};
+
+const feedSucursal = async (sucursalId) => {
+  const sucursal = await Sucursal.findOne({ _id: sucursalId, isActive: true }).select('name').lean();
+  if (!sucursal) return { error: 'Sucursal no encontrada' };
+
+  const [horarios, examenes] = await Promise.all([
+    Horario.find({ sucursal: sucursalId, isActive: true, estado: 'activo' })
+      .select(SELECT_HORARIO)
+      .populate('sucursal', 'name address')
+      .populate('instructor', 'name')
+      .lean(),
+    Examen.find({ sucursal: sucursalId, estado: { $in: ['programado', 'en_proceso', 'en_curso'] } })
+      .select('nombre descripcion fecha hora cinturonObjetivo sucursal updatedAt')
+      .populate('sucursal', 'name address')
+      .lean()
+  ]);
+
+  const eventos = [
+    ...await eventosDeHorarios(horarios),
+    ...examenes.map(eventoDeExamen)
+  ];
+
+  return { nombre: `Clases - ${sucursal.name}`, eventos };
+};
+
+const FEEDS = {
+  instructor: feedInstructor,
+  alumno    : feedAlumno,
+  sucursal  : feedSucursal
+};
+
+// ── Tokens de suscripción ────────────────────────────────────────────────────
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const urlFeed = (token) => {
+  const base = process.env.BASE_URL || 'http://localhost:3005';
+  return `${base}/api/calendario/feed/${token}.ics`;
+};
+
+// Emite un token nuevo y revoca el que el mismo usuario tuviera para ese
+// calendario (los de otros usuarios siguen funcionando).
+// Devuelve { token, url, doc }; el valor en claro solo se conoce aquí.
+const emitirToken = async ({ tipo, referencia, userId }) => {
+  await CalendarioToken.revocarVigentes(tipo, referencia, userId);
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const doc = await CalendarioToken.create({
+    tipo,
+    referencia,
+    tokenHash: hashToken(token),
+    creadoPor: userId
+  });
+
+  return {
+    token,
+    url: urlFeed(token),
+    webcal: urlFeed(token).replace(/^https?:/, 'webcal:'),
+    doc
+  };
+};
+
+// Quien generó el token debe seguir teniendo acceso al calendario: cuenta
+// activa y, según su rol, las mismas reglas que al emitirlo (un instructor,
+// su propio calendario; un padre, el de un hijo de su tutor vinculado).
+const creadorAutorizado = async (registro) => {
+  const user = await User.findById(registro.creadoPor).select('role isActive').lean();
+  if (!user?.isActive) return false;
+
+  if (user.role === 'admin') return true;
+  if (user.role === 'instructor') {
+    return registro.tipo === 'instructor' && registro.referencia.equals(user._id);
+  }
+  if (user.role === 'padre' && registro.tipo === 'alumno') {
+    const tutor = await Tutor.findByUsuario(user._id).select('_id').lean();
+    return !!tutor && !!await Alumno.exists({ _id: registro.referencia, tutor: tutor._id });
+  }
+  return false;
+};
+
+// Genera el .ics de un token. Devuelve { nombre, ics } o { error }.
+// Un token cuyo creador perdió el acceso se revoca al usarse.
+const generarFeed = async (token) => {
+  if (!token || !/^[a-f0-9]{64}$/.test(token)) return { error: 'Calendario no encontrado' };
+
+  const registro = await CalendarioToken.findOne({ tokenHash: hashToken(token), revocadoEn: null });
+  if (!registro) return { error: 'Calendario no encontrado' };
+
+  if (!await creadorAutorizado(registro)) {
+    await CalendarioToken.updateOne({ _id: registro._id }, { $set: { revocadoEn: new Date() } });
+    return { error: 'Calendario no encontrado' };
+  }
+
+  const { error, nombre, eventos } = await FEEDS[registro.tipo](registro.referencia);
+  if (error) return { error };
+
+  await CalendarioToken.updateOne(
+    { _id: registro._id },
+    { $set: { ultimoAcceso: new Date() }, $inc: { accesos: 1 } }
+  );
+
+  return { nombre, ics: await generarIcs({ nombre, eventos }) };
+};
+
+module.exports = {
+  generarIcs,
+  emitirToken,
+  generarFeed
+};
@@ -0,0 +1,126 @@
+/**
+ * checkinService.js
+ * Registro de asistencia con código QR en el kiosco de cada sucursal.
+ *
+ * Código del alumno: "TKD1.<alumnoId>.<versión>.<firma>", firmado con
+ * HMAC-SHA256. Al regenerarlo sube Alumno.checkin.qrVersion y las credenciales
+ * impresas antes dejan de valer.
+ *
+ * Kiosco: cada Sucursal tiene una clave de dispositivo (solo se guarda su
+ * hash) que el kiosco envía en la cabecera X-Kiosco-Clave.
+ *
+ * Variables de entorno:
+ *   CHECKIN_SECRET = (opcional) secreto de la firma; por defecto JWT_SECRET
+ */
+
+const crypto        = require('crypto');
+const QRCode        = require('qrcode');
+const Horario       = require('../models/Horario');
+const Sucursal      = require('../models/Sucursal');
+const Configuracion = require('../models/Configuracion');
+const { DIAS_SEMANA, inicioDelDia } = require('./sesionClaseService');
+
+const PREFIJO = 'TKD1';
+
+// ── Código del alumno ────────────────────────────────────────────────────────
+const firmar = (texto) => crypto
+  .createHmac('sha256', process.env.CHECKIN_SECRET || process.env.JWT_SECRET)
+  .update(texto)
+  .digest('base64url')
+  .slice(0, 22);
+
+const codigoDeAlumno = (alumno) => {
+  const base = `${PREFIJO}.${alumno._id}.${alumno.checkin?.qrVersion || 1}`;
+  return `${base}.${firmar(base)}`;
+};
+
+// Devuelve { alumnoId, version } o null si el código no es válido
+const verificarCodigo = (codigo) => {
+  if (typeof codigo !== 'string') return null;
+
+  const partes = codigo.trim().split('.');
+  if (partes.length !== 4 || partes[0] !== PREFIJO) return null;
+
+  const [, alumnoId, version, firma] = partes;
+  if (!/^[a-f0-9]{24}$/.test(alumnoId) || !/^\d+$/.test(version)) return null;
+
+  const esperada = Buffer.from(firmar(`${PREFIJO}.${alumnoId}.${version}`));
+  const recibida = Buffer.from(firma);
+  if (esperada.length !== recibida.length || !crypto.timingSafeEqual(esperada, recibida)) return null;
+
+  return { alumnoId, version: parseInt(version, 10) };
+};
+
+// PNG del código (Buffer), listo para responder o incrustar en un PDF
+const generarQr = (alumno, { ancho = 300 } = {}) =>
+  QRCode.toBuffer(codigoDeAlumno(alumno), { type: 'png', margin: 1, width: ancho, errorCorrectionLevel: 'M' });
+
+// ── Clave del kiosco ─────────────────────────────────────────────────────────
+const hashClave = (clave) => crypto.createHash('sha256').update(clave).digest('hex');
+
+// Genera una clave nueva (la anterior deja de funcionar). Devuelve la clave en claro.
+const emitirClaveKiosco = async (sucursal, userId) => {
+  const clave = crypto.randomBytes(24).toString('hex');
+
+  sucursal.kiosco = {
+    claveHash  : hashClave(clave),
+    generadaEn : new Date(),
+    generadaPor: userId
+  };
+  await sucursal.save();
+
+  return clave;
+};
+
+// Devuelve la sucursal activa si la clave corresponde, o null
+const verificarClaveKiosco = async (sucursalId, clave) => {
+  if (!clave || typeof clave !== 'string') return null;
+
+  const sucursal = await Sucursal.findOne({ _id: sucursalId, isActive: true }).select('+kiosco.claveHash');
+  if (!sucursal?.kiosco?.claveHash) return null;
+
+  const esperada = Buffer.from(sucursal.kiosco.claveHash);
+  const recibida = Buffer.from(hashClave(clave));
+  return crypto.timingSafeEqual(esperada, recibida) ? sucursal : null;
+};
+
+// ── Clase en curso ───────────────────────────────────────────────────────────
+const aMinutos = (hhmm) => {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+};
+
+// Clase del alumno en la sucursal que empieza pronto o está en curso.
+// Devuelve { horario } o { error }.
+const buscarClaseActual = async (alumnoId, sucursalId, ahora = new Date()) => {
+  const minutosAntes = await Configuracion.getValor('asistencia_kiosco_minutos_antes', 30);
+  const minutoActual = ahora.getHours() * 60 + ahora.getMinutes();
+  const hoy = inicioDelDia(ahora);
+
+  const horarios = await Horario.find({
+    sucursal: sucursalId,
+    isActive: true,
+    estado: 'activo',
+    dias: DIAS_SEMANA[ahora.getDay()],
+    alumnosInscritos: { $elemMatch: { alumno: alumnoId, activo: true } }
+  });
+
+  const vigentes = horarios
+    .filter(h => (!h.fechaInicio || h.fechaInicio <= ahora) && (!h.fechaFin || h.fechaFin >= hoy))
+    .filter(h => minutoActual >= aMinutos(h.horaInicio) - minutosAntes && minutoActual <= aMinutos(h.horaFin))
+    .sort((a, b) => aMinutos(a.horaInicio) - aMinutos(b.horaInicio));
+
+  if (vigentes.length === 0) {
+    return { error: 'No tienes una clase en curso en esta sucursal' };
+  }
+  return { horario: vigentes[0] };
+};
+
+module.exports = {
+  codigoDeAlumno,
+  verificarCodigo,
+  generarQr,
+  emitirClaveKiosco,
+  verificarClaveKiosco,
+  buscarClaseActual
+};
@@ -0,0 +1,292 @@
+/**
+ * conflictoHorarioService.js
+ * Detección de conflictos de horario.
+ *
+ * Dos clases se traslapan si comparten al menos un día, sus horas se enciman
+ * (inicio < fin del otro, en ambos sentidos) y sus vigencias fechaInicio /
+ * fechaFin se cruzan. Se considera conflicto:
+ *   instructor               → el mismo instructor en dos clases traslapadas
+ *   salon                    → dos clases traslapadas en el mismo salón y sucursal
+ *   alumno                   → un alumno inscrito (o pendiente) en dos clases traslapadas
+ *   sucursal_cerrada         → la clase cae fuera de Sucursal.schedule
+ *   instructor_no_disponible → fuera de User.instructorInfo.availability
+ *
+ * La disponibilidad del instructor es texto libre ("16:00-21:00", "9:00 - 13:00,
+ * 17:00 - 20:00"); si no contiene rangos reconocibles, el día no se restringe.
+ */
+
+const Horario  = require('../models/Horario');
+const Sucursal = require('../models/Sucursal');
+const User     = require('../models/User');
+
+const DIA_SCHEDULE = {
+  lunes    : 'monday',
+  martes   : 'tuesday',
+  miercoles: 'wednesday',
+  jueves   : 'thursday',
+  viernes  : 'friday',
+  sabado   : 'saturday',
+  domingo  : 'sunday'
+};
+
+const ESTADOS_VIGENTES = ['activo', 'suspendido'];
+
+const aMinutos = (hora) => {
+  const [h, m] = String(hora || '').split(':').map(Number);
+  return h * 60 + (m || 0);
+};
+
+const idDe = (ref) => (ref?._id || ref)?.toString();
+
+// Rangos "HH:MM-HH:MM" contenidos en un texto libre
+const rangosDeTexto = (texto) => {
+  const rangos = [];
+  const regex = /(\d{1,2}:\d{2})\s*(?:-|a|–)\s*(\d{1,2}:\d{2})/g;
+  let m;
+  while ((m = regex.exec(texto || '')) !== null) {
+    rangos.push({ inicio: aMinutos(m[1]), fin: aMinutos(m[2]) });
+  }
+  return rangos;
+};
+
+// ── ¿Se traslapan dos clases? Devuelve los días en común que chocan ──────────
+const diasTraslapados = (a, b) => {
+  const dias = (a.dias || []).filter(d => (b.dias || []).includes(d));
+  if (dias.length === 0) return [];
+
+  const horasChocan = aMinutos(a.horaInicio) < aMinutos(b.horaFin) &&
+                      aMinutos(b.horaInicio) < aMinutos(a.horaFin);
+  if (!horasChocan) return [];
+
+  const inicioA = a.fechaInicio ? new Date(a.fechaInicio) : null;
+  const inicioB = b.fechaInicio ? new Date(b.fechaInicio) : null;
+  const finA = a.fechaFin ? new Date(a.fechaFin) : null;
+  const finB = b.fechaFin ? new Date(b.fechaFin) : null;
+  if ((finA && inicioB && finA < inicioB) || (finB && inicioA && finB < inicioA)) return [];
+
+  return dias;
+};
+
+const resumenHorario = (h) => ({
+  _id       : h._id,
+  nombre    : h.nombre,
+  dias      : h.dias,
+  horaInicio: h.horaInicio,
+  horaFin   : h.horaFin,
+  salon     : h.salon || null
+});
+
+const mismoSalon = (a, b) =>
+  !!a.salon && !!b.salon &&
+  idDe(a.sucursal) === idDe(b.sucursal) &&
+  a.salon.trim().toLowerCase() === b.salon.trim().toLowerCase();
+
+// ── Reglas contra el horario de la sucursal ──────────────────────────────────
+const validarSucursal = (datos, sucursal) => {
+  if (!sucursal?.schedule) return [];
+
+  const inicio = aMinutos(datos.horaInicio);
+  const fin = aMinutos(datos.horaFin);
+
+  return (datos.dias || []).flatMap(dia => {
+    const horario = sucursal.schedule[DIA_SCHEDULE[dia]];
+    if (!horario) return [];
+
+    if (!horario.isOpen) {
+      return [{ tipo: 'sucursal_cerrada', dia, mensaje: `La sucursal ${sucursal.name} no abre el ${dia}` }];
+    }
+    if (inicio < aMinutos(horario.openTime) || fin > aMinutos(horario.closeTime)) {
+      return [{
+        tipo: 'sucursal_cerrada',
+        dia,
+        mensaje: `La clase (${datos.horaInicio}-${datos.horaFin}) queda fuera del horario de ${sucursal.name} el ${dia} (${horario.openTime}-${horario.closeTime})`
+      }];
+    }
+    return [];
+  });
+};
+
+// ── Reglas contra la disponibilidad del instructor ───────────────────────────
+const validarDisponibilidad = (datos, instructor) => {
+  const disponibilidad = instructor?.instructorInfo?.availability;
+  if (!disponibilidad) return [];
+
+  const inicio = aMinutos(datos.horaInicio);
+  const fin = aMinutos(datos.horaFin);
+
+  return (datos.dias || []).flatMap(dia => {
+    const dispo = disponibilidad[DIA_SCHEDULE[dia]];
+    if (!dispo) return [];
+
+    if (dispo.available === false) {
+      return [{ tipo: 'instructor_no_disponible', dia, mensaje: `${instructor.name} no está disponible el ${dia}` }];
+    }
+
+    const rangos = rangosDeTexto(dispo.hours);
+    if (rangos.length > 0 && !rangos.some(r => inicio >= r.inicio && fin <= r.fin)) {
+      return [{
+        tipo: 'instructor_no_disponible',
+        dia,
+        mensaje: `La clase (${datos.horaInicio}-${datos.horaFin}) queda fuera de la disponibilidad de ${instructor.name} el ${dia} (${dispo.hours})`
+      }];
+    }
+    return [];
+  });
+};
+
+// ── Conflictos de un horario nuevo o modificado ──────────────────────────────
+// datos: { instructor, sucursal, salon, dias, horaInicio, horaFin, fechaInicio, fechaFin }
+// excluirId: el propio horario al actualizar
+const conflictosDeHorario = async (datos, { excluirId } = {}) => {
+  if (!datos.horaInicio || !datos.horaFin || !(datos.dias || []).length) return [];
+
+  const filtroChoques = [{ instructor: idDe(datos.instructor) }];
+  if (datos.salon && datos.sucursal) filtroChoques.push({ sucursal: idDe(datos.sucursal) });
+
+  const filtros = {
+    isActive: true,
+    estado  : { $in: ESTADOS_VIGENTES },
+    dias    : { $in: datos.dias },
+    $or     : filtroChoques
+  };
+  if (excluirId) filtros._id = { $ne: excluirId };
+
+  const [candidatos, sucursal, instructor] = await Promise.all([
+    Horario.find(filtros)
+      .select('nombre instructor sucursal salon dias horaInicio horaFin fechaInicio fechaFin')
+      .lean(),
+    datos.sucursal ? Sucursal.findById(idDe(datos.sucursal)).select('name schedule').lean() : null,
+    datos.instructor ? User.findById(idDe(datos.instructor)).select('name instructorInfo.availability').lean() : null
+  ]);
+
+  const conflictos = [];
+
+  candidatos.forEach(otro => {
+    const dias = diasTraslapados(datos, otro);
+    if (dias.length === 0) return;
+
+    if (idDe(otro.instructor) === idDe(datos.instructor)) {
+      conflictos.push({
+        tipo   : 'instructor',
+        dias,
+        mensaje: `El instructor ya imparte "${otro.nombre}" (${otro.horaInicio}-${otro.horaFin}) el ${dias.join(', ')}`,
+        horario: resumenHorario(otro)
+      });
+    }
+    if (mismoSalon(datos, otro)) {
+      conflictos.push({
+        tipo   : 'salon',
+        dias,
+        mensaje: `El salón "${otro.salon}" está ocupado por "${otro.nombre}" (${otro.horaInicio}-${otro.horaFin}) el ${dias.join(', ')}`,
+        horario: resumenHorario(otro)
+      });
+    }
+  });
+
+  conflictos.push(...validarSucursal(datos, sucursal));
+  conflictos.push(...validarDisponibilidad(datos, instructor));
+
+  return conflictos;
+};
+
+// ── Conflictos de un alumno con las clases en que ya está ────────────────────
+const conflictosDeAlumno = async (alumnoId, horario) => {
+  const otros = await Horario.find({
+    _id     : { $ne: horario._id },
+    isActive: true,
+    estado  : { $in: ESTADOS_VIGENTES },
+    dias    : { $in: horario.dias || [] },
+    alumnosInscritos: {
+      $elemMatch: {
+        alumno: alumnoId,
+        $or: [{ activo: true }, { estado: 'pendiente' }]
+      }
+    }
+  })
+    .select('nombre salon dias horaInicio horaFin fechaInicio fechaFin')
+    .lean();
+
+  return otros
+    .map(otro => ({ otro, dias: diasTraslapados(horario, otro) }))
+    .filter(({ dias }) => dias.length > 0)
+    .map(({ otro, dias }) => ({
+      tipo   : 'alumno',
+      dias,
+      mensaje: `El alumno ya está inscrito en "${otro.nombre}" (${otro.horaInicio}-${otro.horaFin}) el ${dias.join(', ')}`,
+      horario: resumenHorario(otro)
+    }));
+};
+
+// ── Reporte de conflictos existentes ─────────────────────────────────────────
+// filtros: { sucursal, instructor }
+const reporteConflictos = async (filtros = {}) => {
+  const query = { isActive: true, estado: { $in: ESTADOS_VIGENTES } };
+  if (filtros.sucursal) query.sucursal = filtros.sucursal;
+  if (filtros.instructor) query.instructor = filtros.instructor;
+
+  const horarios = await Horario.find(query)
+    .select('nombre instructor sucursal salon dias horaInicio horaFin fechaInicio fechaFin alumnosInscritos')
+    .populate('instructor', 'name instructorInfo.availability')
+    .populate('sucursal', 'name schedule')
+    .populate('alumnosInscritos.alumno', 'firstName lastName')
+    .lean();
+
+  const reporte = { instructor: [], salon: [], alumnos: [], sucursalCerrada: [], instructorNoDisponible: [] };
+
+  for (let i = 0; i < horarios.length; i++) {
+    const a = horarios[i];
+
+    for (let j = i + 1; j < horarios.length; j++) {
+      const b = horarios[j];
+      const dias = diasTraslapados(a, b);
+      if (dias.length === 0) continue;
+
+      if (idDe(a.instructor) === idDe(b.instructor)) {
+        reporte.instructor.push({
+          instructor: a.instructor?.name || null,
+          dias,
+          horarios: [resumenHorario(a), resumenHorario(b)]
+        });
+      }
+      if (mismoSalon(a, b)) {
+        reporte.salon.push({
+          sucursal: a.sucursal?.name || null,
+          salon   : a.salon,
+          dias,
+          horarios: [resumenHorario(a), resumenHorario(b)]
+        });
+      }
+
+      const alumnosA = new Map((a.alumnosInscritos || [])
+        .filter(x => x.alumno && (x.activo || x.estado === 'pendiente'))
+        .map(x => [idDe(x.alumno), x.alumno]));
+      (b.alumnosInscritos || [])
+        .filter(x => x.alumno && (x.activo || x.estado === 'pendiente') && alumnosA.has(idDe(x.alumno)))
+        .forEach(x => {
+          reporte.alumnos.push({
+            alumno  : { _id: x.alumno._id, nombre: `${x.alumno.firstName} ${x.alumno.lastName}` },
+            dias,
+            horarios: [resumenHorario(a), resumenHorario(b)]
+          });
+        });
+    }
+
+    validarSucursal(a, a.sucursal).forEach(c =>
+      reporte.sucursalCerrada.push({ ...c, horario: resumenHorario(a) }));
+    validarDisponibilidad(a, a.instructor).forEach(c =>
+      reporte.instructorNoDisponible.push({ ...c, horario: resumenHorario(a) }));
+  }
+
+  return {
+    ...reporte,
+    horariosRevisados: horarios.length,
+    total: Object.values(reporte).reduce((acc, lista) => acc + lista.length, 0)
+  };
+};
+
+module.exports = {
+  diasTraslapados,
+  conflictosDeHorario,
+  conflictosDeAlumno,
+  reporteConflictos
+};
@@ -0,0 +1,152 @@
+/**
+ * descuentoService.js
+ * Motor de reglas de descuento para mensualidades.
+ *
+ * Flujo:
+ *   1. cargarMotor()          → reglas vigentes + límites de acumulación (una vez por lote)
+ *   2. contextoAlumno(alumno) → datos del alumno que evalúan las reglas (hermanos, programas)
+ *   3. calcularDescuento(...) → { discount, descuentosAplicados } para un pago concreto
+ *
+ * Reglas de acumulación:
+ *   - Se recorren por prioridad (mayor primero).
+ *   - Una regla no acumulable solo se aplica si no hay otra aplicada, y bloquea las siguientes.
+ *   - Como máximo se aplican `maxReglas` reglas.
+ *   - El descuento total no supera `maximoPorcentaje` del monto (se recorta la última regla).
+ */
+
+const Alumno         = require('../models/Alumno');
+const Configuracion  = require('../models/Configuracion');
+const ReglaDescuento = require('../models/ReglaDescuento');
+
+const redondear = (n) => Math.round(n * 100) / 100;
+
+// ── Reglas vigentes y límites de acumulación ─────────────────────────────────
+const cargarMotor = async (fecha = new Date()) => {
+  const [reglas, maximoPorcentaje, maxReglas] = await Promise.all([
+    ReglaDescuento.findVigentes(fecha),
+    Configuracion.getValor('pago_descuento_maximo', 50),
+    Configuracion.getValor('pago_descuento_max_reglas', 2)
+  ]);
+
+  return {
+    reglas,
+    limites: {
+      maximoPorcentaje: Number(maximoPorcentaje) || 0,
+      maxReglas       : parseInt(maxReglas) || 0
+    }
+  };
+};
+
+// ── Contexto del alumno para evaluar reglas ──────────────────────────────────
+// posicionHermano: 1 = el primero inscrito entre los hermanos activos
+const contextoAlumno = async (alumno) => {
+  const ctx = {
+    sucursal       : alumno.enrollment?.sucursal?.toString() || null,
+    programas      : alumno.enrollment?.programa?.length || 0,
+    hermanos       : 1,
+    posicionHermano: 1
+  };
+
+  if (alumno.tutor) {
+    const tutorId = alumno.tutor._id || alumno.tutor;
+    const hermanos = await Alumno.find({
+      tutor: tutorId,
+      isActive: true,
+      'enrollment.status': 'activo'
+    })
+      .select('_id enrollment.enrollmentDate')
+      .sort({ 'enrollment.enrollmentDate': 1, _id: 1 })
+      .lean();
+
+    const posicion = hermanos.findIndex(h => h._id.toString() === alumno._id.toString());
+    if (posicion !== -1) {
+      ctx.hermanos        = hermanos.length;
+      ctx.posicionHermano = posicion + 1;
+    }
+  }
+
+  return ctx;
+};
+
+// ── ¿La regla aplica a este pago? ────────────────────────────────────────────
+// pago: { tipoPago, adelantado, mesesAdelantados }
+const reglaAplica = (regla, ctx, pago) => {
+  if (regla.tiposPago?.length && !regla.tiposPago.includes(pago.tipoPago)) return false;
+
+  if (regla.sucursales?.length &&
+      !regla.sucursales.some(s => s.toString() === ctx.sucursal)) return false;
+
+  const cond = regla.condiciones || {};
+
+  switch (regla.tipo) {
+    case 'hermanos':
+      if (ctx.hermanos < (cond.minHermanos || 2)) return false;
+      return cond.aplicarAlPrimero || ctx.posicionHermano > 1;
+
+    case 'multiples_programas':
+      return ctx.programas >= (cond.minProgramas || 2);
+
+    case 'pago_adelantado':
+      return !!pago.adelantado && (pago.mesesAdelantados || 0) >= (cond.minMeses || 3);
+
+    default:
+      return false;
+  }
+};
+
+// ── Calcular descuento de un pago ────────────────────────────────────────────
+const calcularDescuento = ({ monto, ctx, pago, motor }) => {
+  const { reglas, limites } = motor;
+  const aplicados = [];
+
+  for (const regla of reglas) {
+    if (limites.maxReglas && aplicados.length >= limites.maxReglas) break;
+    if (!reglaAplica(regla, ctx, pago)) continue;
+
+    if (aplicados.length > 0) {
+      // Una regla no acumulable no se combina con ninguna otra
+      if (!regla.acumulable) continue;
+    }
+
+    const importe = regla.modo === 'porcentaje'
+      ? redondear(monto * regla.cantidad / 100)
+      : redondear(regla.cantidad);
+
+    aplicados.push({
+      regla   : regla._id,
+      nombre  : regla.nombre,
+      tipo    : regla.tipo,
+      modo    : regla.modo,
+      cantidad: regla.cantidad,
+      monto   : importe
+    });
+
+    if (!regla.acumulable) break;
+  }
+
+  // Tope global: recortar desde la última regla aplicada
+  const tope = redondear(Math.min(monto, monto * (limites.maximoPorcentaje ?? 100) / 100));
+  let total = redondear(aplicados.reduce((acc, a) => acc + a.monto, 0));
+
+  for (let i = aplicados.length - 1; i >= 0 && total > tope; i--) {
+    const exceso = redondear(total - tope);
+    const recorte = Math.min(exceso, aplicados[i].monto);
+    aplicados[i].monto = redondear(aplicados[i].monto - recorte);
+    aplicados[i].limitado = true;
+    total = redondear(total - recorte);
+  }
+
+  const descuentosAplicados = aplicados.filter(a => a.monto > 0);
+
+  return {
+    discount: redondear(descuentosAplicados.reduce((acc, a) => acc + a.monto, 0)),
+    descuentosAplicados
+  };
+};
+
+module.exports = {
+  cargarMotor,
+  contextoAlumno,
+  reglaAplica,
+  calcularDescuento
+};
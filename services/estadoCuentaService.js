@@ -0,0 +1,243 @@
+/**
+ * estadoCuentaService.js
+ * Estado de cuenta de un alumno o de un tutor (todos sus hijos) en un rango de fechas.
+ *
+ * Cada Payment se descompone en movimientos:
+ *   cargo     → amount, en la fecha de vencimiento
+ *   descuento → discount, en la fecha de vencimiento
+ *   recargo   → lateFee, en la fecha del primer cobro (o la de pago)
+ *   pago      → cada abono; los pagos sin abonos cuentan completos en paidDate
+ *
+ * Saldo inicial = suma de movimientos anteriores a `desde`; saldo final = saldo
+ * inicial + movimientos del periodo. Saldo positivo = adeudo. Los pagos
+ * cancelados no generan movimientos.
+ */
+
+const Payment = require('../models/Payments');
+const Alumno  = require('../models/Alumno');
+const Tutor   = require('../models/Tutor');
+
+const redondear = (n) => Math.round(n * 100) / 100;
+
+// Rango por defecto: del 1 de enero del año en curso a hoy
+const normalizarRango = (desde, hasta) => {
+  const fin = hasta ? new Date(hasta) : new Date();
+  fin.setHours(23, 59, 59, 999);
+
+  const inicio = desde ? new Date(desde) : new Date(fin.getFullYear(), 0, 1);
+  inicio.setHours(0, 0, 0, 0);
+
+  return { inicio, fin };
+};
+
+const nombreCompleto = (persona) =>
+  persona ? [persona.firstName, persona.lastName].filter(Boolean).join(' ') : '';
+
+const conceptoPago = (pago) => {
+  const periodo = pago.period?.month && pago.period?.year
+    ? ` (${String(pago.period.month).padStart(2, '0')}/${pago.period.year})`
+    : '';
+  return `${pago.description}${periodo}`;
+};
+
+// ── Movimientos de un pago ───────────────────────────────────────────────────
+// importe > 0 aumenta el adeudo, importe < 0 lo reduce
+const movimientosDePago = (pago) => {
+  const base = {
+    pago        : pago._id,
+    alumno      : pago.alumno?._id || pago.alumno,
+    alumnoNombre: nombreCompleto(pago.alumno),
+    concepto    : conceptoPago(pago),
+    folio       : pago.receiptNumber || null
+  };
+  const abonos = pago.abonos || [];
+  const movimientos = [];
+
+  movimientos.push({ ...base, tipo: 'cargo', fecha: pago.dueDate, importe: pago.amount });
+
+  if (pago.discount > 0) {
+    const reglas = (pago.descuentosAplicados || []).map(d => d.nombre).filter(Boolean);
+    movimientos.push({
+      ...base,
+      tipo    : 'descuento',
+      fecha   : pago.dueDate,
+      concepto: `Descuento${reglas.length ? ` (${reglas.join(', ')})` : ''} — ${base.concepto}`,
+      importe : -pago.discount
+    });
+  }
+
+  if (pago.lateFee > 0) {
+    movimientos.push({
+      ...base,
+      tipo    : 'recargo',
+      fecha   : abonos[0]?.paidDate || pago.paidDate || pago.dueDate,
+      concepto: `Recargo por pago tardío — ${base.concepto}`,
+      importe : pago.lateFee
+    });
+  }
+
+  if (abonos.length > 0) {
+    abonos.forEach(a => {
+      movimientos.push({
+        ...base,
+        tipo    : 'pago',
+        fecha   : a.paidDate,
+        concepto: `Abono ${a.numero} — ${base.concepto}`,
+        metodo  : a.paymentMethod,
+        importe : -a.monto
+      });
+    });
+  } else if (pago.status === 'pagado') {
+    movimientos.push({
+      ...base,
+      tipo    : 'pago',
+      fecha   : pago.paidDate || pago.updatedAt,
+      concepto: `Pago — ${base.concepto}`,
+      metodo  : pago.paymentMethod,
+      importe : -(pago.total ?? (pago.amount - (pago.discount || 0)))
+    });
+  }
+
+  return movimientos;
+};
+
+// ── Construir el estado de cuenta a partir de los pagos ──────────────────────
+const construirEstado = (pagos, inicio, fin) => {
+  const todos = pagos
+    .flatMap(movimientosDePago)
+    .filter(m => m.fecha && new Date(m.fecha) <= fin)
+    .sort((a, b) => new Date(a.fecha) - new Date(b.fecha));
+
+  let saldoInicial = 0;
+  const movimientos = [];
+  const totales = { cargos: 0, descuentos: 0, recargos: 0, pagos: 0 };
+  const CLAVE_TOTAL = { cargo: 'cargos', descuento: 'descuentos', recargo: 'recargos', pago: 'pagos' };
+
+  todos.forEach(m => {
+    if (new Date(m.fecha) < inicio) {
+      saldoInicial += m.importe;
+      return;
+    }
+    totales[CLAVE_TOTAL[m.tipo]] += Math.abs(m.importe);
+    movimientos.push(m);
+  });
+
+  saldoInicial = redondear(saldoInicial);
+  let saldo = saldoInicial;
+  movimientos.forEach(m => {
+    m.importe = redondear(m.importe);
+    saldo = redondear(saldo + m.importe);
+    m.saldo = saldo;
+  });
+
+  Object.keys(totales).forEach(k => { totales[k] = redondear(totales[k]); });
+
+  // Cargos con saldo al cierre (para "pendientes de pago")
+  const pendientes = pagos
+    .filter(p => ['pendiente', 'parcial', 'vencido'].includes(p.status) && new Date(p.dueDate) <= fin)
+    .map(p => {
+      const pagado = (p.abonos || []).reduce((acc, a) => acc + a.monto, 0);
+      return {
+        pago        : p._id,
+        alumnoNombre: nombreCompleto(p.alumno),
+        concepto    : conceptoPago(p),
+        dueDate     : p.dueDate,
+        status      : p.status,
+        saldo       : redondear((p.total ?? p.amount) - pagado)
+      };
+    })
+    .filter(p => p.saldo > 0);
+
+  return {
+    periodo: { desde: inicio, hasta: fin },
+    saldoInicial,
+    totales,
+    saldoFinal: saldo,
+    movimientos,
+    pendientes
+  };
+};
+
+// Pagos con algún movimiento hasta `fin` (incluye cobros adelantados de cargos posteriores)
+const cargarPagos = (filtro, fin) =>
+  Payment.find({
+    $and: [
+      filtro,
+      {
+        $or: [
+          { dueDate: { $lte: fin } },
+          { paidDate: { $lte: fin } },
+          { 'abonos.paidDate': { $lte: fin } }
+        ]
+      }
+    ],
+    isActive: true,
+    status  : { $ne: 'cancelado' }
+  })
+    .populate('alumno', 'firstName lastName')
+    .sort({ dueDate: 1 })
+    .lean();
+
+// ── Estado de cuenta de un alumno ────────────────────────────────────────────
+// Devuelve null si el alumno no existe
+const estadoCuentaAlumno = async (alumnoId, { desde, hasta } = {}) => {
+  const alumno = await Alumno.findById(alumnoId)
+    .select('firstName lastName secondLastName email enrollment.studentId enrollment.sucursal tutor')
+    .populate('enrollment.sucursal', 'name')
+    .populate('tutor', 'firstName lastName email')
+    .lean();
+
+  if (!alumno) return null;
+
+  const { inicio, fin } = normalizarRango(desde, hasta);
+  const pagos = await cargarPagos({ alumno: alumno._id }, fin);
+
+  return {
+    titular: {
+      tipo     : 'alumno',
+      _id      : alumno._id,
+      nombre   : [alumno.firstName, alumno.lastName, alumno.secondLastName].filter(Boolean).join(' '),
+      matricula: alumno.enrollment?.studentId || null,
+      sucursal : alumno.enrollment?.sucursal?.name || null,
+      tutor    : alumno.tutor ? nombreCompleto(alumno.tutor) : null
+    },
+    alumnos: [{ _id: alumno._id, nombre: nombreCompleto(alumno) }],
+    ...construirEstado(pagos, inicio, fin),
+    generadoEn: new Date()
+  };
+};
+
+// ── Estado de cuenta de un tutor (todos sus hijos) ───────────────────────────
+// Devuelve null si el tutor no existe
+const estadoCuentaTutor = async (tutorId, { desde, hasta } = {}) => {
+  const tutor = await Tutor.findById(tutorId)
+    .select('firstName lastName email')
+    .lean();
+
+  if (!tutor) return null;
+
+  // Incluye hijos dados de baja: sus adeudos siguen a cargo del tutor
+  const hijos = await Alumno.find({ tutor: tutor._id })
+    .select('firstName lastName')
+    .sort({ firstName: 1 })
+    .lean();
+
+  const { inicio, fin } = normalizarRango(desde, hasta);
+  const pagos = await cargarPagos({
+    $or: [{ tutor: tutor._id }, { alumno: { $in: hijos.map(h => h._id) } }]
+  }, fin);
+
+  return {
+    titular: {
+      tipo  : 'tutor',
+      _id   : tutor._id,
+      nombre: nombreCompleto(tutor),
+      email : tutor.email || null
+    },
+    alumnos: hijos.map(h => ({ _id: h._id, nombre: nombreCompleto(h) })),
+    ...construirEstado(pagos, inicio, fin),
+    generadoEn: new Date()
+  };
+};
+
+module.exports = { estadoCuentaAlumno, estadoCuentaTutor };
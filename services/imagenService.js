@@ -0,0 +1,141 @@
+/**
+ * imagenService.js
+ * Normaliza las fotos de perfil (alumnos, tutores, instructores) y los logos
+ * (sucursales, disciplinas) al subirlos:
+ * - Corrige la orientación EXIF y descarta todos los metadatos (GPS, cámara...).
+ * - Genera variantes: 'thumb' (listas), 'card' (fichas) y la imagen principal.
+ * - Convierte a WebP las variantes y a JPEG la principal (PNG en logos, para
+ *   conservar la transparencia). La principal sigue en JPEG/PNG porque PDFKit
+ *   no lee WebP (credenciales, solicitudes).
+ *
+ * Archivos: <base>.jpg|png, <base>-thumb.webp y <base>-card.webp en la misma
+ * carpeta del almacenamiento. El modelo guarda la principal en filename/url y
+ * las demás en variantes.
+ */
+
+const path  = require('path');
+const sharp = require('sharp');
+const almacenamiento = require('./almacenamientoService');
+
+// fit 'cover' recorta al cuadrado (miniaturas de fotos); 'inside' solo reduce
+const PERFILES = {
+  foto: {
+    principal: { ancho: 1200, alto: 1200, fit: 'inside', formato: 'jpeg' },
+    thumb    : { ancho: 160,  alto: 160,  fit: 'cover',  formato: 'webp' },
+    card     : { ancho: 480,  alto: 480,  fit: 'inside', formato: 'webp' }
+  },
+  logo: {
+    principal: { ancho: 1000, alto: 1000, fit: 'inside', formato: 'png' },
+    thumb    : { ancho: 160,  alto: 160,  fit: 'inside', formato: 'webp' },
+    card     : { ancho: 480,  alto: 480,  fit: 'inside', formato: 'webp' }
+  }
+};
+
+const VARIANTES = ['thumb', 'card'];
+
+const EXTENSION = { jpeg: '.jpg', png: '.png', webp: '.webp' };
+const MIMETYPE  = { jpeg: 'image/jpeg', png: 'image/png', webp: 'image/webp' };
+
+const OPCIONES_FORMATO = {
+  jpeg: { quality: 85, mozjpeg: true },
+  png : { compressionLevel: 9 },
+  webp: { quality: 80 }
+};
+
+// Un solo cuadro (GIF animados) y rechazo de imágenes gigantes (~50 MP)
+const OPCIONES_ENTRADA = { pages: 1, limitInputPixels: 50 * 1000 * 1000 };
+
+// Mismo mensaje que el fileFilter de las rutas, que ya lo responden como 400
+const ERROR_IMAGEN = 'Solo se permiten archivos de imagen';
+
+const generarVariante = async (contenido, { ancho, alto, fit, formato }) => {
+  // rotate() sin argumentos aplica la orientación EXIF; sharp no copia los
+  // metadatos a la salida salvo que se pida con withMetadata()
+  const { data, info } = await sharp(contenido, OPCIONES_ENTRADA)
+    .rotate()
+    .resize({ width: ancho, height: alto, fit, position: 'attention', withoutEnlargement: true })
+    .toFormat(formato, OPCIONES_FORMATO[formato])
+    .toBuffer({ resolveWithObject: true });
+
+  return { data, ancho: info.width, alto: info.height, size: info.size };
+};
+
+// Procesa la imagen y guarda todas sus variantes.
+// Devuelve { filename, mimetype, size, clave, variantes: { thumb, card } }
+const procesarImagen = async (contenido, { carpeta, base, perfil = 'foto' }) => {
+  const config = PERFILES[perfil];
+
+  try {
+    await sharp(contenido, OPCIONES_ENTRADA).metadata();
+  } catch (error) {
+    throw new Error(ERROR_IMAGEN);
+  }
+
+  const principal = await generarVariante(contenido, config.principal);
+  const filename = `${base}${EXTENSION[config.principal.formato]}`;
+  const clave = almacenamiento.clave(carpeta, filename);
+
+  const variantes = {};
+  for (const nombre of VARIANTES) {
+    const variante = await generarVariante(contenido, config[nombre]);
+    const archivo = `${base}-${nombre}${EXTENSION[config[nombre].formato]}`;
+    const claveVariante = almacenamiento.clave(carpeta, archivo);
+
+    await almacenamiento.guardar(claveVariante, variante.data, { contentType: MIMETYPE[config[nombre].formato] });
+    variantes[nombre] = {
+      filename: archivo,
+      url     : almacenamiento.url(claveVariante),
+      ancho   : variante.ancho,
+      alto    : variante.alto
+    };
+  }
+
+  await almacenamiento.guardar(clave, principal.data, { contentType: MIMETYPE[config.principal.formato] });
+
+  return {
+    filename,
+    mimetype: MIMETYPE[config.principal.formato],
+    size    : principal.size,
+    clave,
+    variantes
+  };
+};
+
+// Borra la imagen principal y sus variantes. imagen: { filename, variantes }
+const eliminarImagen = async (carpeta, imagen) => {
+  if (!imagen?.filename) return;
+
+  const archivos = [imagen.filename, ...VARIANTES.map(v => imagen.variantes?.[v]?.filename)].filter(Boolean);
+  await Promise.all(archivos.map(archivo => almacenamiento.descartar(almacenamiento.clave(carpeta, archivo))));
+};
+
+// ── Subidas con multer ───────────────────────────────────────────────────────
+// Como almacenamiento.storageMulter, pero procesa la imagen antes de guardarla.
+// req.file queda con filename, mimetype, size y clave de la principal y con
+// variantes ({ thumb, card }).
+const storageImagen = (carpeta, nombreArchivo, perfil = 'foto') => ({
+  _handleFile(req, file, cb) {
+    const partes = [];
+    file.stream.on('data', parte => partes.push(parte));
+    file.stream.on('error', cb);
+    file.stream.on('end', () => {
+      const base = path.parse(path.basename(nombreArchivo(req, file))).name;
+
+      procesarImagen(Buffer.concat(partes), { carpeta, base, perfil })
+        .then(info => cb(null, info))
+        .catch(cb);
+    });
+  },
+
+  _removeFile(req, file, cb) {
+    eliminarImagen(carpeta, file).then(() => cb(null), cb);
+  }
+});
+
+module.exports = {
+  PERFILES,
+  VARIANTES,
+  procesarImagen,
+  eliminarImagen,
+  storageImagen
+};
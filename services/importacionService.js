@@ -0,0 +1,463 @@
+/**
+ * importacionService.js
+ * Importación masiva de alumnos (y sus tutores) desde CSV.
+ *
+ * Una fila por alumno; los datos del tutor van en columnas "tutor_*" de la
+ * misma fila, así los hermanos comparten tutor repitiendo su email. Los
+ * encabezados se aceptan en español (ver COLUMNAS) o como ruta del esquema
+ * ("enrollment.programa", "tutor.phones.primary").
+ *
+ * Cada fila pasa por las mismas reglas que el alta manual (validateAlumno /
+ * validateTutor de middleware/validation) y por la validación del modelo.
+ * Duplicados:
+ * - Alumno: mismo email, o mismo nombre + apellido + fecha de nacimiento, ya
+ *   sea en la base o en una fila anterior del archivo.
+ * - Tutor: por email o identification.number (este último solo se compara,
+ *   igual que en createTutor). Si ya existe se vincula en lugar de crearlo.
+ *
+ * Con dryRun no se escribe nada: se devuelve el reporte de lo que se haría.
+ */
+
+const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
+const Alumno   = require('../models/Alumno');
+const Tutor    = require('../models/Tutor');
+const Sucursal = require('../models/Sucursal');
+const { validateAlumno, validateTutor } = require('../middleware/validation');
+const nivelService = require('./nivelService');
+
+const MAX_FILAS = 1000;
+
+// Encabezado normalizado → ruta en el documento ('tutor.' = datos del tutor)
+const COLUMNAS = {
+  nombre                        : 'firstName',
+  nombres                       : 'firstName',
+  apellido_paterno              : 'lastName',
+  apellido                      : 'lastName',
+  apellidos                     : 'lastName',
+  apellido_materno              : 'secondLastName',
+  fecha_nacimiento              : 'dateOfBirth',
+  fecha_de_nacimiento           : 'dateOfBirth',
+  genero                        : 'gender',
+  sexo                          : 'gender',
+  email                         : 'email',
+  correo                        : 'email',
+  telefono                      : 'phone',
+  celular                       : 'phone',
+  lugar_nacimiento              : 'birthPlace',
+  estatura                      : 'height',
+  ocupacion                     : 'occupation',
+  grado_escolar                 : 'gradeLevel',
+  calle                         : 'address.street',
+  colonia                       : 'address.neighborhood',
+  ciudad                        : 'address.city',
+  estado                        : 'address.state',
+  cp                            : 'address.zipCode',
+  codigo_postal                 : 'address.zipCode',
+  sucursal                      : 'enrollment.sucursal',
+  programa                      : 'enrollment.programa',
+  disciplina                    : 'enrollment.programa',
+  fecha_inscripcion             : 'enrollment.enrollmentDate',
+  dia_pago                      : 'enrollment.paymentDay',
+  mensualidad                   : 'enrollment.monthlyFee',
+  inscripcion                   : 'enrollment.registrationFee',
+  cinturon                      : 'belt.level',
+  contacto_emergencia           : 'emergencyContact.name',
+  contacto_emergencia_nombre    : 'emergencyContact.name',
+  contacto_emergencia_parentesco: 'emergencyContact.relationship',
+  contacto_emergencia_telefono  : 'emergencyContact.phone',
+  tipo_sangre                   : 'medicalInfo.bloodType',
+  alergias                      : 'medicalInfo.allergies',
+  medicamentos                  : 'medicalInfo.medications',
+  condiciones_medicas           : 'medicalInfo.medicalConditions',
+  notas                         : 'notes',
+  parentesco                    : 'relationshipToTutor',
+
+  tutor_nombre                  : 'tutor.firstName',
+  tutor_apellidos               : 'tutor.lastName',
+  tutor_email                   : 'tutor.email',
+  tutor_telefono                : 'tutor.phones.primary',
+  tutor_telefono_secundario     : 'tutor.phones.secondary',
+  tutor_whatsapp                : 'tutor.phones.whatsapp',
+  tutor_identificacion_tipo     : 'tutor.identification.type',
+  tutor_identificacion          : 'tutor.identification.number',
+  tutor_identificacion_numero   : 'tutor.identification.number'
+};
+
+// Columnas de la plantilla descargable
+const PLANTILLA = [
+  'nombre', 'apellido_paterno', 'apellido_materno', 'fecha_nacimiento', 'genero',
+  'email', 'telefono', 'sucursal', 'programa', 'dia_pago', 'cinturon',
+  'contacto_emergencia_nombre', 'contacto_emergencia_parentesco', 'contacto_emergencia_telefono',
+  'tipo_sangre', 'alergias', 'parentesco',
+  'tutor_nombre', 'tutor_apellidos', 'tutor_email', 'tutor_telefono', 'tutor_identificacion_numero'
+];
+
+const sinAcentos = (texto) => String(texto).normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+const normalizarEncabezado = (texto) =>
+  sinAcentos(texto).trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+// ── CSV ──────────────────────────────────────────────────────────────────────
+// Acepta coma, punto y coma (Excel en español) o tabulador; comillas dobles
+// con "" como escape y saltos de línea dentro de comillas.
+const parsearCsv = (texto) => {
+  const contenido = texto.replace(/^\uFEFF/, '');
+  const primeraLinea = contenido.split(/\r?\n/, 1)[0] || '';
+  const separador = [',', ';', '\t']
+    .map(s => [s, primeraLinea.split(s).length])
+    .sort((a, b) => b[1] - a[1])[0][0];
+
+  const filas = [];
+  let fila = [];
+  let celda = '';
+  let entreComillas = false;
+
+  for (let i = 0; i < contenido.length; i++) {
+    const c = contenido[i];
+
+    if (entreComillas) {
+      if (c === '"' && contenido[i + 1] === '"') { celda += '"'; i++; }
+      else if (c === '"') entreComillas = false;
+      else celda += c;
+      continue;
+    }
+
+    if (c === '"') entreComillas = true;
+    else if (c === separador) { fila.push(celda); celda = ''; }
+    else if (c === '\n' || c === '\r') {
+      if (c === '\r' && contenido[i + 1] === '\n') i++;
+      fila.push(celda);
+      filas.push(fila);
+      fila = [];
+      celda = '';
+    } else celda += c;
+  }
+  if (celda !== '' || fila.length > 0) {
+    fila.push(celda);
+    filas.push(fila);
+  }
+
+  return filas.filter(f => f.some(v => v.trim() !== ''));
+};
+
+// ── Normalización de valores ─────────────────────────────────────────────────
+const asignar = (obj, ruta, valor) => {
+  const partes = ruta.split('.');
+  let actual = obj;
+  partes.slice(0, -1).forEach(p => { actual = actual[p] = actual[p] || {}; });
+  actual[partes[partes.length - 1]] = valor;
+};
+
+const obtener = (obj, ruta) => ruta.split('.').reduce((o, p) => (o == null ? undefined : o[p]), obj);
+
+// DD/MM/AAAA (formato de Excel en México) → AAAA-MM-DD
+const normalizarFecha = (valor) => {
+  const m = valor.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  return m ? `${m[3]}-${m[2].padStart(2, '0')}-${m[1].padStart(2, '0')}` : valor;
+};
+
+const GENEROS = { m: 'masculino', h: 'masculino', hombre: 'masculino', masculino: 'masculino',
+  f: 'femenino', mujer: 'femenino', femenino: 'femenino', otro: 'otro' };
+
+const slug = (valor) => sinAcentos(valor).trim().toLowerCase().replace(/\s+/g, '-');
+
+const normalizarValor = (ruta, valor) => {
+  const campo = ruta.split('.').pop();
+
+  if (campo === 'email') return valor.toLowerCase();
+  if (campo === 'dateOfBirth' || campo === 'enrollmentDate') return normalizarFecha(valor);
+  if (campo === 'gender') return GENEROS[sinAcentos(valor).toLowerCase()] || valor.toLowerCase();
+  if (['phone', 'primary', 'secondary', 'whatsapp'].includes(campo)) return valor.replace(/[^\d+]/g, '');
+  if (['height', 'paymentDay', 'monthlyFee', 'registrationFee'].includes(campo)) {
+    const n = Number(valor.replace(',', '.'));
+    return Number.isNaN(n) ? valor : n;
+  }
+  if (campo === 'programa') {
+    const programas = valor.split(/[|/]/).map(slug).filter(Boolean);
+    return programas.length === 1 ? programas[0] : programas;
+  }
+  if (['level', 'relationshipToTutor', 'type'].includes(campo)) return slug(valor);
+  return valor;
+};
+
+// ── Resolución de sucursales (por ID o por nombre) ───────────────────────────
+const crearResolverSucursal = async (sucursalDefecto) => {
+  const sucursales = await Sucursal.find({ isActive: true }).select('name settings').lean();
+  const porId = new Map(sucursales.map(s => [s._id.toString(), s]));
+  const porNombre = new Map(sucursales.map(s => [normalizarEncabezado(s.name), s]));
+
+  return (valor) => {
+    const texto = valor || sucursalDefecto;
+    if (!texto) return null;
+    if (mongoose.Types.ObjectId.isValid(texto) && porId.has(String(texto))) return porId.get(String(texto));
+    return porNombre.get(normalizarEncabezado(texto)) || null;
+  };
+};
+
+// Ejecuta las cadenas de express-validator sobre un body sin pasar por Express
+const validarConReglas = async (reglas, body, prefijo = '') => {
+  const req = { body };
+  for (const regla of reglas) {
+    if (typeof regla.run === 'function') await regla.run(req);
+  }
+  return validationResult(req).array({ onlyFirstError: true }).map(e => ({
+    campo  : prefijo + (e.path || e.param),
+    mensaje: e.msg
+  }));
+};
+
+const erroresDeModelo = (doc, omitir = []) => {
+  const error = doc.validateSync(undefined, { pathsToSkip: omitir });
+  if (!error) return [];
+  return Object.values(error.errors).map(e => ({ campo: e.path, mensaje: e.message }));
+};
+
+const edadDe = (fecha) => {
+  const nacimiento = new Date(fecha);
+  if (Number.isNaN(nacimiento.getTime())) return null;
+  const hoy = new Date();
+  let edad = hoy.getFullYear() - nacimiento.getFullYear();
+  const m = hoy.getMonth() - nacimiento.getMonth();
+  if (m < 0 || (m === 0 && hoy.getDate() < nacimiento.getDate())) edad--;
+  return edad;
+};
+
+// ── Análisis (dry-run) ───────────────────────────────────────────────────────
+// Devuelve { error } o { columnasIgnoradas, filas } con una entrada por fila:
+// { fila, nombre, estado: 'valida'|'error'|'duplicado', errores, avisos,
+//   datos: { alumno, tutor }, tutor: { accion, clave, existente } }
+const analizarCsv = async (texto, { sucursalDefecto } = {}) => {
+  const filasCsv = parsearCsv(texto);
+  if (filasCsv.length < 2) return { error: 'El archivo no tiene filas de datos' };
+  if (filasCsv.length - 1 > MAX_FILAS) return { error: `El archivo excede el máximo de ${MAX_FILAS} filas` };
+
+  const [encabezados, ...datos] = filasCsv;
+  const rutas = encabezados.map(h => COLUMNAS[normalizarEncabezado(h)] || (h.includes('.') ? h.trim() : null));
+  const columnasIgnoradas = encabezados.filter((h, i) => !rutas[i] && h.trim());
+
+  if (!rutas.includes('firstName') || !rutas.includes('lastName')) {
+    return { error: 'El archivo debe tener al menos las columnas nombre y apellido_paterno' };
+  }
+
+  const resolverSucursal = await crearResolverSucursal(sucursalDefecto);
+  const vistosAlumno = new Map();   // email | nombre+fecha → fila
+  const tutoresArchivo = new Map(); // email | identificación → clave del tutor
+  const resultado = [];
+
+  for (const [i, valores] of datos.entries()) {
+    const fila = { fila: i + 2, errores: [], avisos: [] };
+    const registro = {};
+    rutas.forEach((ruta, j) => {
+      const valor = (valores[j] || '').trim();
+      if (ruta && valor !== '') asignar(registro, ruta, normalizarValor(ruta, valor));
+    });
+
+    const { tutor: datosTutor, ...alumno } = registro;
+    fila.nombre = [alumno.firstName, alumno.lastName, alumno.secondLastName].filter(Boolean).join(' ');
+
+    // Sucursal por nombre o ID (o la indicada para todo el archivo)
+    const sucursal = resolverSucursal(obtener(alumno, 'enrollment.sucursal'));
+    if (sucursal) {
+      asignar(alumno, 'enrollment.sucursal', sucursal._id.toString());
+    } else {
+      fila.errores.push({
+        campo: 'enrollment.sucursal',
+        mensaje: alumno.enrollment?.sucursal
+          ? `Sucursal "${alumno.enrollment.sucursal}" no encontrada o inactiva`
+          : 'La sucursal es requerida'
+      });
+      if (alumno.enrollment) delete alumno.enrollment.sucursal;
+    }
+
+    // Con tutor: parentesco por defecto y, si falta, el tutor como contacto de emergencia
+    if (datosTutor) {
+      if (!alumno.relationshipToTutor) alumno.relationshipToTutor = alumno.gender === 'femenino' ? 'hija' : 'hijo';
+      if (!alumno.emergencyContact) {
+        alumno.emergencyContact = {
+          name        : [datosTutor.firstName, datosTutor.lastName].filter(Boolean).join(' '),
+          relationship: 'Tutor',
+          phone       : datosTutor.phones?.primary
+        };
+      }
+    }
+
+    // Reglas del alta manual + validación del modelo
+    fila.errores.push(...(await validarConReglas(validateAlumno, alumno))
+      .filter(e => !(e.campo === 'enrollment.sucursal' && !sucursal)));
+    const edad = edadDe(alumno.dateOfBirth);
+    if (edad !== null && edad < 18 && !datosTutor) {
+      fila.errores.push({ campo: 'tutor', mensaje: 'El alumno es menor de edad: se requieren los datos del tutor' });
+    }
+    const candidato = new Alumno({ ...alumno, tutor: undefined });
+    fila.errores.push(...erroresDeModelo(candidato, ['tutor', 'relationshipToTutor', 'enrollment.sucursal', 'createdBy'])
+      .filter(e => !fila.errores.some(x => x.campo === e.campo)));
+
+    // validateSync no corre el pre('validate') del cinturón: se revisa aquí
+    if (alumno.belt?.level) {
+      const { error } = await nivelService.validarNivel(nivelService.disciplinaDe(alumno), alumno.belt.level);
+      if (error) fila.errores.push({ campo: 'belt.level', mensaje: error });
+    }
+
+    if (datosTutor) {
+      fila.errores.push(...await validarConReglas(validateTutor, datosTutor, 'tutor.'));
+      fila.errores.push(...erroresDeModelo(new Tutor(datosTutor), ['createdBy'])
+        .map(e => ({ campo: `tutor.${e.campo}`, mensaje: e.mensaje }))
+        .filter(e => !fila.errores.some(x => x.campo === e.campo)));
+    }
+
+    // Duplicados del alumno: en el archivo y en la base
+    const claves = [
+      alumno.email && `email:${alumno.email}`,
+      alumno.dateOfBirth && `nombre:${normalizarEncabezado(`${alumno.firstName} ${alumno.lastName}`)}:${alumno.dateOfBirth}`
+    ].filter(Boolean);
+    const repetida = claves.map(c => vistosAlumno.get(c)).find(Boolean);
+    if (repetida) {
+      fila.duplicado = `Repite al alumno de la fila ${repetida}`;
+    } else if (fila.errores.length === 0) {
+      const condiciones = [];
+      if (alumno.email) condiciones.push({ email: alumno.email });
+      condiciones.push({ firstName: alumno.firstName, lastName: alumno.lastName, dateOfBirth: new Date(alumno.dateOfBirth) });
+      const existente = await Alumno.findOne({ $or: condiciones })
+        .collation({ locale: 'es', strength: 1 })
+        .select('firstName lastName enrollment.studentId')
+        .lean();
+      if (existente) {
+        fila.duplicado = `Ya existe el alumno ${existente.firstName} ${existente.lastName} (${existente.enrollment?.studentId || existente._id})`;
+      }
+    }
+    claves.forEach(c => { if (!vistosAlumno.has(c)) vistosAlumno.set(c, fila.fila); });
+
+    // Tutor: reutilizar el de una fila anterior, vincular uno existente o crearlo
+    if (datosTutor && fila.errores.length === 0) {
+      const idNumero = datosTutor.identification?.number;
+      const clave = tutoresArchivo.get(`email:${datosTutor.email}`) || (idNumero && tutoresArchivo.get(`id:${idNumero}`));
+
+      if (clave) {
+        fila.tutor = { accion: 'archivo', clave };
+      } else {
+        const condiciones = [{ email: datosTutor.email }];
+        if (idNumero) condiciones.push({ 'identification.number': idNumero });
+        const existente = await Tutor.findOne({ $or: condiciones }).select('firstName lastName email isActive').lean();
+
+        if (existente && !existente.isActive) {
+          fila.errores.push({ campo: 'tutor', mensaje: `El tutor ${existente.email} existe pero está inactivo` });
+        } else {
+          fila.tutor = existente
+            ? { accion: 'existente', clave: datosTutor.email, existente }
+            : { accion: 'crear', clave: datosTutor.email };
+          if (existente && existente.email !== datosTutor.email) {
+            fila.avisos.push(`La identificación coincide con el tutor ${existente.email}; se vinculará con él`);
+          }
+          tutoresArchivo.set(`email:${datosTutor.email}`, datosTutor.email);
+          if (idNumero) tutoresArchivo.set(`id:${idNumero}`, datosTutor.email);
+        }
+      }
+    }
+
+    fila.estado = fila.errores.length > 0 ? 'error' : fila.duplicado ? 'duplicado' : 'valida';
+    fila.datos = { alumno, tutor: datosTutor || null, sucursal };
+    resultado.push(fila);
+  }
+
+  return { columnasIgnoradas, filas: resultado };
+};
+
+// ── Aplicar la importación ───────────────────────────────────────────────────
+// Crea las filas 'valida' en orden. Devuelve { alumnos, tutores } con los IDs
+// creados; cada fila pasa a 'creado' o 'error'.
+const aplicarImportacion = async (filas, userId) => {
+  const tutoresPorClave = new Map();
+  const creados = { alumnos: [], tutores: [] };
+
+  for (const fila of filas) {
+    if (fila.estado !== 'valida') continue;
+    const { alumno, tutor: datosTutor, sucursal } = fila.datos;
+
+    try {
+      let tutorId;
+      if (fila.tutor) {
+        tutorId = tutoresPorClave.get(fila.tutor.clave);
+        if (!tutorId && fila.tutor.existente) tutorId = fila.tutor.existente._id;
+        if (!tutorId) {
+          // Primera fila de este tutor (o la fila que lo traía falló)
+          const nuevo = await Tutor.create({ ...datosTutor, createdBy: userId });
+          creados.tutores.push(nuevo._id);
+          tutorId = nuevo._id;
+        }
+        tutoresPorClave.set(fila.tutor.clave, tutorId);
+      }
+
+      const nuevo = await Alumno.create({
+        ...alumno,
+        tutor: tutorId,
+        relationshipToTutor: tutorId ? alumno.relationshipToTutor : undefined,
+        enrollment: {
+          ...alumno.enrollment,
+          monthlyFee: alumno.enrollment?.monthlyFee || sucursal.settings?.monthlyFee || 0,
+          registrationFee: alumno.enrollment?.registrationFee || sucursal.settings?.registrationFee || 0
+        },
+        belt: { dateObtained: new Date(), ...alumno.belt },
+        createdBy: userId
+      });
+
+      creados.alumnos.push(nuevo._id);
+      fila.estado = 'creado';
+      fila.alumnoId = nuevo._id;
+      fila.matricula = nuevo.enrollment?.studentId;
+    } catch (error) {
+      fila.estado = 'error';
+      fila.errores.push({
+        campo: error.name === 'ValidationError' ? Object.keys(error.errors).join(', ') : null,
+        mensaje: error.code === 11000 ? 'Registro duplicado' : error.message
+      });
+    }
+  }
+
+  // Estadísticas de las sucursales afectadas
+  const sucursales = [...new Set(filas.filter(f => f.estado === 'creado').map(f => f.datos.sucursal._id.toString()))];
+  for (const sucursalId of sucursales) {
+    const [totalStudents, activeStudents] = await Promise.all([
+      Alumno.countDocuments({ 'enrollment.sucursal': sucursalId, isActive: true }),
+      Alumno.countDocuments({ 'enrollment.sucursal': sucursalId, isActive: true, 'enrollment.status': 'activo' })
+    ]);
+    await Sucursal.findByIdAndUpdate(sucursalId, {
+      'stats.totalStudents': totalStudents,
+      'stats.activeStudents': activeStudents,
+      'stats.lastUpdated': new Date()
+    });
+  }
+
+  return creados;
+};
+
+// Resumen y filas sin los datos internos, para la respuesta
+const reporte = (filas) => ({
+  resumen: {
+    filas     : filas.length,
+    validas   : filas.filter(f => f.estado === 'valida').length,
+    creadas   : filas.filter(f => f.estado === 'creado').length,
+    duplicadas: filas.filter(f => f.estado === 'duplicado').length,
+    conErrores: filas.filter(f => f.estado === 'error').length,
+    tutoresNuevos    : new Set(filas.filter(f => f.tutor?.accion === 'crear' && f.estado !== 'error').map(f => f.tutor.clave)).size,
+    tutoresExistentes: new Set(filas.filter(f => f.tutor?.accion === 'existente' && f.estado !== 'error').map(f => f.tutor.clave)).size
+  },
+  filas: filas.map(({ datos, tutor, ...fila }) => ({
+    ...fila,
+    tutor: tutor ? { accion: tutor.accion, email: tutor.clave } : null
+  }))
+});
+
+const plantillaCsv = () => '\uFEFF' + PLANTILLA.join(',') + '\r\n' + [
+  'Ana', 'López', 'Ruiz', '15/03/2015', 'femenino', '', '', '', 'tae-kwon-do', '15', '',
+  '', '', '', 'O+', '', 'hija', 'María', 'Ruiz Pérez', 'maria.ruiz@example.com', '9611234567', ''
+].join(',') + '\r\n';
+
+module.exports = {
+  COLUMNAS,
+  parsearCsv,
+  analizarCsv,
+  aplicarImportacion,
+  reporte,
+  plantillaCsv
+};
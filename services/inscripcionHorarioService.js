@@ -0,0 +1,104 @@
+/**
+ * inscripcionHorarioService.js
+ * Avisos por email de los cambios de inscripción en un horario.
+ *
+ * Se envían solo si Horario.configuracion.notificarInscripciones está activo,
+ * al instructor de la clase y a la familia (o al alumno si es mayor de edad):
+ *   solicitada → inscripción pendiente de confirmación
+ *   confirmada → un instructor o admin aprobó la solicitud
+ *   rechazada  → la solicitud fue rechazada (incluye el motivo)
+ *   inscrita   → inscripción directa (el horario no requiere confirmación)
+ *   baja       → el alumno fue dado de baja de la clase
+ */
+
+const User    = require('../models/User');
+const Alumno  = require('../models/Alumno');
+const { enviarEmail } = require('./emailService');
+const { destinatarioDeAlumno } = require('./notificacionService');
+
+// Textos por evento: [título, mensaje a la familia, mensaje al instructor]
+const TEXTOS = {
+  solicitada: [
+    'Solicitud de inscripción recibida',
+    (a, clase) => `Recibimos la solicitud de inscripción de ${a} a la clase ${clase}. Te avisaremos en cuanto el instructor la confirme.`,
+    (a, clase) => `${a} solicitó inscribirse a tu clase ${clase}. La solicitud está pendiente de tu confirmación.`
+  ],
+  confirmada: [
+    'Inscripción confirmada',
+    (a, clase) => `La inscripción de ${a} a la clase ${clase} fue confirmada. ¡Te esperamos!`,
+    (a, clase) => `Se confirmó la inscripción de ${a} a tu clase ${clase}.`
+  ],
+  rechazada: [
+    'Solicitud de inscripción no aprobada',
+    (a, clase) => `La solicitud de inscripción de ${a} a la clase ${clase} no fue aprobada.`,
+    (a, clase) => `Se rechazó la solicitud de inscripción de ${a} a tu clase ${clase}.`
+  ],
+  inscrita: [
+    'Inscripción a clase',
+    (a, clase) => `${a} quedó inscrito en la clase ${clase}.`,
+    (a, clase) => `${a} fue inscrito en tu clase ${clase}.`
+  ],
+  baja: [
+    'Baja de clase',
+    (a, clase) => `${a} fue dado de baja de la clase ${clase}.`,
+    (a, clase) => `${a} fue dado de baja de tu clase ${clase}.`
+  ]
+};
+
+const enviar = async (to, nombre, titulo, mensaje, subject) => {
+  try {
+    await enviarEmail({ to, subject, titulo, mensaje, nombreAlumno: nombre });
+    return 'enviado';
+  } catch (error) {
+    console.error(`Error enviando aviso de inscripción a ${to}:`, error.message);
+    return 'fallido';
+  }
+};
+
+// ── Avisar un cambio de inscripción ──────────────────────────────────────────
+// Nunca lanza. Devuelve { familia, instructor } con 'enviado' | 'fallido' |
+// 'omitido' | 'desactivado'.
+const notificarInscripcion = async (horario, alumnoId, evento, { motivo } = {}) => {
+  if (!horario.configuracion?.notificarInscripciones) {
+    return { familia: 'desactivado', instructor: 'desactivado' };
+  }
+
+  const resultado = { familia: 'omitido', instructor: 'omitido' };
+
+  try {
+    const [titulo, textoFamilia, textoInstructor] = TEXTOS[evento];
+
+    const alumno = await Alumno.findById(alumnoId)
+      .select('firstName lastName email dateOfBirth tutor')
+      .lean();
+    if (!alumno) return resultado;
+
+    const nombreAlumno = `${alumno.firstName} ${alumno.lastName}`;
+    const clase = `${horario.nombre} (${horario.diasTexto}, ${horario.horarioTexto})`;
+    const detalleMotivo = evento === 'rechazada' && motivo ? `\n\nMotivo: ${motivo}` : '';
+    const subject = `${titulo} - ${nombreAlumno}`;
+
+    const destino = await destinatarioDeAlumno(alumno);
+    if (destino) {
+      resultado.familia = await enviar(
+        destino.email, destino.nombre, titulo,
+        textoFamilia(alumno.firstName, clase) + detalleMotivo, subject
+      );
+    }
+
+    const instructorId = horario.instructor?._id || horario.instructor;
+    const instructor = await User.findById(instructorId).select('name email').lean();
+    if (instructor?.email) {
+      resultado.instructor = await enviar(
+        instructor.email, instructor.name, titulo,
+        textoInstructor(nombreAlumno, clase) + detalleMotivo, subject
+      );
+    }
+  } catch (error) {
+    console.error('Error notificando cambio de inscripción:', error.message);
+  }
+
+  return resultado;
+};
+
+module.exports = { notificarInscripcion };
@@ -0,0 +1,179 @@
+/**
+ * justificacionService.js
+ * Justificación de faltas con documento de respaldo.
+ *
+ * La familia (portal) o el personal presentan la solicitud para una Asistencia
+ * en estado 'ausente' dentro de `asistencia_dias_justificar` días; los
+ * documentos pueden adjuntarse después, hasta la misma fecha límite. Un
+ * instructor de la clase (o un admin) la revisa y, al aprobarla, la Asistencia
+ * pasa a 'justificado' con modificadoPor del revisor.
+ *
+ * Si `asistencia_requiere_justificante` está activo, no se puede aprobar sin
+ * documento y la tarea 'justificaciones_vencidas' rechaza automáticamente las
+ * solicitudes pendientes cuyo plazo venció sin documento.
+ */
+
+const JustificacionAsistencia = require('../models/JustificacionAsistencia');
+const Asistencia    = require('../models/Asistencia');
+const Alumno        = require('../models/Alumno');
+const Horario       = require('../models/Horario');
+const Configuracion = require('../models/Configuracion');
+const { enviarEmail } = require('./emailService');
+const { destinatarioDeAlumno } = require('./notificacionService');
+
+const requiereDocumento = () => Configuracion.getValor('asistencia_requiere_justificante', false);
+
+const fechaLimiteDe = async (fechaFalta) => {
+  const dias = await Configuracion.getValor('asistencia_dias_justificar', 3);
+  const limite = new Date(fechaFalta);
+  limite.setDate(limite.getDate() + dias);
+  limite.setHours(23, 59, 59, 999);
+  return limite;
+};
+
+const fmtFecha = (d) => new Date(d).toLocaleDateString('es-MX', { day: '2-digit', month: '2-digit', year: 'numeric' });
+
+// Subdocumento a partir del archivo de multer
+const documentoDeArchivo = (archivo, userId) => ({
+  filename    : archivo.filename,
+  originalName: archivo.originalname,
+  mimetype    : archivo.mimetype,
+  size        : archivo.size,
+  uploadedBy  : userId
+});
+
+// ── Aviso a la familia del resultado (nunca lanza) ───────────────────────────
+const notificarResultado = async (justificacion) => {
+  try {
+    const [alumno, horario] = await Promise.all([
+      Alumno.findById(justificacion.alumno).select('firstName lastName email dateOfBirth tutor').lean(),
+      Horario.findById(justificacion.horario).select('nombre').lean()
+    ]);
+    if (!alumno) return;
+
+    const destinatario = await destinatarioDeAlumno(alumno);
+    if (!destinatario) return;
+
+    const aprobada = justificacion.estado === 'aprobada';
+    const titulo = aprobada ? 'Falta justificada' : 'Justificación no aprobada';
+    const falta = `la falta de ${alumno.firstName} del ${fmtFecha(justificacion.fechaFalta)} a la clase ${horario?.nombre || ''}`.trim();
+    const comentario = justificacion.comentarioRevision ? `\n\nComentario: ${justificacion.comentarioRevision}` : '';
+
+    await enviarEmail({
+      to: destinatario.email,
+      subject: `${titulo} - ${alumno.firstName} ${alumno.lastName}`,
+      titulo,
+      mensaje: aprobada
+        ? `Se aprobó la justificación de ${falta}.${comentario}`
+        : `La justificación de ${falta} no fue aprobada.${comentario}`,
+      nombreAlumno: destinatario.nombre
+    });
+  } catch (error) {
+    console.error('Error enviando aviso de justificación:', error.message);
+  }
+};
+
+// ── Presentar una justificación ──────────────────────────────────────────────
+// Devuelve { justificacion, faltaDocumento } o { error }.
+const crearJustificacion = async (asistencia, { motivo, archivo, userId, origen }) => {
+  if (asistencia.estado === 'justificado') return { error: 'La falta ya está justificada' };
+  if (asistencia.estado !== 'ausente') return { error: 'Solo se pueden justificar faltas' };
+  if (asistencia.claseCancelada) return { error: 'La clase de esa fecha se canceló; la falta no cuenta' };
+  if (!motivo || !String(motivo).trim()) return { error: 'El motivo es requerido' };
+
+  const fechaLimite = await fechaLimiteDe(asistencia.fecha);
+  if (new Date() > fechaLimite) {
+    return { error: `El plazo para justificar esta falta venció el ${fmtFecha(fechaLimite)}` };
+  }
+
+  const pendiente = await JustificacionAsistencia.exists({ asistencia: asistencia._id, estado: 'pendiente' });
+  if (pendiente) return { error: 'Ya hay una justificación pendiente de revisión para esta falta' };
+
+  const justificacion = await JustificacionAsistencia.create({
+    asistencia   : asistencia._id,
+    alumno       : asistencia.alumno,
+    horario      : asistencia.horario,
+    fechaFalta   : asistencia.fecha,
+    fechaLimite,
+    motivo       : String(motivo).trim(),
+    documentos   : archivo ? [documentoDeArchivo(archivo, userId)] : [],
+    origen,
+    solicitadoPor: userId
+  });
+
+  const faltaDocumento = !archivo && await requiereDocumento();
+  return { justificacion, faltaDocumento };
+};
+
+// ── Adjuntar un documento a una solicitud pendiente ──────────────────────────
+const agregarDocumento = async (justificacion, archivo, userId) => {
+  if (justificacion.estado !== 'pendiente') return { error: 'La justificación ya fue revisada' };
+  if (new Date() > justificacion.fechaLimite) {
+    return { error: `El plazo para presentar documentos venció el ${fmtFecha(justificacion.fechaLimite)}` };
+  }
+
+  justificacion.documentos.push(documentoDeArchivo(archivo, userId));
+  await justificacion.save();
+  return { justificacion };
+};
+
+// ── Aprobar o rechazar ───────────────────────────────────────────────────────
+// Devuelve { justificacion, asistencia } o { error }.
+const revisarJustificacion = async (justificacion, { aprobada, userId = null, comentario, automatico = false }) => {
+  if (justificacion.estado !== 'pendiente') return { error: 'La justificación ya fue revisada' };
+
+  if (aprobada && justificacion.documentos.length === 0 && await requiereDocumento()) {
+    return { error: 'Se requiere un documento justificante para aprobar la solicitud' };
+  }
+
+  let asistencia = null;
+  if (aprobada) {
+    asistencia = await Asistencia.findById(justificacion.asistencia);
+    if (!asistencia) return { error: 'El registro de asistencia ya no existe' };
+    if (asistencia.claseCancelada) return { error: 'La clase de esa fecha se canceló; la falta ya no cuenta' };
+  }
+
+  justificacion.estado = aprobada ? 'aprobada' : 'rechazada';
+  justificacion.revisadoPor = userId;
+  justificacion.fechaRevision = new Date();
+  justificacion.comentarioRevision = comentario ? String(comentario).trim() : undefined;
+  justificacion.rechazoAutomatico = automatico;
+  await justificacion.save();
+
+  if (asistencia && asistencia.estado !== 'justificado') {
+    await asistencia.cambiarEstado('justificado', userId);
+  }
+
+  await notificarResultado(justificacion);
+  return { justificacion, asistencia };
+};
+
+// ── Rechazo automático de solicitudes vencidas sin documento ─────────────────
+const rechazarVencidas = async ({ fecha = new Date() } = {}) => {
+  if (!await requiereDocumento()) return { rechazadas: 0 };
+
+  const vencidas = await JustificacionAsistencia.find({
+    estado: 'pendiente',
+    fechaLimite: { $lt: fecha },
+    'documentos.0': { $exists: false }
+  });
+
+  let rechazadas = 0;
+  for (const justificacion of vencidas) {
+    const { error } = await revisarJustificacion(justificacion, {
+      aprobada  : false,
+      comentario: 'Plazo vencido sin documento justificante',
+      automatico: true
+    });
+    if (!error) rechazadas++;
+  }
+
+  return { rechazadas };
+};
+
+module.exports = {
+  crearJustificacion,
+  agregarDocumento,
+  revisarJustificacion,
+  rechazarVencidas
+};
@@ -0,0 +1,176 @@
+/**
+ * listaAsistenciaService.js
+ * Lista de asistencia mensual de un Horario (la "lista de papel"): alumnos en
+ * filas, fechas de sesión en columnas y un símbolo por registro, con totales y
+ * porcentaje por alumno. Se exporta a CSV aquí y a PDF en pdfService.
+ *
+ * Columnas: sesiones del mes que se imparten más cualquier fecha con registros
+ * (por si las sesiones de ese mes no se materializaron). Filas: inscritos
+ * activos más quien tenga registros en el mes aunque ya no esté inscrito.
+ * Los registros de clases canceladas se muestran como 'C' y no cuentan, igual
+ * que en Asistencia.getEstadisticasAlumno.
+ */
+
+const Asistencia    = require('../models/Asistencia');
+const Alumno        = require('../models/Alumno');
+const SesionClase   = require('../models/SesionClase');
+const Configuracion = require('../models/Configuracion');
+const { DIAS_SEMANA } = require('./sesionClaseService');
+
+const SIMBOLOS = {
+  presente   : 'P',
+  ausente    : 'F',
+  retardo    : 'R',
+  justificado: 'J',
+  cancelada  : 'C'
+};
+
+const MESES = ['Enero', 'Febrero', 'Marzo', 'Abril', 'Mayo', 'Junio', 'Julio',
+  'Agosto', 'Septiembre', 'Octubre', 'Noviembre', 'Diciembre'];
+
+const claveDia = (fecha) => {
+  const d = new Date(fecha);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+// ── Construcción de la cuadrícula ────────────────────────────────────────────
+// horario: documento con nombre, dias, horaInicio, horaFin, instructor, sucursal
+// y alumnosInscritos. mes: 1-12.
+const construirListaMensual = async (horario, anio, mes) => {
+  const desde = new Date(anio, mes - 1, 1);
+  const hasta = new Date(anio, mes, 1);
+
+  const [asistencias, sesiones] = await Promise.all([
+    Asistencia.findByHorario(horario._id, { fecha: { $gte: desde, $lt: hasta } }),
+    SesionClase.find({
+      horario: horario._id,
+      fecha: { $gte: desde, $lt: hasta },
+      estado: { $in: ['programada', 'realizada'] }
+    }).select('fecha').lean()
+  ]);
+
+  // Columnas (fechas)
+  const dias = new Map();
+  for (const sesion of sesiones) dias.set(claveDia(sesion.fecha), new Date(sesion.fecha));
+  for (const registro of asistencias) dias.set(claveDia(registro.fecha), new Date(registro.fecha));
+  const fechas = [...dias.entries()].sort(([a], [b]) => a.localeCompare(b));
+  const indicePorDia = new Map(fechas.map(([clave], i) => [clave, i]));
+
+  // Filas (alumnos)
+  const alumnos = new Map();
+  const agregarAlumno = (alumno) => {
+    if (!alumno || alumnos.has(alumno._id.toString())) return;
+    alumnos.set(alumno._id.toString(), {
+      alumno: {
+        _id      : alumno._id,
+        nombre   : `${alumno.lastName} ${alumno.firstName}`,
+        matricula: alumno.enrollment?.studentId || ''
+      },
+      marcas : new Array(fechas.length).fill(''),
+      totales: { presente: 0, ausente: 0, retardo: 0, justificado: 0, total: 0 },
+      porcentaje: null
+    });
+  };
+
+  const inscritos = (horario.alumnosInscritos || []).filter(i => i.activo).map(i => i.alumno._id || i.alumno);
+  if (inscritos.length > 0) {
+    const activos = await Alumno.find({ _id: { $in: inscritos } })
+      .select('firstName lastName enrollment.studentId')
+      .lean();
+    activos.forEach(agregarAlumno);
+  }
+  asistencias.forEach(registro => agregarAlumno(registro.alumno));
+
+  const totalesPorFecha = fechas.map(() => ({ asistieron: 0, registrados: 0 }));
+
+  for (const registro of asistencias) {
+    if (!registro.alumno) continue;
+    const fila = alumnos.get(registro.alumno._id.toString());
+    const columna = indicePorDia.get(claveDia(registro.fecha));
+
+    if (registro.claseCancelada) {
+      fila.marcas[columna] = SIMBOLOS.cancelada;
+      continue;
+    }
+
+    fila.marcas[columna] = SIMBOLOS[registro.estado] || '';
+    fila.totales[registro.estado] = (fila.totales[registro.estado] || 0) + 1;
+    fila.totales.total++;
+
+    totalesPorFecha[columna].registrados++;
+    if (['presente', 'retardo'].includes(registro.estado)) totalesPorFecha[columna].asistieron++;
+  }
+
+  // Porcentaje (presente + retardo = asistió)
+  const filas = [...alumnos.values()]
+    .map(fila => ({
+      ...fila,
+      porcentaje: fila.totales.total > 0
+        ? Math.round(((fila.totales.presente + fila.totales.retardo) / fila.totales.total) * 100)
+        : null
+    }))
+    .sort((a, b) => a.alumno.nombre.localeCompare(b.alumno.nombre, 'es'));
+
+  return {
+    horario: {
+      _id       : horario._id,
+      nombre    : horario.nombre,
+      dias      : horario.dias,
+      horaInicio: horario.horaInicio,
+      horaFin   : horario.horaFin,
+      instructor: horario.instructor?.name || '',
+      sucursal  : horario.sucursal?.name || ''
+    },
+    periodo: { anio, mes, nombre: `${MESES[mes - 1]} ${anio}` },
+    fechas: fechas.map(([, fecha]) => fecha),
+    filas,
+    totalesPorFecha,
+    // Porcentaje bajo el cual se resalta al alumno (mismo umbral que el reporte de riesgo)
+    umbral: await Configuracion.getValor('asistencia_riesgo_umbral', 70)
+  };
+};
+
+// ── CSV ──────────────────────────────────────────────────────────────────────
+// Los textos que empiezan con = + - @ (o tabulador/retorno) se prefijan con un
+// apóstrofo para que Excel no los evalúe como fórmula (p. ej. un nombre capturado)
+const celdaCsv = (valor) => {
+  let texto = valor === null || valor === undefined ? '' : String(valor);
+  if (typeof valor === 'string' && /^[=+\-@\t\r]/.test(texto)) texto = `'${texto}`;
+  return /[",\n\r]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+};
+
+const etiquetaFecha = (fecha) =>
+  `${DIAS_SEMANA[fecha.getDay()].slice(0, 3)} ${String(fecha.getDate()).padStart(2, '0')}`;
+
+// BOM + CRLF para que Excel lo abra con acentos y columnas correctas
+const generarCsvLista = (lista) => {
+  const encabezado = [
+    'Matrícula', 'Alumno',
+    ...lista.fechas.map(etiquetaFecha),
+    'Presente', 'Ausente', 'Retardo', 'Justificado', 'Total', '% Asistencia'
+  ];
+
+  const filas = lista.filas.map(fila => [
+    fila.alumno.matricula,
+    fila.alumno.nombre,
+    ...fila.marcas,
+    fila.totales.presente,
+    fila.totales.ausente,
+    fila.totales.retardo,
+    fila.totales.justificado,
+    fila.totales.total,
+    fila.porcentaje === null ? '' : fila.porcentaje
+  ]);
+
+  const asistentes = ['', 'Asistieron', ...lista.totalesPorFecha.map(t => t.asistieron)];
+
+  return '\uFEFF' + [encabezado, ...filas, asistentes]
+    .map(fila => fila.map(celdaCsv).join(','))
+    .join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  SIMBOLOS,
+  construirListaMensual,
+  generarCsvLista
+};
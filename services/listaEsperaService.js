@@ -0,0 +1,220 @@
+/**
+ * listaEsperaService.js
+ * Lista de espera por horario (Horario.listaEspera).
+ *
+ * Cuando se libera un lugar (baja de un alumno, aumento de capacidad, oferta
+ * rechazada o expirada) se atiende la cola en orden de registro:
+ *   - configuracion.requiereConfirmacion = false → el alumno se inscribe directo
+ *   - configuracion.requiereConfirmacion = true  → se le ofrece el lugar por
+ *     `lista_espera_horas_oferta` horas; mientras tanto la oferta aparta el lugar
+ *
+ * En ambos casos se avisa por email a la familia (o al alumno si es mayor).
+ * Quien ya está inscrito en otra clase a la misma hora conserva su turno pero
+ * se salta (conflictosDeAlumno), y no puede aceptar una oferta con traslape.
+ * La tarea 'ofertas_lista_espera' vence las ofertas sin respuesta y ofrece el
+ * lugar al siguiente de la cola.
+ */
+
+const Horario       = require('../models/Horario');
+const Alumno        = require('../models/Alumno');
+const Configuracion = require('../models/Configuracion');
+const { enviarEmail } = require('./emailService');
+const { destinatarioDeAlumno } = require('./notificacionService');
+const { conflictosDeAlumno } = require('./conflictoHorarioService');
+
+const HORA_MS = 60 * 60 * 1000;
+
+const fmtFechaHora = (fecha) =>
+  new Date(fecha).toLocaleString('es-MX', {
+    day: '2-digit', month: 'long', year: 'numeric', hour: '2-digit', minute: '2-digit'
+  });
+
+// ── Aviso por email ──────────────────────────────────────────────────────────
+// Nunca lanza: un fallo de correo no debe deshacer la inscripción u oferta.
+const notificar = async (horario, alumno, entrada) => {
+  try {
+    const destino = await destinatarioDeAlumno(alumno);
+    if (!destino) return { estado: 'omitido', motivo: 'Sin email disponible' };
+
+    const clase = `${horario.nombre} (${horario.diasTexto}, ${horario.horarioTexto})`;
+    const ofertado = entrada.estado === 'ofertado';
+
+    const titulo = ofertado ? 'Se liberó un lugar en la clase' : 'Inscripción desde lista de espera';
+    const mensaje = ofertado
+      ? [
+          `Se liberó un lugar en la clase ${clase} y ${alumno.firstName} es el siguiente en la lista de espera.`,
+          '',
+          `El lugar queda apartado hasta el ${fmtFechaHora(entrada.ofertaExpira)}.`,
+          'Para confirmarlo ingresa al portal de padres o comunícate con la escuela.',
+          'Si no recibimos respuesta a tiempo, el lugar se ofrecerá al siguiente alumno de la lista.'
+        ].join('\n')
+      : [
+          `Se liberó un lugar en la clase ${clase} y ${alumno.firstName} quedó inscrito automáticamente desde la lista de espera.`,
+          '',
+          'Si ya no le interesa la clase, por favor avísanos para liberar el lugar.'
+        ].join('\n');
+
+    await enviarEmail({
+      to: destino.email,
+      subject: `${titulo} - ${alumno.firstName} ${alumno.lastName}`,
+      titulo,
+      mensaje,
+      nombreAlumno: destino.nombre
+    });
+    return { estado: 'enviado', email: destino.email };
+  } catch (error) {
+    console.error('Error notificando lista de espera:', error.message);
+    return { estado: 'fallido', motivo: error.message };
+  }
+};
+
+// ── Atender la cola mientras haya lugares ────────────────────────────────────
+// Recibe el documento del horario (sin populate en listaEspera) y lo guarda
+// junto con los cambios pendientes que traiga.
+// Devuelve [{ alumno, accion: 'inscrito' | 'ofertado', ofertaExpira, email }].
+const procesarListaEspera = async (horario) => {
+  const cola = horario.listaEspera
+    .filter(e => e.estado === 'esperando')
+    .sort((a, b) => a.fechaRegistro - b.fechaRegistro);
+
+  const atiende = horario.configuracion?.permitirListaEspera &&
+    horario.isActive && horario.estado === 'activo' &&
+    cola.length > 0 && horario.lugaresDisponibles > 0;
+
+  if (!atiende) {
+    if (horario.isModified()) await horario.save();
+    return [];
+  }
+
+  const requiereConfirmacion = !!horario.configuracion.requiereConfirmacion;
+  const horasOferta = requiereConfirmacion
+    ? await Configuracion.getValor('lista_espera_horas_oferta', 24)
+    : 0;
+
+  const atendidos = [];
+  const ahora = new Date();
+
+  for (const entrada of cola) {
+    if (horario.lugaresDisponibles === 0) break;
+
+    // Quien ya no está activo pierde su turno
+    const alumno = await Alumno.findById(entrada.alumno)
+      .select('firstName lastName email dateOfBirth tutor isActive enrollment.status');
+    if (!alumno || !alumno.isActive || alumno.enrollment?.status !== 'activo') {
+      entrada.estado = 'cancelado';
+      entrada.respondidaEn = ahora;
+      continue;
+    }
+
+    // Con otra clase a la misma hora no puede tomar el lugar: sigue esperando
+    // por si se da de baja de la otra, y el lugar pasa al siguiente
+    const conflictos = await conflictosDeAlumno(alumno._id, horario);
+    if (conflictos.length > 0) continue;
+
+    if (requiereConfirmacion) {
+      entrada.estado = 'ofertado';
+      entrada.ofertadaEn = ahora;
+      entrada.ofertaExpira = new Date(ahora.getTime() + horasOferta * HORA_MS);
+    } else {
+      entrada.estado = 'aceptado';
+      entrada.respondidaEn = ahora;
+      horario.alumnosInscritos.push({
+        alumno: alumno._id,
+        fechaInscripcion: ahora,
+        activo: true
+      });
+    }
+
+    atendidos.push({ alumno, entrada });
+  }
+
+  await horario.save();
+
+  const resultado = [];
+  for (const { alumno, entrada } of atendidos) {
+    const aviso = await notificar(horario, alumno, entrada);
+    resultado.push({
+      alumno      : alumno._id,
+      nombre      : `${alumno.firstName} ${alumno.lastName}`,
+      accion      : entrada.estado === 'ofertado' ? 'ofertado' : 'inscrito',
+      ofertaExpira: entrada.ofertaExpira || null,
+      email       : aviso.estado
+    });
+  }
+
+  return resultado;
+};
+
+// ── Respuesta de la familia a una oferta ─────────────────────────────────────
+// Aceptar inscribe al alumno en el lugar apartado; rechazar lo ofrece al siguiente.
+// Devuelve { horario, inscrito, promovidos }. Si el alumno tiene otra clase a la
+// misma hora lanza un error con `conflictos`.
+const responderOferta = async (horario, alumnoId, acepta) => {
+  const entrada = horario.listaEspera.find(
+    e => e.alumno.toString() === alumnoId.toString() && e.estado === 'ofertado'
+  );
+
+  if (!entrada) {
+    throw new Error('El alumno no tiene una oferta pendiente en este horario');
+  }
+
+  const ahora = new Date();
+  entrada.respondidaEn = ahora;
+
+  if (entrada.ofertaExpira && entrada.ofertaExpira < ahora) {
+    entrada.estado = 'expirado';
+    await procesarListaEspera(horario);
+    throw new Error('La oferta ha expirado');
+  }
+
+  if (acepta) {
+    // La oferta sigue vigente para cuando resuelva el traslape
+    const conflictos = await conflictosDeAlumno(alumnoId, horario);
+    if (conflictos.length > 0) {
+      const error = new Error(conflictos[0].mensaje);
+      error.conflictos = conflictos;
+      throw error;
+    }
+
+    // Al marcarla aceptada la oferta deja de apartar el lugar y la inscripción
+    // cabe. La oferta ya fue la confirmación: no queda pendiente de aprobación.
+    entrada.estado = 'aceptado';
+    await horario.inscribirAlumno(alumnoId, { confirmada: true });
+    return { horario, inscrito: true, promovidos: [] };
+  }
+
+  entrada.estado = 'rechazado';
+  const promovidos = await procesarListaEspera(horario);
+  return { horario, inscrito: false, promovidos };
+};
+
+// ── Vencer ofertas sin respuesta ─────────────────────────────────────────────
+const expirarOfertas = async ({ fecha = new Date() } = {}) => {
+  const horarios = await Horario.find({
+    listaEspera: { $elemMatch: { estado: 'ofertado', ofertaExpira: { $lte: fecha } } }
+  });
+
+  let expiradas = 0;
+  const promovidos = [];
+
+  for (const horario of horarios) {
+    horario.listaEspera.forEach(e => {
+      if (e.estado === 'ofertado' && e.ofertaExpira && e.ofertaExpira <= fecha) {
+        e.estado = 'expirado';
+        e.respondidaEn = fecha;
+        expiradas++;
+      }
+    });
+
+    try {
+      const atendidos = await procesarListaEspera(horario);
+      atendidos.forEach(a => promovidos.push({ horario: horario._id, ...a }));
+    } catch (error) {
+      console.error(`Error procesando lista de espera del horario ${horario._id}:`, error.message);
+    }
+  }
+
+  return { horarios: horarios.length, expiradas, promovidos };
+};
+
+module.exports = { procesarListaEspera, responderOferta, expirarOfertas };
@@ -0,0 +1,154 @@
+/**
+ * nivelService.js
+ * Cinturones y grados según el sistema de niveles de cada disciplina
+ * (Disciplina.sistemaNiveles): validación, progresión, nombres y colores.
+ *
+ * - Un alumno tiene un grado por disciplina (Alumno.grados); su disciplina
+ *   principal es enrollment.programa[0] y belt refleja el grado en ella.
+ * - La de un instructor, instructorInfo.disciplina (Tae Kwon Do por defecto).
+ * - Una disciplina sin niveles configurados (o una base sin disciplinas) no
+ *   restringe: se acepta cualquier clave, como antes de este servicio.
+ *
+ * Los sistemas se guardan en memoria unos minutos. Las funciones síncronas
+ * (nivel, nombreNivel, siguienteNivel...) leen de esa caché, así que hay que
+ * llamar antes a cargar(); las asíncronas lo hacen solas.
+ */
+
+const mongoose = require('mongoose');
+
+const DISCIPLINA_DEFECTO = 'tae-kwon-do';
+const VIGENCIA_MS = 5 * 60 * 1000;
+
+let sistemas = null; // slug → { slug, nombre, tipoSistemaNiveles, niveles (por orden) }
+let cargadoEn = 0;
+
+// ── Caché ────────────────────────────────────────────────────────────────────
+const cargar = async () => {
+  if (sistemas && Date.now() - cargadoEn < VIGENCIA_MS) return sistemas;
+
+  const disciplinas = await mongoose.model('Disciplina').find({})
+    .select('slug nombre tipoSistemaNiveles sistemaNiveles')
+    .lean();
+
+  sistemas = new Map(disciplinas.map(d => [d.slug, {
+    slug              : d.slug,
+    nombre            : d.nombre,
+    tipoSistemaNiveles: d.tipoSistemaNiveles,
+    niveles           : [...(d.sistemaNiveles || [])].sort((a, b) => a.orden - b.orden)
+  }]));
+  cargadoEn = Date.now();
+  return sistemas;
+};
+
+// Al crear o editar disciplinas
+const invalidar = () => { sistemas = null; };
+
+// ── Disciplina de cada persona ───────────────────────────────────────────────
+const disciplinaDe = (alumno) => {
+  const programa = alumno?.enrollment?.programa;
+  return (Array.isArray(programa) ? programa[0] : programa) || DISCIPLINA_DEFECTO;
+};
+
+const disciplinaDeInstructor = (user) => user?.instructorInfo?.disciplina || DISCIPLINA_DEFECTO;
+
+const programasDe = (alumno) => [].concat(alumno?.enrollment?.programa || []);
+
+// Grado del alumno en una disciplina; los registros anteriores a grados solo
+// tienen belt, que es el de la principal
+const gradoDe = (alumno, slug = disciplinaDe(alumno)) => {
+  const grado = alumno?.grados?.find(g => g.disciplina === slug);
+  if (grado) return grado;
+  return !alumno?.grados?.length && slug === disciplinaDe(alumno) && alumno?.belt?.level
+    ? { disciplina: slug, ...(alumno.belt.toObject?.() || alumno.belt) }
+    : null;
+};
+
+// ── Consultas síncronas (sobre la caché) ─────────────────────────────────────
+const niveles = (slug) => sistemas?.get(slug)?.niveles || [];
+
+const tieneSistema = (slug) => niveles(slug).length > 0;
+
+const nivel = (slug, clave) => niveles(slug).find(n => n.clave === clave) || null;
+
+const primerNivel = (slug) => niveles(slug)[0] || null;
+
+const siguienteNivel = (slug, clave) => {
+  const lista = niveles(slug);
+  const i = lista.findIndex(n => n.clave === clave);
+  return i === -1 ? null : lista[i + 1] || null;
+};
+
+// Nombre para mostrar; sin nivel conocido, la clave tal cual
+const nombreNivel = (slug, clave) => nivel(slug, clave)?.nombre || clave || null;
+
+// ── Validación ───────────────────────────────────────────────────────────────
+// Mensaje de error o null (síncrona, sobre la caché)
+const errorNivel = (slug, clave) => {
+  if (!tieneSistema(slug) || nivel(slug, clave)) return null;
+  return `El nivel "${clave}" no existe en el sistema de ${sistemas.get(slug).nombre}`;
+};
+
+// { nivel } si la clave existe en la disciplina ({ nivel: null } si la
+// disciplina no tiene sistema); { error, nivelesValidos } si no.
+const validarNivel = async (slug, clave) => {
+  await cargar();
+  const error = errorNivel(slug, clave);
+  if (error) return { error, nivelesValidos: niveles(slug).map(n => n.clave) };
+  return { nivel: nivel(slug, clave) };
+};
+
+// Nivel al que gradúa un alumno en un examen de la disciplina: el cinturón
+// objetivo si existe en ella y está por encima de su grado actual; si no, el
+// siguiente de su grado. Devuelve { clave } o { error }.
+const nivelDeGraduacion = async (alumno, slug, cinturonObjetivo) => {
+  await cargar();
+  if (!programasDe(alumno).includes(slug)) {
+    return { error: `El alumno no está inscrito en ${sistemas.get(slug)?.nombre || slug}` };
+  }
+  if (!tieneSistema(slug)) return { clave: cinturonObjetivo };
+
+  const actual = nivel(slug, gradoDe(alumno, slug)?.level);
+  const objetivo = nivel(slug, cinturonObjetivo);
+  if (objetivo && (!actual || objetivo.orden > actual.orden)) return { clave: objetivo.clave };
+
+  const siguiente = actual ? siguienteNivel(slug, actual.clave) : primerNivel(slug);
+  if (!siguiente) return { error: 'El alumno ya tiene el nivel más alto de su disciplina' };
+  return { clave: siguiente.clave };
+};
+
+// ── Respuestas ───────────────────────────────────────────────────────────────
+// Copia del instructor (o de cada uno, si es un arreglo de objetos planos) con
+// instructorInfo.beltDisplay: el nombre de su grado en su disciplina
+const conNombreGrado = async (instructores) => {
+  await cargar();
+  const agregar = (instructor) => instructor?.instructorInfo?.belt
+    ? {
+        ...instructor,
+        instructorInfo: {
+          ...instructor.instructorInfo,
+          beltDisplay: nombreNivel(disciplinaDeInstructor(instructor), instructor.instructorInfo.belt)
+        }
+      }
+    : instructor;
+  return Array.isArray(instructores) ? instructores.map(agregar) : agregar(instructores);
+};
+
+module.exports = {
+  DISCIPLINA_DEFECTO,
+  cargar,
+  invalidar,
+  disciplinaDe,
+  disciplinaDeInstructor,
+  programasDe,
+  gradoDe,
+  niveles,
+  tieneSistema,
+  nivel,
+  primerNivel,
+  siguienteNivel,
+  nombreNivel,
+  errorNivel,
+  validarNivel,
+  nivelDeGraduacion,
+  conNombreGrado
+};
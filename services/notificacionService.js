@@ -0,0 +1,156 @@
+/**
+ * notificacionService.js
+ * Resolución de destinatarios y envío de notificaciones. Lo usan tanto el
+ * envío manual (POST /api/notificaciones/:id/enviar) como la tarea programada
+ * que despacha las notificaciones en estado 'programada'.
+ */
+
+const Alumno  = require('../models/Alumno');
+const Tutor   = require('../models/Tutor');
+const { enviarEmailMasivo } = require('./emailService');
+
+const calcularEdad = (fechaNacimiento) => {
+  if (!fechaNacimiento) return null;
+  const hoy = new Date();
+  const nac = new Date(fechaNacimiento);
+  let edad = hoy.getFullYear() - nac.getFullYear();
+  const m = hoy.getMonth() - nac.getMonth();
+  if (m < 0 || (m === 0 && hoy.getDate() < nac.getDate())) edad--;
+  return edad;
+};
+
+// ── Destinatario de un alumno ────────────────────────────────────────────────
+// Regla: menores de 18 → email del tutor; mayores → email del alumno.
+// Devuelve { email, nombre, esTutor, tutor } o null si no hay email disponible.
+// `tutor` incluye las preferencias para que quien envía pueda respetarlas.
+const destinatarioDeAlumno = async (alumno) => {
+  const edad = alumno.age ?? calcularEdad(alumno.dateOfBirth);
+  const esMinor = edad !== null && edad < 18;
+
+  if (esMinor && alumno.tutor) {
+    // Buscar email del tutor
+    const tutorId = typeof alumno.tutor === 'object' ? alumno.tutor._id : alumno.tutor;
+    const tutor = await Tutor.findById(tutorId).select('firstName lastName email preferences').lean();
+    if (tutor?.email) {
+      return {
+        email: tutor.email,
+        nombre: `${tutor.firstName} ${tutor.lastName} (tutor de ${alumno.firstName})`,
+        esTutor: true,
+        tutor
+      };
+    }
+    // Si el tutor no tiene email, intentar con el alumno si tiene
+    if (alumno.email) {
+      return { email: alumno.email, nombre: `${alumno.firstName} ${alumno.lastName}`, esTutor: false, tutor: null };
+    }
+    return null; // sin email disponible
+  }
+
+  if (alumno.email) {
+    return { email: alumno.email, nombre: `${alumno.firstName} ${alumno.lastName}`, esTutor: false, tutor: null };
+  }
+  return null;
+};
+
+// ── Resolver destinatarios ─────────────────────────────────────────────────
+const resolverDestinatarios = async (destinatarios) => {
+  const lista = []; // [{ email, nombre }]
+  const { tipo, sucursales, programas, alumnos, tutores } = destinatarios;
+
+  // ── Consultas por tipo ─────────────────────────────────────────────────
+  let alumnosQuery = [];
+
+  if (tipo === 'todos') {
+    alumnosQuery = await Alumno.find({ isActive: true })
+      .select('firstName lastName email dateOfBirth tutor')
+      .populate('tutor', 'firstName lastName email')
+      .lean();
+
+    // También incluir tutores activos directamente
+    const tuts = await Tutor.find({ isActive: true, email: { $exists: true, $ne: null } })
+      .select('firstName lastName email').lean();
+    lista.push(...tuts.map(t => ({ email: t.email, nombre: `${t.firstName} ${t.lastName}` })));
+
+  } else if (tipo === 'sucursal' && sucursales?.length) {
+    alumnosQuery = await Alumno.find({
+      isActive: true,
+      'enrollment.sucursal': { $in: sucursales }
+    }).select('firstName lastName email dateOfBirth tutor')
+      .populate('tutor', 'firstName lastName email')
+      .lean();
+
+  } else if (tipo === 'programa' && programas?.length) {
+    alumnosQuery = await Alumno.find({
+      isActive: true,
+      'enrollment.programa': { $in: programas }
+    }).select('firstName lastName email dateOfBirth tutor')
+      .populate('tutor', 'firstName lastName email')
+      .lean();
+
+  } else if (tipo === 'manual') {
+    if (alumnos?.length) {
+      alumnosQuery = await Alumno.find({ _id: { $in: alumnos } })
+        .select('firstName lastName email dateOfBirth tutor')
+        .populate('tutor', 'firstName lastName email')
+        .lean();
+    }
+    if (tutores?.length) {
+      const tuts = await Tutor.find({ _id: { $in: tutores }, email: { $exists: true, $ne: null } })
+        .select('firstName lastName email').lean();
+      lista.push(...tuts.map(t => ({ email: t.email, nombre: `${t.firstName} ${t.lastName}` })));
+    }
+  }
+
+  // Procesar alumnos aplicando la regla menor/mayor
+  for (const alumno of alumnosQuery) {
+    const dest = await destinatarioDeAlumno(alumno);
+    if (dest) lista.push({ email: dest.email, nombre: dest.nombre });
+  }
+
+  // Eliminar duplicados por email
+  const vistos = new Set();
+  return lista.filter(d => {
+    if (!d.email) return false;
+    const emailNorm = d.email.toLowerCase().trim();
+    if (vistos.has(emailNorm)) return false;
+    vistos.add(emailNorm);
+    return true;
+  });
+};
+
+// ── Despachar una notificación ───────────────────────────────────────────────
+// Resuelve destinatarios, envía los emails y guarda el resultado en el
+// documento. Devuelve null si no hay destinatarios con email válido (el
+// estado se revierte a 'borrador', o 'enviada' si ya se había enviado antes).
+const despacharNotificacion = async (notif) => {
+  const lista = await resolverDestinatarios(notif.destinatarios);
+  if (!lista.length) {
+    notif.estado = notif.envio?.fechaEnvio ? 'enviada' : 'borrador';
+    await notif.save();
+    return null;
+  }
+
+  const resultado = await enviarEmailMasivo({
+    destinatarios: lista,
+    subject:       notif.titulo,
+    titulo:        notif.titulo,
+    mensaje:       notif.mensaje
+  });
+
+  // Actualizar registro (acumulando si es reenvío)
+  notif.estado                   = 'enviada';
+  notif.envio.totalDestinatarios = lista.length;
+  notif.envio.enviados           = resultado.enviados;
+  notif.envio.fallidos           = resultado.fallidos;
+  notif.envio.errores            = resultado.errores;
+  notif.envio.fechaEnvio         = new Date();
+  await notif.save();
+
+  return {
+    enviados: resultado.enviados,
+    fallidos: resultado.fallidos,
+    total:    lista.length
+  };
+};
+
+module.exports = { calcularEdad, destinatarioDeAlumno, resolverDestinatarios, despacharNotificacion };
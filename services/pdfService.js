@@ -5,7 +5,7 @@
  *   Página 1 → Formulario pre-llenado con datos del alumno
  *   Página 2 → Reglamento Interno + Código de Conducta
  *
- * Logos en:  backend/uploads/logos/
+ * Logos en la carpeta 'logos' del almacenamiento (almacenamientoService):
  *   logo-mdk.jpg               ← International Moo Do Won (todas las disciplinas)
  *   logo-pequenos-dragones.png ← Solo Pequeños Dragones
  *   logo-bedolla.png           ← Pie de página página 2
@@ -14,9 +14,28 @@
 const PDFDocument = require('pdfkit');
 const path        = require('path');
 const fs          = require('fs');
+const almacenamiento = require('./almacenamientoService');
+const nivelService   = require('./nivelService');
+
+// ─── Imágenes (logos y fotos) ────────────────────────────────────────────────
+// Se leen del almacenamiento (asíncrono) y PDFKit dibuja de forma síncrona:
+// cada generador precarga las que usa (ver conImagenes al final del archivo).
+const IMAGENES_TTL = 5 * 60 * 1000;
+const imagenes = new Map(); // clave → { buffer, expira }
+
+const precargarImagenes = async (claves) => {
+    await Promise.all(claves.filter(Boolean).map(async (clave) => {
+        const enCache = imagenes.get(clave);
+        if (enCache && enCache.expira > Date.now()) return;
+        const buffer = await almacenamiento.leer(clave).catch(() => null);
+        imagenes.set(clave, { buffer, expira: Date.now() + IMAGENES_TTL });
+    }));
+};
 
-// ─── Rutas ────────────────────────────────────────────────────────────────────
-const LOGOS_DIR = path.join(__dirname, '../uploads/logos');
+const imagen = (carpeta, filename) => {
+    if (!filename) return null;
+    return imagenes.get(almacenamiento.clave(carpeta, filename))?.buffer || null;
+};
 
 // ─── Paleta institucional ────────────────────────────────────────────────────
 const C = {
@@ -44,16 +63,11 @@ const PROG = {
     'pequenos-dragones': { label: 'PEQUEÑOS DRAGONES', logo: 'logo-pequenos-dragones.png', esDragon: true  },
 };
 
-const BELT = {
-    'blanco'  : 'Cinturón Blanco',
-    'amarillo': 'Cinturón Amarillo',
-    'naranja' : 'Cinturón Naranja',
-    'verde'   : 'Cinturón Verde',
-    'azul'    : 'Cinturón Azul',
-    'marron'  : 'Cinturón Marrón',
-    'negro-1' : 'Cinturón Negro 1° Dan',
-    'negro-2' : 'Cinturón Negro 2° Dan',
-    'negro-3' : 'Cinturón Negro 3° Dan',
+// Nombre del cinturón en el sistema de niveles de la disciplina del alumno
+// (conImagenes precarga los sistemas antes de generar)
+const nombreCinturon = (alumno, defecto) => {
+    const clave = alumno.belt?.level;
+    return nivelService.nombreNivel(nivelService.disciplinaDe(alumno), clave) || defecto;
 };
 
 // ─── Textos oficiales ────────────────────────────────────────────────────────
@@ -136,8 +150,8 @@ const calcEdad = (dob) => {
 
 const drawLogoSafe = (doc, filename, x, y, w, h) => {
     try {
-        const p = path.join(LOGOS_DIR, filename);
-        if (fs.existsSync(p)) doc.image(p, x, y, { fit: [w, h], align: 'center', valign: 'center' });
+        const logo = imagen('logos', filename);
+        if (logo) doc.image(logo, x, y, { fit: [w, h], align: 'center', valign: 'center' });
     } catch (_) {}
 };
 
@@ -186,7 +200,7 @@ const tituloConLineas = (doc, texto, y) => {
 };
 
 // ─── PÁGINA 1: FORMULARIO ────────────────────────────────────────────────────
-const buildPage1 = (doc, alumno, config, studentId) => {
+const buildPage1 = (doc, alumno, config, studentId, qr) => {
     const esDragon = config.esDragon;
     const addr = alumno.address    || {};
     const med  = alumno.medicalInfo || {};
@@ -232,9 +246,9 @@ const buildPage1 = (doc, alumno, config, studentId) => {
     try {
         const fn = alumno.profilePhoto?.filename;
         if (fn) {
-        const pp = path.join(__dirname, '../uploads/profiles', fn);
-        if (fs.existsSync(pp)) {
-            doc.image(pp, fotoX + 2, 8, { fit: [fotoW - 8, 68], align: 'center', valign: 'center' });
+        const foto = imagen('profiles', fn);
+        if (foto) {
+            doc.image(foto, fotoX + 2, 8, { fit: [fotoW - 8, 68], align: 'center', valign: 'center' });
         } else {
             doc.fontSize(7).fillColor(C.muted).font('Helvetica')
             .text('FOTO', fotoX, 38, { width: fotoW - 4, align: 'center', lineBreak: false });
@@ -347,7 +361,7 @@ const buildPage1 = (doc, alumno, config, studentId) => {
 
     y = r2(doc,
         'Cinturón Actual',
-        BELT[alumno.belt?.level] || sv(alumno.belt?.level, 'Cinturón Blanco'),
+        nombreCinturon(alumno, 'Cinturón Blanco'),
         'Sucursal',
         typeof enr.sucursal === 'object' ? sv(enr.sucursal?.name) : '',
         y
@@ -374,6 +388,15 @@ const buildPage1 = (doc, alumno, config, studentId) => {
 
     doc.fontSize(8).fillColor(C.navy).font('Helvetica-Bold')
         .text('ACEPTO DE CONFORMIDAD', MARGIN, y, { width: CONTENT_W, align: 'center', lineBreak: false });
+
+    // QR de asistencia (kiosco) a la derecha de la firma
+    if (qr) {
+        const qrS = 44;
+        const qrX = PAGE_W - MARGIN - qrS;
+        doc.image(qr, qrX, y - 3, { width: qrS, height: qrS });
+        doc.fontSize(5.5).fillColor(C.muted).font('Helvetica')
+            .text('QR de asistencia', qrX - 8, y + qrS - 1, { width: qrS + 16, align: 'center', lineBreak: false });
+    }
     y += 18;
 
     const sigW = 210;
@@ -480,9 +503,11 @@ const buildPage1 = (doc, alumno, config, studentId) => {
      * Genera el PDF oficial de Solicitud de Ingreso
      * @param {Object} alumno  - Documento del alumno con populate de sucursal y tutor
      * @param {string} destDir - Ruta absoluta del directorio destino
+     * @param {Object} [opciones]
+     * @param {Buffer} [opciones.qr] - PNG del QR de asistencia (checkinService.generarQr)
      * @returns {Promise<{ filePath, fileName, url }>}
      */
-    const generateSolicitudIngreso = (alumno, destDir) => {
+    const generateSolicitudIngreso = (alumno, destDir, { qr } = {}) => {
     return new Promise((resolve, reject) => {
         try {
         if (!fs.existsSync(destDir)) fs.mkdirSync(destDir, { recursive: true });
@@ -509,7 +534,7 @@ const buildPage1 = (doc, alumno, config, studentId) => {
         doc.pipe(stream);
 
         // Página 1 — Formulario
-        buildPage1(doc, alumno, config, studentId);
+        buildPage1(doc, alumno, config, studentId, qr);
 
         // Página 2 — Reglamento (adición explícita, nunca automática)
         doc.addPage({ size: 'LETTER', margins: { top: 0, bottom: 0, left: 0, right: 0 } });
@@ -561,14 +586,24 @@ const generarReciboCobro = (pago, outputDir) => {
             const nombreAlumno = [alumno.firstName, alumno.lastName, alumno.secondLastName]
                 .filter(Boolean).join(' ').toUpperCase() || 'ALUMNO';
 
+            // Abonos: se listan cuando el cargo se pagó en más de un cobro o aún tiene saldo
+            const abonos       = pago.abonos || [];
+            const ultimoAbono  = abonos[abonos.length - 1] || {};
+            const listarAbonos = abonos.length > 1 || pago.status === 'parcial';
+            const fmtMonto     = (n) => (n || 0).toLocaleString('es-MX', { minimumFractionDigits: 2 });
+            const fmtFecha     = (d) => new Date(d).toLocaleDateString('es-MX', { day: '2-digit', month: '2-digit', year: 'numeric' });
+
+            const totalCargo = pago.total || pago.amount || 0;
+            const abonado    = abonos.reduce((acc, a) => acc + (a.monto || 0), 0);
+            const saldo      = Math.max(0, Math.round((totalCargo - abonado) * 100) / 100);
+
             const folio   = pago.receiptNumber || pago._id?.toString().slice(-6).toUpperCase() || '------';
-            const monto   = (pago.total || pago.amount || 0).toLocaleString('es-MX', { minimumFractionDigits: 2 });
+            const monto   = fmtMonto(totalCargo);
             const metodo  = METODOS_LABEL[pago.paymentMethod] || pago.paymentMethod || '-';
-            const recibio = paidBy.name || sucursal.name || 'Escuela Bedolla';
+            const recibio = paidBy.name || ultimoAbono.registradoPor?.name || sucursal.name || 'Escuela Bedolla';
 
-            const fechaPago = pago.paidDate
-                ? new Date(pago.paidDate).toLocaleDateString('es-MX', { day: '2-digit', month: '2-digit', year: 'numeric' })
-                : '-';
+            const fechaRef  = pago.paidDate || ultimoAbono.paidDate;
+            const fechaPago = fechaRef ? fmtFecha(fechaRef) : '-';
 
             // Periodo cubierto
             let mesCubierto   = '-';
@@ -597,8 +632,21 @@ const generarReciboCobro = (pago, outputDir) => {
             const filePath = path.join(dir, fileName);
             const stream   = fs.createWriteStream(filePath);
 
-            // ── layout tarjeta: 320 x 500 pt ──
-            const W = 320, H = 520;
+            // ── filas de abonos (si aplica) ──
+            const filasAbonos = listarAbonos
+                ? [
+                    ...abonos.map(a => ({
+                        label: `Abono ${a.numero} · ${fmtFecha(a.paidDate)}`,
+                        value: `${METODOS_LABEL[a.paymentMethod] || a.paymentMethod} $${fmtMonto(a.monto)}`,
+                        color: '#1a202c'
+                    })),
+                    { label: 'Total abonado',   value: `$${fmtMonto(abonado)}`, color: '#16a34a' },
+                    { label: 'Saldo pendiente', value: `$${fmtMonto(saldo)}`,   color: saldo > 0 ? '#c0102a' : '#16a34a' },
+                  ]
+                : [];
+
+            // ── layout tarjeta: 320 x 520 pt (crece con los abonos) ──
+            const W = 320, H = 520 + filasAbonos.length * 26;
             const doc = new PDFDocument({
                 autoFirstPage : true,
                 size          : [W, H],
@@ -616,8 +664,8 @@ const generarReciboCobro = (pago, outputDir) => {
             doc.rect(0, 64, W, 8).fill(ROJO);
 
             // Logo Bedolla (si existe)
-            const logoBedolla = path.join(LOGOS_DIR, 'logo-bedolla.png');
-            if (fs.existsSync(logoBedolla)) {
+            const logoBedolla = imagen('logos', 'logo-bedolla.png');
+            if (logoBedolla) {
                 try { doc.image(logoBedolla, W / 2 - 65, 14, { width: 130, height: 48 }); } catch (_) {}
             } else {
                 // Fallback texto rojo sobre fondo blanco
@@ -636,7 +684,9 @@ const generarReciboCobro = (pago, outputDir) => {
                .text(nombreAlumno, 28, y, { width: W - 56 });
             y += 22;
             doc.font('Helvetica').fontSize(9).fillColor('#555555')
-               .text('Le compartimos los detalles de su recibo de pago:', 28, y, { width: W - 56 });
+               .text(pago.status === 'parcial'
+                        ? 'Le compartimos los detalles de su pago parcial:'
+                        : 'Le compartimos los detalles de su recibo de pago:', 28, y, { width: W - 56 });
             y += 18;
 
             // ─── TABLA RECIBO ─────────────────────────────────────────────
@@ -649,6 +699,7 @@ const generarReciboCobro = (pago, outputDir) => {
                 { label: 'Motivo de pago', value: motivoPago,   color: '#c0102a', multiline: true },
                 { label: 'Mes cubierto',   value: mesCubierto,  color: '#16a34a' },
                 { label: 'Próximo pago',   value: proximoPago,  color: '#1a202c' },
+                ...filasAbonos,
             ];
 
             const ROW_H    = 26;
@@ -729,56 +780,404 @@ const generarReciboCobro = (pago, outputDir) => {
 };
 
 // ─────────────────────────────────────────────────────────────────────────────
-// CERTIFICADO DE GRADUACIÓN
-// Genera un certificado oficial en formato horizontal (LETTER landscape)
+// ESTADO DE CUENTA
+// Documento LETTER vertical con resumen y movimientos (ver estadoCuentaService).
 // ─────────────────────────────────────────────────────────────────────────────
 
-const BELT_DISPLAY_CERT = {
-  'blanco'         : 'Cinturón Blanco',
-  'blanco-amarillo': 'Cinturón Blanco-Amarillo',
-  'amarillo'       : 'Cinturón Amarillo',
-  'amarillo-naranja': 'Cinturón Amarillo-Naranja',
-  'naranja'        : 'Cinturón Naranja',
-  'naranja-verde'  : 'Cinturón Naranja-Verde',
-  'verde'          : 'Cinturón Verde',
-  'verde-azul'     : 'Cinturón Verde-Azul',
-  'azul'           : 'Cinturón Azul',
-  'azul-marron'    : 'Cinturón Azul-Marrón',
-  'marron'         : 'Cinturón Marrón',
-  'marron-negro'   : 'Cinturón Marrón-Negro',
-  'negro-1'        : 'Cinturón Negro — 1° Dan',
-  'negro-2'        : 'Cinturón Negro — 2° Dan',
-  'negro-3'        : 'Cinturón Negro — 3° Dan',
-  'negro-4'        : 'Cinturón Negro — 4° Dan',
-  'negro-5'        : 'Cinturón Negro — 5° Dan',
-  'negro-6'        : 'Cinturón Negro — 6° Dan',
-  'negro-7'        : 'Cinturón Negro — 7° Dan',
-  'negro-8'        : 'Cinturón Negro — 8° Dan',
-  'negro-9'        : 'Cinturón Negro — 9° Dan',
+const TIPO_MOV_LABEL = {
+    cargo    : 'Cargo',
+    descuento: 'Descuento',
+    recargo  : 'Recargo',
+    pago     : 'Pago',
+};
+
+/**
+ * @param {Object} estado     — resultado de estadoCuentaAlumno / estadoCuentaTutor
+ * @param {String} outputDir  — carpeta donde guardar (default uploads/estados-cuenta)
+ * @returns {Promise<{filePath, fileName, url}>}
+ */
+const generarEstadoCuenta = (estado, outputDir) => {
+    return new Promise((resolve, reject) => {
+        try {
+            const dir = outputDir || path.join(__dirname, '../uploads/estados-cuenta');
+            if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+            const { titular, periodo, totales, movimientos, pendientes } = estado;
+            const money = (n) => `$${(n || 0).toLocaleString('es-MX', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+            const esTutor = titular.tipo === 'tutor';
+
+            const fileName = `estado-cuenta-${titular.tipo}-${String(titular._id).slice(-6)}-${Date.now()}.pdf`;
+            const filePath = path.join(dir, fileName);
+
+            const PAGE_H = 792;
+            const BOTTOM = PAGE_H - 50;
+
+            const doc = new PDFDocument({
+                size         : 'LETTER',
+                margins      : { top: 0, bottom: 0, left: 0, right: 0 },
+                autoFirstPage: true,
+                info: {
+                    Title : `Estado de Cuenta — ${titular.nombre}`,
+                    Author: 'Escuela de Artes Marciales Koreanas "Bedolla"',
+                },
+            });
+            const stream = fs.createWriteStream(filePath);
+            doc.pipe(stream);
+
+            // ── ENCABEZADO ───────────────────────────────────────────────────
+            const encabezado = () => {
+                doc.rect(0, 0, PAGE_W, 70).fill(C.navy);
+                drawLogoSafe(doc, 'logo-bedolla.png', MARGIN - 4, 8, 110, 54);
+                doc.fontSize(14).fillColor(C.white).font('Helvetica-Bold')
+                    .text('ESTADO DE CUENTA', MARGIN, 18, { width: CONTENT_W, align: 'right', lineBreak: false });
+                doc.fontSize(7.5).fillColor('#b0cce0').font('Helvetica')
+                    .text('Escuela de Artes Marciales Koreanas "Bedolla"', MARGIN, 40, { width: CONTENT_W, align: 'right', lineBreak: false });
+                doc.rect(0, 70, PAGE_W, 3).fill(C.red);
+            };
+
+            // ── PIE ──────────────────────────────────────────────────────────
+            const pie = () => {
+                doc.fontSize(7).fillColor(C.muted).font('Helvetica')
+                    .text(`Generado el ${fmtDate(estado.generadoEn || new Date())}  •  Saldo positivo = adeudo; saldo negativo = saldo a favor`,
+                          MARGIN, PAGE_H - 30, { width: CONTENT_W, align: 'center', lineBreak: false });
+            };
+
+            encabezado();
+            let y = 84;
+
+            // ── DATOS DEL TITULAR ────────────────────────────────────────────
+            y = seccion(doc, esTutor ? 'TUTOR' : 'ALUMNO', y);
+            y = r2(doc, 'NOMBRE', titular.nombre,
+                        'PERIODO', `${fmtDate(periodo.desde)} al ${fmtDate(periodo.hasta)}`, y, 0.6);
+            if (esTutor) {
+                y = r2(doc, 'ALUMNOS', estado.alumnos.map(a => a.nombre).join(', '),
+                            'EMAIL', titular.email, y, 0.6);
+            } else {
+                y = r3(doc, 'MATRÍCULA', titular.matricula, 'SUCURSAL', titular.sucursal, 'TUTOR', titular.tutor, y);
+            }
+
+            // ── RESUMEN ──────────────────────────────────────────────────────
+            y += 4;
+            y = seccion(doc, 'RESUMEN', y);
+            const resumen = [
+                ['Saldo inicial',  money(estado.saldoInicial)],
+                ['(+) Cargos',     money(totales.cargos)],
+                ['(-) Descuentos', money(totales.descuentos)],
+                ['(+) Recargos',   money(totales.recargos)],
+                ['(-) Pagos',      money(totales.pagos)],
+                ['Saldo final',    money(estado.saldoFinal)],
+            ];
+            const colW = CONTENT_W / resumen.length;
+            doc.rect(MARGIN, y, CONTENT_W, 34).fill(C.light);
+            resumen.forEach(([label, valor], i) => {
+                const x = MARGIN + colW * i;
+                const esFinal = i === resumen.length - 1;
+                doc.fontSize(6.5).fillColor(C.muted).font('Helvetica-Bold')
+                    .text(label.toUpperCase(), x, y + 6, { width: colW, align: 'center', lineBreak: false });
+                doc.fontSize(esFinal ? 10 : 9).fillColor(esFinal && estado.saldoFinal > 0 ? '#c0102a' : C.text).font('Helvetica-Bold')
+                    .text(valor, x, y + 17, { width: colW, align: 'center', lineBreak: false });
+            });
+            y += 42;
+
+            // ── MOVIMIENTOS ──────────────────────────────────────────────────
+            const cols = esTutor
+                ? [
+                    { key: 'fecha',    label: 'FECHA',    w: 58 },
+                    { key: 'alumno',   label: 'ALUMNO',   w: 96 },
+                    { key: 'concepto', label: 'CONCEPTO', w: 170 },
+                    { key: 'cargo',    label: 'CARGO',    w: 66, align: 'right' },
+                    { key: 'abono',    label: 'ABONO',    w: 66, align: 'right' },
+                    { key: 'saldo',    label: 'SALDO',    w: CONTENT_W - 456, align: 'right' },
+                  ]
+                : [
+                    { key: 'fecha',    label: 'FECHA',    w: 60 },
+                    { key: 'tipo',     label: 'TIPO',     w: 60 },
+                    { key: 'concepto', label: 'CONCEPTO', w: 206 },
+                    { key: 'cargo',    label: 'CARGO',    w: 66, align: 'right' },
+                    { key: 'abono',    label: 'ABONO',    w: 66, align: 'right' },
+                    { key: 'saldo',    label: 'SALDO',    w: CONTENT_W - 458, align: 'right' },
+                  ];
+            const ROW_H = 15;
+
+            const cabeceraTabla = () => {
+                doc.rect(MARGIN, y, CONTENT_W, 14).fill('#4a5568');
+                let x = MARGIN;
+                cols.forEach(c => {
+                    doc.fontSize(6.5).fillColor(C.white).font('Helvetica-Bold')
+                        .text(c.label, x + 3, y + 4, { width: c.w - 6, align: c.align || 'left', lineBreak: false });
+                    x += c.w;
+                });
+                y += 14;
+            };
+
+            const nuevaPagina = () => {
+                pie();
+                doc.addPage({ size: 'LETTER', margins: { top: 0, bottom: 0, left: 0, right: 0 } });
+                encabezado();
+                y = 84;
+            };
+
+            y = seccion(doc, 'MOVIMIENTOS DEL PERIODO', y);
+            cabeceraTabla();
+
+            if (movimientos.length === 0) {
+                doc.fontSize(8).fillColor(C.muted).font('Helvetica-Oblique')
+                    .text('Sin movimientos en el periodo.', MARGIN, y + 5, { width: CONTENT_W, align: 'center', lineBreak: false });
+                y += ROW_H + 4;
+            }
+
+            movimientos.forEach((m, i) => {
+                if (y + ROW_H > BOTTOM) {
+                    nuevaPagina();
+                    cabeceraTabla();
+                }
+                if (i % 2 === 1) doc.rect(MARGIN, y, CONTENT_W, ROW_H).fill(C.light);
+
+                const valores = {
+                    fecha   : fmtDate(m.fecha),
+                    alumno  : m.alumnoNombre,
+                    tipo    : TIPO_MOV_LABEL[m.tipo] || m.tipo,
+                    concepto: m.metodo ? `${m.concepto} (${METODOS_LABEL[m.metodo] || m.metodo})` : m.concepto,
+                    cargo   : m.importe > 0 ? money(m.importe) : '',
+                    abono   : m.importe < 0 ? money(-m.importe) : '',
+                    saldo   : money(m.saldo),
+                };
+
+                let x = MARGIN;
+                cols.forEach(c => {
+                    doc.fontSize(7).font(c.key === 'saldo' ? 'Helvetica-Bold' : 'Helvetica')
+                        .fillColor(c.key === 'abono' ? '#16a34a' : C.text)
+                        .text(valores[c.key] || '', x + 3, y + 4, { width: c.w - 6, align: c.align || 'left', lineBreak: false, ellipsis: true });
+                    x += c.w;
+                });
+                doc.moveTo(MARGIN, y + ROW_H).lineTo(MARGIN + CONTENT_W, y + ROW_H)
+                    .strokeColor(C.border).lineWidth(0.3).stroke();
+                y += ROW_H;
+            });
+
+            // ── PENDIENTES DE PAGO ───────────────────────────────────────────
+            if (pendientes.length > 0) {
+                y += 10;
+                if (y + 18 + ROW_H * Math.min(pendientes.length, 3) > BOTTOM) nuevaPagina();
+                y = seccion(doc, 'CARGOS PENDIENTES AL CIERRE', y);
+
+                pendientes.forEach(p => {
+                    if (y + ROW_H > BOTTOM) nuevaPagina();
+                    const concepto = esTutor ? `${p.alumnoNombre} — ${p.concepto}` : p.concepto;
+                    doc.fontSize(7).fillColor(C.text).font('Helvetica')
+                        .text(`Vence ${fmtDate(p.dueDate)}`, MARGIN + 3, y + 4, { width: 80, lineBreak: false });
+                    doc.text(concepto, MARGIN + 86, y + 4, { width: CONTENT_W - 180, lineBreak: false, ellipsis: true });
+                    doc.font('Helvetica-Bold').fillColor('#c0102a')
+                        .text(money(p.saldo), MARGIN + CONTENT_W - 90, y + 4, { width: 87, align: 'right', lineBreak: false });
+                    doc.moveTo(MARGIN, y + ROW_H).lineTo(MARGIN + CONTENT_W, y + ROW_H)
+                        .strokeColor(C.border).lineWidth(0.3).stroke();
+                    y += ROW_H;
+                });
+            }
+
+            pie();
+            doc.end();
+
+            stream.on('finish', () => resolve({ filePath, fileName, url: `/uploads/estados-cuenta/${fileName}` }));
+            stream.on('error', reject);
+
+        } catch (err) {
+            reject(err);
+        }
+    });
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CORTE DE CAJA
+// Resumen de cierre de una SesionCaja: esperado vs contado por método y cobros.
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @param {Object} sesion     — SesionCaja cerrada (objeto plano, con sucursal/usuario populados)
+ * @param {Array}  cobros     — resultado de cajaService.cobrosDeSesion
+ * @param {String} outputDir  — carpeta donde guardar (default uploads/cortes-caja)
+ * @returns {Promise<{filePath, fileName, url}>}
+ */
+const generarCorteCaja = (sesion, cobros = [], outputDir) => {
+    return new Promise((resolve, reject) => {
+        try {
+            const dir = outputDir || path.join(__dirname, '../uploads/cortes-caja');
+            if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+            const money = (n) => `$${(n || 0).toLocaleString('es-MX', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+            const fechaHora = (d) => d
+                ? new Date(d).toLocaleString('es-MX', { day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit' })
+                : '-';
+
+            const fileName = `corte-${sesion.folio || String(sesion._id).slice(-6)}-${Date.now()}.pdf`;
+            const filePath = path.join(dir, fileName);
+
+            const PAGE_H = 792;
+            const BOTTOM = PAGE_H - 50;
+
+            const doc = new PDFDocument({
+                size         : 'LETTER',
+                margins      : { top: 0, bottom: 0, left: 0, right: 0 },
+                autoFirstPage: true,
+                info: {
+                    Title : `Corte de Caja ${sesion.folio || ''}`,
+                    Author: 'Escuela de Artes Marciales Koreanas "Bedolla"',
+                },
+            });
+            const stream = fs.createWriteStream(filePath);
+            doc.pipe(stream);
+
+            const encabezado = () => {
+                doc.rect(0, 0, PAGE_W, 70).fill(C.navy);
+                drawLogoSafe(doc, 'logo-bedolla.png', MARGIN - 4, 8, 110, 54);
+                doc.fontSize(14).fillColor(C.white).font('Helvetica-Bold')
+                    .text('CORTE DE CAJA', MARGIN, 18, { width: CONTENT_W, align: 'right', lineBreak: false });
+                doc.fontSize(8).fillColor('#b0cce0').font('Helvetica')
+                    .text(`Folio ${sesion.folio || '-'}`, MARGIN, 40, { width: CONTENT_W, align: 'right', lineBreak: false });
+                doc.rect(0, 70, PAGE_W, 3).fill(C.red);
+            };
+
+            encabezado();
+            let y = 84;
+
+            // ── DATOS DE LA SESIÓN ───────────────────────────────────────────
+            y = seccion(doc, 'SESIÓN', y);
+            y = r3(doc, 'SUCURSAL', sesion.sucursal?.name, 'CAJERO', sesion.usuario?.name,
+                        'CERRADA POR', sesion.cerradaPor?.name, y);
+            y = r3(doc, 'APERTURA', fechaHora(sesion.fechaApertura), 'CIERRE', fechaHora(sesion.fechaCierre),
+                        'FONDO INICIAL', money(sesion.fondoInicial), y);
+
+            // ── ESPERADO VS CONTADO ──────────────────────────────────────────
+            y += 4;
+            y = seccion(doc, 'ESPERADO VS CONTADO', y);
+
+            const colsRes = [
+                { label: 'MÉTODO',     w: 150 },
+                { label: 'ESPERADO',   w: 120, align: 'right' },
+                { label: 'CONTADO',    w: 120, align: 'right' },
+                { label: 'DIFERENCIA', w: CONTENT_W - 390, align: 'right' },
+            ];
+            const ROW_H = 16;
+
+            const filaTabla = (cols, valores, opts = {}) => {
+                if (opts.fondo) doc.rect(MARGIN, y, CONTENT_W, ROW_H).fill(opts.fondo);
+                let x = MARGIN;
+                cols.forEach((c, i) => {
+                    const color = Array.isArray(opts.colores) ? (opts.colores[i] || C.text) : (opts.color || C.text);
+                    doc.fontSize(opts.size || 7.5).font(opts.bold ? 'Helvetica-Bold' : 'Helvetica').fillColor(color)
+                        .text(valores[i] ?? '', x + 4, y + 4.5, { width: c.w - 8, align: c.align || 'left', lineBreak: false, ellipsis: true });
+                    x += c.w;
+                });
+                doc.moveTo(MARGIN, y + ROW_H).lineTo(MARGIN + CONTENT_W, y + ROW_H)
+                    .strokeColor(C.border).lineWidth(0.3).stroke();
+                y += ROW_H;
+            };
+
+            const colorDif = (n) => n < 0 ? '#c0102a' : (n > 0 ? '#c8971e' : '#16a34a');
+
+            filaTabla(colsRes, colsRes.map(c => c.label), { fondo: '#4a5568', color: C.white, bold: true, size: 6.5 });
+            Object.keys(METODOS_LABEL).forEach((metodo, i) => {
+                const dif = sesion.diferencias?.[metodo] || 0;
+                filaTabla(colsRes, [
+                    METODOS_LABEL[metodo],
+                    money(sesion.esperado?.[metodo]),
+                    money(sesion.contado?.[metodo]),
+                    money(dif),
+                ], { fondo: i % 2 ? C.light : null, colores: [C.text, C.text, C.text, colorDif(dif)] });
+            });
+            filaTabla(colsRes, [
+                'TOTAL',
+                money(sesion.totalEsperado),
+                money(sesion.totalContado),
+                money(sesion.totalDiferencia),
+            ], { bold: true, colores: [C.navy, C.navy, C.navy, colorDif(sesion.totalDiferencia)] });
+
+            y += 6;
+            doc.fontSize(7).fillColor(C.muted).font('Helvetica')
+                .text(`Cobros registrados: ${sesion.numeroCobros || cobros.length}.  El efectivo esperado incluye el fondo inicial.  Diferencia negativa = faltante.`,
+                      MARGIN, y, { width: CONTENT_W, lineBreak: false });
+            y += 12;
+
+            if (sesion.notasCierre) {
+                doc.fontSize(7.5).fillColor(C.text).font('Helvetica-Oblique')
+                    .text(`Notas: ${sesion.notasCierre}`, MARGIN, y, { width: CONTENT_W });
+                y = doc.y + 4;
+            }
+
+            // ── COBROS ───────────────────────────────────────────────────────
+            y += 6;
+            y = seccion(doc, 'COBROS DE LA SESIÓN', y);
+
+            const colsCobros = [
+                { label: 'HORA',     w: 44 },
+                { label: 'FOLIO',    w: 92 },
+                { label: 'ALUMNO',   w: 120 },
+                { label: 'CONCEPTO', w: 142 },
+                { label: 'MÉTODO',   w: 60 },
+                { label: 'MONTO',    w: CONTENT_W - 458, align: 'right' },
+            ];
+            const cabecera = () => filaTabla(colsCobros, colsCobros.map(c => c.label), { fondo: '#4a5568', color: C.white, bold: true, size: 6.5 });
+            cabecera();
+
+            if (cobros.length === 0) {
+                doc.fontSize(8).fillColor(C.muted).font('Helvetica-Oblique')
+                    .text('Sin cobros en la sesión.', MARGIN, y + 5, { width: CONTENT_W, align: 'center', lineBreak: false });
+                y += ROW_H;
+            }
+
+            cobros.forEach((c, i) => {
+                if (y + ROW_H > BOTTOM) {
+                    doc.addPage({ size: 'LETTER', margins: { top: 0, bottom: 0, left: 0, right: 0 } });
+                    encabezado();
+                    y = 84;
+                    cabecera();
+                }
+                filaTabla(colsCobros, [
+                    new Date(c.registradoEn || c.paidDate).toLocaleTimeString('es-MX', { hour: '2-digit', minute: '2-digit' }),
+                    c.folio ? `${c.folio} #${c.abono}` : '-',
+                    c.alumno,
+                    c.concepto,
+                    METODOS_LABEL[c.paymentMethod] || c.paymentMethod,
+                    money(c.monto),
+                ], { fondo: i % 2 ? C.light : null });
+            });
+
+            // ── FIRMAS ───────────────────────────────────────────────────────
+            if (y + 70 > BOTTOM) {
+                doc.addPage({ size: 'LETTER', margins: { top: 0, bottom: 0, left: 0, right: 0 } });
+                encabezado();
+                y = 84;
+            }
+            const firmaY = y + 50;
+            const firmaW = 180;
+            [[MARGIN + 20, 'Cajero'], [PAGE_W - MARGIN - 20 - firmaW, 'Supervisor']].forEach(([x, label]) => {
+                doc.moveTo(x, firmaY).lineTo(x + firmaW, firmaY).strokeColor(C.navy).lineWidth(0.6).stroke();
+                doc.fontSize(7.5).fillColor(C.muted).font('Helvetica')
+                    .text(label, x, firmaY + 4, { width: firmaW, align: 'center', lineBreak: false });
+            });
+
+            doc.end();
+            stream.on('finish', () => resolve({ filePath, fileName, url: `/uploads/cortes-caja/${fileName}` }));
+            stream.on('error', reject);
+
+        } catch (err) {
+            reject(err);
+        }
+    });
 };
 
-const BELT_COLOR_CERT = {
-  'blanco'         : '#FFFFFF',
-  'blanco-amarillo': '#FEF9C3',
-  'amarillo'       : '#FDE047',
-  'amarillo-naranja': '#FDE047',
-  'naranja'        : '#FB923C',
-  'naranja-verde'  : '#FB923C',
-  'verde'          : '#22C55E',
-  'verde-azul'     : '#22C55E',
-  'azul'           : '#3B82F6',
-  'azul-marron'    : '#3B82F6',
-  'marron'         : '#92400E',
-  'marron-negro'   : '#92400E',
-  'negro-1'        : '#111111',
-  'negro-2'        : '#111111',
-  'negro-3'        : '#111111',
-  'negro-4'        : '#111111',
-  'negro-5'        : '#111111',
-  'negro-6'        : '#111111',
-  'negro-7'        : '#111111',
-  'negro-8'        : '#111111',
-  'negro-9'        : '#111111',
+// ─────────────────────────────────────────────────────────────────────────────
+// CERTIFICADO DE GRADUACIÓN
+// Genera un certificado oficial en formato horizontal (LETTER landscape)
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Texto oscuro sobre cinturones claros (blanco, amarillo...)
+const esColorClaro = (hex) => {
+  const m = /^#?([0-9a-f]{6})$/i.exec(hex || '');
+  if (!m) return false;
+  const n = parseInt(m[1], 16);
+  const luminancia = (0.299 * (n >> 16) + 0.587 * ((n >> 8) & 255) + 0.114 * (n & 255)) / 255;
+  return luminancia > 0.6;
 };
 
 /**
@@ -800,15 +1199,15 @@ const generarCertificadoGraduacion = (opts, outputDir) => {
       // Datos
       const nombreCompleto = [alumno.firstName, alumno.lastName, alumno.secondLastName]
         .filter(Boolean).join(' ').toUpperCase();
+      const programa       = graduacion.disciplina || examen?.disciplina || nivelService.disciplinaDe(alumno);
       const cinturonNuevo  = graduacion.cinturonNuevo || examen?.cinturonObjetivo || '';
-      const beltLabel      = BELT_DISPLAY_CERT[cinturonNuevo] || cinturonNuevo;
-      const beltColor      = BELT_COLOR_CERT[cinturonNuevo] || '#c8971e';
+      const nivel          = nivelService.nivel(programa, cinturonNuevo);
+      const beltLabel      = nivel?.nombre || cinturonNuevo;
+      const beltColor      = nivel?.color || '#c8971e';
       const fechaGrad      = graduacion.fechaGraduacion
         ? new Date(graduacion.fechaGraduacion).toLocaleDateString('es-MX', { day: '2-digit', month: 'long', year: 'numeric' })
         : new Date().toLocaleDateString('es-MX', { day: '2-digit', month: 'long', year: 'numeric' });
-      const disciplina     = alumno.enrollment?.programa
-        ? (PROG[alumno.enrollment.programa]?.label || alumno.enrollment.programa.toUpperCase())
-        : 'TAE KWON DO';
+      const disciplina     = PROG[programa]?.label || programa.toUpperCase();
       const calificacion   = graduacion.calificacionObtenida
         ? `${Math.round(graduacion.calificacionObtenida * 100) / 100} / 100`
         : null;
@@ -850,15 +1249,14 @@ const generarCertificadoGraduacion = (opts, outputDir) => {
       doc.rect(0, H - 85, W, 5).fill('#c8971e');
 
       // ── LOGOS en header ──────────────────────────────────────────────────────
-      const programa = alumno.enrollment?.programa || 'tae-kwon-do';
       const logoFile = (programa === 'pequenos-dragones') ? 'logo-pequenos-dragones.png' : 'logo-mdk.png';
       try {
-        const lp = path.join(LOGOS_DIR, logoFile);
-        if (fs.existsSync(lp)) doc.image(lp, 28, 8, { fit: [70, 72], align: 'center', valign: 'center' });
+        const lp = imagen('logos', logoFile);
+        if (lp) doc.image(lp, 28, 8, { fit: [70, 72], align: 'center', valign: 'center' });
       } catch (_) {}
       try {
-        const lb = path.join(LOGOS_DIR, 'logo-bedolla.png');
-        if (fs.existsSync(lb)) doc.image(lb, W - 98, 8, { fit: [70, 72], align: 'center', valign: 'center' });
+        const lb = imagen('logos', 'logo-bedolla.png');
+        if (lb) doc.image(lb, W - 98, 8, { fit: [70, 72], align: 'center', valign: 'center' });
       } catch (_) {}
 
       // ── TÍTULO HEADER ────────────────────────────────────────────────────────
@@ -902,7 +1300,7 @@ const generarCertificadoGraduacion = (opts, outputDir) => {
       // CINTURÓN — rectángulo del color del cinturón
       const cintW = 280, cintH = 36;
       const cintX = (W - cintW) / 2;
-      const isBeltLight = ['blanco', 'blanco-amarillo', 'amarillo', 'amarillo-naranja'].includes(cinturonNuevo);
+      const isBeltLight = esColorClaro(beltColor);
       doc.roundedRect(cintX, y, cintW, cintH, 8)
          .fillAndStroke(beltColor, '#c8971e');
       // Texto del cinturón
@@ -969,5 +1367,300 @@ const generarCertificadoGraduacion = (opts, outputDir) => {
   });
 };
 
+// ─── CREDENCIAL DE ALUMNO ─────────────────────────────────────────────────────
+/**
+ * Credencial tamaño tarjeta (CR80) con el QR de asistencia del kiosco
+ * @param {Object} alumno    - Alumno con populate de enrollment.sucursal
+ * @param {Buffer} qr        - PNG del QR (checkinService.generarQr)
+ * @param {string} outputDir - Directorio destino (por defecto uploads/credenciales)
+ * @returns {Promise<{ filePath, fileName, url }>}
+ */
+const generarCredencial = (alumno, qr, outputDir) => {
+    return new Promise((resolve, reject) => {
+        try {
+            const dir = outputDir || path.join(__dirname, '../uploads/credenciales');
+            if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+            const W = 243, H = 153;   // 85.6 x 54 mm
+            const programa  = alumno.enrollment?.programa || 'tae-kwon-do';
+            const config    = PROG[programa] || PROG['tae-kwon-do'];
+            const studentId = sv(alumno.enrollment?.studentId, String(alumno._id).slice(-8).toUpperCase());
+            const fileName  = `credencial_${studentId}.pdf`;
+            const filePath  = path.join(dir, fileName);
+            const nombre    = [alumno.firstName, alumno.lastName, alumno.secondLastName].filter(Boolean).join(' ');
+            const sucursal  = typeof alumno.enrollment?.sucursal === 'object' ? sv(alumno.enrollment.sucursal?.name) : '';
+
+            const doc = new PDFDocument({
+                size         : [W, H],
+                margins      : { top: 0, bottom: 0, left: 0, right: 0 },
+                autoFirstPage: true,
+                info: {
+                    Title : `Credencial — ${nombre}`,
+                    Author: 'Escuela de Artes Marciales Koreanas "Bedolla"',
+                },
+            });
+            const stream = fs.createWriteStream(filePath);
+            doc.pipe(stream);
+
+            // Encabezado
+            doc.rect(0, 0, W, 34).fill(C.navy);
+            drawLogoSafe(doc, config.logo, 6, 3, 28, 28);
+            doc.font('Helvetica-Bold').fontSize(7.5).fillColor(C.white)
+                .text('ESCUELA DE ARTES MARCIALES "BEDOLLA"', 38, 8, { width: W - 44, lineBreak: false });
+            doc.font('Helvetica').fontSize(6.5).fillColor('#b0cce0')
+                .text(config.label, 38, 20, { width: W - 44, lineBreak: false });
+            doc.rect(0, 34, W, 2).fill(C.red);
+
+            // Foto
+            const fotoX = 8, fotoY = 42, fotoW = 48, fotoH = 60;
+            doc.rect(fotoX, fotoY, fotoW, fotoH).strokeColor(C.border).lineWidth(0.5).stroke();
+            try {
+                const fn = alumno.profilePhoto?.filename;
+                const foto = imagen('profiles', fn);
+                if (foto) {
+                    doc.image(foto, fotoX + 1, fotoY + 1, { fit: [fotoW - 2, fotoH - 2], align: 'center', valign: 'center' });
+                } else {
+                    doc.font('Helvetica').fontSize(6).fillColor(C.muted)
+                        .text('FOTO', fotoX, fotoY + 27, { width: fotoW, align: 'center', lineBreak: false });
+                }
+            } catch (_) {}
+
+            // Datos
+            const qrS = 76;
+            const qrX = W - qrS - 6;
+            const dx = fotoX + fotoW + 6;
+            const dw = qrX - dx - 4;
+            let y = 42;
+
+            doc.font('Helvetica-Bold').fontSize(8).fillColor(C.text)
+                .text(nombre.toUpperCase(), dx, y, { width: dw, height: 20, ellipsis: true });
+            y += 22;
+
+            [
+                ['MATRÍCULA', studentId],
+                ['CINTURÓN', nombreCinturon(alumno, '-')],
+                ['SUCURSAL', sucursal || '-'],
+            ].forEach(([label, valor]) => {
+                doc.font('Helvetica-Bold').fontSize(5).fillColor(C.muted)
+                    .text(label, dx, y, { width: dw, lineBreak: false });
+                doc.font('Helvetica').fontSize(6.5).fillColor(C.text)
+                    .text(valor, dx, y + 6, { width: dw, height: 8, ellipsis: true });
+                y += 16;
+            });
+
+            // QR de asistencia
+            doc.image(qr, qrX, 40, { width: qrS, height: qrS });
+            doc.font('Helvetica').fontSize(5).fillColor(C.muted)
+                .text('Escanea en el kiosco al llegar', qrX - 4, 40 + qrS + 1, { width: qrS + 8, align: 'center', lineBreak: false });
+
+            // Pie
+            doc.rect(0, H - 12, W, 12).fill(C.navy);
+            doc.font('Helvetica').fontSize(5.5).fillColor(C.white)
+                .text('www.ambedolla.com', 0, H - 9, { width: W, align: 'center', lineBreak: false });
+
+            doc.end();
+            stream.on('finish', () => resolve({ filePath, fileName, url: `/uploads/credenciales/${fileName}` }));
+            stream.on('error', reject);
+        } catch (err) {
+            reject(err);
+        }
+    });
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// LISTA DE ASISTENCIA MENSUAL
+// Cuadrícula alumnos × fechas en LETTER horizontal (ver listaAsistenciaService)
+// ─────────────────────────────────────────────────────────────────────────────
+
+const COLOR_MARCA = { P: '#16a34a', R: '#c8971e', F: '#c0102a', J: '#3B82F6', C: '#a0aec0' };
+
+/**
+ * Genera la lista de asistencia mensual de una clase
+ * @param {Object} lista     - Resultado de construirListaMensual
+ * @param {String} outputDir - Carpeta destino
+ * @returns {Promise<{filePath, fileName, url}>}
+ */
+const generarListaAsistencia = (lista, outputDir) => {
+    return new Promise((resolve, reject) => {
+        try {
+            const dir = outputDir || path.join(__dirname, '../uploads/listas-asistencia');
+            if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+            const W = 792, H = 612;
+            const M = 30;
+            const ANCHO = W - M * 2;
+            const BOTTOM = H - 40;
+            const ROW_H = 15;
+
+            const { horario, periodo, fechas, filas, totalesPorFecha, umbral = 70 } = lista;
+            // Un archivo por clase y mes: cada exportación reemplaza la anterior
+            const fileName = `lista-${horario._id}-${periodo.anio}-${String(periodo.mes).padStart(2, '0')}.pdf`;
+            const filePath = path.join(dir, fileName);
+
+            // Columnas: # | alumno | una por fecha | P F R J | %
+            const wNum = 18, wAlumno = 150, wTotal = 20, wPct = 32;
+            const wFechas = ANCHO - wNum - wAlumno - wTotal * 4 - wPct;
+            const wFecha = fechas.length > 0 ? Math.min(26, wFechas / fechas.length) : 0;
+            const wRelleno = wFechas - wFecha * fechas.length;
+            const xTotales = M + wNum + wAlumno + wFecha * fechas.length + wRelleno;
+            const dias = ['D', 'L', 'M', 'M', 'J', 'V', 'S'];
+
+            const doc = new PDFDocument({
+                size         : 'LETTER',
+                layout       : 'landscape',
+                margins      : { top: 0, bottom: 0, left: 0, right: 0 },
+                autoFirstPage: true,
+                info: {
+                    Title : `Lista de asistencia ${horario.nombre} — ${periodo.nombre}`,
+                    Author: 'Escuela de Artes Marciales Koreanas "Bedolla"',
+                },
+            });
+            const stream = fs.createWriteStream(filePath);
+            doc.pipe(stream);
+
+            const celda = (texto, x, y, w, opts = {}) => {
+                doc.fontSize(opts.size || 7).font(opts.bold ? 'Helvetica-Bold' : 'Helvetica').fillColor(opts.color || C.text)
+                    .text(texto ?? '', x + 2, y + (ROW_H - (opts.size || 7)) / 2, { width: w - 4, align: opts.align || 'center', lineBreak: false, ellipsis: true });
+            };
+
+            const encabezado = () => {
+                doc.rect(0, 0, W, 56).fill(C.navy);
+                drawLogoSafe(doc, 'logo-bedolla.png', M - 4, 6, 90, 44);
+                doc.fontSize(13).fillColor(C.white).font('Helvetica-Bold')
+                    .text('LISTA DE ASISTENCIA', M, 12, { width: ANCHO, align: 'right', lineBreak: false });
+                doc.fontSize(8).fillColor('#b0cce0').font('Helvetica')
+                    .text(periodo.nombre.toUpperCase(), M, 32, { width: ANCHO, align: 'right', lineBreak: false });
+                doc.rect(0, 56, W, 3).fill(C.red);
+
+                const horas = horario.horaInicio ? `${horario.horaInicio} - ${horario.horaFin}` : '';
+                doc.fontSize(8).fillColor(C.text).font('Helvetica-Bold')
+                    .text(sv(horario.nombre).toUpperCase(), M, 66, { continued: true })
+                    .font('Helvetica').fillColor(C.muted)
+                    .text(`   ${[horario.sucursal, horario.instructor, horas].filter(Boolean).join('  ·  ')}`, { lineBreak: false });
+            };
+
+            const cabeceraTabla = (y) => {
+                doc.rect(M, y, ANCHO, ROW_H * 2).fill('#4a5568');
+                const opts = { color: C.white, bold: true, size: 6.5 };
+                celda('#', M, y + ROW_H / 2, wNum, opts);
+                celda('ALUMNO', M + wNum, y + ROW_H / 2, wAlumno, { ...opts, align: 'left' });
+                fechas.forEach((f, i) => {
+                    const x = M + wNum + wAlumno + i * wFecha;
+                    celda(dias[f.getDay()], x, y, wFecha, { ...opts, size: 5.5 });
+                    celda(String(f.getDate()), x, y + ROW_H - 3, wFecha, opts);
+                });
+                ['P', 'F', 'R', 'J'].forEach((t, i) => celda(t, xTotales + i * wTotal, y + ROW_H / 2, wTotal, opts));
+                celda('%', xTotales + wTotal * 4, y + ROW_H / 2, wPct, opts);
+                return y + ROW_H * 2;
+            };
+
+            const lineasVerticales = (yIni, yFin) => {
+                doc.lineWidth(0.3).strokeColor(C.border);
+                for (let i = 0; i <= fechas.length; i++) {
+                    const x = M + wNum + wAlumno + i * wFecha;
+                    doc.moveTo(x, yIni).lineTo(x, yFin).stroke();
+                }
+                doc.moveTo(xTotales, yIni).lineTo(xTotales, yFin).stroke();
+            };
+
+            encabezado();
+            let y = cabeceraTabla(82);
+            let yTabla = y;
+
+            if (filas.length === 0) {
+                doc.fontSize(8).fillColor(C.muted).font('Helvetica-Oblique')
+                    .text('Sin alumnos inscritos ni registros en el mes.', M, y + 5, { width: ANCHO, align: 'center', lineBreak: false });
+                y += ROW_H;
+            }
+
+            filas.forEach((fila, i) => {
+                if (y + ROW_H > BOTTOM) {
+                    lineasVerticales(yTabla, y);
+                    doc.addPage({ size: 'LETTER', layout: 'landscape', margins: { top: 0, bottom: 0, left: 0, right: 0 } });
+                    encabezado();
+                    y = yTabla = cabeceraTabla(82);
+                }
+                if (i % 2) doc.rect(M, y, ANCHO, ROW_H).fill(C.light);
+
+                celda(String(i + 1), M, y, wNum, { color: C.muted });
+                celda(fila.alumno.nombre, M + wNum, y, wAlumno, { align: 'left' });
+                fila.marcas.forEach((marca, j) => {
+                    if (marca) celda(marca, M + wNum + wAlumno + j * wFecha, y, wFecha, { bold: true, color: COLOR_MARCA[marca] });
+                });
+                ['presente', 'ausente', 'retardo', 'justificado'].forEach((estado, j) =>
+                    celda(String(fila.totales[estado]), xTotales + j * wTotal, y, wTotal));
+                const pct = fila.porcentaje;
+                celda(pct === null ? '-' : `${pct}%`, xTotales + wTotal * 4, y, wPct, {
+                    bold: true,
+                    color: pct === null ? C.muted : pct < umbral ? '#c0102a' : C.text
+                });
+
+                doc.moveTo(M, y + ROW_H).lineTo(M + ANCHO, y + ROW_H).strokeColor(C.border).lineWidth(0.3).stroke();
+                y += ROW_H;
+            });
+
+            // Asistentes por fecha
+            if (fechas.length > 0) {
+                doc.rect(M, y, ANCHO, ROW_H).fill('#e2e8f0');
+                celda('ASISTIERON', M + wNum, y, wAlumno, { bold: true, align: 'left', size: 6.5, color: C.navy });
+                totalesPorFecha.forEach((t, j) =>
+                    celda(String(t.asistieron), M + wNum + wAlumno + j * wFecha, y, wFecha, { bold: true, color: C.navy }));
+                y += ROW_H;
+            }
+            lineasVerticales(yTabla, y);
+
+            // Leyenda y firma
+            if (y + 60 > BOTTOM) {
+                doc.addPage({ size: 'LETTER', layout: 'landscape', margins: { top: 0, bottom: 0, left: 0, right: 0 } });
+                encabezado();
+                y = 82;
+            }
+            y += 10;
+            doc.fontSize(7).fillColor(C.muted).font('Helvetica')
+                .text('P = Presente   F = Falta   R = Retardo   J = Justificada   C = Clase cancelada (no cuenta)', M, y, { width: ANCHO, lineBreak: false });
+
+            const firmaW = 200;
+            const firmaX = W - M - firmaW;
+            doc.moveTo(firmaX, y + 40).lineTo(firmaX + firmaW, y + 40).strokeColor(C.navy).lineWidth(0.6).stroke();
+            doc.fontSize(7.5).fillColor(C.muted).font('Helvetica')
+                .text('Firma del instructor', firmaX, y + 44, { width: firmaW, align: 'center', lineBreak: false });
+
+            doc.end();
+            stream.on('finish', () => resolve({ filePath, fileName, url: `/uploads/listas-asistencia/${fileName}` }));
+            stream.on('error', reject);
+        } catch (err) {
+            reject(err);
+        }
+    });
+};
+
+// ─── Almacenamiento ───────────────────────────────────────────────────────────
+// Todos los generadores usan estos logos; las fotos dependen del alumno.
+const LOGOS = [...new Set([...Object.values(PROG).map(p => p.logo), 'logo-mdk.png', 'logo-bedolla.png'])]
+    .map(logo => almacenamiento.clave('logos', logo));
+
+const fotoDe = (alumno) => alumno?.profilePhoto?.filename
+    ? almacenamiento.clave('profiles', alumno.profilePhoto.filename)
+    : null;
+
+// Precarga las imágenes y los sistemas de niveles (nombres y colores de
+// cinturón), genera el PDF en disco y lo guarda en el almacenamiento con la
+// clave de su url ('/uploads/<carpeta>/<archivo>'). Devuelve además el
+// contenido para responder con él: con S3 la copia en disco ya no existe.
+const conImagenes = (generar, fotos = () => []) => async (...args) => {
+    await Promise.all([precargarImagenes([...LOGOS, ...fotos(...args)]), nivelService.cargar()]);
+    const resultado = await generar(...args);
+    const contenido = await almacenamiento.guardarDesdeRuta(almacenamiento.claveDeUrl(resultado.url), resultado.filePath);
+    return { ...resultado, contenido };
+};
+
 // Re-exportar incluyendo el nuevo certificado
-module.exports = { generateSolicitudIngreso, generarReciboCobro, generarCertificadoGraduacion };
\ No newline at end of file
+module.exports = {
+    generateSolicitudIngreso    : conImagenes(generateSolicitudIngreso, (alumno) => [fotoDe(alumno)]),
+    generarReciboCobro          : conImagenes(generarReciboCobro),
+    generarEstadoCuenta         : conImagenes(generarEstadoCuenta),
+    generarCorteCaja            : conImagenes(generarCorteCaja),
+    generarCertificadoGraduacion: conImagenes(generarCertificadoGraduacion),
+    generarCredencial           : conImagenes(generarCredencial, (alumno) => [fotoDe(alumno)]),
+    generarListaAsistencia      : conImagenes(generarListaAsistencia)
+};
\ No newline at end of file
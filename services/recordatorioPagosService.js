@@ -0,0 +1,204 @@
+/**
+ * recordatorioPagosService.js
+ * Recordatorios automáticos de pago por email (tarea 'recordatorios_pagos').
+ *
+ * - 'previo':  N días antes del dueDate (configuración notif_recordatorio_dias_antes).
+ * - 'vencido': cuando el pago pasa a estado 'vencido', con el recargo calculado.
+ *
+ * Se activa/desactiva con notif_recordatorio_pagos. El destinatario se resuelve
+ * igual que en las notificaciones (menor → tutor), y se respetan las
+ * preferencias del tutor (notificationTypes.payments) y del alumno adulto.
+ * Cada intento queda registrado en Payment.recordatorios para no repetirlo; los
+ * envíos fallidos se reintentan en las siguientes ejecuciones hasta
+ * MAX_INTENTOS veces.
+ */
+
+const Payment       = require('../models/Payments');
+const Configuracion = require('../models/Configuracion');
+const { enviarEmail } = require('./emailService');
+const { destinatarioDeAlumno } = require('./notificacionService');
+const { calcularRecargoAutomatico } = require('./billingService');
+
+// Solo se avisa de pagos que vencieron en los últimos días; así al activar la
+// función no se envía un correo por cada adeudo histórico.
+const VENTANA_VENCIDOS_DIAS = 7;
+
+// Envíos fallidos de un mismo tipo antes de dejar de reintentar
+const MAX_INTENTOS = 3;
+
+const DIA_MS = 24 * 60 * 60 * 1000;
+
+const fmtMonto = (n) => `$${(n || 0).toLocaleString('es-MX', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const fmtFecha = (d) => new Date(d).toLocaleDateString('es-MX', { day: '2-digit', month: 'long', year: 'numeric' });
+
+const inicioDelDia = (fecha) => {
+  const d = new Date(fecha);
+  d.setHours(0, 0, 0, 0);
+  return d;
+};
+
+// Excluir pagos que ya tienen un recordatorio de ese tipo enviado u omitido,
+// o que agotaron sus intentos fallidos
+const sinRecordatorio = (tipo) => ({
+  recordatorios: { $not: { $elemMatch: { tipo, estado: { $in: ['enviado', 'omitido'] } } } },
+  $expr: {
+    $lt: [
+      {
+        $size: {
+          $filter: {
+            input: { $ifNull: ['$recordatorios', []] },
+            cond : { $and: [{ $eq: ['$$this.tipo', tipo] }, { $eq: ['$$this.estado', 'fallido'] }] }
+          }
+        }
+      },
+      MAX_INTENTOS
+    ]
+  }
+});
+
+// ── ¿El destinatario acepta avisos de pago? ──────────────────────────────────
+const aceptaRecordatorios = (destino, alumno) => {
+  if (destino.esTutor) {
+    const prefs = destino.tutor?.preferences;
+    if (prefs?.receiveNotifications === false) return false;
+    return prefs?.notificationTypes?.payments !== false;
+  }
+  return alumno.preferences?.receiveNotifications !== false;
+};
+
+// ── Contenido del email ──────────────────────────────────────────────────────
+const construirMensaje = (pago, tipo, recargo) => {
+  const alumno   = pago.alumno;
+  const concepto = pago.periodName ? `${pago.description} (${pago.periodName})` : pago.description;
+  const conAbonos = pago.abonos?.length > 0;
+  const monto    = conAbonos ? pago.saldo : (pago.total ?? pago.amount);
+
+  const lineas = [
+    `Alumno: ${alumno.firstName} ${alumno.lastName}`,
+    `Concepto: ${concepto}`,
+    `${conAbonos ? 'Saldo pendiente' : 'Monto'}: ${fmtMonto(monto)}`,
+    `Fecha límite: ${fmtFecha(pago.dueDate)}`
+  ];
+
+  if (tipo === 'previo') {
+    return {
+      titulo: 'Recordatorio de pago',
+      mensaje: [
+        `Te recordamos que el siguiente pago vence el ${fmtFecha(pago.dueDate)}.`,
+        '',
+        ...lineas,
+        '',
+        `Si el pago se realiza después de ${recargo.diasGracia} día(s) de la fecha límite se aplicará un recargo por pago tardío.`
+      ].join('\n')
+    };
+  }
+
+  // Lo mismo que se cobraría hoy: el saldo (con descuento y abonos) más el
+  // recargo si aún no se aplicó al pago
+  const recargoPendiente = pago.lateFee > 0 ? 0 : recargo.montoRecargo;
+  const detalleRecargo = recargo.aplicaRecargo
+    ? [
+        `Recargo por pago tardío (${recargo.porcentajeRecargo}%): ${fmtMonto(pago.lateFee || recargo.montoRecargo)}`,
+        `Total a pagar: ${fmtMonto(pago.saldo + recargoPendiente)}`
+      ]
+    : [
+        `Aún puedes pagar sin recargo hasta el ${fmtFecha(new Date(pago.dueDate).getTime() + recargo.diasGracia * DIA_MS)}.`
+      ];
+
+  return {
+    titulo: 'Pago vencido',
+    mensaje: [
+      'El siguiente pago se encuentra vencido.',
+      '',
+      ...lineas,
+      ...detalleRecargo,
+      '',
+      'Si ya realizaste el pago, por favor ignora este mensaje.'
+    ].join('\n')
+  };
+};
+
+// ── Enviar un recordatorio y registrarlo en el pago ──────────────────────────
+const enviarRecordatorio = async (pago, tipo) => {
+  const registro = { tipo, fecha: new Date() };
+
+  const destino = pago.alumno ? await destinatarioDeAlumno(pago.alumno) : null;
+
+  if (!destino) {
+    Object.assign(registro, { estado: 'omitido', motivo: 'Sin email disponible' });
+  } else if (!aceptaRecordatorios(destino, pago.alumno)) {
+    Object.assign(registro, { estado: 'omitido', email: destino.email, motivo: 'El destinatario no acepta avisos de pago' });
+  } else {
+    const recargo = await calcularRecargoAutomatico(pago);
+    const { titulo, mensaje } = construirMensaje(pago, tipo, recargo);
+
+    try {
+      await enviarEmail({
+        to: destino.email,
+        subject: `${titulo} - ${pago.alumno.firstName} ${pago.alumno.lastName}`,
+        titulo,
+        mensaje,
+        nombreAlumno: destino.nombre
+      });
+      Object.assign(registro, { estado: 'enviado', email: destino.email });
+    } catch (error) {
+      Object.assign(registro, { estado: 'fallido', email: destino.email, motivo: error.message.substring(0, 300) });
+    }
+  }
+
+  // $push directo: evita re-validar el pago completo (validador asíncrono del tutor)
+  await Payment.updateOne({ _id: pago._id }, { $push: { recordatorios: registro } });
+  return registro;
+};
+
+// ── Enviar todos los recordatorios pendientes ────────────────────────────────
+const enviarRecordatoriosPagos = async ({ fecha = new Date() } = {}) => {
+  const habilitado = await Configuracion.getValor('notif_recordatorio_pagos', true);
+  if (!habilitado) {
+    return { habilitado: false };
+  }
+
+  const diasAntes = parseInt(await Configuracion.getValor('notif_recordatorio_dias_antes', 3)) || 0;
+  const hoy = inicioDelDia(fecha);
+
+  const lotes = [];
+
+  if (diasAntes > 0) {
+    const limite = new Date(hoy.getTime() + (diasAntes + 1) * DIA_MS - 1);
+    lotes.push({
+      tipo: 'previo',
+      filtro: { status: { $in: ['pendiente', 'parcial'] }, dueDate: { $gte: hoy, $lte: limite }, ...sinRecordatorio('previo') }
+    });
+  }
+
+  lotes.push({
+    tipo: 'vencido',
+    filtro: {
+      status: 'vencido',
+      dueDate: { $gte: new Date(hoy.getTime() - VENTANA_VENCIDOS_DIAS * DIA_MS) },
+      ...sinRecordatorio('vencido')
+    }
+  });
+
+  const resumen = { habilitado: true, diasAntes };
+
+  for (const { tipo, filtro } of lotes) {
+    const pagos = await Payment.find({ isActive: true, ...filtro })
+      .populate('alumno', 'firstName lastName email dateOfBirth tutor preferences');
+
+    const conteo = { enviados: 0, omitidos: 0, fallidos: 0 };
+    for (const pago of pagos) {
+      const { estado } = await enviarRecordatorio(pago, tipo);
+      if (estado === 'enviado') conteo.enviados++;
+      else if (estado === 'omitido') conteo.omitidos++;
+      else conteo.fallidos++;
+    }
+
+    resumen[tipo] = { total: pagos.length, ...conteo };
+  }
+
+  return resumen;
+};
+
+module.exports = { enviarRecordatoriosPagos, enviarRecordatorio };
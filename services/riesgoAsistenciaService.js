@@ -0,0 +1,326 @@
+/**
+ * riesgoAsistenciaService.js
+ * Reporte de retención: alumnos con riesgo de abandono.
+ *
+ * Se evalúan los alumnos activos inscritos en clases activas (filtrables por
+ * sucursal e instructor). Un alumno queda marcado si cumple al menos una señal:
+ * - 'asistencia_baja':     porcentaje de asistencia de las últimas N semanas
+ *                          (Asistencia.getEstadisticasAlumno) menor al umbral.
+ * - 'faltas_consecutivas': sus últimos registros son faltas seguidas. Las
+ *                          faltas justificadas no suman pero tampoco cortan la racha.
+ * - 'pago_vencido':        tiene pagos vencidos (con saldo y fecha límite pasada).
+ *
+ * Nivel 'alto' con dos o más señales, 'medio' con una. Los valores por defecto
+ * salen de la configuración (asistencia_riesgo_*) y se pueden sobrescribir por
+ * consulta.
+ */
+
+const Asistencia    = require('../models/Asistencia');
+const Alumno        = require('../models/Alumno');
+const Horario       = require('../models/Horario');
+const Payment       = require('../models/Payments');
+const User          = require('../models/User');
+const Configuracion = require('../models/Configuracion');
+const { enviarEmail } = require('./emailService');
+const { destinatarioDeAlumno } = require('./notificacionService');
+
+const MOTIVOS = {
+  asistencia_baja    : 'Asistencia baja',
+  faltas_consecutivas: 'Faltas consecutivas',
+  pago_vencido       : 'Pagos vencidos'
+};
+
+const entero = (valor, defecto, min, max) => {
+  const n = parseInt(valor, 10);
+  return Number.isNaN(n) ? defecto : Math.min(Math.max(n, min), max);
+};
+
+// Parámetros efectivos: los de la consulta o los de la configuración
+const resolverParametros = async ({ semanas, umbral, faltasSeguidas } = {}) => {
+  const [semanasDef, umbralDef, faltasDef] = await Promise.all([
+    Configuracion.getValor('asistencia_riesgo_semanas', 4),
+    Configuracion.getValor('asistencia_riesgo_umbral', 70),
+    Configuracion.getValor('asistencia_riesgo_faltas_seguidas', 3)
+  ]);
+
+  return {
+    semanas       : entero(semanas, semanasDef, 1, 52),
+    umbral        : entero(umbral, umbralDef, 1, 100),
+    faltasSeguidas: entero(faltasSeguidas, faltasDef, 2, 20)
+  };
+};
+
+// Faltas seguidas al final del historial del alumno
+const contarFaltasSeguidas = async (alumnoId, limite) => {
+  const recientes = await Asistencia.find({ alumno: alumnoId, claseCancelada: { $ne: true } })
+    .select('estado fecha')
+    .sort({ fecha: -1 })
+    .limit(limite * 3)
+    .lean();
+
+  let faltas = 0;
+  let desde = null;
+  for (const registro of recientes) {
+    if (registro.estado === 'justificado') continue;
+    if (registro.estado !== 'ausente') break;
+    faltas++;
+    desde = registro.fecha;
+  }
+  return { faltas, desde };
+};
+
+// ── Evaluación ───────────────────────────────────────────────────────────────
+// Devuelve { parametros, resumen, alumnos }.
+const evaluarRiesgo = async ({ sucursal, instructor, ...opciones } = {}) => {
+  const parametros = await resolverParametros(opciones);
+
+  const hasta = new Date();
+  const desde = new Date(hasta);
+  desde.setDate(desde.getDate() - parametros.semanas * 7);
+  desde.setHours(0, 0, 0, 0);
+
+  // Clases activas y sus alumnos inscritos
+  const filtroHorarios = { isActive: true, estado: 'activo' };
+  if (sucursal) filtroHorarios.sucursal = sucursal;
+  if (instructor) filtroHorarios.instructor = instructor;
+
+  const horarios = await Horario.find(filtroHorarios)
+    .select('nombre instructor sucursal alumnosInscritos')
+    .populate('instructor', 'name email')
+    .populate('sucursal', 'name')
+    .lean();
+
+  const clasesPorAlumno = new Map();
+  for (const horario of horarios) {
+    for (const inscripcion of horario.alumnosInscritos || []) {
+      if (!inscripcion.activo) continue;
+      const id = inscripcion.alumno.toString();
+      if (!clasesPorAlumno.has(id)) clasesPorAlumno.set(id, []);
+      clasesPorAlumno.get(id).push({
+        _id       : horario._id,
+        nombre    : horario.nombre,
+        instructor: horario.instructor,
+        sucursal  : horario.sucursal
+      });
+    }
+  }
+
+  const alumnos = await Alumno.find({
+    _id: { $in: [...clasesPorAlumno.keys()] },
+    isActive: true,
+    'enrollment.status': 'activo'
+  })
+    .select('firstName lastName email dateOfBirth tutor preferences enrollment.studentId enrollment.sucursal stats.lastRiskNotice')
+    .lean();
+
+  // También los que vencieron y la tarea 'pagos_vencidos' aún no marca
+  const hoy = new Date();
+  hoy.setHours(0, 0, 0, 0);
+  const pagosVencidos = await Payment.find({
+    alumno: { $in: alumnos.map(a => a._id) },
+    $or: [
+      { status: 'vencido' },
+      { status: { $in: ['pendiente', 'parcial'] }, dueDate: { $lt: hoy } }
+    ],
+    isActive: true
+  }).select('alumno status amount discount lateFee abonos dueDate');
+
+  const deudaPorAlumno = new Map();
+  for (const pago of pagosVencidos) {
+    const id = pago.alumno.toString();
+    const deuda = deudaPorAlumno.get(id) || { pagos: 0, saldo: 0, masAntiguo: null };
+    deuda.pagos++;
+    deuda.saldo = Math.round((deuda.saldo + (pago.saldo || 0)) * 100) / 100;
+    if (!deuda.masAntiguo || pago.dueDate < deuda.masAntiguo) deuda.masAntiguo = pago.dueDate;
+    deudaPorAlumno.set(id, deuda);
+  }
+
+  const enRiesgo = [];
+  for (const alumno of alumnos) {
+    const id = alumno._id.toString();
+    const [estadisticas, racha] = await Promise.all([
+      Asistencia.getEstadisticasAlumno(alumno._id, desde, hasta),
+      contarFaltasSeguidas(alumno._id, parametros.faltasSeguidas)
+    ]);
+    const deuda = deudaPorAlumno.get(id);
+
+    const motivos = [];
+    if (estadisticas.total > 0 && estadisticas.porcentajeAsistencia < parametros.umbral) {
+      motivos.push({
+        tipo   : 'asistencia_baja',
+        detalle: `${estadisticas.porcentajeAsistencia}% de asistencia en las últimas ${parametros.semanas} semanas`
+      });
+    }
+    if (racha.faltas >= parametros.faltasSeguidas) {
+      motivos.push({
+        tipo   : 'faltas_consecutivas',
+        detalle: `${racha.faltas} faltas seguidas`
+      });
+    }
+    if (deuda) {
+      motivos.push({
+        tipo   : 'pago_vencido',
+        detalle: `${deuda.pagos} pago(s) vencido(s) por $${deuda.saldo.toFixed(2)}`
+      });
+    }
+    if (motivos.length === 0) continue;
+
+    enRiesgo.push({
+      alumno: {
+        _id      : alumno._id,
+        nombre   : `${alumno.firstName} ${alumno.lastName}`,
+        matricula: alumno.enrollment?.studentId
+      },
+      nivel: motivos.length >= 2 ? 'alto' : 'medio',
+      motivos,
+      asistencia: estadisticas,
+      faltasSeguidas: racha.faltas,
+      faltasDesde: racha.desde,
+      pagosVencidos: deuda || { pagos: 0, saldo: 0, masAntiguo: null },
+      clases: clasesPorAlumno.get(id),
+      // Solo para el envío de avisos; no se expone en la respuesta
+      _alumno: alumno
+    });
+  }
+
+  // Primero nivel alto, luego menor porcentaje de asistencia
+  enRiesgo.sort((a, b) =>
+    (a.nivel === b.nivel ? 0 : a.nivel === 'alto' ? -1 : 1) ||
+    a.asistencia.porcentajeAsistencia - b.asistencia.porcentajeAsistencia
+  );
+
+  const porMotivo = Object.fromEntries(Object.keys(MOTIVOS).map(tipo => [
+    tipo,
+    enRiesgo.filter(r => r.motivos.some(m => m.tipo === tipo)).length
+  ]));
+
+  return {
+    parametros: { ...parametros, desde, hasta },
+    resumen: {
+      evaluados: alumnos.length,
+      enRiesgo : enRiesgo.length,
+      alto     : enRiesgo.filter(r => r.nivel === 'alto').length,
+      porMotivo
+    },
+    alumnos: enRiesgo
+  };
+};
+
+// Quita los datos internos de cada registro antes de responder
+const publico = (registro) => {
+  const { _alumno, ...resto } = registro;
+  return resto;
+};
+
+// ── Avisos ───────────────────────────────────────────────────────────────────
+const aceptaAvisosAsistencia = (destino, alumno) => {
+  if (destino.esTutor) {
+    const prefs = destino.tutor?.preferences;
+    if (prefs?.receiveNotifications === false) return false;
+    return prefs?.notificationTypes?.attendance !== false;
+  }
+  return alumno.preferences?.receiveNotifications !== false;
+};
+
+const lineaMotivos = (registro, tipos = Object.keys(MOTIVOS)) => registro.motivos
+  .filter(m => tipos.includes(m.tipo))
+  .map(m => `${MOTIVOS[m.tipo]}: ${m.detalle}`)
+  .join('; ');
+
+// Un email por instructor con la lista de sus alumnos en riesgo
+const avisarInstructores = async (enRiesgo, conteo) => {
+  const porInstructor = new Map();
+  for (const registro of enRiesgo) {
+    for (const clase of registro.clases) {
+      const id = clase.instructor?._id?.toString();
+      if (!id) continue;
+      if (!porInstructor.has(id)) porInstructor.set(id, new Map());
+      porInstructor.get(id).set(registro.alumno._id.toString(), registro);
+    }
+  }
+
+  const instructores = await User.find({ _id: { $in: [...porInstructor.keys()] }, isActive: true })
+    .select('name email')
+    .lean();
+
+  for (const instructor of instructores) {
+    const registros = [...porInstructor.get(instructor._id.toString()).values()];
+    if (!instructor.email) { conteo.omitidos++; continue; }
+
+    try {
+      await enviarEmail({
+        to: instructor.email,
+        subject: `Alumnos en riesgo de abandono (${registros.length})`,
+        titulo: 'Alumnos en riesgo de abandono',
+        mensaje: 'Estos alumnos de tus clases necesitan seguimiento:\n\n' +
+          registros.map(r => `• ${r.alumno.nombre} (${r.nivel}) — ${lineaMotivos(r)}`).join('\n'),
+        nombreAlumno: instructor.name
+      });
+      conteo.enviados++;
+    } catch (error) {
+      console.error(`Error avisando a ${instructor.email}:`, error.message);
+      conteo.fallidos++;
+    }
+  }
+};
+
+// Aviso a la familia (menor → tutor). Los pagos tienen sus propios
+// recordatorios, así que aquí solo se habla de la asistencia.
+const avisarFamilias = async (enRiesgo, conteo) => {
+  const tiposAsistencia = ['asistencia_baja', 'faltas_consecutivas'];
+
+  for (const registro of enRiesgo) {
+    if (!registro.motivos.some(m => tiposAsistencia.includes(m.tipo))) continue;
+
+    const alumno = registro._alumno;
+    const destino = await destinatarioDeAlumno(alumno);
+    if (!destino || !aceptaAvisosAsistencia(destino, alumno)) { conteo.omitidos++; continue; }
+
+    try {
+      await enviarEmail({
+        to: destino.email,
+        subject: `Te extrañamos en clase - ${registro.alumno.nombre}`,
+        titulo: 'Te extrañamos en clase',
+        mensaje: `Notamos que ${alumno.firstName} ha faltado a sus clases recientemente ` +
+          `(${lineaMotivos(registro, tiposAsistencia)}).\n\n` +
+          'Si hay algo en lo que podamos ayudar, acércate con su instructor.',
+        nombreAlumno: destino.nombre
+      });
+      conteo.enviados++;
+    } catch (error) {
+      console.error(`Error avisando a ${destino.email}:`, error.message);
+      conteo.fallidos++;
+    }
+  }
+};
+
+// destinatarios: subconjunto de ['instructor', 'tutor']. Los alumnos avisados
+// hace menos de asistencia_riesgo_dias_entre_avisos días se omiten, para que
+// repetir el envío no vuelva a escribir a las mismas familias.
+const notificarRiesgo = async (enRiesgo, destinatarios = ['instructor', 'tutor']) => {
+  const instructores = { enviados: 0, omitidos: 0, fallidos: 0 };
+  const familias     = { enviados: 0, omitidos: 0, fallidos: 0 };
+
+  const diasEntreAvisos = await Configuracion.getValor('asistencia_riesgo_dias_entre_avisos', 14);
+  const desde = new Date(Date.now() - diasEntreAvisos * 24 * 60 * 60 * 1000);
+  const pendientes = enRiesgo.filter(r => !(r._alumno.stats?.lastRiskNotice > desde));
+
+  if (destinatarios.includes('instructor')) await avisarInstructores(pendientes, instructores);
+  if (destinatarios.includes('tutor')) await avisarFamilias(pendientes, familias);
+
+  if (pendientes.length > 0) {
+    await Alumno.updateMany(
+      { _id: { $in: pendientes.map(r => r._alumno._id) } },
+      { $set: { 'stats.lastRiskNotice': new Date() } }
+    );
+  }
+
+  return { instructores, familias, avisadosRecientemente: enRiesgo.length - pendientes.length };
+};
+
+module.exports = {
+  MOTIVOS,
+  evaluarRiesgo,
+  notificarRiesgo,
+  publico
+};
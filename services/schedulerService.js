@@ -0,0 +1,255 @@
+/**
+ * schedulerService.js
+ * Scheduler en proceso para tareas recurrentes (mensualidades, vencidos,
+ * notificaciones programadas...).
+ *
+ * - Cada tarea se registra con registrarTarea() y se persiste en la colección
+ *   TareaProgramada (frecuencia, próxima ejecución, último resultado).
+ * - Antes de ejecutar, la instancia toma un bloqueo atómico sobre el documento
+ *   de la tarea; si hay varias instancias del servidor solo una la ejecuta.
+ * - Cada ejecución queda registrada en EjecucionTarea (historial y errores).
+ *
+ * Variables de entorno:
+ *   SCHEDULER_ENABLED       = true  ('false' desactiva el scheduler en esta instancia)
+ *   SCHEDULER_TICK_SECONDS  = 60    (cada cuánto se revisan las tareas pendientes)
+ */
+
+const os       = require('os');
+const crypto   = require('crypto');
+const mongoose = require('mongoose');
+const TareaProgramada = require('../models/TareaProgramada');
+const EjecucionTarea  = require('../models/EjecucionTarea');
+
+// Identificador de esta instancia del servidor (se guarda en el bloqueo)
+const INSTANCIA = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+const BLOQUEO_MINUTOS_DEFECTO = 15;
+const REINTENTO_MINUTOS       = 15;
+const MAX_REINTENTOS          = 3;
+
+const definiciones = new Map();
+let timer        = null;
+let tickActivo   = false;
+let sincronizado = false;
+
+// ── Registrar definición de tarea ────────────────────────────────────────────
+// def: { nombre, descripcion, hora?: 'HH:MM', intervaloMinutos?, bloqueoMinutos?, ejecutar: async (ctx) => resultado }
+const registrarTarea = (def) => {
+  if (!def?.nombre || typeof def.ejecutar !== 'function') {
+    throw new Error('La tarea debe tener nombre y función ejecutar');
+  }
+  if (!def.hora && !def.intervaloMinutos) {
+    throw new Error(`La tarea '${def.nombre}' debe definir hora o intervaloMinutos`);
+  }
+  definiciones.set(def.nombre, def);
+};
+
+const getDefinicion = (nombre) => definiciones.get(nombre) || null;
+
+// ── Calcular próxima ejecución según la frecuencia ──────────────────────────
+const calcularProximaEjecucion = ({ hora, intervaloMinutos }, desde = new Date()) => {
+  if (hora) {
+    const [h, m] = hora.split(':').map(Number);
+    const proxima = new Date(desde);
+    proxima.setHours(h, m, 0, 0);
+    if (proxima <= desde) proxima.setDate(proxima.getDate() + 1);
+    return proxima;
+  }
+  return new Date(desde.getTime() + intervaloMinutos * 60 * 1000);
+};
+
+// ── Crear en BD las tareas registradas que aún no existen ────────────────────
+// La frecuencia y el estado activo que ya estén en BD (editados por un admin)
+// se respetan; la primera ejecución de una tarea nueva es inmediata.
+const sincronizarTareas = async () => {
+  for (const def of definiciones.values()) {
+    try {
+      await TareaProgramada.updateOne(
+        { nombre: def.nombre },
+        {
+          $set: { descripcion: def.descripcion },
+          $setOnInsert: {
+            hora            : def.hora || null,
+            intervaloMinutos: def.intervaloMinutos || null,
+            activa          : true,
+            proximaEjecucion: new Date()
+          }
+        },
+        { upsert: true }
+      );
+    } catch (error) {
+      // Otra instancia la creó al mismo tiempo
+      if (error.code !== 11000) throw error;
+    }
+  }
+};
+
+// ── Tomar bloqueo atómico ────────────────────────────────────────────────────
+// Sin `forzar` solo se toma si la tarea está activa y le toca ejecutarse.
+const tomarBloqueo = async (nombre, { forzar = false } = {}) => {
+  const ahora = new Date();
+  const def   = getDefinicion(nombre);
+  const bloqueoMinutos = def?.bloqueoMinutos || BLOQUEO_MINUTOS_DEFECTO;
+
+  const filtro = {
+    nombre,
+    $or: [{ bloqueadaHasta: null }, { bloqueadaHasta: { $lte: ahora } }]
+  };
+  if (!forzar) {
+    filtro.activa = true;
+    filtro.proximaEjecucion = { $lte: ahora };
+  }
+
+  return TareaProgramada.findOneAndUpdate(
+    filtro,
+    {
+      $set: {
+        bloqueadaPor  : INSTANCIA,
+        bloqueadaHasta: new Date(ahora.getTime() + bloqueoMinutos * 60 * 1000)
+      }
+    },
+    { new: true }
+  );
+};
+
+// ── Ejecutar una tarea ya bloqueada ──────────────────────────────────────────
+const ejecutarTarea = async (tarea, { disparadaPor = 'programada', usuario = null } = {}) => {
+  const def = getDefinicion(tarea.nombre);
+
+  const ejecucion = await EjecucionTarea.create({
+    tarea    : tarea.nombre,
+    disparadaPor,
+    usuario,
+    instancia: INSTANCIA,
+    inicio   : new Date()
+  });
+
+  let resultado = null;
+  let error     = null;
+
+  try {
+    if (!def) throw new Error(`La tarea '${tarea.nombre}' no está registrada en esta instancia`);
+    resultado = await def.ejecutar({ instancia: INSTANCIA, ejecucion, usuario });
+  } catch (err) {
+    error = err;
+    console.error(`❌ Error en tarea programada '${tarea.nombre}':`, err.message);
+  }
+
+  const fin = new Date();
+  ejecucion.fin        = fin;
+  ejecucion.duracionMs = fin - ejecucion.inicio;
+  ejecucion.estado     = error ? 'error' : 'exito';
+  ejecucion.resultado  = resultado ?? undefined;
+  ejecucion.error      = error ? error.message : undefined;
+  await ejecucion.save();
+
+  const fallos = error ? (tarea.fallosConsecutivos || 0) + 1 : 0;
+
+  const cambios = {
+    ultimaEjecucion   : fin,
+    ultimoEstado      : ejecucion.estado,
+    ultimoError       : error ? error.message : null,
+    fallosConsecutivos: fallos,
+    bloqueadaPor      : null,
+    bloqueadaHasta    : null
+  };
+
+  // Una ejecución manual no altera el calendario; si falla la programada se
+  // reintenta pronto (hasta MAX_REINTENTOS) en lugar de esperar al siguiente ciclo
+  if (disparadaPor === 'programada') {
+    const siguiente = calcularProximaEjecucion(tarea, fin);
+    const reintento = new Date(fin.getTime() + REINTENTO_MINUTOS * 60 * 1000);
+    cambios.proximaEjecucion = error && fallos <= MAX_REINTENTOS && reintento < siguiente
+      ? reintento
+      : siguiente;
+  }
+
+  await TareaProgramada.updateOne(
+    { _id: tarea._id, bloqueadaPor: INSTANCIA },
+    { $set: cambios }
+  );
+
+  return ejecucion;
+};
+
+// ── Revisar y ejecutar tareas pendientes ─────────────────────────────────────
+const tick = async () => {
+  if (tickActivo || mongoose.connection.readyState !== 1) return;
+  tickActivo = true;
+
+  try {
+    if (!sincronizado) {
+      await sincronizarTareas();
+      sincronizado = true;
+    }
+
+    for (const nombre of definiciones.keys()) {
+      try {
+        const tarea = await tomarBloqueo(nombre);
+        if (tarea) await ejecutarTarea(tarea);
+      } catch (error) {
+        console.error(`❌ Scheduler: no se pudo procesar '${nombre}':`, error.message);
+      }
+    }
+  } catch (error) {
+    console.error('❌ Error sincronizando tareas programadas:', error.message);
+  } finally {
+    tickActivo = false;
+  }
+};
+
+// ── Ejecutar una tarea a demanda (admin) ─────────────────────────────────────
+// Devuelve el registro de ejecución, o null si otra instancia la está ejecutando.
+const ejecutarAhora = async (nombre, usuarioId = null) => {
+  if (!getDefinicion(nombre)) {
+    throw new Error(`La tarea '${nombre}' no existe`);
+  }
+
+  if (!sincronizado) {
+    await sincronizarTareas();
+    sincronizado = true;
+  }
+
+  const tarea = await tomarBloqueo(nombre, { forzar: true });
+  if (!tarea) return null;
+
+  return ejecutarTarea(tarea, { disparadaPor: 'manual', usuario: usuarioId });
+};
+
+// ── Arranque / parada ────────────────────────────────────────────────────────
+const iniciarScheduler = () => {
+  if (process.env.SCHEDULER_ENABLED === 'false') {
+    console.log('⏸️  Scheduler desactivado (SCHEDULER_ENABLED=false)');
+    return;
+  }
+  if (timer) return;
+
+  const segundos = parseInt(process.env.SCHEDULER_TICK_SECONDS) || 60;
+
+  // Mientras no haya conexión a MongoDB el tick no hace nada
+  timer = setInterval(tick, segundos * 1000);
+  timer.unref();
+  console.log(`⏰ Scheduler iniciado (${definiciones.size} tareas, instancia ${INSTANCIA})`);
+
+  if (mongoose.connection.readyState === 1) {
+    tick();
+  } else {
+    mongoose.connection.once('connected', tick);
+  }
+};
+
+const detenerScheduler = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  registrarTarea,
+  getDefinicion,
+  calcularProximaEjecucion,
+  ejecutarAhora,
+  iniciarScheduler,
+  detenerScheduler
+};
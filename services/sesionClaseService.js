@@ -0,0 +1,332 @@
+/**
+ * sesionClaseService.js
+ * Calendario de sesiones de clase (SesionClase).
+ *
+ * Las sesiones se materializan a partir del patrón del Horario (dias,
+ * fechaInicio, fechaFin) con un horizonte de `asistencia_horizonte_sesiones`
+ * días; la tarea diaria 'sesiones_clase' lo mantiene. La generación es
+ * idempotente (upsert por horario + fecha + hora).
+ *
+ * Los días festivos (DiaFestivo) cancelan las sesiones que caen en su rango.
+ * Cuando una sesión se cancela o se reprograma, las asistencias que ya tuviera
+ * quedan con claseCancelada = true y dejan de contar en las estadísticas del
+ * alumno: que la clase no se impartiera no es una falta.
+ */
+
+const SesionClase   = require('../models/SesionClase');
+const DiaFestivo    = require('../models/DiaFestivo');
+const Horario       = require('../models/Horario');
+const Asistencia    = require('../models/Asistencia');
+const User          = require('../models/User');
+const Configuracion = require('../models/Configuracion');
+const { conflictosDeHorario, diasTraslapados } = require('./conflictoHorarioService');
+
+// Índice = Date.getDay()
+const DIAS_SEMANA = ['domingo', 'lunes', 'martes', 'miercoles', 'jueves', 'viernes', 'sabado'];
+
+const DIA_MS = 24 * 60 * 60 * 1000;
+
+const inicioDelDia = (fecha = new Date()) => {
+  const d = new Date(fecha);
+  d.setHours(0, 0, 0, 0);
+  return d;
+};
+
+const finDelDia = (fecha = new Date()) => {
+  const d = new Date(fecha);
+  d.setHours(23, 59, 59, 999);
+  return d;
+};
+
+const horizonteDias = () => Configuracion.getValor('asistencia_horizonte_sesiones', 28);
+
+const festivoDelDia = (festivos, fecha) =>
+  festivos.find(f => f.fechaInicio <= fecha && f.fechaFin >= fecha);
+
+// ── Generar sesiones de un horario en un rango ───────────────────────────────
+// Devuelve el número de sesiones nuevas.
+const generarSesiones = async (horario, { desde, hasta }) => {
+  if (!horario.isActive || horario.estado !== 'activo') return 0;
+  if (!(horario.dias || []).length) return 0;
+
+  let inicio = inicioDelDia(desde);
+  let fin = finDelDia(hasta);
+  if (horario.fechaInicio && inicioDelDia(horario.fechaInicio) > inicio) inicio = inicioDelDia(horario.fechaInicio);
+  if (horario.fechaFin && finDelDia(horario.fechaFin) < fin) fin = finDelDia(horario.fechaFin);
+  if (inicio > fin) return 0;
+
+  const festivos = await DiaFestivo.findEnRango(inicio, fin, horario.sucursal?._id || horario.sucursal).lean();
+  const operaciones = [];
+
+  for (let dia = new Date(inicio); dia <= fin; dia.setDate(dia.getDate() + 1)) {
+    if (!horario.dias.includes(DIAS_SEMANA[dia.getDay()])) continue;
+
+    const fecha = inicioDelDia(dia);
+    const festivo = festivoDelDia(festivos, fecha);
+
+    operaciones.push({
+      updateOne: {
+        filter: { horario: horario._id, fecha, horaInicio: horario.horaInicio },
+        update: {
+          $setOnInsert: {
+            horario   : horario._id,
+            sucursal  : horario.sucursal?._id || horario.sucursal,
+            fecha,
+            horaInicio: horario.horaInicio,
+            horaFin   : horario.horaFin,
+            salon     : horario.salon,
+            instructor: horario.instructor?._id || horario.instructor,
+            estado    : festivo ? 'cancelada' : 'programada',
+            diaFestivo: festivo ? festivo._id : null,
+            motivoCancelacion: festivo ? `Día festivo: ${festivo.nombre}` : undefined
+          }
+        },
+        upsert: true
+      }
+    });
+  }
+
+  if (operaciones.length === 0) return 0;
+
+  const resultado = await SesionClase.bulkWrite(operaciones, { ordered: false });
+  return resultado.upsertedCount || 0;
+};
+
+// ── Generar sesiones de todos los horarios activos ───────────────────────────
+const generarSesionesLote = async ({ desde = new Date(), hasta, horarioId } = {}) => {
+  const limite = hasta || new Date(Date.now() + (await horizonteDias()) * DIA_MS);
+
+  const filtros = { isActive: true, estado: 'activo' };
+  if (horarioId) filtros._id = horarioId;
+
+  const horarios = await Horario.find(filtros)
+    .select('sucursal instructor salon dias horaInicio horaFin fechaInicio fechaFin estado isActive')
+    .lean();
+
+  let creadas = 0;
+  const errores = [];
+
+  for (const horario of horarios) {
+    try {
+      creadas += await generarSesiones(horario, { desde, hasta: limite });
+    } catch (error) {
+      errores.push({ horario: horario._id, error: error.message });
+    }
+  }
+
+  return { horarios: horarios.length, creadas, errores };
+};
+
+// ── Rehacer las sesiones futuras tras cambiar el horario ─────────────────────
+// Borra las sesiones futuras sin cambios manuales y las vuelve a generar con el
+// patrón actual (si el horario sigue activo).
+const resincronizarHorario = async (horario) => {
+  const hoy = inicioDelDia();
+
+  const { deletedCount } = await SesionClase.deleteMany({
+    horario           : horario._id,
+    fecha             : { $gte: hoy },
+    estado            : 'programada',
+    reprogramadaDe    : null,
+    instructorSuplente: null
+  });
+
+  const creadas = await generarSesiones(horario, {
+    desde: hoy,
+    hasta: new Date(Date.now() + (await horizonteDias()) * DIA_MS)
+  });
+
+  return { eliminadas: deletedCount, creadas };
+};
+
+// ── Sesión de un horario en una fecha (la genera si aún no existe) ───────────
+// Prefiere la sesión que sí se imparte. Devuelve null si ese día no hay clase.
+const obtenerSesion = async (horario, fecha) => {
+  const dia = inicioDelDia(fecha);
+
+  const buscar = () => SesionClase.find({ horario: horario._id, fecha: dia });
+
+  let sesiones = await buscar();
+  if (sesiones.length === 0) {
+    await generarSesiones(horario, { desde: dia, hasta: dia });
+    sesiones = await buscar();
+  }
+
+  return sesiones.find(s => s.seImparte) || sesiones[0] || null;
+};
+
+// ── Asistencias de una sesión (incluye las registradas antes de ligarlas) ────
+const filtroAsistenciasDeSesion = (sesion) => ({
+  $or: [
+    { sesion: sesion._id },
+    { sesion: null, horario: sesion.horario?._id || sesion.horario, fecha: sesion.fecha }
+  ]
+});
+
+const marcarAsistenciasCanceladas = async (sesion, cancelada) => {
+  const filtro = filtroAsistenciasDeSesion(sesion);
+  const alumnos = await Asistencia.distinct('alumno', filtro);
+  if (alumnos.length === 0) return 0;
+
+  await Asistencia.updateMany(filtro, { $set: { claseCancelada: cancelada } });
+
+  // updateMany no dispara el post-save: recalcular a mano
+  for (const alumnoId of alumnos) {
+    await Asistencia.actualizarStatsAlumno(alumnoId);
+  }
+  return alumnos.length;
+};
+
+// ── Cancelar una sesión ──────────────────────────────────────────────────────
+const cancelarSesion = async (sesion, { motivo, userId, diaFestivo = null }) => {
+  if (!sesion.seImparte) {
+    throw new Error(`La sesión ya está ${sesion.estado}`);
+  }
+
+  sesion.estado = 'cancelada';
+  sesion.motivoCancelacion = motivo;
+  sesion.canceladaPor = userId;
+  sesion.diaFestivo = diaFestivo;
+  sesion.modificadoPor = userId;
+  await sesion.save();
+
+  const asistenciasAfectadas = await marcarAsistenciasCanceladas(sesion, true);
+  return { sesion, asistenciasAfectadas };
+};
+
+// ── Deshacer una cancelación ─────────────────────────────────────────────────
+const restaurarSesion = async (sesion, { userId }) => {
+  if (sesion.estado !== 'cancelada') {
+    throw new Error('Solo se puede restaurar una sesión cancelada');
+  }
+
+  sesion.estado = 'programada';
+  sesion.motivoCancelacion = undefined;
+  sesion.canceladaPor = undefined;
+  sesion.diaFestivo = null;
+  sesion.modificadoPor = userId;
+  await sesion.save();
+
+  const asistenciasAfectadas = await marcarAsistenciasCanceladas(sesion, false);
+  return { sesion, asistenciasAfectadas };
+};
+
+// ── Reprogramar una sesión a otra fecha u hora ───────────────────────────────
+// La original queda 'reprogramada' y se crea una sesión nueva ligada a ella.
+const reprogramarSesion = async (sesion, { fecha, horaInicio, horaFin, motivo, userId }) => {
+  if (!sesion.seImparte) {
+    throw new Error(`La sesión ya está ${sesion.estado}`);
+  }
+
+  const nuevaFecha = inicioDelDia(fecha || sesion.fecha);
+  const festivo = festivoDelDia(
+    await DiaFestivo.findEnRango(nuevaFecha, finDelDia(nuevaFecha), sesion.sucursal).lean(),
+    nuevaFecha
+  );
+  if (festivo) {
+    throw new Error(`La nueva fecha es día festivo (${festivo.nombre})`);
+  }
+
+  const nueva = await SesionClase.create({
+    horario           : sesion.horario,
+    sucursal          : sesion.sucursal,
+    fecha             : nuevaFecha,
+    horaInicio        : horaInicio || sesion.horaInicio,
+    horaFin           : horaFin || sesion.horaFin,
+    salon             : sesion.salon,
+    instructor        : sesion.instructor,
+    instructorSuplente: sesion.instructorSuplente,
+    reprogramadaDe    : sesion._id,
+    notas             : motivo,
+    modificadoPor     : userId
+  });
+
+  sesion.estado = 'reprogramada';
+  sesion.reprogramadaA = nueva._id;
+  sesion.motivoCancelacion = motivo;
+  sesion.modificadoPor = userId;
+  await sesion.save();
+
+  await marcarAsistenciasCanceladas(sesion, true);
+  return { original: sesion, nueva };
+};
+
+// ── Conflictos de un instructor suplente para una sesión ─────────────────────
+// Devuelve { error } si el usuario no es un instructor activo, o { conflictos }.
+const conflictosDeSuplente = async (sesion, instructorId) => {
+  const instructor = await User.findOne({ _id: instructorId, role: 'instructor', isActive: true })
+    .select('name');
+  if (!instructor) {
+    return { error: 'El suplente debe ser un instructor activo' };
+  }
+
+  const datos = {
+    instructor : instructorId,
+    dias       : [DIAS_SEMANA[new Date(sesion.fecha).getDay()]],
+    horaInicio : sesion.horaInicio,
+    horaFin    : sesion.horaFin,
+    fechaInicio: sesion.fecha,
+    fechaFin   : finDelDia(sesion.fecha)
+  };
+
+  // Sus clases regulares y su disponibilidad
+  const conflictos = (await conflictosDeHorario(datos, { excluirId: sesion.horario?._id || sesion.horario }))
+    .filter(c => ['instructor', 'instructor_no_disponible'].includes(c.tipo));
+
+  // Otras suplencias el mismo día
+  const suplencias = await SesionClase.find({
+    _id               : { $ne: sesion._id },
+    fecha             : sesion.fecha,
+    instructorSuplente: instructorId,
+    estado            : { $in: ['programada', 'realizada'] }
+  }).populate('horario', 'nombre').lean();
+
+  suplencias
+    .filter(s => diasTraslapados({ ...datos, fechaFin: null }, { ...s, dias: datos.dias }).length > 0)
+    .forEach(s => conflictos.push({
+      tipo   : 'instructor',
+      mensaje: `${instructor.name} ya suple "${s.horario?.nombre}" (${s.horaInicio}-${s.horaFin}) ese día`
+    }));
+
+  return { conflictos };
+};
+
+// ── Días festivos ────────────────────────────────────────────────────────────
+// Cancela las sesiones ya generadas que caen en el festivo.
+const aplicarDiaFestivo = async (festivo, userId) => {
+  const filtros = {
+    fecha : { $gte: festivo.fechaInicio, $lte: festivo.fechaFin },
+    estado: 'programada'
+  };
+  if (festivo.sucursal) filtros.sucursal = festivo.sucursal;
+
+  const sesiones = await SesionClase.find(filtros);
+  for (const sesion of sesiones) {
+    await cancelarSesion(sesion, { motivo: `Día festivo: ${festivo.nombre}`, userId, diaFestivo: festivo._id });
+  }
+  return sesiones.length;
+};
+
+// Restaura las sesiones que canceló un festivo (al borrarlo o cambiarlo)
+const revertirDiaFestivo = async (festivo, userId) => {
+  const sesiones = await SesionClase.find({ diaFestivo: festivo._id, estado: 'cancelada' });
+  for (const sesion of sesiones) {
+    await restaurarSesion(sesion, { userId });
+  }
+  return sesiones.length;
+};
+
+module.exports = {
+  DIAS_SEMANA,
+  inicioDelDia,
+  generarSesiones,
+  generarSesionesLote,
+  resincronizarHorario,
+  obtenerSesion,
+  cancelarSesion,
+  restaurarSesion,
+  reprogramarSesion,
+  conflictosDeSuplente,
+  aplicarDiaFestivo,
+  revertirDiaFestivo
+};
@@ -0,0 +1,184 @@
+/**
+ * tareasProgramadas.js
+ * Definición de las tareas recurrentes del scheduler. Basta con requerir este
+ * módulo para que queden registradas en schedulerService.
+ *
+ * Variables de entorno:
+ *   SCHEDULER_USER_ID = (opcional) usuario que figura como creador de los
+ *                       pagos generados automáticamente. Por defecto, el
+ *                       administrador activo más antiguo.
+ */
+
+const User         = require('../models/User');
+const Notificacion = require('../models/Notificacion');
+const { registrarTarea } = require('./schedulerService');
+const { registrarAuditoria } = require('./auditService');
+const { marcarPagosVencidos, generarMensualidadesLote } = require('./billingService');
+const { despacharNotificacion } = require('./notificacionService');
+const { enviarRecordatoriosPagos } = require('./recordatorioPagosService');
+const { expirarOfertas } = require('./listaEsperaService');
+const { generarSesionesLote } = require('./sesionClaseService');
+const { rechazarVencidas } = require('./justificacionService');
+
+// Máximo de notificaciones programadas que se envían por ejecución
+const MAX_NOTIFICACIONES_POR_EJECUCION = 20;
+
+// ── Usuario con el que se registran los pagos generados por el sistema ───────
+const obtenerUsuarioSistema = async () => {
+  if (process.env.SCHEDULER_USER_ID) {
+    const user = await User.findById(process.env.SCHEDULER_USER_ID).select('_id');
+    if (user) return user._id;
+  }
+
+  const admin = await User.findOne({ role: 'admin', isActive: true })
+    .sort({ createdAt: 1 })
+    .select('_id');
+
+  if (!admin) {
+    throw new Error('No hay un administrador activo para registrar los pagos automáticos (configura SCHEDULER_USER_ID)');
+  }
+  return admin._id;
+};
+
+const inicioDelDia = (fecha = new Date()) => {
+  const d = new Date(fecha);
+  d.setHours(0, 0, 0, 0);
+  return d;
+};
+
+// ── Mensualidades: se generan en el día de pago de cada alumno ───────────────
+// Se procesan los alumnos cuyo paymentDay ya llegó este mes; la generación es
+// idempotente, así que si el servidor estuvo apagado se recupera al día siguiente.
+// El último día del mes se incluyen los días de pago que ese mes no tiene (p. ej. 30 en febrero).
+registrarTarea({
+  nombre          : 'mensualidades',
+  descripcion     : 'Genera las mensualidades de los alumnos activos en su día de pago',
+  hora            : '06:00',
+  bloqueoMinutos  : 30,
+  ejecutar: async () => {
+    const hoy = new Date();
+    const diasDelMes  = new Date(hoy.getFullYear(), hoy.getMonth() + 1, 0).getDate();
+    const esUltimoDia = hoy.getDate() === diasDelMes;
+
+    const filtroExtra = esUltimoDia
+      ? {}
+      : { 'enrollment.paymentDay': { $lte: hoy.getDate() } };
+
+    const creadoPor = await obtenerUsuarioSistema();
+    const { totalGenerados, alumnosProcesados, errores } =
+      await generarMensualidadesLote({ creadoPor, hasta: hoy, filtroExtra });
+
+    const vencidos = await marcarPagosVencidos();
+
+    if (totalGenerados > 0) {
+      await registrarAuditoria(null, {
+        entidad    : 'Payment',
+        accion     : 'masivo',
+        descripcion: 'Generación automática de mensualidades',
+        metadata   : { totalGenerados, alumnosProcesados, errores: errores.length }
+      });
+    }
+
+    return { totalGenerados, alumnosProcesados, vencidos, errores };
+  }
+});
+
+// ── Pagos vencidos ───────────────────────────────────────────────────────────
+registrarTarea({
+  nombre     : 'pagos_vencidos',
+  descripcion: "Marca como 'vencido' los pagos con saldo (pendientes o parciales) cuya fecha límite ya pasó",
+  hora       : '00:05',
+  ejecutar: async () => {
+    const actualizados = await marcarPagosVencidos(inicioDelDia());
+
+    if (actualizados > 0) {
+      await registrarAuditoria(null, {
+        entidad    : 'Payment',
+        accion     : 'masivo',
+        descripcion: 'Pagos pendientes marcados como vencidos',
+        metadata   : { actualizados }
+      });
+    }
+
+    return { actualizados };
+  }
+});
+
+// ── Recordatorios de pago ────────────────────────────────────────────────────
+// Corre después de 'pagos_vencidos'; vuelve a marcar vencidos por si aquella no
+// se ejecutó, para que el aviso de 'vencido' no se retrase un día.
+registrarTarea({
+  nombre        : 'recordatorios_pagos',
+  descripcion   : 'Envía recordatorios de pago antes del vencimiento y cuando el pago vence',
+  hora          : '09:00',
+  bloqueoMinutos: 60,
+  ejecutar: async () => {
+    await marcarPagosVencidos(inicioDelDia());
+    return enviarRecordatoriosPagos();
+  }
+});
+
+// ── Sesiones de clase ────────────────────────────────────────────────────────
+// Mantiene generado el calendario hasta el horizonte configurado.
+registrarTarea({
+  nombre     : 'sesiones_clase',
+  descripcion: 'Genera las sesiones de clase de los próximos días a partir de los horarios activos',
+  hora       : '01:00',
+  ejecutar: async () => generarSesionesLote()
+});
+
+// ── Ofertas de lista de espera ───────────────────────────────────────────────
+// Vence las ofertas sin respuesta y ofrece el lugar al siguiente de la cola.
+registrarTarea({
+  nombre          : 'ofertas_lista_espera',
+  descripcion     : 'Vence las ofertas de lugar sin confirmar y atiende la lista de espera',
+  intervaloMinutos: 15,
+  ejecutar: async () => expirarOfertas()
+});
+
+// ── Justificaciones de faltas vencidas ───────────────────────────────────────
+// Solo actúa si `asistencia_requiere_justificante` está activo.
+registrarTarea({
+  nombre     : 'justificaciones_vencidas',
+  descripcion: 'Rechaza las justificaciones de faltas cuyo plazo venció sin documento',
+  hora       : '00:30',
+  ejecutar: async () => rechazarVencidas()
+});
+
+// ── Notificaciones programadas ───────────────────────────────────────────────
+// Cada notificación se reclama de forma atómica (programada → enviando) para
+// que nunca se envíe dos veces.
+registrarTarea({
+  nombre          : 'notificaciones_programadas',
+  descripcion     : "Envía las notificaciones en estado 'programada' cuya fecha de envío ya llegó",
+  intervaloMinutos: 5,
+  ejecutar: async () => {
+    const enviadas = [];
+    const fallidas = [];
+
+    for (let i = 0; i < MAX_NOTIFICACIONES_POR_EJECUCION; i++) {
+      const notif = await Notificacion.findOneAndUpdate(
+        { estado: 'programada', enviarEn: { $lte: new Date() } },
+        { $set: { estado: 'enviando' } },
+        { sort: { enviarEn: 1 }, new: true }
+      );
+      if (!notif) break;
+
+      try {
+        const resultado = await despacharNotificacion(notif);
+        if (resultado) {
+          enviadas.push({ id: notif._id, ...resultado });
+        } else {
+          fallidas.push({ id: notif._id, error: 'No hay destinatarios con email válido' });
+        }
+      } catch (error) {
+        fallidas.push({ id: notif._id, error: error.message });
+        await Notificacion.updateOne({ _id: notif._id }, { estado: 'borrador' }).catch(() => {});
+      }
+    }
+
+    return { enviadas, fallidas };
+  }
+});
+
+module.exports = { obtenerUsuarioSistema };
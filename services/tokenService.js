@@ -0,0 +1,145 @@
+/**
+ * tokenService.js
+ * Manejo de sesiones: access tokens de vida corta + refresh tokens rotativos
+ * guardados en servidor, revocación en logout y cierre de todas las sesiones.
+ *
+ * Variables de entorno:
+ *   JWT_EXPIRE               = 15m  (vida del access token)
+ *   JWT_REFRESH_EXPIRE_DAYS  = 30   (vida del refresh token en días)
+ */
+
+const crypto        = require('crypto');
+const User          = require('../models/User');
+const RefreshToken  = require('../models/RefreshToken');
+const TokenRevocado = require('../models/TokenRevocado');
+const { generateToken } = require('../middleware/auth');
+
+// ── Helpers ──────────────────────────────────────────────────────────────────
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const diasRefresh = () => parseInt(process.env.JWT_REFRESH_EXPIRE_DAYS) || 30;
+
+const metaDeRequest = (req) => ({
+  createdByIp: req?.ip,
+  userAgent  : (req?.get?.('User-Agent') || '').substring(0, 300)
+});
+
+// ── Emitir refresh token (devuelve el valor en claro, se guarda el hash) ─────
+const emitirRefreshToken = async (userId, req) => {
+  const token = crypto.randomBytes(48).toString('hex');
+
+  const doc = await RefreshToken.create({
+    user     : userId,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + diasRefresh() * 24 * 60 * 60 * 1000),
+    ...metaDeRequest(req)
+  });
+
+  return { token, doc };
+};
+
+// ── Emitir par access + refresh para un usuario ─────────────────────────────
+const emitirSesion = async (userId, req) => {
+  const { token: refreshToken } = await emitirRefreshToken(userId, req);
+  return {
+    token: generateToken(userId),
+    refreshToken
+  };
+};
+
+// ── Rotar refresh token ──────────────────────────────────────────────────────
+// Devuelve { user, token, refreshToken } o null si el token no es válido.
+// El token se revoca en la misma operación que lo busca: de dos renovaciones
+// simultáneas con el mismo token solo una lo obtiene; la otra cuenta como
+// reuso. Si se presenta un token ya rotado (posible robo) se cierran todas las
+// sesiones del usuario.
+const rotarRefreshToken = async (refreshToken, req) => {
+  if (!refreshToken || typeof refreshToken !== 'string') return null;
+
+  const tokenHash = hashToken(refreshToken);
+  const ahora = new Date();
+
+  const actual = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: ahora } },
+    { $set: { revokedAt: ahora, revokedReason: 'rotado' } },
+    { new: true }
+  );
+
+  if (!actual) {
+    const usado = await RefreshToken.findOne({ tokenHash }).select('user revokedReason');
+    if (usado?.revokedReason === 'rotado') {
+      console.warn(`⚠️ Reuso de refresh token detectado para usuario ${usado.user}. Cerrando todas sus sesiones.`);
+      await cerrarTodasLasSesiones(usado.user, 'reuso_detectado');
+    }
+    return null;
+  }
+
+  const user = await User.findById(actual.user).select('-password');
+  if (!user || !user.isActive) {
+    await actual.revocar('usuario_desactivado');
+    return null;
+  }
+
+  const { token: nuevoRefresh, doc } = await emitirRefreshToken(user._id, req);
+  actual.replacedBy = doc._id;
+  await actual.save();
+
+  return {
+    user,
+    token: generateToken(user._id),
+    refreshToken: nuevoRefresh
+  };
+};
+
+// ── Revocar el access token actual (por su jti) ──────────────────────────────
+const revocarAccessToken = async (payload) => {
+  if (!payload?.jti || !payload?.exp) return;
+
+  await TokenRevocado.updateOne(
+    { jti: payload.jti },
+    {
+      $setOnInsert: {
+        jti      : payload.jti,
+        user     : payload.id,
+        expiresAt: new Date(payload.exp * 1000)
+      }
+    },
+    { upsert: true }
+  );
+};
+
+// ── Revocar un refresh token concreto (logout de esta sesión) ───────────────
+const revocarRefreshToken = async (refreshToken, userId) => {
+  if (!refreshToken || typeof refreshToken !== 'string') return false;
+
+  const doc = await RefreshToken.findOne({
+    tokenHash: hashToken(refreshToken),
+    user     : userId,
+    revokedAt: null
+  });
+  if (!doc) return false;
+
+  await doc.revocar('logout');
+  return true;
+};
+
+// ── Cerrar todas las sesiones de un usuario ──────────────────────────────────
+// Invalida todos los access tokens emitidos hasta ahora y revoca los refresh.
+const cerrarTodasLasSesiones = async (userId, motivo = 'logout_todas') => {
+  const user = await User.findById(userId);
+  if (user) {
+    user.invalidarSesiones();
+    await user.save();
+  }
+
+  const result = await RefreshToken.revocarTodos(userId, motivo);
+  return { sesionesRevocadas: result.modifiedCount };
+};
+
+module.exports = {
+  emitirSesion,
+  rotarRefreshToken,
+  revocarAccessToken,
+  revocarRefreshToken,
+  cerrarTodasLasSesiones
+};